@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+// glb-compare.js - Headless GLB comparison for scripts and asset pipelines
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as THREE from 'three';
+import { ThreeService } from '../src/services/ThreeService.js';
+import { ComparisonService } from '../src/services/ComparisonService.js';
+import { StructureDiffService } from '../src/services/StructureDiffService.js';
+import { MaterialService } from '../src/services/MaterialService.js';
+import { ReportService } from '../src/services/ReportService.js';
+import { PolicyService, VERDICTS } from '../src/services/PolicyService.js';
+import { MetricsService } from '../src/services/MetricsService.js';
+import { GeometryDeviationService } from '../src/services/GeometryDeviationService.js';
+import { CameraBookmarkService } from '../src/services/CameraBookmarkService.js';
+import { AnimationService } from '../src/services/AnimationService.js';
+import { ValidationService } from '../src/services/ValidationService.js';
+import { PerformanceService } from '../src/services/PerformanceService.js';
+import { MeshQualityService } from '../src/services/MeshQualityService.js';
+import { loadGLB } from './nodeLoader.js';
+import { SoftwareRenderer } from './softwareRenderer.js';
+import { toDataURL } from './png.js';
+
+const EXIT_PASS = 0;
+const EXIT_FAIL = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: glb-compare <model1.glb|dir1> <model2.glb|dir2> [options]
+
+Compares two GLB files, or every pair of matching filenames in two directories.
+
+Options:
+  -o, --out <dir>                 Output directory for reports (default: glb-compare-report)
+  -r, --resolution <px>           Software render resolution (default: 512)
+      --turntable                 Diff the default turntable views instead of one front view
+      --bookmarks <file.json>     Diff every camera bookmark exported from the web tool
+      --standard-views            Diff the standard views (front, back, left, right, top, bottom, three-quarter)
+      --no-render                 Skip the pixel diff (structure and statistics only)
+      --deviation                 Measure point-to-surface deviation and Hausdorff distance
+      --deviation-samples <n>     Surface samples per model for --deviation (default: ${GeometryDeviationService.defaultOptions.sampleCount})
+      --metrics <list>            Comma-separated metrics to compute: ${MetricsService.metrics.map(metric => metric.id).join(', ')} (default: ${MetricsService.defaultMetrics.join(',')})
+      --drive <list>              Metrics whose flagged pixels drive the mismatch percentage (default: ${MetricsService.defaultDrivers.join(',')})
+  -p, --policy <name|file.json>   Acceptance policy: ${PolicyService.builtInPolicies.map(policy => policy.id).join(', ')} or an exported JSON file (default: ${PolicyService.defaultPolicy.id})
+      --max-pixel-diff <pct>      Override the policy's fail limit for mean pixel mismatch
+      --max-view-diff <pct>       Override the policy's fail limit for the worst single view
+      --max-material-deltas <n>   Override the policy's fail limit for material parameter deltas
+      --max-structural-changes <n>  Fail when more structural changes are found
+      --budget <name|file.json>   Fail when Model 2 exceeds a platform budget: ${PerformanceService.builtInBudgets.map(budget => budget.id).join(', ')} or an exported JSON file
+      --tolerance <value>         Material parameter tolerance (default: from the policy)
+      --allow-unmatched           In directory mode, pass when a file exists in only one directory
+  -h, --help                      Show this help
+`;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'glb-compare-report' },
+      resolution: { type: 'string', short: 'r', default: '512' },
+      turntable: { type: 'boolean', default: false },
+      bookmarks: { type: 'string' },
+      'standard-views': { type: 'boolean', default: false },
+      'no-render': { type: 'boolean', default: false },
+      deviation: { type: 'boolean', default: false },
+      'deviation-samples': { type: 'string', default: String(GeometryDeviationService.defaultOptions.sampleCount) },
+      metrics: { type: 'string', default: MetricsService.defaultMetrics.join(',') },
+      drive: { type: 'string', default: MetricsService.defaultDrivers.join(',') },
+      policy: { type: 'string', short: 'p', default: PolicyService.defaultPolicy.id },
+      'max-pixel-diff': { type: 'string' },
+      'max-view-diff': { type: 'string' },
+      'max-structural-changes': { type: 'string' },
+      'max-material-deltas': { type: 'string' },
+      budget: { type: 'string' },
+      tolerance: { type: 'string' },
+      'allow-unmatched': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const number = (flag, isValid, expected) => {
+    const value = values[flag];
+    if (value === undefined) return undefined;
+    const parsed = value.trim() === '' ? NaN : Number(value);
+    if (!isValid(parsed)) {
+      throw new Error(`--${flag} must be ${expected}, got "${value}"`);
+    }
+    return parsed;
+  };
+  const count = (flag) => number(flag, value => Number.isInteger(value) && value > 0, 'a positive integer');
+  const amount = (flag) => number(flag, value => Number.isFinite(value) && value >= 0, 'a non-negative number');
+  const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  const metrics = list(values.metrics);
+  const drivers = list(values.drive);
+  const unknown = [...metrics, ...drivers].filter(id => !MetricsService.getMetric(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metric(s): ${unknown.join(', ')}`);
+  }
+  const notDrivable = drivers.filter(id => !MetricsService.canDrive(id));
+  if (notDrivable.length > 0) {
+    throw new Error(`Metric(s) cannot drive the result: ${notDrivable.join(', ')}`);
+  }
+
+  return {
+    help: values.help,
+    inputs: positionals,
+    outDir: values.out,
+    resolution: count('resolution'),
+    turntable: values.turntable,
+    bookmarks: values.bookmarks,
+    standardViews: values['standard-views'],
+    render: !values['no-render'],
+    deviation: values.deviation ? { sampleCount: count('deviation-samples') } : null,
+    metricOptions: { metrics, drivers },
+    policy: values.policy,
+    tolerance: amount('tolerance'),
+    overrides: {
+      pixelMismatch: amount('max-pixel-diff'),
+      maxViewMismatch: amount('max-view-diff'),
+      materialDeltas: amount('max-material-deltas')
+    },
+    maxStructuralChanges: amount('max-structural-changes'),
+    budget: values.budget,
+    allowUnmatched: values['allow-unmatched']
+  };
+}
+
+async function resolvePolicy(options) {
+  let policy = PolicyService.builtInPolicies.find(builtIn => builtIn.id === options.policy);
+  if (!policy) {
+    policy = PolicyService.importPolicy(await fs.readFile(options.policy, 'utf8'));
+  }
+
+  // Legacy threshold flags replace the matching fail limits
+  const limits = { ...policy.limits };
+  Object.entries(options.overrides).forEach(([metricId, value]) => {
+    if (value !== undefined) limits[metricId] = { ...limits[metricId], fail: value };
+  });
+
+  return {
+    ...policy,
+    materialTolerance: options.tolerance ?? policy.materialTolerance,
+    limits
+  };
+}
+
+async function resolveBudget(name) {
+  return PerformanceService.builtInBudgets.find(builtIn => builtIn.id === name)
+    || PerformanceService.importBudget(await fs.readFile(name, 'utf8'));
+}
+
+async function collectPairs(inputA, inputB) {
+  const [statA, statB] = await Promise.all([fs.stat(inputA), fs.stat(inputB)]);
+
+  if (statA.isFile() && statB.isFile()) {
+    return { pairs: [{ name: path.basename(inputA, path.extname(inputA)), a: inputA, b: inputB }], unmatched: [] };
+  }
+
+  if (!statA.isDirectory() || !statB.isDirectory()) {
+    throw new Error('Both inputs must be files or both must be directories');
+  }
+
+  const listGLB = async (dir) => (await fs.readdir(dir)).filter(name => name.toLowerCase().endsWith('.glb'));
+  const [filesA, filesB] = await Promise.all([listGLB(inputA), listGLB(inputB)]);
+  const setB = new Set(filesB);
+
+  return {
+    pairs: filesA
+      .filter(name => setB.has(name))
+      .map(name => ({ name: path.basename(name, path.extname(name)), a: path.join(inputA, name), b: path.join(inputB, name) })),
+    unmatched: [
+      ...filesA.filter(name => !setB.has(name)).map(name => ({ name, missingIn: 'model2' })),
+      ...filesB.filter(name => !filesA.includes(name)).map(name => ({ name, missingIn: 'model1' }))
+    ]
+  };
+}
+
+// Mirrors ModelViewer: each scene is centred on its own bounds and both are
+// framed from Model 1's size
+function frameScenes(sceneA, sceneB) {
+  [sceneA, sceneB].forEach(scene => {
+    const center = new THREE.Box3().setFromObject(scene).getCenter(new THREE.Vector3());
+    scene.position.set(-center.x, -center.y, -center.z);
+    scene.updateMatrixWorld(true);
+  });
+
+  const size = new THREE.Box3().setFromObject(sceneA).getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z) || 1;
+  const camera = new THREE.PerspectiveCamera(45, 1, maxDim / 100, maxDim * 100);
+  const cameraZ = Math.abs(maxDim / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) * 1.5;
+  camera.position.set(0, 0, cameraZ);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld();
+
+  return { camera, radius: cameraZ, offset: sceneA.position.clone() };
+}
+
+// Bookmarks and standard views take precedence over --turntable
+function createViews({ camera, radius, offset }, options) {
+  const target = new THREE.Vector3(0, 0, 0);
+  if (options.bookmarks || options.standardViews) {
+    const bookmarks = [...(options.standardViews ? CameraBookmarkService.presets : []), ...(options.bookmarks || [])];
+    return { mode: 'bookmarks', views: CameraBookmarkService.createViews(bookmarks, camera, { target, radius, offset }) };
+  }
+
+  const views = options.turntable
+    ? ComparisonService.generateTurntableViews()
+    : [{ id: 'front', label: 'Front', azimuth: 0, elevation: 0 }];
+  return {
+    mode: options.turntable ? 'turntable' : 'single',
+    views: views.map(view => ({ ...view, camera: ComparisonService.createOrbitCamera(camera, target, radius, view) }))
+  };
+}
+
+function renderComparison(sceneA, sceneB, options) {
+  const { mode, views } = createViews(frameScenes(sceneA, sceneB), options);
+
+  const results = views.map(({ camera: viewCamera, ...view }) => {
+    const pixelsA = SoftwareRenderer.render(sceneA, viewCamera, options.resolution);
+    const pixelsB = SoftwareRenderer.render(sceneB, viewCamera, options.resolution);
+    const diff = ComparisonService.compareImageData(pixelsA, pixelsB, options.metricOptions);
+
+    return {
+      ...view,
+      originalImage: toDataURL(pixelsA),
+      comparisonImage: toDataURL(pixelsB),
+      diffImage: toDataURL(diff.diffPixels),
+      metricMaps: ComparisonService.mapsToDataURLs(diff.metricMaps, toDataURL),
+      drivers: diff.drivers,
+      metrics: diff.metrics,
+      percentage: diff.percentage,
+      mismatchedPixels: diff.mismatchedPixels
+    };
+  });
+
+  results.sort((a, b) => b.percentage - a.percentage);
+  const aggregate = ComparisonService.aggregateViews(results);
+  const worst = results[0];
+
+  return {
+    mode,
+    renderer: 'software',
+    resolution: options.resolution,
+    ...(mode !== 'single' ? { views: results.map(({ metricMaps, ...view }) => view), aggregate } : {}),
+    originalImage: worst.originalImage,
+    comparisonImage: worst.comparisonImage,
+    diffImage: worst.diffImage,
+    metricMaps: worst.metricMaps,
+    drivers: worst.drivers,
+    metrics: aggregate.metrics,
+    percentage: aggregate.meanPercentage,
+    mismatchedPixels: aggregate.mismatchedPixels,
+    maxViewPercentage: aggregate.maxPercentage
+  };
+}
+
+async function comparePair(pair, options) {
+  const [modelA, modelB] = await Promise.all([loadGLB(pair.a), loadGLB(pair.b)]);
+
+  const originalStats = ThreeService.analyzeModel(modelA.scene, modelA.file);
+  const comparisonStats = ThreeService.analyzeModel(modelB.scene, modelB.file);
+  originalStats.meshQuality = MeshQualityService.analyzeScene(modelA.scene);
+  comparisonStats.meshQuality = MeshQualityService.analyzeScene(modelB.scene);
+  const structureDiff = await StructureDiffService.compareStructures(modelA.gltf, modelB.gltf);
+  const materialComparisons = MaterialService.compareMaterials(originalStats.materials, comparisonStats.materials, options.policy.materialTolerance);
+
+  const comparisonResults = options.render ? renderComparison(modelA.scene, modelB.scene, options) : {};
+  comparisonResults.structureDiff = structureDiff;
+  comparisonResults.validation = {
+    original: await ValidationService.validate(modelA.gltf),
+    comparison: await ValidationService.validate(modelB.gltf)
+  };
+  const animationsA = modelA.gltf.animations;
+  const animationsB = modelB.gltf.animations;
+  originalStats.animationCount = animationsA.length;
+  comparisonStats.animationCount = animationsB.length;
+  originalStats.compression = ThreeService.analyzeCompression(modelA.gltf, modelA.scene);
+  comparisonStats.compression = ThreeService.analyzeCompression(modelB.gltf, modelB.scene);
+  if (animationsA.length > 0 || animationsB.length > 0) {
+    comparisonResults.animationDiff = AnimationService.compareClips(animationsA, animationsB);
+  }
+  comparisonResults.meshQuality = MeshQualityService.compare(originalStats.meshQuality, comparisonStats.meshQuality);
+  const budget = options.budget || PerformanceService.defaultBudget;
+  comparisonResults.performance = {
+    budget,
+    original: PerformanceService.checkBudget(originalStats.performance, budget),
+    comparison: PerformanceService.checkBudget(comparisonStats.performance, budget)
+  };
+  if (options.deviation) {
+    comparisonResults.geometryDeviation = await GeometryDeviationService.compare(modelA.scene, modelB.scene, options.deviation);
+  }
+
+  const summary = {
+    name: pair.name,
+    model1: { path: pair.a, ...summarizeStats(originalStats) },
+    model2: { path: pair.b, ...summarizeStats(comparisonStats) },
+    pixel: options.render ? {
+      renderer: comparisonResults.renderer,
+      resolution: comparisonResults.resolution,
+      percentage: comparisonResults.percentage,
+      maxViewPercentage: comparisonResults.maxViewPercentage,
+      drivers: comparisonResults.drivers,
+      metrics: comparisonResults.metrics,
+      views: (comparisonResults.views || []).map(({ id, label, percentage, metrics }) => ({ id, label, percentage, metrics }))
+    } : null,
+    deviation: comparisonResults.geometryDeviation ? {
+      units: comparisonResults.geometryDeviation.units,
+      hausdorff: comparisonResults.geometryDeviation.hausdorff,
+      mean: comparisonResults.geometryDeviation.mean,
+      rms: comparisonResults.geometryDeviation.rms,
+      diagonal: comparisonResults.geometryDeviation.diagonal,
+      comparisonToOriginal: comparisonResults.geometryDeviation.comparisonToOriginal,
+      originalToComparison: comparisonResults.geometryDeviation.originalToComparison
+    } : null,
+    structure: {
+      ...structureDiff.summary,
+      changeCount: structureDiff.changes.length,
+      changes: structureDiff.changes.map(change => change.text)
+    },
+    validation: {
+      model1: summarizeValidation(comparisonResults.validation.original),
+      model2: summarizeValidation(comparisonResults.validation.comparison),
+      extensionsOnlyIn: ValidationService.compareExtensions(comparisonResults.validation.original, comparisonResults.validation.comparison)
+        .filter(extension => extension.onlyIn)
+        .map(extension => ({ name: extension.name, model: extension.onlyIn === 'original' ? 1 : 2 }))
+    },
+    animations: comparisonResults.animationDiff ? {
+      ...comparisonResults.animationDiff.summary,
+      clips: comparisonResults.animationDiff.clips.map(({ name, status, original, comparison, durationDelta, changedTrackCount }) => ({
+        name, status, original, comparison, durationDelta, changedTrackCount
+      }))
+    } : null,
+    meshQuality: {
+      changed: comparisonResults.meshQuality.rows.filter(row => row.changed).map(row => row.id)
+    },
+    materials: {
+      tolerance: options.policy.materialTolerance,
+      differenceCount: MaterialService.countDeltas(materialComparisons),
+      unmatched: materialComparisons.filter(comparison => comparison.onlyIn).map(comparison => comparison.name)
+    }
+  };
+
+  const evaluation = PolicyService.evaluate(options.policy, { results: comparisonResults, originalStats, comparisonStats });
+  summary.verdict = evaluation.verdict;
+  summary.reasons = evaluation.reasons;
+  summary.checks = evaluation.checks.map(({ metric, value, level, measured }) => ({ metric, value, level, measured }));
+
+  // Budgets gate Model 2 only; Model 1 is reported for reference
+  if (options.budget) {
+    const { original, comparison } = comparisonResults.performance;
+    summary.budget = { model1: original.exceeded, model2: comparison.exceeded };
+    if (!comparison.withinBudget) {
+      summary.verdict = VERDICTS.FAIL;
+      summary.reasons.push(...comparison.exceeded.map(reason => `${reason} (${budget.name} budget)`));
+    }
+  }
+  if (options.maxStructuralChanges !== undefined && summary.structure.changeCount > options.maxStructuralChanges) {
+    summary.verdict = VERDICTS.FAIL;
+    summary.reasons.push(`${summary.structure.changeCount} structural changes exceed ${options.maxStructuralChanges}`);
+  }
+  summary.passed = summary.verdict !== VERDICTS.FAIL;
+
+  const html = ReportService.createReportHTML(originalStats, comparisonStats, comparisonResults, options.policy);
+  return { summary, html };
+}
+
+function summarizeValidation(validation) {
+  return {
+    ...validation.counts,
+    errorMessages: validation.issues.filter(issue => issue.severity === 'error').map(issue => issue.message)
+  };
+}
+
+// Materials are summarized separately; mesh-quality locations only matter for highlighting
+function summarizeStats(stats) {
+  const { materials, meshQuality, ...rest } = stats;
+  return { ...rest, meshQuality: MeshQualityService.getTotals(meshQuality) };
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  if (options.help || options.inputs.length !== 2) {
+    console.log(USAGE);
+    return options.help ? EXIT_PASS : EXIT_ERROR;
+  }
+
+  options.policy = await resolvePolicy(options);
+  if (options.budget) {
+    options.budget = await resolveBudget(options.budget);
+  }
+  if (options.bookmarks) {
+    options.bookmarks = CameraBookmarkService.importBookmarks(await fs.readFile(options.bookmarks, 'utf8'));
+  }
+  const { pairs, unmatched } = await collectPairs(options.inputs[0], options.inputs[1]);
+  // A gate that compared nothing must not pass
+  if (pairs.length === 0) {
+    console.error(`No matching model pairs found in ${options.inputs[0]} and ${options.inputs[1]}`);
+    return EXIT_ERROR;
+  }
+  await fs.mkdir(options.outDir, { recursive: true });
+
+  const summaries = [];
+  let hadError = false;
+
+  for (const pair of pairs) {
+    try {
+      const { summary, html } = await comparePair(pair, options);
+      summary.report = path.join(options.outDir, `${pair.name}.html`);
+      await fs.writeFile(summary.report, html);
+      summaries.push(summary);
+
+      const pixelText = summary.pixel ? `pixel ${summary.pixel.percentage.toFixed(2)}%` : 'pixel skipped';
+      const deviationText = summary.deviation ? `  hausdorff ${summary.deviation.hausdorff.toPrecision(4)}` : '';
+      console.log(`${summary.verdict.padEnd(4)}  ${pair.name}  ${pixelText}${deviationText}  structural changes ${summary.structure.changeCount}  material deltas ${summary.materials.differenceCount}`);
+      summary.reasons.forEach(reason => console.log(`      - ${reason}`));
+    } catch (error) {
+      hadError = true;
+      summaries.push({ name: pair.name, model1: { path: pair.a }, model2: { path: pair.b }, error: error.message, verdict: VERDICTS.FAIL, passed: false });
+      console.error(`ERROR ${pair.name}: ${error.message}`);
+    }
+  }
+
+  unmatched.forEach(entry => {
+    const label = options.allowUnmatched ? 'SKIP' : VERDICTS.FAIL;
+    console.warn(`${label.padEnd(4)}  ${entry.name} (missing in ${entry.missingIn === 'model1' ? 'first' : 'second'} directory)`);
+  });
+
+  const passed = summaries.every(summary => summary.passed) && (options.allowUnmatched || unmatched.length === 0);
+  const result = {
+    generatedAt: new Date().toISOString(),
+    policy: JSON.parse(PolicyService.exportPolicy(options.policy)),
+    maxStructuralChanges: options.maxStructuralChanges,
+    budget: options.budget ? JSON.parse(PerformanceService.exportBudget(options.budget)) : null,
+    passed,
+    pairs: summaries,
+    unmatched
+  };
+  await fs.writeFile(path.join(options.outDir, 'summary.json'), JSON.stringify(result, null, 2));
+  console.log(`\n${summaries.length} pair(s) compared, report written to ${options.outDir}`);
+
+  if (hadError) return EXIT_ERROR;
+  return passed ? EXIT_PASS : EXIT_FAIL;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = EXIT_ERROR;
+  });
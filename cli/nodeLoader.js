@@ -0,0 +1,245 @@
+// nodeLoader.js - Loads GLB files with GLTFLoader outside the browser
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { resolveObjectURL } from 'node:buffer';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+const require = createRequire(import.meta.url);
+const dracoDir = path.join(path.dirname(fileURLToPath(import.meta.resolve('three'))), '../examples/jsm/libs/draco/gltf');
+
+// GLTFLoader reaches for `self.URL` when it decodes embedded images
+if (typeof globalThis.self === 'undefined') {
+  globalThis.self = globalThis;
+}
+
+// Node cannot decode images, so textures are created from their headers only:
+// name, mime type and dimensions survive, pixel data does not.
+class NodeTexturePlugin {
+  constructor(parser) {
+    this.name = 'NODE_texture_headers';
+    this.parser = parser;
+  }
+
+  async loadTexture(textureIndex) {
+    const parser = this.parser;
+    const json = parser.json;
+    const textureDef = json.textures[textureIndex];
+    const sourceIndex = textureDef.source
+      ?? textureDef.extensions?.KHR_texture_basisu?.source
+      ?? textureDef.extensions?.EXT_texture_webp?.source
+      ?? textureDef.extensions?.EXT_texture_avif?.source;
+    const sourceDef = json.images?.[sourceIndex];
+    if (!sourceDef) return null;
+
+    let bytes = null;
+    if (sourceDef.bufferView !== undefined) {
+      bytes = new Uint8Array(await parser.getDependency('bufferView', sourceDef.bufferView));
+    } else if (sourceDef.uri?.startsWith('data:')) {
+      bytes = new Uint8Array(Buffer.from(sourceDef.uri.split(',')[1], 'base64'));
+    }
+
+    const texture = createHeaderTexture(bytes, sourceDef.mimeType);
+    texture.name = textureDef.name || sourceDef.name || sourceDef.uri || '';
+    texture.flipY = false;
+    parser.associations.set(texture, { textures: textureIndex });
+    return texture;
+  }
+}
+
+function createHeaderTexture(bytes, mimeType = sniffMimeType(bytes)) {
+  const texture = new THREE.Texture();
+  texture.image = { ...readImageSize(bytes, mimeType), byteLength: bytes ? bytes.length : 0 };
+  texture.userData.mimeType = mimeType;
+  return texture;
+}
+
+// Stands in for KTX2Loader, which needs a renderer and a worker to transcode:
+// KTX2 textures keep their header and stored size, as other images do
+class NodeKTX2Loader {
+  load(url, onLoad, onProgress, onError) {
+    readResource(url)
+      .then(bytes => onLoad(createHeaderTexture(bytes, 'image/ktx2')))
+      .catch(onError);
+  }
+}
+
+async function readResource(url) {
+  if (url.startsWith('blob:')) {
+    return new Uint8Array(await resolveObjectURL(url).arrayBuffer());
+  }
+  if (url.startsWith('data:')) {
+    return new Uint8Array(Buffer.from(url.split(',')[1], 'base64'));
+  }
+  return new Uint8Array(await fs.readFile(decodeURI(url)));
+}
+
+// DRACOLoader decodes in web workers; this decodes in-process with the same
+// wasm decoder three ships, so compressed meshes load without a browser
+class NodeDRACOLoader extends DRACOLoader {
+  preload() {
+    return this;
+  }
+
+  async getDecoder() {
+    if (!this.decoderPending) {
+      this.decoderPending = (async () => {
+        const source = await fs.readFile(path.join(dracoDir, 'draco_wasm_wrapper.js'), 'utf8');
+        const module = { exports: {} };
+        new Function('module', 'exports', 'require', '__dirname', source)(module, module.exports, require, dracoDir);
+        const wasmBinary = await fs.readFile(path.join(dracoDir, 'draco_decoder.wasm'));
+        // The module is thenable; wrap it so awaiting it does not loop
+        return { draco: await module.exports({ wasmBinary }) };
+      })();
+    }
+    return (await this.decoderPending).draco;
+  }
+
+  async decodeGeometry(buffer, taskConfig) {
+    const draco = await this.getDecoder();
+    const decoder = new draco.Decoder();
+    const array = new Int8Array(buffer);
+    const isMesh = decoder.GetEncodedGeometryType(array) === draco.TRIANGULAR_MESH;
+    const dracoGeometry = isMesh ? new draco.Mesh() : new draco.PointCloud();
+
+    try {
+      const status = isMesh
+        ? decoder.DecodeArrayToMesh(array, array.byteLength, dracoGeometry)
+        : decoder.DecodeArrayToPointCloud(array, array.byteLength, dracoGeometry);
+      if (!status.ok() || dracoGeometry.ptr === 0) {
+        throw new Error(`Draco decoding failed: ${status.error_msg()}`);
+      }
+
+      const geometry = { index: null, attributes: [] };
+      Object.entries(taskConfig.attributeIDs).forEach(([name, id]) => {
+        const attribute = taskConfig.useUniqueIDs
+          ? decoder.GetAttributeByUniqueId(dracoGeometry, id)
+          : decoder.GetAttribute(dracoGeometry, decoder.GetAttributeId(dracoGeometry, draco[id]));
+        if (!attribute || attribute.ptr === 0) return;
+
+        const ArrayType = globalThis[taskConfig.attributeTypes[name]];
+        const itemSize = attribute.num_components();
+        const count = dracoGeometry.num_points() * itemSize;
+        const values = readDracoArray(draco, count, ArrayType, (byteLength, ptr) => decoder.GetAttributeDataArrayForAllPoints(
+          dracoGeometry, attribute, getDracoDataType(draco, ArrayType), byteLength, ptr
+        ));
+        geometry.attributes.push({ name, array: values, itemSize, vertexColorSpace: taskConfig.vertexColorSpace });
+      });
+
+      if (isMesh) {
+        const count = dracoGeometry.num_faces() * 3;
+        geometry.index = {
+          array: readDracoArray(draco, count, Uint32Array, (byteLength, ptr) => decoder.GetTrianglesUInt32Array(dracoGeometry, byteLength, ptr)),
+          itemSize: 1
+        };
+      }
+      return this._createGeometry(geometry);
+    } finally {
+      draco.destroy(dracoGeometry);
+      draco.destroy(decoder);
+    }
+  }
+}
+
+function readDracoArray(draco, count, ArrayType, fill) {
+  const byteLength = count * ArrayType.BYTES_PER_ELEMENT;
+  const ptr = draco._malloc(byteLength);
+  fill(byteLength, ptr);
+  const array = new ArrayType(draco.HEAPF32.buffer, ptr, count).slice();
+  draco._free(ptr);
+  return array;
+}
+
+function getDracoDataType(draco, ArrayType) {
+  return {
+    Float32Array: draco.DT_FLOAT32,
+    Int8Array: draco.DT_INT8,
+    Int16Array: draco.DT_INT16,
+    Int32Array: draco.DT_INT32,
+    Uint8Array: draco.DT_UINT8,
+    Uint16Array: draco.DT_UINT16,
+    Uint32Array: draco.DT_UINT32
+  }[ArrayType.name];
+}
+
+const dracoLoader = new NodeDRACOLoader();
+const ktx2Loader = new NodeKTX2Loader();
+
+function sniffMimeType(bytes) {
+  if (!bytes || bytes.length < 12) return null;
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) return 'image/png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+  if (bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'image/webp';
+  if (bytes[0] === 0xab && bytes[1] === 0x4b && bytes[2] === 0x54 && bytes[3] === 0x58) return 'image/ktx2';
+  return null;
+}
+
+function readImageSize(bytes, mimeType) {
+  if (!bytes) return { width: 0, height: 0 };
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  try {
+    if (mimeType === 'image/png') {
+      return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (mimeType === 'image/ktx2') {
+      return { width: view.getUint32(20, true), height: view.getUint32(24, true) };
+    }
+    if (mimeType === 'image/jpeg') {
+      // Walk the segments until a start-of-frame marker
+      let offset = 2;
+      while (offset < bytes.length) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        if (marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)) {
+          return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+        }
+        offset += 2 + length;
+      }
+    }
+    if (mimeType === 'image/webp') {
+      const format = String.fromCharCode(...bytes.subarray(12, 16));
+      if (format === 'VP8 ') {
+        return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+      }
+      if (format === 'VP8L') {
+        const bits = view.getUint32(21, true);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (format === 'VP8X') {
+        const width = 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16));
+        const height = 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16));
+        return { width, height };
+      }
+    }
+  } catch (error) {
+    // Truncated or unknown header; dimensions stay unknown
+  }
+
+  return { width: 0, height: 0 };
+}
+
+export async function loadGLB(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+  const loader = new GLTFLoader();
+  loader.register(parser => new NodeTexturePlugin(parser));
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  loader.setDRACOLoader(dracoLoader);
+  loader.setKTX2Loader(ktx2Loader);
+
+  const gltf = await new Promise((resolve, reject) => {
+    loader.parse(arrayBuffer, path.dirname(filePath) + path.sep, resolve, reject);
+  });
+
+  return {
+    gltf,
+    scene: gltf.scene,
+    file: { name: path.basename(filePath), size: buffer.byteLength }
+  };
+}
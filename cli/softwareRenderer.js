@@ -0,0 +1,166 @@
+// softwareRenderer.js - Z-buffered flat-shaded rasterizer for headless comparisons
+import * as THREE from 'three';
+
+// There is no WebGL2 context in Node, so the CLI renders base color and
+// emissive factors with a camera-aligned key light. Textures are not sampled.
+export class SoftwareRenderer {
+  static ambient = 0.3;
+  static background = [255, 255, 255];
+
+  static render(scene, camera, resolution = 512) {
+    const width = resolution;
+    const height = resolution;
+    const color = new Uint8ClampedArray(width * height * 4);
+    const depth = new Float32Array(width * height).fill(Infinity);
+
+    for (let i = 0; i < color.length; i += 4) {
+      color[i] = this.background[0];
+      color[i + 1] = this.background[1];
+      color[i + 2] = this.background[2];
+      color[i + 3] = 255;
+    }
+
+    const renderCamera = camera.clone();
+    if (renderCamera.isPerspectiveCamera) renderCamera.aspect = 1;
+    renderCamera.updateProjectionMatrix();
+    renderCamera.updateMatrixWorld();
+    scene.updateMatrixWorld(true);
+
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(
+      renderCamera.projectionMatrix,
+      renderCamera.matrixWorldInverse
+    );
+    const lightDirection = new THREE.Vector3(0.3, 0.5, 1).normalize()
+      .applyQuaternion(renderCamera.quaternion);
+
+    scene.traverseVisible((object) => {
+      if (!object.isMesh || !object.geometry?.attributes.position) return;
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      const groups = object.geometry.groups.length > 0
+        ? object.geometry.groups
+        : [{ start: 0, count: Infinity, materialIndex: 0 }];
+
+      groups.forEach(group => {
+        const material = materials[group.materialIndex] || materials[0];
+        if (!material || material.visible === false) return;
+        this.rasterizeMesh(object, group, material, viewProjection, lightDirection, renderCamera, { color, depth, width, height });
+      });
+    });
+
+    return { data: color, width, height };
+  }
+
+  static rasterizeMesh(mesh, group, material, viewProjection, lightDirection, camera, target) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const vertexCount = index ? index.count : position.count;
+    const start = group.start;
+    const end = Math.min(vertexCount, start + group.count);
+
+    // Transform every vertex once
+    const world = new Float32Array(position.count * 3);
+    const screen = new Float32Array(position.count * 3);
+    const vertex = new THREE.Vector3();
+    const clip = new THREE.Vector4();
+
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      world[i * 3] = vertex.x;
+      world[i * 3 + 1] = vertex.y;
+      world[i * 3 + 2] = vertex.z;
+
+      clip.set(vertex.x, vertex.y, vertex.z, 1).applyMatrix4(viewProjection);
+      if (clip.w <= 1e-6) {
+        screen[i * 3 + 2] = NaN;
+        continue;
+      }
+      screen[i * 3] = (clip.x / clip.w * 0.5 + 0.5) * target.width;
+      screen[i * 3 + 1] = (1 - (clip.y / clip.w * 0.5 + 0.5)) * target.height;
+      screen[i * 3 + 2] = clip.z / clip.w;
+    }
+
+    const baseColor = material.color ? material.color.clone() : new THREE.Color(1, 1, 1);
+    const emissive = material.emissive
+      ? material.emissive.clone().multiplyScalar(material.emissiveIntensity ?? 1)
+      : new THREE.Color(0, 0, 0);
+    const doubleSided = material.side === THREE.DoubleSide;
+    const backSide = material.side === THREE.BackSide;
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const toCamera = new THREE.Vector3();
+    const shaded = new THREE.Color();
+
+    for (let i = start; i + 2 < end; i += 3) {
+      const i0 = index ? index.getX(i) : i;
+      const i1 = index ? index.getX(i + 1) : i + 1;
+      const i2 = index ? index.getX(i + 2) : i + 2;
+
+      if (Number.isNaN(screen[i0 * 3 + 2]) || Number.isNaN(screen[i1 * 3 + 2]) || Number.isNaN(screen[i2 * 3 + 2])) {
+        continue;
+      }
+
+      a.fromArray(world, i0 * 3);
+      b.fromArray(world, i1 * 3);
+      c.fromArray(world, i2 * 3);
+      normal.subVectors(c, b).cross(a.clone().sub(b)).normalize();
+      toCamera.subVectors(camera.position, a);
+
+      let facing = normal.dot(toCamera) > 0;
+      if (backSide) facing = !facing;
+      if (!facing && !doubleSided) continue;
+      if (normal.dot(toCamera) < 0) normal.negate();
+
+      const diffuse = this.ambient + (1 - this.ambient) * Math.max(0, normal.dot(lightDirection));
+      shaded.copy(baseColor).multiplyScalar(diffuse).add(emissive);
+      shaded.convertLinearToSRGB();
+      const rgb = [
+        Math.min(255, Math.round(shaded.r * 255)),
+        Math.min(255, Math.round(shaded.g * 255)),
+        Math.min(255, Math.round(shaded.b * 255))
+      ];
+
+      this.fillTriangle(screen, i0, i1, i2, rgb, target);
+    }
+  }
+
+  static fillTriangle(screen, i0, i1, i2, rgb, { color, depth, width, height }) {
+    const x0 = screen[i0 * 3], y0 = screen[i0 * 3 + 1], z0 = screen[i0 * 3 + 2];
+    const x1 = screen[i1 * 3], y1 = screen[i1 * 3 + 1], z1 = screen[i1 * 3 + 2];
+    const x2 = screen[i2 * 3], y2 = screen[i2 * 3 + 1], z2 = screen[i2 * 3 + 2];
+
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (Math.abs(area) < 1e-12) return;
+
+    const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    const maxX = Math.min(width - 1, Math.ceil(Math.max(x0, x1, x2)));
+    const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    const maxY = Math.min(height - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    for (let y = minY; y <= maxY; y++) {
+      const py = y + 0.5;
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+        const w0 = ((x1 - px) * (y2 - py) - (x2 - px) * (y1 - py)) / area;
+        const w1 = ((x2 - px) * (y0 - py) - (x0 - px) * (y2 - py)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+        const z = w0 * z0 + w1 * z1 + w2 * z2;
+        if (z < -1 || z > 1) continue;
+
+        const pixel = y * width + x;
+        if (z >= depth[pixel]) continue;
+        depth[pixel] = z;
+
+        color[pixel * 4] = rgb[0];
+        color[pixel * 4 + 1] = rgb[1];
+        color[pixel * 4 + 2] = rgb[2];
+        color[pixel * 4 + 3] = 255;
+      }
+    }
+  }
+}
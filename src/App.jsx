@@ -1,4 +1,5 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import * as THREE from 'three';
 import './App.css';
 import Header from './components/Header';
 import ModelUploader from './components/ModelUploader';
@@ -7,10 +8,40 @@ import ModelStats from './components/ModelStats';
 import ComparisonResults from './components/ComparisonResults';
 import LoadingOverlay from './components/LoadingOverlay';
 import ActionButtons from './components/ActionButtons';
+import ComparisonSettings from './components/ComparisonSettings';
+import MaterialComparison from './components/MaterialComparison';
+import PolicyEditor from './components/PolicyEditor';
+import EnvironmentSettings from './components/EnvironmentSettings';
+import LodReport from './components/LodReport';
+import OverlayViewer from './components/OverlayViewer';
+import AlignmentPanel from './components/AlignmentPanel';
+import CameraBookmarks from './components/CameraBookmarks';
+import CameraPanel from './components/CameraPanel';
+import AnimationPanel from './components/AnimationPanel';
+import ValidationPanel from './components/ValidationPanel';
+import PerformancePanel from './components/PerformancePanel';
+import MeshQualityPanel from './components/MeshQualityPanel';
+import SceneTreePanel from './components/SceneTreePanel';
 import ErrorBoundary from './components/ErrorBoundary';
 import { ThreeService } from './services/ThreeService';
 import { ComparisonService } from './services/ComparisonService';
 import { ReportService } from './services/ReportService';
+import { ComparisonRenderer } from './services/ComparisonRenderer';
+import { StructureDiffService } from './services/StructureDiffService';
+import { TextureDiffService } from './services/TextureDiffService';
+import { PolicyService } from './services/PolicyService';
+import { PerformanceService } from './services/PerformanceService';
+import { MeshQualityService } from './services/MeshQualityService';
+import { SceneTreeService } from './services/SceneTreeService';
+import { MetricsService } from './services/MetricsService';
+import { EnvironmentService } from './services/EnvironmentService';
+import { ChannelService } from './services/ChannelService';
+import { GeometryDeviationService } from './services/GeometryDeviationService';
+import { LodReportService } from './services/LodReportService';
+import { AlignmentService } from './services/AlignmentService';
+import { CameraBookmarkService } from './services/CameraBookmarkService';
+import { CameraSync } from './services/CameraSync';
+import { AnimationService } from './services/AnimationService';
 
 function App() {
   const [originalFile, setOriginalFile] = useState(null);
@@ -22,6 +53,119 @@ function App() {
   const [comparisonResults, setComparisonResults] = useState(null);
   const [originalScene, setOriginalScene] = useState(null);
   const [comparisonScene, setComparisonScene] = useState(null);
+  const [originalGltf, setOriginalGltf] = useState(null);
+  const [comparisonGltf, setComparisonGltf] = useState(null);
+  const [originalAnimations, setOriginalAnimations] = useState([]);
+  const [comparisonAnimations, setComparisonAnimations] = useState([]);
+  const [originalValidation, setOriginalValidation] = useState(null);
+  const [comparisonValidation, setComparisonValidation] = useState(null);
+  const [policies, setPolicies] = useState(() => [
+    ...PolicyService.builtInPolicies,
+    ...PolicyService.loadCustomPolicies()
+  ]);
+  const [policy, setPolicy] = useState(PolicyService.defaultPolicy);
+  const [budgets, setBudgets] = useState(() => [
+    ...PerformanceService.builtInBudgets,
+    ...PerformanceService.loadCustomBudgets()
+  ]);
+  const [budget, setBudget] = useState(PerformanceService.defaultBudget);
+  const [comparisonSettings, setComparisonSettings] = useState({
+    mode: 'single',
+    resolution: ComparisonRenderer.defaultResolution,
+    turntable: { ...ComparisonService.defaultTurntableOptions },
+    lighting: { ...ComparisonService.defaultLightingOptions },
+    bookmarks: { includePresets: true },
+    animation: { timestamps: [0, 0.5, 1] },
+    channels: [],
+    deviation: { enabled: false, sampleCount: GeometryDeviationService.defaultOptions.sampleCount },
+    metrics: [...MetricsService.defaultMetrics],
+    drivers: [...MetricsService.defaultDrivers]
+  });
+
+  const [environments, setEnvironments] = useState(() => EnvironmentService.getEnvironments());
+  const [environmentSettings, setEnvironmentSettings] = useState({ ...EnvironmentService.defaultSettings });
+  const [renderChannel, setRenderChannel] = useState(ChannelService.defaultChannel);
+  const [showOverlay, setShowOverlay] = useState(false);
+  const [lodLevels, setLodLevels] = useState([]);
+  const [lodReport, setLodReport] = useState(null);
+  const [alignment, setAlignment] = useState(() => AlignmentService.createAlignment());
+  const [gizmo, setGizmo] = useState('none');
+  const [bookmarks, setBookmarks] = useState(() => CameraBookmarkService.loadBookmarks());
+  const [projection, setProjection] = useState('perspective');
+  const [qualityOpen, setQualityOpen] = useState(false);
+  const [qualitySelection, setQualitySelection] = useState(null);
+  const [treeSelection, setTreeSelection] = useState(null);
+  const [treeVisibility, setTreeVisibility] = useState({ hidden: [], isolated: null });
+  const pendingCameraRef = useRef(null);
+
+  const evaluation = useMemo(() => {
+    if (!originalStats || !comparisonStats) return null;
+    return PolicyService.evaluate(policy, { results: comparisonResults, originalStats, comparisonStats });
+  }, [policy, comparisonResults, originalStats, comparisonStats]);
+
+  useEffect(() => {
+    if (comparisonScene) AlignmentService.apply(comparisonScene, alignment);
+  }, [comparisonScene, alignment]);
+
+  const hasAnimations = originalAnimations.length > 0 || comparisonAnimations.length > 0;
+  const animationDiff = useMemo(() => (
+    originalScene && comparisonScene && hasAnimations
+      ? AnimationService.compareClips(originalAnimations, comparisonAnimations)
+      : null
+  ), [originalScene, comparisonScene, originalAnimations, comparisonAnimations]);
+
+  // Once Model 2 is aligned (or being moved by hand) it shares Model 1's
+  // placement instead of being centred on its own bounds
+  const isAligning = !AlignmentService.isIdentity(alignment) || gizmo !== 'none';
+  const alignedPlacement = useMemo(() => (
+    originalScene && isAligning ? AlignmentService.computePlacement(originalScene) : null
+  ), [originalScene, isAligning]);
+
+  const qualityHighlight = useMemo(() => {
+    if (!qualitySelection) return null;
+    const [scene, stats] = qualitySelection.model === 'original'
+      ? [originalScene, originalStats]
+      : [comparisonScene, comparisonStats];
+    const meshResult = stats?.meshQuality?.meshes.find(mesh => mesh.uuid === qualitySelection.meshUuid);
+    return scene && meshResult ? MeshQualityService.createHighlight(scene, meshResult, qualitySelection.issue) : null;
+  }, [qualitySelection, originalScene, comparisonScene, originalStats, comparisonStats]);
+
+  useEffect(() => () => MeshQualityService.disposeHighlight(qualityHighlight), [qualityHighlight]);
+
+  const sceneTree = useMemo(() => SceneTreeService.buildTree(originalScene, comparisonScene), [originalScene, comparisonScene]);
+
+  const treeHighlights = useMemo(() => ({
+    original: SceneTreeService.createHighlight(originalScene, treeSelection?.original),
+    comparison: SceneTreeService.createHighlight(comparisonScene, treeSelection?.comparison)
+  }), [treeSelection, originalScene, comparisonScene]);
+
+  useEffect(() => () => {
+    SceneTreeService.disposeHighlight(treeHighlights.original);
+    SceneTreeService.disposeHighlight(treeHighlights.comparison);
+  }, [treeHighlights]);
+
+  const originalHighlights = useMemo(() => [
+    treeHighlights.original,
+    qualitySelection?.model === 'original' ? qualityHighlight : null
+  ].filter(Boolean), [treeHighlights, qualitySelection, qualityHighlight]);
+
+  const comparisonHighlights = useMemo(() => [
+    treeHighlights.comparison,
+    qualitySelection?.model === 'comparison' ? qualityHighlight : null
+  ].filter(Boolean), [treeHighlights, qualitySelection, qualityHighlight]);
+
+  // An isolated node missing from one model hides that model entirely
+  useEffect(() => {
+    const { hidden, isolated } = treeVisibility;
+    SceneTreeService.applyVisibility(originalScene, {
+      hidden: hidden.map(pair => pair.original).filter(Boolean),
+      isolate: isolated ? [isolated.original].filter(Boolean) : null
+    });
+    SceneTreeService.applyVisibility(comparisonScene, {
+      hidden: hidden.map(pair => pair.comparison).filter(Boolean),
+      isolate: isolated ? [isolated.comparison].filter(Boolean) : null
+    });
+  }, [treeVisibility, originalScene, comparisonScene]);
 
   const originalCanvasRef = useRef();
   const comparisonCanvasRef = useRef();
@@ -36,26 +180,69 @@ function App() {
       } catch (error) {
         console.error('Error initializing app:', error);
       }
+
+      try {
+        await EnvironmentService.prepare(EnvironmentService.defaultSettings.environmentId);
+      } catch (error) {
+        console.error('Error loading default environment:', error);
+        alert(`Error loading the default environment: ${error.message}`);
+      }
     };
 
     initializeApp();
   }, []);
 
-  const handleFileUpload = async (file, type) => {
+  // Mesh-quality checks are slow on dense meshes, so they run once the panel
+  // is opened or a comparison needs them rather than on every load
+  const withMeshQuality = (stats, scene) => (
+    stats && scene && !stats.meshQuality ? { ...stats, meshQuality: MeshQualityService.analyzeScene(scene) } : stats
+  );
+
+  const handleQualityToggle = async () => {
+    setQualitySelection(null);
+    setQualityOpen(!qualityOpen);
+    if (qualityOpen) return;
+
+    setIsLoading(true);
+    setLoadingMessage('Checking mesh quality...');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    try {
+      setOriginalStats(withMeshQuality(originalStats, originalScene));
+      setComparisonStats(withMeshQuality(comparisonStats, comparisonScene));
+    } finally {
+      setIsLoading(false);
+      setLoadingMessage('');
+    }
+  };
+
+  const handleFileUpload = async (entries, type) => {
     setIsLoading(true);
     setLoadingMessage(`Loading ${type} model...`);
 
     try {
-      const { scene, stats } = await ThreeService.loadModel(file);
+      const { scene, stats: loadedStats, gltf, animations, validation, file } = await ThreeService.loadModel(entries);
+      const stats = qualityOpen ? withMeshQuality(loadedStats, scene) : loadedStats;
+      // The optimization report and alignment were measured against the previous model
+      setLodReport(null);
+      setAlignment(AlignmentService.createAlignment());
+      setQualitySelection(null);
+      setTreeSelection(null);
+      setTreeVisibility({ hidden: [], isolated: null });
 
       if (type === 'original') {
         setOriginalFile(file);
         setOriginalStats(stats);
         setOriginalScene(scene);
+        setOriginalGltf(gltf);
+        setOriginalAnimations(animations);
+        setOriginalValidation(validation);
       } else {
         setComparisonFile(file);
         setComparisonStats(stats);
         setComparisonScene(scene);
+        setComparisonGltf(gltf);
+        setComparisonAnimations(animations);
+        setComparisonValidation(validation);
       }
     } catch (error) {
       console.error(`Error loading ${type} model:`, error);
@@ -75,16 +262,137 @@ function App() {
     setIsLoading(true);
     setLoadingMessage('Comparing models...');
 
+    const viewers = [originalViewerRef.current, comparisonViewerRef.current];
     try {
-      const results = await ComparisonService.compareModels(
-        originalViewerRef.current,
-        comparisonViewerRef.current
-      );
+      // Both viewers must have finished switching environment before rendering
+      await Promise.all(viewers.map(viewer =>
+        EnvironmentService.apply(viewer.getRenderer(), viewer.getScene(), environmentSettings)
+      ));
+      // Snapshots and texture analysis need the models' own materials,
+      // whatever debug channel the viewers are showing
+      viewers.forEach(viewer => ChannelService.apply(viewer.getScene(), ChannelService.defaultChannel));
+
+      let results;
+      const metricOptions = { metrics: comparisonSettings.metrics, drivers: comparisonSettings.drivers };
+      if (comparisonSettings.mode === 'turntable') {
+        results = await ComparisonService.compareTurntable(
+          originalViewerRef.current,
+          comparisonViewerRef.current,
+          { ...comparisonSettings.turntable, ...metricOptions, resolution: comparisonSettings.resolution },
+          (index, total, view) => setLoadingMessage(`Comparing view ${index} of ${total} (${view.label})...`)
+        );
+      } else if (comparisonSettings.mode === 'bookmarks') {
+        const camera = originalViewerRef.current.getCamera();
+        const views = CameraBookmarkService.createViews(
+          [...(comparisonSettings.bookmarks.includePresets ? CameraBookmarkService.presets : []), ...bookmarks],
+          camera,
+          CameraBookmarkService.getFraming(originalScene, camera)
+        );
+        results = await ComparisonService.compareViews(
+          originalViewerRef.current,
+          comparisonViewerRef.current,
+          views,
+          'bookmarks',
+          { ...metricOptions, resolution: comparisonSettings.resolution },
+          (index, total, view) => setLoadingMessage(`Comparing view ${index} of ${total} (${view.label})...`)
+        );
+      } else if (comparisonSettings.mode === 'animation') {
+        if (!AnimationService.clipKey) {
+          throw new Error('Neither model has an animation clip to compare');
+        }
+        // Each view poses both models at its timestamp; the timeline is restored afterwards
+        const previousTime = AnimationService.time;
+        try {
+          results = await ComparisonService.compareViews(
+            originalViewerRef.current,
+            comparisonViewerRef.current,
+            AnimationService.createTimestampViews(comparisonSettings.animation.timestamps, originalViewerRef.current.getCamera()),
+            'animation',
+            { ...metricOptions, resolution: comparisonSettings.resolution },
+            (index, total, view) => setLoadingMessage(`Comparing frame ${index} of ${total} (${view.label})...`)
+          );
+        } finally {
+          AnimationService.setTime(previousTime);
+        }
+      } else if (comparisonSettings.mode === 'lighting') {
+        results = await ComparisonService.compareLightingSweep(
+          originalViewerRef.current,
+          comparisonViewerRef.current,
+          {
+            ...comparisonSettings.lighting,
+            ...metricOptions,
+            resolution: comparisonSettings.resolution,
+            baseSettings: environmentSettings
+          },
+          (index, total, setup) => setLoadingMessage(`Comparing lighting ${index} of ${total} (${setup.label})...`)
+        );
+      } else {
+        results = await ComparisonService.compareModels(
+          originalViewerRef.current,
+          comparisonViewerRef.current,
+          { ...metricOptions, resolution: comparisonSettings.resolution }
+        );
+      }
+
+      results.environment = EnvironmentService.describe(environmentSettings);
+      results.alignment = AlignmentService.describe(alignment);
+      results.animationDiff = animationDiff;
+      results.validation = { original: originalValidation, comparison: comparisonValidation };
+      const originalChecked = withMeshQuality(originalStats, originalScene);
+      const comparisonChecked = withMeshQuality(comparisonStats, comparisonScene);
+      setOriginalStats(originalChecked);
+      setComparisonStats(comparisonChecked);
+      results.meshQuality = MeshQualityService.compare(originalChecked.meshQuality, comparisonChecked.meshQuality);
+      results.performance = {
+        budget,
+        original: PerformanceService.checkBudget(originalStats.performance, budget),
+        comparison: PerformanceService.checkBudget(comparisonStats.performance, budget)
+      };
+
+      if (comparisonSettings.channels.length > 0) {
+        results.channelDiff = await ComparisonService.compareChannels(
+          originalViewerRef.current,
+          comparisonViewerRef.current,
+          {
+            ...metricOptions,
+            resolution: comparisonSettings.resolution,
+            channels: comparisonSettings.channels
+          },
+          (index, total, channel) => setLoadingMessage(`Comparing channel ${index} of ${total} (${channel.label})...`)
+        );
+      }
+
+      if (comparisonSettings.deviation.enabled) {
+        setLoadingMessage('Measuring surface deviation...');
+        results.geometryDeviation = await GeometryDeviationService.compare(
+          originalScene,
+          comparisonScene,
+          { sampleCount: comparisonSettings.deviation.sampleCount },
+          (direction, done, total) => setLoadingMessage(`Measuring surface deviation ${direction} (${done} of ${total} samples)...`)
+        );
+        ChannelService.setDeviationScale(results.geometryDeviation.hausdorff);
+      }
+
+      setLoadingMessage('Comparing model structure...');
+      // The structural diff reads the glTF JSON, so it is skipped for other formats
+      results.structureDiff = originalGltf && comparisonGltf
+        ? await StructureDiffService.compareStructures(originalGltf, comparisonGltf)
+        : null;
+
+      setLoadingMessage('Comparing textures...');
+      results.textureDiff = await TextureDiffService.compareTextures(originalScene, comparisonScene);
+
       setComparisonResults(results);
+      if (!results.geometryDeviation && renderChannel === 'deviation') {
+        setRenderChannel(ChannelService.defaultChannel);
+      }
     } catch (error) {
       console.error('Error comparing models:', error);
       alert('Error comparing models: ' + error.message);
     } finally {
+      viewers.forEach(viewer => {
+        if (viewer?.getScene()) ChannelService.apply(viewer.getScene(), renderChannel);
+      });
       setIsLoading(false);
       setLoadingMessage('');
     }
@@ -99,10 +407,228 @@ function App() {
     ReportService.generateReport({
       originalStats,
       comparisonStats,
-      comparisonResults
+      comparisonResults: { ...comparisonResults, lodReport },
+      policy
     });
   };
 
+  const handlePolicySelect = (id) => {
+    const selected = policies.find(option => option.id === id);
+    if (selected) setPolicy(selected);
+  };
+
+  const handlePolicySave = () => {
+    const saved = policy.custom ? policy : { ...policy, id: `custom-${Date.now()}`, custom: true };
+    const updated = [...policies.filter(option => option.id !== saved.id), saved];
+    setPolicies(updated);
+    setPolicy(saved);
+    PolicyService.saveCustomPolicies(updated);
+  };
+
+  const handlePolicyImport = (imported) => {
+    const updated = [...policies.filter(option => option.id !== imported.id), imported];
+    setPolicies(updated);
+    setPolicy(imported);
+    PolicyService.saveCustomPolicies(updated);
+  };
+
+  const handleBudgetSelect = (id) => {
+    const selected = budgets.find(option => option.id === id);
+    if (selected) setBudget(selected);
+  };
+
+  const handleBudgetSave = () => {
+    const saved = budget.custom ? budget : { ...budget, id: `custom-${Date.now()}`, custom: true };
+    const updated = [...budgets.filter(option => option.id !== saved.id), saved];
+    setBudgets(updated);
+    setBudget(saved);
+    PerformanceService.saveCustomBudgets(updated);
+  };
+
+  // The environment is only switched once its source has loaded, so both
+  // viewers never end up lit differently
+  const handleEnvironmentChange = async (settings) => {
+    if (settings.environmentId !== environmentSettings.environmentId) {
+      setIsLoading(true);
+      setLoadingMessage('Loading environment...');
+      try {
+        await EnvironmentService.prepare(settings.environmentId);
+      } catch (error) {
+        console.error('Error loading environment:', error);
+        alert(`Error loading environment: ${error.message}`);
+        return;
+      } finally {
+        setIsLoading(false);
+        setLoadingMessage('');
+      }
+    }
+    setEnvironmentSettings(settings);
+  };
+
+  const handleEnvironmentUpload = async (file) => {
+    const environment = await EnvironmentService.addUpload(file);
+    setEnvironments(EnvironmentService.getEnvironments());
+    setEnvironmentSettings({ ...environmentSettings, environmentId: environment.id });
+  };
+
+  const addAlignmentStep = (createStep) => {
+    try {
+      setAlignment(AlignmentService.addStep(alignment, createStep()));
+    } catch (error) {
+      console.error('Error aligning models:', error);
+      alert('Error aligning models: ' + error.message);
+    }
+  };
+
+  const handleRegister = async () => {
+    setIsLoading(true);
+    setLoadingMessage('Registering models...');
+    try {
+      const step = await AlignmentService.icpStep(
+        originalScene,
+        comparisonScene,
+        {},
+        (iteration, total, rms) => setLoadingMessage(`Registering models (iteration ${iteration} of ${total}, RMS ${rms.toPrecision(3)})...`)
+      );
+      setAlignment(AlignmentService.addStep(alignment, step));
+    } catch (error) {
+      console.error('Error registering models:', error);
+      alert('Error registering models: ' + error.message);
+    } finally {
+      setIsLoading(false);
+      setLoadingMessage('');
+    }
+  };
+
+  // Model 2 is always LOD1; extra levels follow in the order they were added
+  const lodCandidates = [
+    ...(comparisonScene ? [{ id: 'comparison', name: comparisonFile.name, scene: comparisonScene, stats: comparisonStats }] : []),
+    ...lodLevels
+  ].map((level, index) => ({ ...level, label: `LOD${index + 1} · ${level.name}` }));
+
+  // Each level is a list of entries: the model file and its sidecar files
+  const handleAddLodLevels = async (levels) => {
+    setIsLoading(true);
+    const added = [];
+    try {
+      for (const entries of levels) {
+        setLoadingMessage(`Loading LOD level ${entries[0].file.name}...`);
+        const { scene, stats, file: summary } = await ThreeService.loadModel(entries);
+        added.push({ id: `lod-${Date.now()}-${added.length}`, name: summary.name, scene, stats, removable: true });
+      }
+      setLodLevels([...lodLevels, ...added]);
+    } catch (error) {
+      added.forEach(level => ThreeService.disposeModel(level.scene));
+      console.error('Error loading LOD level:', error);
+      alert(`Error loading LOD level: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+      setLoadingMessage('');
+    }
+  };
+
+  const handleRemoveLodLevel = (id) => {
+    lodLevels.filter(level => level.id === id).forEach(level => ThreeService.disposeModel(level.scene));
+    setLodLevels(lodLevels.filter(level => level.id !== id));
+  };
+
+  const handleGenerateLodReport = async () => {
+    if (!originalScene || !originalViewerRef.current) {
+      alert('Please load Model 1 as the reference first');
+      return;
+    }
+
+    setIsLoading(true);
+    setLoadingMessage('Building optimization report...');
+    try {
+      const report = await LodReportService.createReport(
+        originalViewerRef.current,
+        { label: `LOD0 · ${originalFile.name}`, scene: originalScene, stats: originalStats },
+        lodCandidates,
+        {},
+        (index, total, level) => setLoadingMessage(`Analyzing ${level.label} (${index} of ${total})...`)
+      );
+      setLodReport(report);
+    } catch (error) {
+      console.error('Error building optimization report:', error);
+      alert('Error building optimization report: ' + error.message);
+    } finally {
+      setIsLoading(false);
+      setLoadingMessage('');
+    }
+  };
+
+  const updateBookmarks = (updated) => {
+    setBookmarks(updated);
+    CameraBookmarkService.saveBookmarks(updated);
+  };
+
+  // Bookmarks are taken from and applied to Model 1's camera; the others follow
+  const handleGoToBookmark = (bookmark) => {
+    const viewer = originalViewerRef.current;
+    if (!viewer?.getCamera()) return;
+    CameraBookmarkService.apply(viewer, bookmark, CameraBookmarkService.getFraming(originalScene, viewer.getCamera()));
+    CameraSync.syncFromSource('original');
+  };
+
+  const handleSaveBookmark = (name) => {
+    const viewer = originalViewerRef.current;
+    if (!viewer?.getCamera()) return;
+    updateBookmarks([...bookmarks, CameraBookmarkService.capture(viewer.getCamera(), viewer.getControls().target, name, originalScene?.position)]);
+  };
+
+  const handleImportBookmarks = (imported) => {
+    const ids = new Set(imported.map(bookmark => bookmark.id));
+    updateBookmarks([...bookmarks.filter(bookmark => !ids.has(bookmark.id)), ...imported]);
+  };
+
+  const readCamera = () => {
+    const viewer = originalViewerRef.current;
+    if (!viewer?.getCamera()) return null;
+    return CameraBookmarkService.captureCamera(viewer.getCamera(), viewer.getControls().target, originalScene?.position);
+  };
+
+  const applyCamera = (camera) => {
+    const viewer = originalViewerRef.current;
+    if (!viewer?.getCamera()) return;
+    CameraBookmarkService.apply(viewer, camera, originalScene ? CameraBookmarkService.getFraming(originalScene, viewer.getCamera()) : null);
+    CameraSync.syncFromSource('original');
+  };
+
+  // Each model is centred on its own bounds, so a matched node is framed in
+  // each viewer separately; the overlay follows the first viewer framed
+  const handleTreeSelect = (node) => {
+    const pair = node ? SceneTreeService.getPair(node) : null;
+    setTreeSelection(pair);
+    if (!pair) return;
+
+    const [source, viewer, scene, uuid] = pair.original
+      ? ['original', originalViewerRef.current, originalScene, pair.original]
+      : ['comparison', comparisonViewerRef.current, comparisonScene, pair.comparison];
+    if (SceneTreeService.frame(viewer, scene, uuid)) CameraSync.syncFromSource(source);
+
+    if (pair.original && pair.comparison) {
+      CameraSync.runUnsynced(() => SceneTreeService.frame(comparisonViewerRef.current, comparisonScene, pair.comparison));
+    }
+  };
+
+  // A camera for the other projection is applied once the viewers have switched
+  const handleApplyCamera = (camera, cameraProjection) => {
+    if (cameraProjection === projection) {
+      applyCamera(camera);
+      return;
+    }
+    pendingCameraRef.current = camera;
+    setProjection(cameraProjection);
+  };
+
+  useEffect(() => {
+    if (pendingCameraRef.current) {
+      applyCamera(pendingCameraRef.current);
+      pendingCameraRef.current = null;
+    }
+  }, [projection]);
+
   const handleResetCamera = () => {
     if (!originalScene || !comparisonScene) {
       alert('Please load both models first');
@@ -119,13 +645,18 @@ function App() {
       const box = new THREE.Box3().setFromObject(originalScene);
       const size = box.getSize(new THREE.Vector3());
       const maxDim = Math.max(size.x, size.y, size.z);
-      const fov = originalCamera.fov * (Math.PI / 180);
+      const fov = (originalCamera.fov ?? 45) * (Math.PI / 180);
       let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 1.5;
 
       originalCamera.position.set(0, 0, cameraZ);
       comparisonCamera.position.set(0, 0, cameraZ);
       originalCamera.lookAt(0, 0, 0);
       comparisonCamera.lookAt(0, 0, 0);
+      // Orthographic cameras zoom instead of dollying
+      [originalCamera, comparisonCamera].forEach(camera => {
+        camera.zoom = 1;
+        camera.updateProjectionMatrix();
+      });
 
       originalControls.target.set(0, 0, 0);
       comparisonControls.target.set(0, 0, 0);
@@ -134,6 +665,9 @@ function App() {
     }
   };
 
+  // Overlay channels only make sense once their analysis has run
+  const overlays = comparisonResults?.geometryDeviation ? ['deviation'] : [];
+
   const canCompare = originalFile && comparisonFile && originalScene && comparisonScene;
 
   return (
@@ -146,7 +680,7 @@ function App() {
             <div className="model-card">
               <ModelUploader
                 label=""
-                onFileSelect={(file) => handleFileUpload(file, 'original')}
+                onFileSelect={(entries) => handleFileUpload(entries, 'original')}
                 file={originalFile}
               />
               {originalFile && (
@@ -155,6 +689,13 @@ function App() {
                   canvasRef={originalCanvasRef}
                   scene={originalScene}
                   type="original"
+                  environment={environmentSettings}
+                  channel={renderChannel}
+                  onChannelChange={setRenderChannel}
+                  overlays={overlays}
+                  projection={projection}
+                  animations={originalAnimations}
+                  highlights={originalHighlights}
                 />
               )}
               {originalStats && <ModelStats stats={originalStats} />}
@@ -163,7 +704,7 @@ function App() {
             <div className="model-card">
               <ModelUploader
                 label=""
-                onFileSelect={(file) => handleFileUpload(file, 'comparison')}
+                onFileSelect={(entries) => handleFileUpload(entries, 'comparison')}
                 file={comparisonFile}
               />
               {comparisonFile && (
@@ -172,22 +713,191 @@ function App() {
                   canvasRef={comparisonCanvasRef}
                   scene={comparisonScene}
                   type="comparison"
+                  environment={environmentSettings}
+                  channel={renderChannel}
+                  onChannelChange={setRenderChannel}
+                  overlays={overlays}
+                  placement={alignedPlacement}
+                  gizmo={gizmo}
+                  onGizmoChange={(matrix, mode) => addAlignmentStep(() => AlignmentService.manualStep(alignment, matrix, mode))}
+                  projection={projection}
+                  animations={comparisonAnimations}
+                  highlights={comparisonHighlights}
                 />
               )}
               {comparisonStats && <ModelStats stats={comparisonStats} />}
             </div>
           </div>
 
+          {canCompare && (
+            <AlignmentPanel
+              alignment={alignment}
+              gizmo={gizmo}
+              onGizmoChange={setGizmo}
+              onAddUnits={(from, to) => addAlignmentStep(() => AlignmentService.unitStep(from, to))}
+              onAddAxis={(from, to) => addAlignmentStep(() => AlignmentService.axisStep(from, to))}
+              onMatchBoundingBox={() => addAlignmentStep(() => AlignmentService.boundingBoxStep(originalScene, comparisonScene))}
+              onRegister={handleRegister}
+              onUndo={() => setAlignment(AlignmentService.removeLastStep(alignment))}
+              onReset={() => setAlignment(AlignmentService.createAlignment())}
+              disabled={isLoading}
+            />
+          )}
+
+          {showOverlay && canCompare && (
+            <div className="overlay-section">
+              <h3 className="section-subtitle">Overlay</h3>
+              <OverlayViewer
+                originalScene={originalScene}
+                comparisonScene={comparisonScene}
+                originalAnimations={originalAnimations}
+                comparisonAnimations={comparisonAnimations}
+                environment={environmentSettings}
+                alignment={alignment}
+                projection={projection}
+              />
+            </div>
+          )}
+
+          {hasAnimations && (
+            <AnimationPanel
+              originalClips={originalAnimations}
+              comparisonClips={comparisonAnimations}
+              diff={animationDiff}
+              disabled={isLoading}
+            />
+          )}
+
+          <EnvironmentSettings
+            settings={environmentSettings}
+            environments={environments}
+            onChange={handleEnvironmentChange}
+            onUpload={handleEnvironmentUpload}
+            disabled={isLoading}
+          />
+
+          {sceneTree && (
+            <SceneTreePanel
+              tree={sceneTree}
+              selection={treeSelection}
+              visibility={treeVisibility}
+              onSelect={handleTreeSelect}
+              onVisibilityChange={setTreeVisibility}
+            />
+          )}
+
+          {(originalStats || comparisonStats) && (
+            <ValidationPanel
+              original={originalStats ? { validation: originalValidation } : null}
+              comparison={comparisonStats ? { validation: comparisonValidation } : null}
+            />
+          )}
+
+          {(originalStats || comparisonStats) && (
+            <MeshQualityPanel
+              original={originalStats?.meshQuality}
+              comparison={comparisonStats?.meshQuality}
+              open={qualityOpen}
+              onToggle={handleQualityToggle}
+              selection={qualitySelection}
+              onSelect={setQualitySelection}
+              disabled={isLoading}
+            />
+          )}
+
+          {(originalStats || comparisonStats) && (
+            <PerformancePanel
+              originalStats={originalStats}
+              comparisonStats={comparisonStats}
+              budgets={budgets}
+              budget={budget}
+              onSelect={handleBudgetSelect}
+              onChange={setBudget}
+              onSave={handleBudgetSave}
+              disabled={isLoading}
+            />
+          )}
+
+          {originalStats && comparisonStats && (
+            <MaterialComparison
+              originalMaterials={originalStats.materials}
+              comparisonMaterials={comparisonStats.materials}
+              tolerance={policy.materialTolerance}
+              onToleranceChange={(materialTolerance) => setPolicy({ ...policy, materialTolerance })}
+            />
+          )}
+
+          <PolicyEditor
+            policies={policies}
+            policy={policy}
+            onSelect={handlePolicySelect}
+            onChange={setPolicy}
+            onSave={handlePolicySave}
+            onImport={handlePolicyImport}
+            evaluation={evaluation}
+            disabled={isLoading}
+          />
+
+          <ComparisonSettings
+            settings={comparisonSettings}
+            environments={environments}
+            bookmarkCount={bookmarks.length}
+            hasAnimations={hasAnimations}
+            onChange={setComparisonSettings}
+            disabled={isLoading}
+          />
+
           <ActionButtons
             canCompare={canCompare}
             onCompare={handleCompare}
             canDownload={!!comparisonResults}
             onDownload={handleDownloadReport}
             onResetCamera={handleResetCamera}
+            overlayActive={showOverlay}
+            onToggleOverlay={() => setShowOverlay(!showOverlay)}
           />
 
+          {originalScene && (
+            <CameraPanel
+              projection={projection}
+              onProjectionChange={setProjection}
+              readCamera={readCamera}
+              onApply={handleApplyCamera}
+              disabled={isLoading}
+            />
+          )}
+
+          {originalScene && (
+            <CameraBookmarks
+              bookmarks={bookmarks}
+              onGoTo={handleGoToBookmark}
+              onSave={handleSaveBookmark}
+              onRemove={(id) => updateBookmarks(bookmarks.filter(bookmark => bookmark.id !== id))}
+              onImport={handleImportBookmarks}
+              disabled={isLoading}
+            />
+          )}
+
           {comparisonResults && (
-            <ComparisonResults results={comparisonResults} />
+            <ComparisonResults
+              results={comparisonResults}
+              evaluation={evaluation}
+              policy={policy}
+              renderChannel={renderChannel}
+              onRenderChannelChange={setRenderChannel}
+            />
+          )}
+
+          {originalFile && (
+            <LodReport
+              referenceName={originalFile.name}
+              levels={lodCandidates}
+              onAddLevels={handleAddLodLevels}
+              onRemoveLevel={handleRemoveLodLevel}
+              onGenerate={handleGenerateLodReport}
+              report={lodReport}
+              disabled={isLoading}
+            />
           )}
         </div>
 
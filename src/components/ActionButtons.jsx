@@ -5,7 +5,9 @@ const ActionButtons = ({
   onCompare, 
   canDownload, 
   onDownload, 
-  onResetCamera
+  onResetCamera,
+  overlayActive,
+  onToggleOverlay
 }) => {
   return (
     <div className="action-buttons">
@@ -17,6 +19,15 @@ const ActionButtons = ({
         <span>🔄</span>
         Reset Cameras
       </button>
+
+      <button
+        className="btn btn-secondary"
+        onClick={onToggleOverlay}
+        disabled={!canCompare}
+      >
+        <span>🔀</span>
+        {overlayActive ? 'Hide Overlay' : 'Overlay View'}
+      </button>
       
       <button 
         className="btn btn-primary" 
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { AlignmentService, UNITS, UP_AXES } from '../services/AlignmentService';
+
+const GIZMO_MODES = [
+  { id: 'none', label: 'Off' },
+  { id: 'translate', label: 'Move' },
+  { id: 'rotate', label: 'Rotate' },
+  { id: 'scale', label: 'Scale' }
+];
+
+const formatVector = (vector, digits) => [vector.x, vector.y, vector.z].map(value => value.toFixed(digits)).join(', ');
+
+const AlignmentPanel = ({
+  alignment,
+  gizmo,
+  onGizmoChange,
+  onAddUnits,
+  onAddAxis,
+  onMatchBoundingBox,
+  onRegister,
+  onUndo,
+  onReset,
+  disabled
+}) => {
+  const [units, setUnits] = useState({ original: 'm', comparison: 'm' });
+  const [axes, setAxes] = useState({ original: '+Y', comparison: '+Y' });
+
+  const { translation, rotation, scale } = AlignmentService.decompose(alignment.matrix);
+  const hasSteps = alignment.steps.length > 0;
+
+  return (
+    <div className="alignment-panel">
+      <h3 className="section-subtitle">Alignment</h3>
+      <p className="settings-hint">
+        Model 2 is moved onto Model 1 before comparing. Steps apply in order; run unit and axis normalization
+        before bounding-box matching or ICP, which refine the current alignment.
+      </p>
+
+      <div className="settings-row">
+        <label className="settings-field">
+          <span className="settings-label">Model 1 units</span>
+          <select value={units.original} onChange={(e) => setUnits({ ...units, original: e.target.value })} disabled={disabled}>
+            {Object.entries(UNITS).map(([id, unit]) => <option key={id} value={id}>{unit.label}</option>)}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span className="settings-label">Model 2 units</span>
+          <select value={units.comparison} onChange={(e) => setUnits({ ...units, comparison: e.target.value })} disabled={disabled}>
+            {Object.entries(UNITS).map(([id, unit]) => <option key={id} value={id}>{unit.label}</option>)}
+          </select>
+        </label>
+        <button
+          className="btn btn-secondary"
+          onClick={() => onAddUnits(units.comparison, units.original)}
+          disabled={disabled || units.original === units.comparison}
+        >
+          Convert units
+        </button>
+      </div>
+
+      <div className="settings-row">
+        <label className="settings-field">
+          <span className="settings-label">Model 1 up axis</span>
+          <select value={axes.original} onChange={(e) => setAxes({ ...axes, original: e.target.value })} disabled={disabled}>
+            {Object.keys(UP_AXES).map(axis => <option key={axis} value={axis}>{axis}</option>)}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span className="settings-label">Model 2 up axis</span>
+          <select value={axes.comparison} onChange={(e) => setAxes({ ...axes, comparison: e.target.value })} disabled={disabled}>
+            {Object.keys(UP_AXES).map(axis => <option key={axis} value={axis}>{axis}</option>)}
+          </select>
+        </label>
+        <button
+          className="btn btn-secondary"
+          onClick={() => onAddAxis(axes.comparison, axes.original)}
+          disabled={disabled || axes.original === axes.comparison}
+        >
+          Convert up axis
+        </button>
+      </div>
+
+      <div className="settings-row">
+        <button className="btn btn-secondary" onClick={onMatchBoundingBox} disabled={disabled}>
+          Match bounding box
+        </button>
+        <button className="btn btn-secondary" onClick={onRegister} disabled={disabled}>
+          ICP registration
+        </button>
+        <label className="settings-field">
+          <span className="settings-label">Gizmo on Model 2</span>
+          <select value={gizmo} onChange={(e) => onGizmoChange(e.target.value)} disabled={disabled}>
+            {GIZMO_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {hasSteps && (
+        <>
+          <ol className="alignment-steps">
+            {alignment.steps.map((step, index) => (
+              <li key={index}>
+                <strong>{step.label}</strong> <small>{step.detail}</small>
+              </li>
+            ))}
+          </ol>
+          <div className="alignment-transform">
+            <span>Translation ({formatVector(translation, 4)})</span>
+            <span>Rotation ({formatVector(rotation, 2)})°</span>
+            <span>Scale ({formatVector(scale, 4)})</span>
+          </div>
+          <div className="settings-row">
+            <button className="btn btn-secondary" onClick={onUndo} disabled={disabled}>Undo last step</button>
+            <button className="btn btn-secondary" onClick={onReset} disabled={disabled}>Reset alignment</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AlignmentPanel;
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import { AnimationService } from '../services/AnimationService';
+
+const SPEEDS = [0.25, 0.5, 1, 2];
+
+const STATUS_LABELS = {
+  identical: 'identical',
+  changed: 'changed',
+  missing: 'only in Model 1',
+  added: 'only in Model 2'
+};
+
+const STATUS_CLASSES = {
+  changed: 'modified',
+  missing: 'removed',
+  added: 'added'
+};
+
+const ClipCells = ({ clip }) => {
+  if (!clip) return <td colSpan="3" className="animation-absent">—</td>;
+  return (
+    <>
+      <td>{AnimationService.formatDuration(clip.duration)}</td>
+      <td>{clip.channelCount}</td>
+      <td>{clip.keyframeCount.toLocaleString()}</td>
+    </>
+  );
+};
+
+const AnimationPanel = ({ originalClips = [], comparisonClips = [], diff, disabled }) => {
+  const keys = AnimationService.getClipKeys(originalClips, comparisonClips);
+  const [clipKey, setClipKey] = useState(AnimationService.clipKey);
+  const [time, setTime] = useState(AnimationService.time);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const duration = AnimationService.getDuration(originalClips, comparisonClips, clipKey);
+
+  const selectClip = (key) => {
+    AnimationService.selectClip(key);
+    setClipKey(key);
+    setTime(0);
+  };
+
+  const seek = (value) => {
+    const clamped = Math.max(0, Math.min(duration, value));
+    AnimationService.setTime(clamped);
+    setTime(clamped);
+  };
+
+  // Keep a valid selection as models are loaded and replaced
+  useEffect(() => {
+    if (!keys.includes(AnimationService.clipKey)) {
+      selectClip(keys[0] ?? null);
+      setPlaying(false);
+    }
+  }, [originalClips, comparisonClips]);
+
+  // Playback stops while a comparison renders so every view sees the pose it asked for
+  useEffect(() => {
+    if (!playing || disabled || duration === 0) return;
+
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      frame = requestAnimationFrame(tick);
+      const next = (AnimationService.time + ((now - last) / 1000) * speed) % duration;
+      last = now;
+      AnimationService.setTime(next);
+      setTime(next);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frame);
+  }, [playing, disabled, speed, duration]);
+
+  if (keys.length === 0) return null;
+
+  const inspect = (key, at) => {
+    if (key !== clipKey) selectClip(key);
+    setPlaying(false);
+    AnimationService.setTime(at);
+    setTime(at);
+  };
+
+  return (
+    <div className="animation-panel">
+      <h3 className="section-subtitle">Animations</h3>
+
+      <div className="settings-row animation-timeline">
+        <label className="settings-field">
+          <span className="settings-label">Clip</span>
+          <select value={clipKey ?? ''} onChange={(e) => selectClip(e.target.value)} disabled={disabled}>
+            {keys.map(key => <option key={key} value={key}>{AnimationService.formatClipKey(key)}</option>)}
+          </select>
+        </label>
+
+        <button className="btn btn-secondary" onClick={() => setPlaying(!playing)} disabled={disabled || duration === 0}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+
+        <input
+          type="range"
+          className="animation-scrubber"
+          min="0"
+          max={duration}
+          step="any"
+          value={Math.min(time, duration)}
+          onChange={(e) => seek(parseFloat(e.target.value))}
+          disabled={disabled || duration === 0}
+          aria-label="Animation time"
+        />
+
+        <label className="settings-field">
+          <span className="settings-label">Time (s)</span>
+          <input
+            type="number"
+            min="0"
+            max={duration}
+            step="0.01"
+            value={Number(time.toFixed(3))}
+            onChange={(e) => seek(parseFloat(e.target.value) || 0)}
+            disabled={disabled}
+          />
+        </label>
+
+        <label className="settings-field">
+          <span className="settings-label">Speed</span>
+          <select value={speed} onChange={(e) => setSpeed(parseFloat(e.target.value))} disabled={disabled}>
+            {SPEEDS.map(value => <option key={value} value={value}>{value}×</option>)}
+          </select>
+        </label>
+
+        <div className="settings-hint">/ {AnimationService.formatDuration(duration)}</div>
+      </div>
+
+      <table className="material-table animation-table">
+        <thead>
+          <tr>
+            <th rowSpan="2">Clip</th>
+            <th colSpan="3">Model 1</th>
+            <th colSpan="3">Model 2</th>
+            <th rowSpan="2">Result</th>
+          </tr>
+          <tr>
+            <th>Duration</th><th>Channels</th><th>Keyframes</th>
+            <th>Duration</th><th>Channels</th><th>Keyframes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {diff ? diff.clips.map(clip => (
+            <tr key={clip.key} className={clip.status !== 'identical' ? 'exceeds' : ''}>
+              <td className="material-property">{AnimationService.formatClipKey(clip.key)}</td>
+              <ClipCells clip={clip.original} />
+              <ClipCells clip={clip.comparison} />
+              <td>
+                <span className={`diff-type ${STATUS_CLASSES[clip.status] || ''}`}>{STATUS_LABELS[clip.status]}</span>
+                {clip.durationDelta !== undefined && Math.abs(clip.durationDelta) > diff.tolerances.value && (
+                  <small> duration {clip.durationDelta > 0 ? '+' : ''}{clip.durationDelta.toFixed(3)} s</small>
+                )}
+              </td>
+            </tr>
+          )) : AnimationService.summarizeClips(originalClips.length > 0 ? originalClips : comparisonClips).map((clip, index) => (
+            <tr key={index}>
+              <td className="material-property">{clip.name}</td>
+              <ClipCells clip={originalClips.length > 0 ? clip : null} />
+              <ClipCells clip={originalClips.length > 0 ? null : clip} />
+              <td />
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {diff && diff.clips.filter(clip => clip.changedTrackCount > 0).map(clip => (
+        <details key={clip.key} className="material-block">
+          <summary className="material-block-title">
+            <span>{AnimationService.formatClipKey(clip.key)}</span>
+            <span className="diff-type modified">{clip.changedTrackCount} of {clip.tracks.length} tracks differ</span>
+          </summary>
+          <table className="material-table">
+            <thead>
+              <tr>
+                <th>Track</th>
+                <th>Keyframes</th>
+                <th>Max deviation</th>
+                <th>Mean deviation</th>
+                <th>Worst at</th>
+              </tr>
+            </thead>
+            <tbody>
+              {clip.tracks.filter(track => track.status !== 'identical').map(track => (
+                <tr key={track.name}>
+                  <td className="material-property">
+                    {track.name}
+                    {track.status !== 'changed' && <span className={`diff-type ${STATUS_CLASSES[track.status]}`}>{STATUS_LABELS[track.status]}</span>}
+                  </td>
+                  <td>{track.keyframes[0]} → {track.keyframes[1]}</td>
+                  <td>{AnimationService.formatDeviation(track.kind, track.maxDeviation)}</td>
+                  <td>{AnimationService.formatDeviation(track.kind, track.meanDeviation)}</td>
+                  <td>
+                    {track.maxAt !== undefined && (
+                      <button className="animation-seek" onClick={() => inspect(clip.key, track.maxAt)} disabled={disabled} title="Show this frame">
+                        {AnimationService.formatDuration(track.maxAt)}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      ))}
+
+      <div className="settings-hint">
+        Both viewers play the selected clip on one timeline. Deviations are sampled at every keyframe of either model:
+        degrees for rotations, model units for translations, factors for scale and weights for morph targets.
+        Use the <em>Animation frames</em> comparison mode to diff renders at chosen times.
+      </div>
+    </div>
+  );
+};
+
+export default AnimationPanel;
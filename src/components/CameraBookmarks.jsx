@@ -0,0 +1,113 @@
+import React, { useRef, useState } from 'react';
+import { CameraBookmarkService } from '../services/CameraBookmarkService';
+
+const CameraBookmarks = ({ bookmarks, onGoTo, onSave, onRemove, onImport, disabled }) => {
+  const [name, setName] = useState('');
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef();
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    onSave(name.trim() || `View ${bookmarks.length + 1}`);
+    setName('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([CameraBookmarkService.exportBookmarks(bookmarks)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'camera-bookmarks.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onImport(CameraBookmarkService.importBookmarks(await file.text()));
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <div className="camera-bookmarks">
+      <div className="settings-row">
+        <div className="settings-field">
+          <span className="settings-label">Standard Views</span>
+          <div className="bookmark-list">
+            {CameraBookmarkService.presets.map(preset => (
+              <button key={preset.id} className="btn btn-secondary" onClick={() => onGoTo(preset)} disabled={disabled}>
+                {preset.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="settings-row">
+        <div className="settings-field">
+          <span className="settings-label">Bookmarks</span>
+          <div className="bookmark-list">
+            {bookmarks.length === 0 && <span className="settings-hint">No saved views yet</span>}
+            {bookmarks.map(bookmark => (
+              <span key={bookmark.id} className="bookmark-item">
+                <button className="btn btn-secondary" onClick={() => onGoTo(bookmark)} disabled={disabled} title="Go to this view">
+                  {bookmark.name}
+                </button>
+                <button className="bookmark-remove" onClick={() => onRemove(bookmark.id)} disabled={disabled} title="Delete this bookmark">
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <form className="settings-field bookmark-save" onSubmit={handleSave}>
+          <input
+            type="text"
+            placeholder="Bookmark name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={disabled}
+          />
+          <button type="submit" className="btn btn-secondary" disabled={disabled}>
+            Save current view
+          </button>
+        </form>
+
+        <div className="policy-actions">
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()} disabled={disabled}>
+            Import
+          </button>
+          <button className="btn btn-secondary" onClick={handleExport} disabled={bookmarks.length === 0}>
+            Export
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+        </div>
+      </div>
+
+      {importError && <div className="policy-error">{importError}</div>}
+
+      <div className="settings-hint">
+        Bookmarks store Model 1's camera position, target, field of view and zoom. Export them to reuse the same views on every revision;
+        the <em>Camera bookmarks</em> comparison mode diffs every saved view.
+      </div>
+    </div>
+  );
+};
+
+export default CameraBookmarks;
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { CameraBookmarkService } from '../services/CameraBookmarkService';
+
+const AXES = ['x', 'y', 'z'];
+
+const toFields = (camera) => ({
+  position: camera.position.map(value => String(Number(value.toFixed(4)))),
+  target: camera.target.map(value => String(Number(value.toFixed(4)))),
+  fov: camera.fov === undefined ? '' : String(Number(camera.fov.toFixed(2))),
+  zoom: String(Number(camera.zoom.toFixed(4))),
+  near: String(camera.near),
+  far: String(camera.far)
+});
+
+const fromFields = (fields) => CameraBookmarkService.parseCamera({
+  position: fields.position.map(Number),
+  target: fields.target.map(Number),
+  fov: fields.fov === '' ? undefined : fields.fov,
+  zoom: fields.zoom,
+  near: fields.near,
+  far: fields.far
+});
+
+const CameraPanel = ({ projection, onProjectionChange, readCamera, onApply, disabled }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [fields, setFields] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = () => {
+    const camera = readCamera();
+    if (camera) setFields(toFields(camera));
+    setError(null);
+  };
+
+  // The viewers switch projection first, so this reads the converted camera
+  useEffect(() => {
+    if (isExpanded) refresh();
+  }, [projection, isExpanded]);
+
+  const setVector = (field, index, value) => {
+    const vector = [...fields[field]];
+    vector[index] = value;
+    setFields({ ...fields, [field]: vector });
+  };
+
+  const handleApply = () => {
+    try {
+      onApply(fromFields(fields), projection);
+      setError(null);
+    } catch (applyError) {
+      setError(applyError.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(CameraBookmarkService.exportCamera(fromFields(fields), projection));
+      setError(null);
+    } catch (copyError) {
+      setError(`Could not copy the camera: ${copyError.message}`);
+    }
+  };
+
+  const handlePaste = async () => {
+    try {
+      const { projection: pastedProjection, ...camera } = CameraBookmarkService.importCamera(await navigator.clipboard.readText());
+      setFields(toFields({ ...camera, zoom: camera.zoom ?? 1, near: camera.near ?? fields.near, far: camera.far ?? fields.far }));
+      onApply(camera, pastedProjection || projection);
+      setError(null);
+    } catch (pasteError) {
+      setError(pasteError.message);
+    }
+  };
+
+  return (
+    <div className="camera-panel">
+      <div className="settings-row">
+        <label className="settings-field">
+          <span className="settings-label">Projection</span>
+          <select value={projection} onChange={(e) => onProjectionChange(e.target.value)} disabled={disabled}>
+            <option value="perspective">Perspective</option>
+            <option value="orthographic">Orthographic</option>
+          </select>
+        </label>
+
+        <button className="btn btn-secondary" onClick={() => setIsExpanded(!isExpanded)}>
+          {isExpanded ? 'Hide camera values' : 'Edit camera values'}
+        </button>
+      </div>
+
+      {isExpanded && fields && (
+        <div className="settings-row camera-values">
+          {['position', 'target'].map(field => (
+            <div key={field} className="settings-field">
+              <span className="settings-label">{field === 'position' ? 'Position' : 'Target'} (x, y, z)</span>
+              <div className="camera-vector">
+                {AXES.map((axis, index) => (
+                  <input
+                    key={axis}
+                    type="number"
+                    step="any"
+                    aria-label={`${field} ${axis}`}
+                    value={fields[field][index]}
+                    onChange={(e) => setVector(field, index, e.target.value)}
+                    disabled={disabled}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+          {projection === 'perspective' && (
+            <label className="settings-field">
+              <span className="settings-label">FOV (°)</span>
+              <input type="number" step="any" value={fields.fov} onChange={(e) => setFields({ ...fields, fov: e.target.value })} disabled={disabled} />
+            </label>
+          )}
+          <label className="settings-field">
+            <span className="settings-label">Zoom</span>
+            <input type="number" step="any" value={fields.zoom} onChange={(e) => setFields({ ...fields, zoom: e.target.value })} disabled={disabled} />
+          </label>
+          <label className="settings-field">
+            <span className="settings-label">Near</span>
+            <input type="number" step="any" value={fields.near} onChange={(e) => setFields({ ...fields, near: e.target.value })} disabled={disabled} />
+          </label>
+          <label className="settings-field">
+            <span className="settings-label">Far</span>
+            <input type="number" step="any" value={fields.far} onChange={(e) => setFields({ ...fields, far: e.target.value })} disabled={disabled} />
+          </label>
+        </div>
+      )}
+
+      {isExpanded && (
+        <div className="settings-row camera-actions">
+          <button className="btn btn-secondary" onClick={refresh} disabled={disabled}>Read current view</button>
+          <button className="btn btn-primary" onClick={handleApply} disabled={disabled || !fields}>Apply</button>
+          <button className="btn btn-secondary" onClick={handleCopy} disabled={!fields}>Copy JSON</button>
+          <button className="btn btn-secondary" onClick={handlePaste} disabled={disabled}>Paste JSON</button>
+        </div>
+      )}
+
+      {error && <div className="policy-error">{error}</div>}
+
+      <div className="settings-hint">
+        Values are Model 1's camera in the model's own coordinates, as stored in the file; every viewer follows.
+        Orthographic views show true proportions for checking silhouettes and dimensions.
+      </div>
+    </div>
+  );
+};
+
+export default CameraPanel;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { PolicyService } from '../services/PolicyService';
+
+const ChannelComparison = ({ channelDiff, selectedId, onSelect, policy }) => {
+  if (!channelDiff || channelDiff.channels.length === 0) return null;
+
+  return (
+    <div className="channel-comparison">
+      <h3 className="section-subtitle">Render Channels</h3>
+      {channelDiff.summary && <div className="channel-summary">{channelDiff.summary}</div>}
+
+      <div className="turntable-grid">
+        {channelDiff.channels.map(channel => (
+          <div
+            key={channel.id}
+            className={`turntable-cell ${channel.id === selectedId ? 'selected' : ''}`}
+            onClick={() => onSelect(channel.id)}
+            title="Inspect this channel"
+          >
+            <img
+              src={channel.diffImage}
+              alt={`${channel.label} difference`}
+              className="turntable-image"
+            />
+            <div className="turntable-caption">
+              <span className="turntable-label">{channel.label}</span>
+              <span className={`turntable-value ${channel.mismatchedPixels === 0 ? 'pass' : PolicyService.getVerdictClass(PolicyService.classifyMetric('maxViewMismatch', channel.percentage, policy))}`}>
+                {channel.mismatchedPixels === 0 ? 'identical' : `${channel.percentage.toFixed(2)}%`}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ChannelComparison;
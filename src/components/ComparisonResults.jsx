@@ -1,29 +1,27 @@
-import React from 'react';
+import React, { useState } from 'react';
+import StructureDiff from './StructureDiff';
+import TextureComparison from './TextureComparison';
+import PerceptualMetrics from './PerceptualMetrics';
+import DiffInspector from './DiffInspector';
+import LightingMatrix from './LightingMatrix';
+import ChannelComparison from './ChannelComparison';
+import GeometryDeviation from './GeometryDeviation';
+import { PolicyService } from '../services/PolicyService';
+import { EnvironmentService } from '../services/EnvironmentService';
 
-const ComparisonResults = ({ results }) => {
-  const getSummaryBadgeClass = (percentage) => {
-    if (percentage < 1) return 'excellent';
-    if (percentage < 5) return 'good';
-    if (percentage < 15) return 'moderate';
-    return 'significant';
-  };
-
-  const getSummaryText = (percentage) => {
-    if (percentage < 1) {
-      return `The models are visually identical with only ${percentage.toFixed(2)}% difference. This level of similarity is considered excellent for 3D model comparison.`;
-    } else if (percentage < 5) {
-      return `The models show a ${percentage.toFixed(2)}% difference, which is within acceptable limits. Minor variations may be present in materials or geometry.`;
-    } else if (percentage < 15) {
-      return `The models have a moderate ${percentage.toFixed(2)}% difference. Noticeable variations exist in materials, geometry, or lighting that may require attention.`;
-    } else {
-      return `The models show significant differences (${percentage.toFixed(2)}%). Major variations in geometry, materials, or textures are present.`;
-    }
-  };
+const ComparisonResults = ({ results, evaluation, policy, renderChannel, onRenderChannelChange }) => {
+  const [selectedViewId, setSelectedViewId] = useState(null);
 
   if (!results) return null;
 
-  const badgeClass = getSummaryBadgeClass(results.percentage);
-  const summaryText = getSummaryText(results.percentage);
+  // Turntable results open on the worst view; any cell can be inspected
+  const inspectedChannel = results.channelDiff?.channels.find(channel => `channel:${channel.id}` === selectedViewId);
+  const inspectedView = results.views?.find(view => view.id === selectedViewId) || results.views?.[0] || results;
+  const inspected = inspectedChannel || inspectedView;
+  const isSweep = results.mode === 'lighting';
+
+  const summaryText = PolicyService.describePercentage(results.percentage, results.aggregate);
+  const verdictClass = evaluation ? PolicyService.getVerdictClass(evaluation.verdict) : '';
 
   return (
     <div className="comparison-results">
@@ -32,49 +30,113 @@ const ComparisonResults = ({ results }) => {
       </div>
       
       <div className="results-content">
-        <div className="comparison-images">
-          <div className="image-container">
-            <h3 className="image-label">Model 1</h3>
-            <img 
-              src={results.originalImage} 
-              alt="Model 1" 
-              className="result-image"
-            />
-          </div>
-          
-          <div className="image-container">
-            <h3 className="image-label">Model 2</h3>
-            <img 
-              src={results.comparisonImage} 
-              alt="Model 2" 
-              className="result-image"
-            />
-          </div>
-          
-          <div className="image-container">
-            <h3 className="image-label">Difference Visualization</h3>
-            <img 
-              src={results.diffImage} 
-              alt="Difference Visualization" 
-              className="result-image"
-            />
+        <DiffInspector
+          originalImage={inspected.originalImage}
+          comparisonImage={inspected.comparisonImage}
+          diffImage={inspected.diffImage}
+          title={inspectedChannel
+            ? `Inspecting the ${inspectedChannel.label.toLowerCase()} channel`
+            : results.views ? `Inspecting ${inspectedView.label}${inspectedView === results.views[0] ? ' (worst view)' : ''}` : null}
+        />
+
+        <div className={`results-panels ${results.structureDiff ? 'with-structure' : ''}`}>
+          <div className="comparison-summary">
+            <div className="diff-percentage">
+              {results.percentage.toFixed(2)}%
+            </div>
+            <div className="summary-text">
+              {summaryText}
+            </div>
+            {evaluation && (
+              <>
+                <div className={`summary-badge ${verdictClass}`}>
+                  {evaluation.verdict}
+                </div>
+                <div className="verdict-headline">
+                  {PolicyService.getHeadline(evaluation)}
+                </div>
+                {evaluation.reasons.length > 1 && (
+                  <ul className="verdict-reasons">
+                    {evaluation.reasons.map((reason, index) => (
+                      <li key={index}>{reason}</li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+            {results.aggregate && (
+              <div className="aggregate-stats">
+                <span>Mean over {results.aggregate.viewCount} views</span>
+                <span>Worst: {results.aggregate.worstView} ({results.aggregate.maxPercentage.toFixed(2)}%)</span>
+                <span>Best: {results.aggregate.minPercentage.toFixed(2)}%</span>
+              </div>
+            )}
+            <div className="camera-view-info">
+              <small>
+                * Both models are compared using identical camera position and lighting
+                {results.resolution ? `, rendered offscreen at ${results.resolution} × ${results.resolution}` : ''}.
+                {results.environment && !isSweep && <> Environment: {EnvironmentService.formatDescription(results.environment)}.</>}
+                {isSweep && <> Lighting is swept across {results.views.length} setups; background and intensity follow the environment settings.</>}
+                {results.alignment && <> Model 2 was aligned to Model 1 before comparing: {results.alignment.summary}.</>}
+              </small>
+            </div>
           </div>
+
+          <StructureDiff diff={results.structureDiff} />
         </div>
-        
-        <div className="comparison-summary">
-          <div className="diff-percentage">
-            {results.percentage.toFixed(2)}%
-          </div>
-          <div className="summary-text">
-            {summaryText}
-          </div>
-          <div className={`summary-badge ${badgeClass}`}>
-            {badgeClass}
-          </div>
-          <div className="camera-view-info">
-            <small>* Both models are compared using identical camera position and HDR lighting.</small>
+
+        <PerceptualMetrics results={results} />
+
+        {isSweep && (
+          <LightingMatrix
+            lighting={results.lighting}
+            selectedId={inspected.id}
+            onSelect={setSelectedViewId}
+          />
+        )}
+
+        {results.views && (
+          <div className="turntable-section">
+            <h3 className="section-subtitle">Per-{{ lighting: 'Lighting', bookmarks: 'View', animation: 'Frame' }[results.mode] || 'Angle'} Differences (worst first)</h3>
+            <div className="turntable-grid">
+              {results.views.map((view) => (
+                <div
+                  key={view.id}
+                  className={`turntable-cell ${view === inspected ? 'selected' : ''}`}
+                  onClick={() => setSelectedViewId(view.id)}
+                  title="Inspect this view"
+                >
+                  <img
+                    src={view.diffImage}
+                    alt={`Difference at ${view.label}`}
+                    className="turntable-image"
+                  />
+                  <div className="turntable-caption">
+                    <span className="turntable-label">{view.label}</span>
+                    <span className={`turntable-value ${PolicyService.getVerdictClass(PolicyService.classifyMetric('maxViewMismatch', view.percentage, policy))}`}>
+                      {view.percentage.toFixed(2)}%
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
           </div>
-        </div>
+        )}
+
+        <ChannelComparison
+          channelDiff={results.channelDiff}
+          selectedId={inspectedChannel?.id}
+          onSelect={(id) => setSelectedViewId(`channel:${id}`)}
+          policy={policy}
+        />
+
+        <GeometryDeviation
+          deviation={results.geometryDeviation}
+          channel={renderChannel}
+          onChannelChange={onRenderChannelChange}
+        />
+
+        <TextureComparison textureDiff={results.textureDiff} />
       </div>
     </div>
   );
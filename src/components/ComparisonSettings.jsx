@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import { ComparisonRenderer } from '../services/ComparisonRenderer';
+import { MetricsService } from '../services/MetricsService';
+import { ChannelService } from '../services/ChannelService';
+import { CameraBookmarkService } from '../services/CameraBookmarkService';
+import { AnimationService } from '../services/AnimationService';
+
+// A comma-separated list committed as it is typed. The text only follows
+// `values` when they change from outside (an imported policy, say), so
+// partial input such as "30, " is not rewritten mid-edit; it shows the
+// parsed list once the field loses focus.
+const ListInput = ({ values, parse, onChange, disabled }) => {
+  const [text, setText] = useState(values.join(', '));
+
+  useEffect(() => {
+    if (parse(text).join() !== values.join()) setText(values.join(', '));
+  }, [values]);
+
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(parse(e.target.value));
+      }}
+      onBlur={() => setText(values.join(', '))}
+      disabled={disabled}
+    />
+  );
+};
+
+const ComparisonSettings = ({ settings, environments, bookmarkCount = 0, hasAnimations = false, onChange, disabled }) => {
+  const update = (changes) => {
+    onChange({ ...settings, ...changes });
+  };
+
+  const updateTurntable = (changes) => {
+    update({ turntable: { ...settings.turntable, ...changes } });
+  };
+
+  const updateLighting = (changes) => {
+    update({ lighting: { ...settings.lighting, ...changes } });
+  };
+
+  const updateBookmarks = (changes) => {
+    update({ bookmarks: { ...settings.bookmarks, ...changes } });
+  };
+
+  const updateDeviation = (changes) => {
+    update({ deviation: { ...settings.deviation, ...changes } });
+  };
+
+  const parseRotations = (value) => {
+    return value
+      .split(',')
+      .map(part => parseFloat(part.trim()))
+      .filter(number => !Number.isNaN(number))
+      .map(number => ((number % 360) + 360) % 360)
+      .filter((number, index, list) => list.indexOf(number) === index);
+  };
+
+  const parseElevations = (value) => {
+    return value
+      .split(',')
+      .map(part => parseFloat(part.trim()))
+      .filter(number => !Number.isNaN(number))
+      .map(number => Math.max(-90, Math.min(90, number)))
+      .filter((number, index, list) => list.indexOf(number) === index);
+  };
+
+  const toggle = (list, id, enabled) => (enabled ? [...list, id] : list.filter(item => item !== id));
+
+  // A driving metric is always computed; an uncomputed metric cannot drive
+  const setMetricEnabled = (id, enabled) => {
+    update({
+      metrics: toggle(settings.metrics, id, enabled),
+      drivers: enabled ? settings.drivers : settings.drivers.filter(item => item !== id)
+    });
+  };
+
+  const setMetricDriving = (id, driving) => {
+    const drivers = toggle(settings.drivers, id, driving);
+    if (drivers.length === 0) return;
+    update({
+      drivers,
+      metrics: driving && !settings.metrics.includes(id) ? [...settings.metrics, id] : settings.metrics
+    });
+  };
+
+  const { turntable, lighting } = settings;
+  const viewCount = turntable.elevations.length * turntable.azimuthSteps + (turntable.includePoles ? 2 : 0);
+  const setupCount = lighting.environments.length * lighting.rotations.length;
+  const bookmarkViewCount = bookmarkCount + (settings.bookmarks.includePresets ? CameraBookmarkService.presets.length : 0);
+
+  return (
+    <div className="comparison-settings">
+      <div className="settings-row">
+        <label className="settings-field">
+          <span className="settings-label">Comparison Mode</span>
+          <select
+            value={settings.mode}
+            onChange={(e) => update({ mode: e.target.value })}
+            disabled={disabled}
+          >
+            <option value="single">Current view</option>
+            <option value="turntable">Turntable</option>
+            <option value="lighting">Lighting sweep</option>
+            <option value="bookmarks">Camera bookmarks</option>
+            <option value="animation" disabled={!hasAnimations}>Animation frames</option>
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span className="settings-label">Render Resolution</span>
+          <select
+            value={settings.resolution}
+            onChange={(e) => update({ resolution: parseInt(e.target.value, 10) })}
+            disabled={disabled}
+          >
+            {ComparisonRenderer.resolutions.map(size => (
+              <option key={size} value={size}>{size} × {size}</option>
+            ))}
+          </select>
+        </label>
+
+        {settings.mode === 'turntable' && (
+          <>
+            <label className="settings-field">
+              <span className="settings-label">Azimuth Steps</span>
+              <input
+                type="number"
+                min="1"
+                max="36"
+                value={turntable.azimuthSteps}
+                onChange={(e) => updateTurntable({ azimuthSteps: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                disabled={disabled}
+              />
+            </label>
+
+            <label className="settings-field">
+              <span className="settings-label">Elevations (°)</span>
+              <ListInput
+                values={turntable.elevations}
+                parse={parseElevations}
+                onChange={elevations => updateTurntable({ elevations })}
+                disabled={disabled}
+              />
+            </label>
+
+            <label className="settings-field settings-checkbox">
+              <input
+                type="checkbox"
+                checked={turntable.includePoles}
+                onChange={(e) => updateTurntable({ includePoles: e.target.checked })}
+                disabled={disabled}
+              />
+              <span className="settings-label">Top / bottom</span>
+            </label>
+
+            <div className="settings-hint">{viewCount} views</div>
+          </>
+        )}
+
+        {settings.mode === 'bookmarks' && (
+          <>
+            <label className="settings-field settings-checkbox">
+              <input
+                type="checkbox"
+                checked={settings.bookmarks.includePresets}
+                onChange={(e) => updateBookmarks({ includePresets: e.target.checked })}
+                disabled={disabled}
+              />
+              <span className="settings-label">Standard views</span>
+            </label>
+
+            <div className="settings-hint">{bookmarkViewCount} views</div>
+          </>
+        )}
+
+        {settings.mode === 'animation' && (
+          <>
+            <label className="settings-field">
+              <span className="settings-label">Timestamps (s)</span>
+              <ListInput
+                values={settings.animation.timestamps}
+                parse={value => AnimationService.parseTimestamps(value)}
+                onChange={timestamps => update({ animation: { ...settings.animation, timestamps } })}
+                disabled={disabled}
+              />
+            </label>
+
+            <div className="settings-hint">
+              {settings.animation.timestamps.length} frames of the clip selected on the animation timeline
+            </div>
+          </>
+        )}
+
+        {settings.mode === 'lighting' && (
+          <>
+            <label className="settings-field">
+              <span className="settings-label">Rotations (°)</span>
+              <ListInput
+                values={lighting.rotations}
+                parse={parseRotations}
+                onChange={rotations => updateLighting({ rotations })}
+                disabled={disabled}
+              />
+            </label>
+
+            <div className="settings-hint">{setupCount} lighting setups</div>
+          </>
+        )}
+      </div>
+
+      {settings.mode === 'lighting' && (
+        <div className="settings-metrics">
+          <span className="settings-label">Sweep Environments</span>
+          <div className="metric-options">
+            {environments.map(environment => (
+              <label key={environment.id} className="settings-checkbox lighting-option" title={environment.description}>
+                <input
+                  type="checkbox"
+                  checked={lighting.environments.includes(environment.id)}
+                  onChange={(e) => updateLighting({ environments: toggle(lighting.environments, environment.id, e.target.checked) })}
+                  disabled={disabled}
+                />
+                <span>{environment.name}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="settings-metrics">
+        <span className="settings-label">Metrics</span>
+        <div className="metric-options">
+          {MetricsService.metrics.map(metric => (
+            <div key={metric.id} className="metric-option" title={metric.description}>
+              <label className="settings-checkbox">
+                <input
+                  type="checkbox"
+                  checked={settings.metrics.includes(metric.id)}
+                  onChange={(e) => setMetricEnabled(metric.id, e.target.checked)}
+                  disabled={disabled}
+                />
+                <span>{metric.label}</span>
+              </label>
+              {MetricsService.canDrive(metric.id) && (
+                <label className="settings-checkbox metric-driver">
+                  <input
+                    type="checkbox"
+                    checked={settings.drivers.includes(metric.id)}
+                    onChange={(e) => setMetricDriving(metric.id, e.target.checked)}
+                    disabled={disabled}
+                  />
+                  <span>drives result</span>
+                </label>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="settings-metrics">
+        <span className="settings-label">Render Channels</span>
+        <div className="metric-options">
+          {ChannelService.channels.map(channel => (
+            <label key={channel.id} className="settings-checkbox lighting-option" title={channel.description}>
+              <input
+                type="checkbox"
+                checked={settings.channels.includes(channel.id)}
+                onChange={(e) => update({ channels: toggle(settings.channels, channel.id, e.target.checked) })}
+                disabled={disabled}
+              />
+              <span>{channel.label}</span>
+            </label>
+          ))}
+        </div>
+        <div className="settings-hint">
+          Each selected channel is rendered and diffed separately from the current camera
+        </div>
+      </div>
+
+      <div className="settings-metrics">
+        <span className="settings-label">Surface Deviation</span>
+        <div className="settings-row">
+          <label className="settings-field settings-checkbox">
+            <input
+              type="checkbox"
+              checked={settings.deviation.enabled}
+              onChange={(e) => updateDeviation({ enabled: e.target.checked })}
+              disabled={disabled}
+            />
+            <span>Measure point-to-surface distance</span>
+          </label>
+          <label className="settings-field">
+            <span className="settings-label">Samples per model</span>
+            <input
+              type="number"
+              min="1000"
+              max="500000"
+              step="1000"
+              value={settings.deviation.sampleCount}
+              onChange={(e) => updateDeviation({ sampleCount: Math.max(1000, parseInt(e.target.value, 10) || 1000) })}
+              disabled={disabled || !settings.deviation.enabled}
+            />
+          </label>
+        </div>
+        <div className="settings-hint">
+          Samples both surfaces and measures the distance to the other model in model units, independent of the camera
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonSettings;
@@ -0,0 +1,325 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ComparisonService } from '../services/ComparisonService';
+import { ComparisonRenderer } from '../services/ComparisonRenderer';
+import { MetricsService } from '../services/MetricsService';
+
+const MODES = [
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'onion', label: 'Onion skin' },
+  { id: 'flicker', label: 'Flicker' },
+  { id: 'difference', label: 'Difference' },
+  { id: 'side-by-side', label: 'Side by side' }
+];
+
+const MAX_ZOOM = 32;
+const LOUPE_PIXELS = 11;
+const LOUPE_SIZE = 121;
+
+const readPixel = (image, x, y) => {
+  const i = (y * image.width + x) * 4;
+  return [image.data[i], image.data[i + 1], image.data[i + 2]];
+};
+
+const drawLoupe = (canvas, image, cx, cy) => {
+  const ctx = canvas.getContext('2d');
+  const cell = canvas.width / LOUPE_PIXELS;
+  const half = Math.floor(LOUPE_PIXELS / 2);
+
+  for (let dy = 0; dy < LOUPE_PIXELS; dy++) {
+    for (let dx = 0; dx < LOUPE_PIXELS; dx++) {
+      const x = cx + dx - half;
+      const y = cy + dy - half;
+      const inside = x >= 0 && y >= 0 && x < image.width && y < image.height;
+      const [r, g, b] = inside ? readPixel(image, x, y) : [0, 0, 0];
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fillRect(dx * cell, dy * cell, cell, cell);
+    }
+  }
+
+  ctx.strokeStyle = '#ef4444';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(half * cell, half * cell, cell, cell);
+};
+
+const DiffInspector = ({ originalImage, comparisonImage, diffImage, title }) => {
+  const [mode, setMode] = useState('swipe');
+  const [split, setSplit] = useState(50);
+  const [opacity, setOpacity] = useState(50);
+  const [flickerInterval, setFlickerInterval] = useState(500);
+  const [flickerShowsB, setFlickerShowsB] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmapOpacity, setHeatmapOpacity] = useState(70);
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const [pixels, setPixels] = useState(null);
+  const [cursor, setCursor] = useState(null);
+
+  const viewportRefs = useRef([]);
+  const dragRef = useRef(null);
+  const loupeARef = useRef();
+  const loupeBRef = useRef();
+
+  // Decode both snapshots once for the loupe and the heat map
+  useEffect(() => {
+    let cancelled = false;
+
+    const decode = async () => {
+      const [imageA, imageB] = await Promise.all([
+        ComparisonService.loadImage(originalImage),
+        ComparisonService.loadImage(comparisonImage)
+      ]);
+      const a = ComparisonService.imageToPixels(imageA, imageA.width, imageA.height);
+      const b = ComparisonService.imageToPixels(imageB, imageA.width, imageA.height);
+      const magnitude = MetricsService.diffMagnitude(a, b);
+
+      if (!cancelled) {
+        setPixels({ a, b, heatmap: ComparisonRenderer.toDataURL(magnitude.image), maxDifference: magnitude.max });
+      }
+    };
+
+    decode().catch(error => console.error('Error decoding comparison images:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [originalImage, comparisonImage]);
+
+  useEffect(() => {
+    if (mode !== 'flicker') return undefined;
+    const timer = setInterval(() => setFlickerShowsB(showsB => !showsB), flickerInterval);
+    return () => clearInterval(timer);
+  }, [mode, flickerInterval]);
+
+  const clampView = (next, width, height) => ({
+    scale: next.scale,
+    x: Math.min(0, Math.max(width * (1 - next.scale), next.x)),
+    y: Math.min(0, Math.max(height * (1 - next.scale), next.y))
+  });
+
+  // React registers wheel listeners as passive, so zoom is bound manually to
+  // be able to stop the page from scrolling
+  useEffect(() => {
+    const viewports = viewportRefs.current.filter(Boolean);
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = e.currentTarget.getBoundingClientRect();
+      const px = e.clientX - rect.left;
+      const py = e.clientY - rect.top;
+      const factor = e.deltaY < 0 ? 1.25 : 0.8;
+
+      setView(current => {
+        const scale = Math.min(MAX_ZOOM, Math.max(1, current.scale * factor));
+        return clampView({
+          scale,
+          x: px - (px - current.x) * (scale / current.scale),
+          y: py - (py - current.y) * (scale / current.scale)
+        }, rect.width, rect.height);
+      });
+    };
+
+    viewports.forEach(viewport => viewport.addEventListener('wheel', handleWheel, { passive: false }));
+    return () => viewports.forEach(viewport => viewport.removeEventListener('wheel', handleWheel));
+  }, [mode]);
+
+  useEffect(() => {
+    if (!cursor || !pixels) return;
+    drawLoupe(loupeARef.current, pixels.a, cursor.x, cursor.y);
+    drawLoupe(loupeBRef.current, pixels.b, cursor.x, cursor.y);
+  }, [cursor, pixels]);
+
+  const handlePointerDown = (e) => {
+    dragRef.current = { startX: e.clientX, startY: e.clientY, view };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+
+    if (dragRef.current) {
+      const { startX, startY, view: start } = dragRef.current;
+      setView(clampView({
+        scale: start.scale,
+        x: start.x + e.clientX - startX,
+        y: start.y + e.clientY - startY
+      }, rect.width, rect.height));
+    }
+
+    if (pixels) {
+      const u = (e.clientX - rect.left - view.x) / view.scale / rect.width;
+      const v = (e.clientY - rect.top - view.y) / view.scale / rect.height;
+      const x = Math.floor(u * pixels.a.width);
+      const y = Math.floor(v * pixels.a.height);
+      setCursor(x >= 0 && y >= 0 && x < pixels.a.width && y < pixels.a.height ? { x, y } : null);
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const stageStyle = {
+    transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`
+  };
+
+  const renderLayers = (layers) => (
+    <>
+      {layers}
+      {showHeatmap && pixels && (
+        <img
+          src={pixels.heatmap}
+          alt="Difference heat map"
+          className="inspector-layer"
+          style={{ opacity: heatmapOpacity / 100 }}
+          draggable={false}
+        />
+      )}
+    </>
+  );
+
+  const layersForMode = () => {
+    switch (mode) {
+      case 'onion':
+        return [
+          <img key="a" src={originalImage} alt="Model 1" className="inspector-layer" draggable={false} />,
+          <img key="b" src={comparisonImage} alt="Model 2" className="inspector-layer" style={{ opacity: opacity / 100 }} draggable={false} />
+        ];
+      case 'flicker':
+        return [
+          <img key="ab" src={flickerShowsB ? comparisonImage : originalImage} alt={flickerShowsB ? 'Model 2' : 'Model 1'} className="inspector-layer" draggable={false} />
+        ];
+      case 'difference':
+        return [<img key="diff" src={diffImage} alt="Difference Visualization" className="inspector-layer" draggable={false} />];
+      default:
+        return [
+          <img key="a" src={originalImage} alt="Model 1" className="inspector-layer" draggable={false} />,
+          <img key="b" src={comparisonImage} alt="Model 2" className="inspector-layer" style={{ clipPath: `inset(0 0 0 ${split}%)` }} draggable={false} />,
+          <div key="split" className="inspector-split" style={{ left: `${split}%` }} />
+        ];
+    }
+  };
+
+  const renderViewport = (index, layers, label) => (
+    <div className="inspector-pane" key={index}>
+      {label && <div className="inspector-pane-label">{label}</div>}
+      <div
+        ref={el => { viewportRefs.current[index] = el; }}
+        className={`inspector-viewport ${view.scale > 1 ? 'zoomed' : ''}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => setCursor(null)}
+        onDoubleClick={() => setView({ scale: 1, x: 0, y: 0 })}
+      >
+        <div className="inspector-stage" style={stageStyle}>
+          {renderLayers(layers)}
+        </div>
+      </div>
+    </div>
+  );
+
+  const valuesA = cursor && pixels ? readPixel(pixels.a, cursor.x, cursor.y) : null;
+  const valuesB = cursor && pixels ? readPixel(pixels.b, cursor.x, cursor.y) : null;
+
+  return (
+    <div className="diff-inspector">
+      <div className="inspector-toolbar">
+        {title && <h3 className="section-subtitle">{title}</h3>}
+
+        <div className="inspector-modes">
+          {MODES.map(option => (
+            <button
+              key={option.id}
+              className={`inspector-mode ${mode === option.id ? 'active' : ''}`}
+              onClick={() => setMode(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="settings-row">
+          {mode === 'swipe' && (
+            <label className="settings-field">
+              <span className="settings-label">Swipe position</span>
+              <input type="range" min="0" max="100" value={split} onChange={(e) => setSplit(Number(e.target.value))} />
+            </label>
+          )}
+          {mode === 'onion' && (
+            <label className="settings-field">
+              <span className="settings-label">Model 2 opacity {opacity}%</span>
+              <input type="range" min="0" max="100" value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} />
+            </label>
+          )}
+          {mode === 'flicker' && (
+            <label className="settings-field">
+              <span className="settings-label">Flicker interval {flickerInterval} ms</span>
+              <input type="range" min="100" max="2000" step="50" value={flickerInterval} onChange={(e) => setFlickerInterval(Number(e.target.value))} />
+            </label>
+          )}
+
+          <label className="settings-field settings-checkbox">
+            <input type="checkbox" checked={showHeatmap} onChange={(e) => setShowHeatmap(e.target.checked)} />
+            <span className="settings-label">Heat map</span>
+          </label>
+          {showHeatmap && (
+            <label className="settings-field">
+              <span className="settings-label">Heat map opacity {heatmapOpacity}%</span>
+              <input type="range" min="0" max="100" value={heatmapOpacity} onChange={(e) => setHeatmapOpacity(Number(e.target.value))} />
+            </label>
+          )}
+
+          <div className="settings-hint">
+            Zoom {view.scale.toFixed(1)}× · scroll to zoom, drag to pan, double-click to reset
+          </div>
+        </div>
+      </div>
+
+      <div className="inspector-body">
+        <div className={`inspector-panes ${mode === 'side-by-side' ? 'split' : ''}`}>
+          {mode === 'side-by-side'
+            ? [
+              renderViewport(0, [<img key="a" src={originalImage} alt="Model 1" className="inspector-layer" draggable={false} />], 'Model 1'),
+              renderViewport(1, [<img key="b" src={comparisonImage} alt="Model 2" className="inspector-layer" draggable={false} />], 'Model 2')
+            ]
+            : renderViewport(0, layersForMode(), mode === 'flicker' ? (flickerShowsB ? 'Model 2' : 'Model 1') : null)}
+        </div>
+
+        <div className="inspector-loupe">
+          <div className="settings-label">Pixel loupe</div>
+          <div className="loupe-canvases">
+            <div>
+              <canvas ref={loupeARef} width={LOUPE_SIZE} height={LOUPE_SIZE} />
+              <small>Model 1</small>
+            </div>
+            <div>
+              <canvas ref={loupeBRef} width={LOUPE_SIZE} height={LOUPE_SIZE} />
+              <small>Model 2</small>
+            </div>
+          </div>
+          {cursor && valuesA && valuesB ? (
+            <table className="loupe-values">
+              <tbody>
+                <tr><th>x, y</th><td colSpan="3">{cursor.x}, {cursor.y}</td></tr>
+                <tr><th></th><td>R</td><td>G</td><td>B</td></tr>
+                <tr><th>Model 1</th>{valuesA.map((value, i) => <td key={i}>{value}</td>)}</tr>
+                <tr><th>Model 2</th>{valuesB.map((value, i) => <td key={i}>{value}</td>)}</tr>
+                <tr className="loupe-delta">
+                  <th>Δ</th>
+                  {valuesA.map((value, i) => <td key={i}>{valuesB[i] - value}</td>)}
+                </tr>
+              </tbody>
+            </table>
+          ) : (
+            <div className="settings-hint">Hover the image to inspect pixel values</div>
+          )}
+          {showHeatmap && pixels && (
+            <div className="settings-hint">
+              Heat map scaled to the largest difference ({(pixels.maxDifference * 100).toFixed(1)}% RGB distance)
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DiffInspector;
@@ -0,0 +1,139 @@
+import React, { useRef, useState } from 'react';
+import { EnvironmentService, BACKGROUNDS } from '../services/EnvironmentService';
+
+const GROUPS = [
+  { types: ['hdri'], label: 'Bundled HDRIs' },
+  { types: ['procedural', 'lights'], label: 'Studio rigs' },
+  { types: ['upload'], label: 'Uploaded' }
+];
+
+const EnvironmentSettings = ({ settings, environments, onChange, onUpload, disabled }) => {
+  const [uploadError, setUploadError] = useState(null);
+  const fileInputRef = useRef();
+
+  const update = (changes) => {
+    onChange({ ...settings, ...changes });
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      await onUpload(file);
+      setUploadError(null);
+    } catch (error) {
+      setUploadError(error.message);
+    }
+  };
+
+  const active = environments.find(environment => environment.id === settings.environmentId);
+
+  return (
+    <div className="environment-settings">
+      <div className="settings-row">
+        <label className="settings-field">
+          <span className="settings-label">Environment</span>
+          <select
+            value={settings.environmentId}
+            onChange={(e) => update({ environmentId: e.target.value })}
+            disabled={disabled}
+          >
+            {GROUPS.map(group => {
+              const options = environments.filter(environment => group.types.includes(environment.type));
+              return options.length > 0 && (
+                <optgroup key={group.label} label={group.label}>
+                  {options.map(environment => (
+                    <option key={environment.id} value={environment.id}>{environment.name}</option>
+                  ))}
+                </optgroup>
+              );
+            })}
+          </select>
+        </label>
+
+        <label className="settings-field">
+          <span className="settings-label">Rotation ({settings.rotation}°)</span>
+          <input
+            type="range"
+            min="0"
+            max="359"
+            value={settings.rotation}
+            onChange={(e) => update({ rotation: parseInt(e.target.value, 10) })}
+            disabled={disabled}
+          />
+        </label>
+
+        <label className="settings-field">
+          <span className="settings-label">Intensity</span>
+          <input
+            type="number"
+            min="0"
+            max="10"
+            step="0.1"
+            value={settings.intensity}
+            onChange={(e) => update({ intensity: Math.max(0, parseFloat(e.target.value) || 0) })}
+            disabled={disabled}
+          />
+        </label>
+
+        <label className="settings-field">
+          <span className="settings-label">Background</span>
+          <select
+            value={settings.background}
+            onChange={(e) => update({ background: e.target.value })}
+            disabled={disabled}
+          >
+            <option value={BACKGROUNDS.SOLID}>Solid colour</option>
+            <option value={BACKGROUNDS.BLURRED}>Blurred environment</option>
+            <option value={BACKGROUNDS.TRANSPARENT}>Transparent</option>
+          </select>
+        </label>
+
+        {settings.background === BACKGROUNDS.SOLID && (
+          <label className="settings-field">
+            <span className="settings-label">Colour</span>
+            <input
+              type="color"
+              value={settings.backgroundColor}
+              onChange={(e) => update({ backgroundColor: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+        )}
+
+        {settings.background === BACKGROUNDS.BLURRED && (
+          <label className="settings-field">
+            <span className="settings-label">Blur ({settings.blurriness.toFixed(2)})</span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.blurriness}
+              onChange={(e) => update({ blurriness: parseFloat(e.target.value) })}
+              disabled={disabled}
+            />
+          </label>
+        )}
+
+        <button className="btn btn-secondary" onClick={() => fileInputRef.current?.click()} disabled={disabled}>
+          Upload HDR / EXR
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={EnvironmentService.uploadExtensions.join(',')}
+          onChange={handleUpload}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {active && <div className="settings-hint">{active.description} · applied to both viewers</div>}
+      {uploadError && <div className="environment-error">{uploadError}</div>}
+    </div>
+  );
+};
+
+export default EnvironmentSettings;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { ChannelService, DEVIATION_RAMP } from '../services/ChannelService';
+import { GeometryDeviationService } from '../services/GeometryDeviationService';
+
+const DIRECTIONS = [
+  { key: 'comparisonToOriginal', label: 'Model 2 → Model 1' },
+  { key: 'originalToComparison', label: 'Model 1 → Model 2' }
+];
+
+const GeometryDeviation = ({ deviation, channel, onChannelChange }) => {
+  const [scale, setScale] = useState(() => ChannelService.getDeviationScale());
+
+  // A new analysis starts with the full range mapped onto the ramp
+  useEffect(() => {
+    if (!deviation) return;
+    ChannelService.setDeviationScale(deviation.hausdorff);
+    setScale(deviation.hausdorff);
+  }, [deviation]);
+
+  if (!deviation) return null;
+
+  const { diagonal } = deviation;
+  const format = (value) => GeometryDeviationService.formatDistance(value, diagonal);
+  const showing = channel === 'deviation';
+  // Slider spans 0.1% of the diagonal up to twice the Hausdorff distance
+  const sliderMax = Math.max(deviation.hausdorff * 2, diagonal * 0.001, 1e-6);
+
+  const handleScaleChange = (value) => {
+    ChannelService.setDeviationScale(value);
+    setScale(value);
+  };
+
+  return (
+    <div className="geometry-deviation">
+      <h3 className="section-subtitle">Surface Deviation</h3>
+      <div className="deviation-headline">
+        <span>Hausdorff distance <strong>{format(deviation.hausdorff)}</strong></span>
+        <span>Mean {format(deviation.mean)}</span>
+        <span>RMS {format(deviation.rms)}</span>
+      </div>
+
+      <table className="deviation-table">
+        <thead>
+          <tr>
+            <th>Direction</th>
+            <th>Samples</th>
+            <th>Mean</th>
+            <th>RMS</th>
+            <th>95th percentile</th>
+            <th>Max</th>
+          </tr>
+        </thead>
+        <tbody>
+          {DIRECTIONS.map(({ key, label }) => (
+            <tr key={key}>
+              <td>{label}</td>
+              <td>{deviation[key].sampleCount.toLocaleString()}</td>
+              <td>{format(deviation[key].mean)}</td>
+              <td>{format(deviation[key].rms)}</td>
+              <td>{format(deviation[key].p95)}</td>
+              <td>{format(deviation[key].max)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="deviation-scale">
+        <label className="settings-field">
+          <span className="settings-label">Colour scale maximum ({scale.toPrecision(3)})</span>
+          <input
+            type="range"
+            min={sliderMax / 200}
+            max={sliderMax}
+            step={sliderMax / 200}
+            value={Math.min(scale, sliderMax)}
+            onChange={(e) => handleScaleChange(parseFloat(e.target.value))}
+          />
+        </label>
+        <div className="deviation-legend">
+          <div className="deviation-ramp" style={{ background: `linear-gradient(to right, ${DEVIATION_RAMP.join(', ')})` }} />
+          <div className="deviation-ramp-labels">
+            <span>0</span>
+            <span>{(scale / 2).toPrecision(3)}</span>
+            <span>≥ {scale.toPrecision(3)}</span>
+          </div>
+        </div>
+        <button
+          className="btn btn-secondary"
+          onClick={() => onChannelChange(showing ? ChannelService.defaultChannel : 'deviation')}
+        >
+          {showing ? 'Hide overlay' : 'Show on models'}
+        </button>
+      </div>
+
+      <div className="settings-hint">
+        Distances are measured in each model's own coordinates ({deviation.units}), so a model that is moved or
+        rotated as a whole shows up as deviation. Percentages are relative to Model 1's bounding-box diagonal.
+      </div>
+    </div>
+  );
+};
+
+export default GeometryDeviation;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { ComparisonService } from '../services/ComparisonService';
+
+const LightingMatrix = ({ lighting, selectedId, onSelect }) => {
+  if (!lighting || lighting.rows.length === 0) return null;
+
+  const { columns, rows, worstByColumn } = lighting;
+
+  return (
+    <div className="lighting-matrix">
+      <h3 className="section-subtitle">Lighting × Metric Matrix</h3>
+      <p className="settings-hint">
+        Highlighted cells mark the lighting that exposes the largest difference for each metric. Click a row to inspect it.
+      </p>
+      <div className="lighting-table-wrapper">
+        <table className="lighting-table">
+          <thead>
+            <tr>
+              <th>Environment</th>
+              <th>Rotation</th>
+              {columns.map(column => <th key={column.id}>{column.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr
+                key={row.id}
+                className={row.id === selectedId ? 'selected' : ''}
+                onClick={() => onSelect(row.id)}
+              >
+                {/* Rows arrive grouped by environment; label only the first of each group */}
+                <td>{index === 0 || rows[index - 1].environmentId !== row.environmentId ? row.environmentName : ''}</td>
+                <td>{row.rotation}°</td>
+                {columns.map(column => (
+                  <td key={column.id} className={worstByColumn[column.id] === row.id ? 'worst' : ''}>
+                    {ComparisonService.formatLightingValue(column.id, row.values[column.id])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LightingMatrix;
@@ -0,0 +1,165 @@
+import React, { useRef, useState } from 'react';
+import { AssetBundleService } from '../services/AssetBundleService';
+import { GeometryDeviationService } from '../services/GeometryDeviationService';
+import { LodReportService } from '../services/LodReportService';
+
+// Models and archives, plus the sidecar files a .gltf or .obj may reference
+const ACCEPT = [...AssetBundleService.acceptedExtensions, '.bin', '.mtl', 'image/*'].join(',');
+
+const formatNumber = (value) => (value === undefined || value === null ? '—' : value.toLocaleString());
+
+const LodReport = ({ referenceName, levels, onAddLevels, onRemoveLevel, onGenerate, report, disabled }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const fileInputRef = useRef();
+
+  const handleFiles = (e) => {
+    const levels = AssetBundleService.splitModels(AssetBundleService.fromFileList(e.target.files));
+    e.target.value = '';
+    if (levels.length > 0) onAddLevels(levels);
+  };
+
+  const selected = report?.levels.find(level => level.id === selectedId) || report?.levels[0];
+
+  return (
+    <div className="lod-report">
+      <div className="lod-header">
+        <h3 className="section-subtitle">Optimization Report</h3>
+        <div className="lod-actions">
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current?.click()} disabled={disabled || !referenceName}>
+            Add LOD levels
+          </button>
+          <button className="btn btn-primary" onClick={onGenerate} disabled={disabled || !referenceName || levels.length === 0}>
+            Generate report
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPT}
+            multiple
+            onChange={handleFiles}
+            style={{ display: 'none' }}
+          />
+        </div>
+      </div>
+
+      <p className="settings-hint">
+        {referenceName
+          ? `Every level is compared against Model 1 (${referenceName}) as LOD0. Model 2 is included as LOD1; add further levels as separate files, picking a .gltf level's .bin and textures along with it.`
+          : 'Load Model 1 as the reference (LOD0) to compare LOD levels against it.'}
+      </p>
+
+      {levels.length > 0 && (
+        <ul className="lod-levels">
+          {levels.map(level => (
+            <li key={level.id}>
+              <span>{level.label}</span>
+              {onRemoveLevel && level.removable && (
+                <button className="lod-remove" onClick={() => onRemoveLevel(level.id)} disabled={disabled} title="Remove this level">
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {report && (
+        <>
+          <div className="lod-table-wrapper">
+            <table className="lod-table">
+              <thead>
+                <tr>
+                  <th>Level</th>
+                  <th>Triangles</th>
+                  <th>Vertices</th>
+                  <th>Draw calls</th>
+                  <th>Texture memory</th>
+                  <th>Silhouette error (mean / worst)</th>
+                  <th>Hausdorff</th>
+                  <th>Mean deviation</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="lod-reference">
+                  <td>{report.reference.label}</td>
+                  <td>{formatNumber(report.reference.triangles)}</td>
+                  <td>{formatNumber(report.reference.vertices)}</td>
+                  <td>{formatNumber(report.reference.drawCalls)}</td>
+                  <td>{LodReportService.formatBytes(report.reference.textureMemory)}</td>
+                  <td>—</td>
+                  <td>—</td>
+                  <td>—</td>
+                </tr>
+                {report.levels.map(level => (
+                  <tr
+                    key={level.id}
+                    className={level === selected ? 'selected' : ''}
+                    onClick={() => setSelectedId(level.id)}
+                  >
+                    <td>{level.label}</td>
+                    <td>{formatNumber(level.triangles)} <small>{LodReportService.formatReduction(level.triangleRatio)}</small></td>
+                    <td>{formatNumber(level.vertices)} <small>{LodReportService.formatReduction(level.vertexRatio)}</small></td>
+                    <td>{formatNumber(level.drawCalls)} <small>{LodReportService.formatReduction(level.drawCallRatio)}</small></td>
+                    <td>{LodReportService.formatBytes(level.textureMemory)} <small>{LodReportService.formatReduction(level.textureMemoryRatio)}</small></td>
+                    <td>{level.silhouette.meanPercentage.toFixed(2)}% / {level.silhouette.maxPercentage.toFixed(2)}%</td>
+                    <td>{GeometryDeviationService.formatDistance(level.deviation.hausdorff, level.deviation.diagonal)}</td>
+                    <td>{GeometryDeviationService.formatDistance(level.deviation.mean, level.deviation.diagonal)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {selected && (
+            <div className="lod-detail">
+              <div className="lod-silhouette">
+                <img src={selected.silhouette.worstImage} alt={`${selected.label} silhouette difference`} />
+                <small>
+                  Worst silhouette: {selected.silhouette.worstView} ({selected.silhouette.maxPercentage.toFixed(2)}%).
+                  Red is covered only by the reference, blue only by {selected.label}.
+                </small>
+              </div>
+
+              <div className="lod-table-wrapper">
+                <table className="lod-table">
+                  <thead>
+                    <tr>
+                      <th>Mesh</th>
+                      <th>Triangles</th>
+                      <th>Reduction</th>
+                      <th>Vertices</th>
+                      <th>Reduction</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.meshes.map((mesh, index) => (
+                      <tr key={index} className={!mesh.reference || !mesh.level ? 'lod-unmatched' : ''}>
+                        <td>
+                          {mesh.name}
+                          {mesh.levelName && <small> → {mesh.levelName}</small>}
+                          {!mesh.level && <small> (missing)</small>}
+                          {!mesh.reference && <small> (added)</small>}
+                        </td>
+                        <td>{formatNumber(mesh.reference?.triangles)} → {formatNumber(mesh.level?.triangles)}</td>
+                        <td>{LodReportService.formatReduction(mesh.triangleRatio)}</td>
+                        <td>{formatNumber(mesh.reference?.vertices)} → {formatNumber(mesh.level?.vertices)}</td>
+                        <td>{LodReportService.formatReduction(mesh.vertexRatio)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="settings-hint">
+            Silhouettes are rendered at {report.resolution} × {report.resolution} from {report.viewCount} views around Model 1.
+            Deviation is measured in model units relative to Model 1's bounding-box diagonal.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LodReport;
@@ -0,0 +1,102 @@
+import React, { useMemo, useState } from 'react';
+import { MaterialService } from '../services/MaterialService';
+
+const ValueCell = ({ kind, value }) => {
+  if (kind === 'color' && value) {
+    return (
+      <td className="material-value">
+        <span className="color-swatch" style={{ backgroundColor: value }} />
+        {value}
+      </td>
+    );
+  }
+  return <td className="material-value">{MaterialService.formatValue(kind, value)}</td>;
+};
+
+const MaterialComparison = ({ originalMaterials, comparisonMaterials, tolerance, onToleranceChange }) => {
+  const [onlyDifferences, setOnlyDifferences] = useState(true);
+
+  const comparisons = useMemo(
+    () => MaterialService.compareMaterials(originalMaterials, comparisonMaterials, tolerance),
+    [originalMaterials, comparisonMaterials, tolerance]
+  );
+
+  if (!originalMaterials || !comparisonMaterials) return null;
+
+  return (
+    <div className="material-comparison">
+      <div className="material-comparison-header">
+        <h3 className="section-subtitle">Material Parameters</h3>
+        <div className="settings-row">
+          <label className="settings-field">
+            <span className="settings-label">Tolerance</span>
+            <input
+              type="number"
+              min="0"
+              step="0.005"
+              value={tolerance}
+              onChange={(e) => onToleranceChange(Math.max(0, parseFloat(e.target.value) || 0))}
+            />
+          </label>
+          <label className="settings-field settings-checkbox">
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(e) => setOnlyDifferences(e.target.checked)}
+            />
+            <span className="settings-label">Only differences</span>
+          </label>
+        </div>
+      </div>
+
+      {comparisons.map((comparison, index) => {
+        const rows = onlyDifferences ? comparison.rows.filter(row => row.exceeds) : comparison.rows;
+
+        return (
+          <details key={`${comparison.name}-${index}`} className="material-block" open={comparison.differenceCount > 0}>
+            <summary className="material-block-title">
+              <span>{comparison.name}</span>
+              <span className="material-type">{comparison.type}</span>
+              {comparison.onlyIn ? (
+                <span className="diff-type removed">
+                  only in {comparison.onlyIn === 'original' ? 'Model 1' : 'Model 2'}
+                </span>
+              ) : (
+                <span className={`diff-type ${comparison.differenceCount > 0 ? 'modified' : ''}`}>
+                  {comparison.differenceCount} differences
+                </span>
+              )}
+            </summary>
+
+            {rows.length > 0 && (
+              <table className="material-table">
+                <thead>
+                  <tr>
+                    <th>Property</th>
+                    <th>Model 1</th>
+                    <th>Model 2</th>
+                    <th>Δ</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.property} className={row.exceeds ? 'exceeds' : ''}>
+                      <td className="material-property">{row.property}</td>
+                      <ValueCell kind={row.kind} value={row.valueA} />
+                      <ValueCell kind={row.kind} value={row.valueB} />
+                      <td className="material-delta">
+                        {row.delta === null ? (row.exceeds ? 'differs' : '') : MaterialService.formatValue('number', row.delta)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </details>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MaterialComparison;
@@ -0,0 +1,122 @@
+import React from 'react';
+import { MeshQualityService } from '../services/MeshQualityService';
+
+const MeshList = ({ title, model, quality, issue, selection, onSelect }) => {
+  const meshes = (quality?.meshes || []).filter(mesh => mesh.issues[issue.id].count > 0);
+  return (
+    <div className="validation-column">
+      <h4>{title}</h4>
+      {meshes.length === 0 ? (
+        <div className="diff-empty">{quality ? 'None.' : 'Not loaded'}</div>
+      ) : (
+        <ul className="diff-list">
+          {meshes.map(mesh => {
+            const active = selection?.model === model && selection.meshUuid === mesh.uuid && selection.issue === issue.id;
+            return (
+              <li key={mesh.uuid} className="diff-entry">
+                <button
+                  className={`quality-location ${active ? 'active' : ''}`}
+                  onClick={() => onSelect(active ? null : { model, meshUuid: mesh.uuid, issue: issue.id })}
+                  title={active ? 'Clear the highlight' : 'Highlight in the viewer'}
+                >
+                  {mesh.name}
+                </button>
+                <span className="diff-text">{mesh.issues[issue.id].count.toLocaleString()}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const MeshQualityPanel = ({ original, comparison, open, onToggle, selection, onSelect, disabled }) => {
+  const { rows, variation, changedCount } = MeshQualityService.compare(original, comparison);
+  const both = original && comparison;
+
+  if (!open) {
+    return (
+      <div className="quality-panel">
+        <div className="material-comparison-header">
+          <h3 className="section-subtitle">Mesh Quality</h3>
+          <button className="btn btn-secondary" onClick={onToggle} disabled={disabled}>
+            Run checks
+          </button>
+        </div>
+        <div className="settings-hint">
+          Topology, normal and UV checks for every mesh. They run when this panel is opened or a comparison starts, and can take a few seconds on dense meshes.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quality-panel">
+      <div className="material-comparison-header">
+        <h3 className="section-subtitle">Mesh Quality</h3>
+        {both && (
+          <span className={`diff-type ${changedCount > 0 ? 'modified' : 'unchanged'}`}>
+            {changedCount > 0 ? `${changedCount} check${changedCount === 1 ? '' : 's'} changed` : 'No changes'}
+          </span>
+        )}
+        {selection && (
+          <button className="btn btn-secondary" onClick={() => onSelect(null)}>
+            Clear highlight
+          </button>
+        )}
+        <button className="btn btn-secondary" onClick={onToggle} disabled={disabled}>
+          Hide
+        </button>
+      </div>
+
+      <table className="material-table">
+        <thead>
+          <tr>
+            <th>Check</th>
+            <th>Model 1</th>
+            <th>Model 2</th>
+            <th>Delta</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id} className={row.changed ? 'exceeds' : ''}>
+              <td className="material-property" title={row.description}>{row.label}</td>
+              <td>{row.original?.toLocaleString() ?? '—'}</td>
+              <td>{row.comparison?.toLocaleString() ?? '—'}</td>
+              <td>{row.changed ? `${row.comparison > row.original ? '+' : '−'}${Math.abs(row.comparison - row.original).toLocaleString()}` : ''}</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="material-property" title="Area-weighted standard deviation of texel density relative to its mean">Texel density variation</td>
+            <td>{MeshQualityService.formatVariation(variation.original)}</td>
+            <td>{MeshQualityService.formatVariation(variation.comparison)}</td>
+            <td />
+          </tr>
+        </tbody>
+      </table>
+
+      {rows.filter(row => row.original > 0 || row.comparison > 0).map(row => (
+        <details key={row.id} className="material-block" open={selection?.issue === row.id}>
+          <summary className="material-block-title">
+            <span>{row.label}</span>
+            <span className="settings-hint">{row.description}</span>
+          </summary>
+          <div className="validation-columns">
+            <MeshList title="Model 1" model="original" quality={original} issue={row} selection={selection} onSelect={onSelect} />
+            <MeshList title="Model 2" model="comparison" quality={comparison} issue={row} selection={selection} onSelect={onSelect} />
+          </div>
+        </details>
+      ))}
+
+      <div className="settings-hint">
+        Click a mesh to highlight its problem locations in the viewer (up to 1,000 per check).
+        Edges are compared after welding vertices at the same position, so UV and normal seams do not count as open edges.
+        Mirrored or stacked UV islands show up as overlapping UVs.
+      </div>
+    </div>
+  );
+};
+
+export default MeshQualityPanel;
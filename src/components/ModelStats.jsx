@@ -1,4 +1,5 @@
 import React from 'react';
+import { AssetBundleService } from '../services/AssetBundleService';
 
 export const ModelStats = ({ stats }) => {
   const formatBytes = (bytes, decimals = 2) => {
@@ -26,6 +27,16 @@ export const ModelStats = ({ stats }) => {
           <div className="stat-value">{formatBytes(stats.fileSize)}</div>
         </div>
         
+        {stats.format && (
+          <div className="stat-item">
+            <div className="stat-label">Format</div>
+            <div className="stat-value">
+              {AssetBundleService.getFormatLabel(stats.format)}
+              {stats.fileCount > 1 && <small> ({stats.fileCount} files)</small>}
+            </div>
+          </div>
+        )}
+
         <div className="stat-item">
           <div className="stat-label">Vertices</div>
           <div className="stat-value">{formatNumber(stats.vertexCount)}</div>
@@ -45,8 +56,50 @@ export const ModelStats = ({ stats }) => {
           <div className="stat-label">Textures</div>
           <div className="stat-value">{formatNumber(stats.textureCount)}</div>
         </div>
+
+        {stats.animationCount > 0 && (
+          <div className="stat-item">
+            <div className="stat-label">Animations</div>
+            <div className="stat-value">{formatNumber(stats.animationCount)}</div>
+          </div>
+        )}
       </div>
+
+      {stats.compression && (
+        <div className="compression-section">
+          <div className="texture-title">
+            Compression: {stats.compression.methods.length > 0 ? stats.compression.methods.join(', ') : 'none'}
+          </div>
+          <table className="compression-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>In file</th>
+                <th>Decoded</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[['Geometry', stats.compression.geometry], ['Textures', stats.compression.textures]].map(([label, sizes]) => (
+                <tr key={label}>
+                  <td>{label}</td>
+                  <td>{formatBytes(sizes.stored)}</td>
+                  <td>
+                    {formatBytes(sizes.decoded)}
+                    {sizes.stored > 0 && sizes.decoded > 0 && <small> ({(sizes.decoded / sizes.stored).toFixed(1)}×)</small>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
       
+      {stats.missingResources?.length > 0 && (
+        <div className="missing-resources">
+          ⚠️ {stats.missingResources.length} referenced file{stats.missingResources.length === 1 ? ' was' : 's were'} not found: {stats.missingResources.join(', ')}
+        </div>
+      )}
+
       {stats.textures && stats.textures.length > 0 && (
         <div className="texture-section">
           <div className="texture-title">Texture Details</div>
@@ -1,8 +1,22 @@
 import React, { useRef, useState } from 'react';
+import { AssetBundleService } from '../services/AssetBundleService';
+
+// Models and archives, plus the sidecar files a .gltf or .obj may reference
+const ACCEPT = [...AssetBundleService.acceptedExtensions, '.bin', '.mtl', 'image/*'].join(',');
 
 const ModelUploader = ({ label, onFileSelect, file }) => {
   const fileInputRef = useRef();
   const [isDragOver, setIsDragOver] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selectEntries = (entries) => {
+    if (!entries.some(entry => AssetBundleService.isAccepted(entry.path))) {
+      setError(`Unsupported file. Drop a ${AssetBundleService.acceptedExtensions.join(', ')} file, or a folder containing one.`);
+      return;
+    }
+    setError(null);
+    onFileSelect(entries);
+  };
 
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -14,21 +28,22 @@ const ModelUploader = ({ label, onFileSelect, file }) => {
     setIsDragOver(false);
   };
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     setIsDragOver(false);
-    
-    const files = e.dataTransfer.files;
-    if (files.length > 0 && files[0].name.toLowerCase().endsWith('.glb')) {
-      onFileSelect(files[0]);
+
+    try {
+      selectEntries(await AssetBundleService.collectDroppedFiles(e.dataTransfer));
+    } catch (dropError) {
+      setError(`Could not read the dropped files: ${dropError.message}`);
     }
   };
 
   const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      onFileSelect(file);
+    if (e.target.files.length > 0) {
+      selectEntries(AssetBundleService.fromFileList(e.target.files));
     }
+    e.target.value = '';
   };
 
   const handleClick = () => {
@@ -46,7 +61,8 @@ const ModelUploader = ({ label, onFileSelect, file }) => {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".glb"
+          accept={ACCEPT}
+          multiple
           className="file-input"
           onChange={handleFileChange}
         />
@@ -60,12 +76,16 @@ const ModelUploader = ({ label, onFileSelect, file }) => {
         >
           <div className="drop-icon">📁</div>
           <div className="drop-text">
-            {file ? file.name : 'Choose a GLB file'}
+            {file ? file.name : 'Choose a model file'}
           </div>
           <div className="drop-subtext">
-            {file ? `${(file.size / 1024 / 1024).toFixed(2)} MB` : 'or drag and drop here'}
+            {file
+              ? `${(file.size / 1024 / 1024).toFixed(2)} MB${file.fileCount > 1 ? ` · ${file.fileCount} files` : ''}`
+              : 'GLB, glTF, FBX, OBJ, USDZ or ZIP — drag files or a folder here'}
           </div>
         </div>
+
+        {error && <div className="file-error">{error}</div>}
         
         {file && (
           <div className="file-selected">
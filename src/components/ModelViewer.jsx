@@ -2,23 +2,72 @@ import React, {
   useEffect,
   useRef,
   forwardRef,
-  useImperativeHandle
+  useImperativeHandle,
+  useMemo
 } from 'react';
 import * as THREE from 'three';
-import { ThreeService } from '../services/ThreeService';
+import { EnvironmentService } from '../services/EnvironmentService';
+import { ChannelService } from '../services/ChannelService';
 import { CameraSync } from '../services/CameraSync';
+import { AlignmentService } from '../services/AlignmentService';
+import { AnimationService } from '../services/AnimationService';
 
-const ModelViewer = forwardRef(({ scene, type }, ref) => {
+const applyEnvironment = (renderer, stage, environment) => {
+  EnvironmentService.apply(renderer, stage, environment).catch(error => {
+    console.error('Error applying environment:', error);
+  });
+};
+
+// The gizmo moves the alignment group, never the model root the viewer centres
+const updateGizmo = (transform, scene, mode) => {
+  if (mode === 'none') {
+    transform.detach();
+    return;
+  }
+  transform.setMode(mode);
+  transform.attach(AlignmentService.getGroup(scene));
+};
+
+const ModelViewer = forwardRef(({
+  scene,
+  type,
+  environment,
+  channel = ChannelService.defaultChannel,
+  onChannelChange,
+  overlays = [],
+  placement = null,
+  gizmo = 'none',
+  onGizmoChange,
+  projection = 'perspective',
+  animations,
+  highlights = []
+}, ref) => {
   const canvasRef = useRef();
   const rendererRef = useRef();
+  const stageRef = useRef();
+  const environmentRef = useRef(environment);
+  const channelRef = useRef(channel);
+  const placementRef = useRef(placement);
+  const ownPlacementRef = useRef();
+  const gizmoRef = useRef(gizmo);
+  const onGizmoChangeRef = useRef(onGizmoChange);
+  const transformRef = useRef();
+  const projectionRef = useRef(projection);
+  const camerasRef = useRef();
   const cameraRef = useRef();
   const controlsRef = useRef();
   const animationFrameRef = useRef();
+  // Highlights follow their target mesh but, like the gizmo, stay out of the
+  // stage so comparison renders never include them
+  const highlightScene = useMemo(() => new THREE.Scene(), []);
 
   useImperativeHandle(ref, () => ({
     getRenderer: () => rendererRef.current,
     getCamera: () => cameraRef.current,
     getControls: () => controlsRef.current,
+    // The stage wraps the model in a THREE.Scene; environment and background
+    // only apply when the render root is a Scene
+    getScene: () => stageRef.current,
     captureSnapshot: () => {
       if (rendererRef.current) {
         return rendererRef.current.domElement.toDataURL('image/png');
@@ -33,6 +82,7 @@ const ModelViewer = forwardRef(({ scene, type }, ref) => {
     const setupViewer = async () => {
       try {
         const { OrbitControls } = await import('three/examples/jsm/controls/OrbitControls.js');
+        const { TransformControls } = await import('three/examples/jsm/controls/TransformControls.js');
 
         if (rendererRef.current) {
           rendererRef.current.dispose();
@@ -59,6 +109,8 @@ const ModelViewer = forwardRef(({ scene, type }, ref) => {
         rendererRef.current = renderer;
 
         const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+        const orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+        camerasRef.current = { perspective: camera, orthographic: orthographicCamera };
         cameraRef.current = camera;
 
         const controls = new OrbitControls(camera, renderer.domElement);
@@ -82,14 +134,40 @@ const ModelViewer = forwardRef(({ scene, type }, ref) => {
 
         camera.position.set(0, 0, cameraZ);
         camera.lookAt(0, 0, 0);
-        scene.position.set(-center.x, -center.y, -center.z);
+        // A placement from outside (e.g. Model 1's, once the models are
+        // aligned) replaces the model's own centring
+        ownPlacementRef.current = new THREE.Vector3(-center.x, -center.y, -center.z);
+        scene.position.copy(placementRef.current || ownPlacementRef.current);
         controls.target.copy(new THREE.Vector3(0, 0, 0));
         controls.update();
+        cameraRef.current = CameraSync.switchProjection(camerasRef.current, camera, projectionRef.current, controls);
 
-        ThreeService.setupEnvironment(renderer, scene, camera);
+        const stage = new THREE.Scene();
+        stage.add(scene);
+        stageRef.current = stage;
+        applyEnvironment(renderer, stage, environmentRef.current);
+        ChannelService.apply(stage, channelRef.current);
+        AnimationService.registerPlayer(type, scene, animations || []);
+
+        // The gizmo helper lives in its own scene so offscreen comparison
+        // renders of the stage never include it
+        const transform = new TransformControls(cameraRef.current, renderer.domElement);
+        const gizmoScene = new THREE.Scene();
+        gizmoScene.add(transform.getHelper());
+        transform.addEventListener('dragging-changed', (event) => {
+          controls.enabled = !event.value;
+        });
+        transform.addEventListener('mouseUp', (event) => {
+          const group = transform.object;
+          if (!group || !onGizmoChangeRef.current) return;
+          group.updateMatrix();
+          onGizmoChangeRef.current(group.matrix.toArray(), event.mode);
+        });
+        transformRef.current = transform;
+        updateGizmo(transform, scene, gizmoRef.current);
 
         CameraSync.registerViewer({
-          getCamera: () => camera,
+          getCamera: () => cameraRef.current,
           getControls: () => controls,
           getRenderer: () => renderer
         }, type);
@@ -122,15 +200,28 @@ const ModelViewer = forwardRef(({ scene, type }, ref) => {
         const animate = () => {
           animationFrameRef.current = requestAnimationFrame(animate);
           controls.update();
-          renderer.render(scene, camera);
+          renderer.render(stage, cameraRef.current);
+          if (transform.object) {
+            renderer.autoClear = false;
+            renderer.render(gizmoScene, cameraRef.current);
+            renderer.autoClear = true;
+          }
+          if (highlightScene.children.length > 0) {
+            highlightScene.children.forEach(child => {
+              child.matrix.copy(child.userData.target.matrixWorld);
+              child.matrixWorldNeedsUpdate = true;
+            });
+            renderer.autoClear = false;
+            renderer.render(highlightScene, cameraRef.current);
+            renderer.autoClear = true;
+          }
         };
         animate();
 
         const handleResize = () => {
           const width = canvas.clientWidth;
           const height = canvas.clientHeight;
-          camera.aspect = width / height;
-          camera.updateProjectionMatrix();
+          Object.values(camerasRef.current).forEach(viewCamera => CameraSync.setAspect(viewCamera, width / height));
           renderer.setSize(width, height);
         };
 
@@ -148,6 +239,9 @@ const ModelViewer = forwardRef(({ scene, type }, ref) => {
           canvas.removeEventListener('wheel', handleWheel);
           canvas.removeEventListener('touchmove', handleChange);
           CameraSync.unregisterViewer(type);
+          AnimationService.unregisterPlayer(type);
+          transform.dispose();
+          transformRef.current = null;
         };
       } catch (error) {
         console.error('Error setting up viewer:', error);
@@ -161,12 +255,73 @@ const ModelViewer = forwardRef(({ scene, type }, ref) => {
         cleanup.then(fn => fn && fn());
       }
     };
-  }, [scene, type]);
+  }, [scene, type, animations]);
+
+  useEffect(() => {
+    environmentRef.current = environment;
+    if (rendererRef.current && stageRef.current) {
+      applyEnvironment(rendererRef.current, stageRef.current, environment);
+    }
+  }, [environment]);
+
+  useEffect(() => {
+    channelRef.current = channel;
+    if (stageRef.current) {
+      ChannelService.apply(stageRef.current, channel);
+    }
+  }, [channel]);
+
+  useEffect(() => {
+    placementRef.current = placement;
+    if (scene && ownPlacementRef.current) {
+      scene.position.copy(placement || ownPlacementRef.current);
+    }
+  }, [placement, scene]);
+
+  useEffect(() => {
+    gizmoRef.current = gizmo;
+    if (transformRef.current && scene) {
+      updateGizmo(transformRef.current, scene, gizmo);
+    }
+  }, [gizmo, scene]);
+
+  useEffect(() => {
+    onGizmoChangeRef.current = onGizmoChange;
+  }, [onGizmoChange]);
+
+  useEffect(() => {
+    if (highlights.length === 0) return;
+    highlightScene.add(...highlights);
+    return () => highlightScene.remove(...highlights);
+  }, [highlights]);
+
+  useEffect(() => {
+    projectionRef.current = projection;
+    if (camerasRef.current && controlsRef.current) {
+      cameraRef.current = CameraSync.switchProjection(camerasRef.current, cameraRef.current, projection, controlsRef.current);
+      if (transformRef.current) transformRef.current.camera = cameraRef.current;
+    }
+  }, [projection]);
 
   return (
     <div className="model-viewer">
       <div className="canvas-container">
         <canvas ref={canvasRef} />
+        {scene && onChannelChange && (
+          <select
+            className="channel-select"
+            value={channel}
+            onChange={(e) => onChannelChange(e.target.value)}
+            title={ChannelService.getChannel(channel)?.description}
+          >
+            {ChannelService.channels.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+            {ChannelService.overlays.filter(option => overlays.includes(option.id)).map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        )}
         {!scene && (
           <div className="canvas-placeholder">
             <span role="img" aria-label="controller">🎮</span>
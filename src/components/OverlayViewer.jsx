@@ -0,0 +1,291 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { EnvironmentService } from '../services/EnvironmentService';
+import { OverlayService, OVERLAY_TINTS } from '../services/OverlayService';
+import { CameraSync } from '../services/CameraSync';
+import { AlignmentService } from '../services/AlignmentService';
+import { AnimationService } from '../services/AnimationService';
+
+const applyEnvironment = (renderer, stage, environment) => {
+  EnvironmentService.apply(renderer, stage, environment).catch(error => {
+    console.error('Error applying environment:', error);
+  });
+};
+
+const OverlayViewer = ({
+  originalScene,
+  comparisonScene,
+  originalAnimations,
+  comparisonAnimations,
+  environment,
+  alignment,
+  projection = 'perspective'
+}) => {
+  const [settings, setSettings] = useState({ ...OverlayService.defaultSettings });
+  const canvasRef = useRef();
+  const containerRef = useRef();
+  const rendererRef = useRef();
+  const stageRef = useRef();
+  const modelsRef = useRef();
+  const environmentRef = useRef(environment);
+  const settingsRef = useRef(settings);
+  const alignmentRef = useRef(alignment);
+  const projectionRef = useRef(projection);
+  const camerasRef = useRef();
+  const cameraRef = useRef();
+  const controlsRef = useRef();
+
+  const update = (changes) => {
+    setSettings({ ...settings, ...changes });
+  };
+
+  useEffect(() => {
+    if (!originalScene || !comparisonScene || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    let animationFrame;
+    let disposed = false;
+    let cleanup = () => {};
+
+    const setupViewer = async () => {
+      const { OrbitControls } = await import('three/examples/jsm/controls/OrbitControls.js');
+      if (disposed) return;
+
+      const renderer = new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        preserveDrawingBuffer: true,
+        alpha: true
+      });
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      renderer.setSize(width, height);
+      renderer.setPixelRatio(window.devicePixelRatio);
+      renderer.toneMapping = THREE.ACESFilmicToneMapping;
+      renderer.toneMappingExposure = 2.0;
+      rendererRef.current = renderer;
+
+      const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+      camerasRef.current = { perspective: camera, orthographic: new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000) };
+      const controls = new OrbitControls(camera, renderer.domElement);
+      controlsRef.current = controls;
+      controls.enableDamping = true;
+      controls.dampingFactor = 0.25;
+      controls.screenSpacePanning = false;
+      controls.maxPolarAngle = Math.PI / 1.5;
+
+      const { stage, models, diagonal } = OverlayService.createStage(originalScene, comparisonScene);
+      stageRef.current = stage;
+      modelsRef.current = models;
+      if (alignmentRef.current) AlignmentService.apply(models.comparison, alignmentRef.current);
+      OverlayService.applySettings(models, settingsRef.current);
+      // The clones follow the shared animation timeline like the side-by-side viewers
+      AnimationService.registerPlayer('overlay-original', models.original, originalAnimations || []);
+      AnimationService.registerPlayer('overlay-comparison', models.comparison, comparisonAnimations || []);
+      applyEnvironment(renderer, stage, environmentRef.current);
+
+      // Same framing as the side-by-side viewers, then follow Model 1's camera
+      const size = new THREE.Box3().setFromObject(models.original).getSize(new THREE.Vector3());
+      const maxDim = Math.max(size.x, size.y, size.z);
+      camera.position.set(0, 0, Math.abs(maxDim / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) * 1.5);
+      camera.lookAt(0, 0, 0);
+      controls.update();
+      cameraRef.current = CameraSync.switchProjection(camerasRef.current, camera, projectionRef.current, controls);
+
+      CameraSync.registerViewer({
+        getCamera: () => cameraRef.current,
+        getControls: () => controls,
+        getRenderer: () => renderer
+      }, 'overlay');
+      CameraSync.syncFromSource('original');
+
+      const handleChange = () => CameraSync.syncFromSource('overlay');
+      controls.addEventListener('change', handleChange);
+
+      const differencePass = OverlayService.createDifferencePass();
+
+      const animate = () => {
+        animationFrame = requestAnimationFrame(animate);
+        controls.update();
+
+        const current = settingsRef.current;
+        const viewCamera = cameraRef.current;
+        if (current.differencesOnly) {
+          OverlayService.renderDifference(renderer, differencePass, stage, models, viewCamera, current.tolerance * diagonal);
+        } else if (current.split) {
+          OverlayService.renderSplit(renderer, stage, models, viewCamera, current.splitPosition);
+        } else {
+          renderer.render(stage, viewCamera);
+        }
+      };
+      animate();
+
+      const handleResize = () => {
+        Object.values(camerasRef.current).forEach(viewCamera => CameraSync.setAspect(viewCamera, canvas.clientWidth / canvas.clientHeight));
+        renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+      };
+      window.addEventListener('resize', handleResize);
+
+      cleanup = () => {
+        cancelAnimationFrame(animationFrame);
+        window.removeEventListener('resize', handleResize);
+        controls.removeEventListener('change', handleChange);
+        controls.dispose();
+        CameraSync.unregisterViewer('overlay');
+        AnimationService.unregisterPlayer('overlay-original');
+        AnimationService.unregisterPlayer('overlay-comparison');
+        OverlayService.disposeDifferencePass(differencePass);
+        OverlayService.disposeStage(models);
+        renderer.dispose();
+        rendererRef.current = null;
+        stageRef.current = null;
+        camerasRef.current = null;
+      };
+    };
+
+    setupViewer().catch(error => {
+      console.error('Error setting up overlay viewer:', error);
+    });
+
+    return () => {
+      disposed = true;
+      cleanup();
+    };
+  }, [originalScene, comparisonScene, originalAnimations, comparisonAnimations]);
+
+  useEffect(() => {
+    environmentRef.current = environment;
+    if (rendererRef.current && stageRef.current) {
+      applyEnvironment(rendererRef.current, stageRef.current, environment);
+    }
+  }, [environment]);
+
+  useEffect(() => {
+    projectionRef.current = projection;
+    if (camerasRef.current && controlsRef.current) {
+      cameraRef.current = CameraSync.switchProjection(camerasRef.current, cameraRef.current, projection, controlsRef.current);
+    }
+  }, [projection]);
+
+  // The clone carries its own alignment group, kept in step with Model 2's
+  useEffect(() => {
+    alignmentRef.current = alignment;
+    if (modelsRef.current && alignment) {
+      AlignmentService.apply(modelsRef.current.comparison, alignment);
+    }
+  }, [alignment]);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    if (modelsRef.current) {
+      OverlayService.applySettings(modelsRef.current, settings);
+    }
+  }, [settings]);
+
+  // The divider sits above the canvas, so dragging it never orbits the camera
+  const handleDividerDrag = (e) => {
+    e.preventDefault();
+    const rect = containerRef.current.getBoundingClientRect();
+
+    const handleMove = (event) => {
+      const position = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+      settingsRef.current = { ...settingsRef.current, splitPosition: position };
+      setSettings(settingsRef.current);
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const showSplit = settings.split && !settings.differencesOnly;
+
+  return (
+    <div className="overlay-viewer">
+      <div className="canvas-container overlay-canvas" ref={containerRef}>
+        <canvas ref={canvasRef} />
+        {showSplit && (
+          <>
+            <div
+              className="overlay-divider"
+              style={{ left: `${settings.splitPosition * 100}%` }}
+              onPointerDown={handleDividerDrag}
+              title="Drag to move the split"
+            />
+            <span className="overlay-split-label left">Model 1</span>
+            <span className="overlay-split-label right">Model 2</span>
+          </>
+        )}
+      </div>
+
+      <div className="settings-row overlay-controls">
+        <label className="settings-field settings-checkbox">
+          <input type="checkbox" checked={settings.tint} onChange={(e) => update({ tint: e.target.checked })} />
+          <span>Tint models</span>
+          {settings.tint && (
+            <span className="overlay-legend">
+              <span className="overlay-swatch" style={{ background: OVERLAY_TINTS.original }} /> Model 1
+              <span className="overlay-swatch" style={{ background: OVERLAY_TINTS.comparison }} /> Model 2
+            </span>
+          )}
+        </label>
+
+        <label className="settings-field">
+          <span className="settings-label">X-ray</span>
+          <select
+            value={settings.ghost}
+            onChange={(e) => update({ ghost: e.target.value })}
+            disabled={settings.differencesOnly}
+          >
+            <option value="none">None</option>
+            <option value="original">Model 1</option>
+            <option value="comparison">Model 2</option>
+          </select>
+        </label>
+
+        <label className="settings-field settings-checkbox">
+          <input
+            type="checkbox"
+            checked={settings.split}
+            onChange={(e) => update({ split: e.target.checked })}
+            disabled={settings.differencesOnly}
+          />
+          <span>Split screen</span>
+        </label>
+
+        <label className="settings-field settings-checkbox">
+          <input
+            type="checkbox"
+            checked={settings.differencesOnly}
+            onChange={(e) => update({ differencesOnly: e.target.checked })}
+          />
+          <span>Differences only</span>
+        </label>
+
+        {settings.differencesOnly && (
+          <label className="settings-field">
+            <span className="settings-label">Tolerance ({(settings.tolerance * 100).toFixed(1)}% of size)</span>
+            <input
+              type="range"
+              min="0.001"
+              max="0.05"
+              step="0.001"
+              value={settings.tolerance}
+              onChange={(e) => update({ tolerance: parseFloat(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="settings-hint">
+        {settings.differencesOnly
+          ? 'Only surfaces that one model has in front of the other from this view are shown in colour; coincident surfaces fade out.'
+          : 'Both models share one camera in their file coordinates, so any offset between them is visible directly.'}
+      </div>
+    </div>
+  );
+};
+
+export default OverlayViewer;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { MetricsService } from '../services/MetricsService';
+
+const PerceptualMetrics = ({ results }) => {
+  if (!results.metrics || Object.keys(results.metrics).length === 0) return null;
+
+  const drivers = results.drivers || [];
+  const computed = MetricsService.metrics.filter(metric => results.metrics[metric.id] !== undefined);
+  const maps = computed.filter(metric => results.metricMaps?.[metric.id]);
+
+  return (
+    <div className="perceptual-metrics">
+      <h3 className="section-subtitle">
+        Perceptual Metrics{results.views ? ` (mean over ${results.views.length} views)` : ''}
+      </h3>
+
+      <div className="metric-cards">
+        {computed.map(metric => (
+          <div key={metric.id} className={`metric-card ${drivers.includes(metric.id) ? 'driver' : ''}`} title={metric.description}>
+            <div className="metric-value">{MetricsService.formatValue(metric.id, results.metrics[metric.id])}</div>
+            <div className="metric-label">{metric.label}</div>
+            <div className="metric-hint">
+              {metric.higherIsBetter ? 'higher is better' : 'lower is better'}
+              {drivers.includes(metric.id) ? ' · drives result' : ''}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {maps.length > 0 && (
+        <div className="metric-maps">
+          {maps.map(metric => (
+            <div key={metric.id} className="image-container">
+              <h3 className="image-label">
+                {metric.label} map{results.views ? ` (worst view: ${results.aggregate.worstView})` : ''}
+              </h3>
+              <img src={results.metricMaps[metric.id]} alt={`${metric.label} error map`} className="result-image" />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PerceptualMetrics;
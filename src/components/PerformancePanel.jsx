@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { PerformanceService } from '../services/PerformanceService';
+import { LodReportService } from '../services/LodReportService';
+
+const BudgetStatus = ({ title, check }) => {
+  if (!check) return null;
+  return (
+    <div className={`performance-status ${check.withinBudget ? 'pass' : 'fail'}`}>
+      <strong>{title}:</strong> {check.withinBudget ? `within the ${check.budget.name} budget` : check.exceeded.join('; ')}
+    </div>
+  );
+};
+
+const TextureList = ({ title, profile }) => (
+  <div className="validation-column">
+    <h4>{title}</h4>
+    {!profile || profile.largestTextures.length === 0 ? (
+      <div className="diff-empty">No textures.</div>
+    ) : (
+      <table className="material-table">
+        <thead>
+          <tr>
+            <th>Texture</th>
+            <th>Size</th>
+            <th>Format</th>
+            <th>GPU memory</th>
+          </tr>
+        </thead>
+        <tbody>
+          {profile.largestTextures.map((texture, index) => (
+            <tr key={index}>
+              <td className="material-property">{texture.name}</td>
+              <td>{texture.width} × {texture.height}</td>
+              <td>{texture.format}</td>
+              <td>{LodReportService.formatBytes(texture.bytes)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const PerformancePanel = ({ originalStats, comparisonStats, budgets, budget, onSelect, onChange, onSave, disabled }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const originalProfile = originalStats?.performance;
+  const comparisonProfile = comparisonStats?.performance;
+  const rows = PerformanceService.compareProfiles(originalProfile, comparisonProfile);
+  const originalCheck = originalProfile ? PerformanceService.checkBudget(originalProfile, budget) : null;
+  const comparisonCheck = comparisonProfile ? PerformanceService.checkBudget(comparisonProfile, budget) : null;
+
+  const isOver = (check, metricId) => check?.checks.find(entry => entry.metric === metricId)?.over;
+
+  const updateLimit = (metricId, value) => {
+    const limit = value === '' ? null : parseFloat(value);
+    onChange({ ...budget, limits: { ...budget.limits, [metricId]: Number.isNaN(limit) ? null : limit } });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([PerformanceService.exportBudget(budget)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${budget.id}.budget.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="performance-panel">
+      <div className="material-comparison-header">
+        <h3 className="section-subtitle">Runtime Cost</h3>
+        <div className="settings-row">
+          <label className="settings-field">
+            <span className="settings-label">Platform Budget</span>
+            <select value={budget.id} onChange={(e) => onSelect(e.target.value)} disabled={disabled}>
+              {budgets.map(option => (
+                <option key={option.id} value={option.id}>
+                  {option.name}{option.custom ? ' (custom)' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button className="btn btn-secondary" onClick={() => setIsEditing(!isEditing)}>
+            {isEditing ? 'Hide limits' : 'Edit limits'}
+          </button>
+          <button className="btn btn-secondary" onClick={handleExport}>
+            Export
+          </button>
+        </div>
+      </div>
+      {budget.description && <div className="settings-hint">{budget.description}</div>}
+
+      {isEditing && (
+        <div className="settings-row performance-budget-name">
+          <label className="settings-field">
+            <span className="settings-label">Name</span>
+            <input
+              type="text"
+              value={budget.name}
+              onChange={(e) => onChange({ ...budget, name: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+          <button className="btn btn-primary" onClick={onSave} disabled={disabled}>
+            Save as custom budget
+          </button>
+        </div>
+      )}
+
+      <table className="material-table performance-table">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Model 1</th>
+            <th>Model 2</th>
+            <th>Delta</th>
+            <th>Budget</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id}>
+              <td className="material-property">{row.label}</td>
+              <td className={isOver(originalCheck, row.id) ? 'performance-over' : ''}>
+                {PerformanceService.formatValue(row.original, row.unit)}
+              </td>
+              <td className={isOver(comparisonCheck, row.id) ? 'performance-over' : ''}>
+                {PerformanceService.formatValue(row.comparison, row.unit)}
+              </td>
+              <td>
+                {PerformanceService.formatDelta(row.delta, row.unit)}
+                {row.deltaPercent !== undefined && Math.abs(row.deltaPercent) >= 0.01 && (
+                  <small> ({row.deltaPercent > 0 ? '+' : ''}{row.deltaPercent.toFixed(1)}%)</small>
+                )}
+              </td>
+              <td>
+                {isEditing ? (
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder="off"
+                    value={budget.limits[row.id] ?? ''}
+                    onChange={(e) => updateLimit(row.id, e.target.value)}
+                    disabled={disabled}
+                  />
+                ) : PerformanceService.formatValue(budget.limits[row.id], row.unit)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <BudgetStatus title="Model 1" check={originalCheck} />
+      <BudgetStatus title="Model 2" check={comparisonCheck} />
+
+      <h4>Largest textures</h4>
+      <div className="validation-columns">
+        <TextureList title="Model 1" profile={originalProfile} />
+        <TextureList title="Model 2" profile={comparisonProfile} />
+      </div>
+
+      <div className="settings-hint">
+        Estimates of what the renderer uploads: textures at their decoded size with mip chains (KTX2 at its transcoded size),
+        vertex and index buffers once per shared array, one draw call per material group (two for transparent double-sided materials)
+        and one shader variant per distinct combination of material type and features. Memory limits are in MB.
+      </div>
+    </div>
+  );
+};
+
+export default PerformancePanel;
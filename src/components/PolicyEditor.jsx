@@ -0,0 +1,166 @@
+import React, { useRef, useState } from 'react';
+import { PolicyService, METRICS } from '../services/PolicyService';
+
+const PolicyEditor = ({ policies, policy, onSelect, onChange, onSave, onImport, evaluation, disabled }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef();
+
+  const updateLimit = (metricId, level, value) => {
+    const limit = value === '' ? null : parseFloat(value);
+    onChange({
+      ...policy,
+      limits: {
+        ...policy.limits,
+        [metricId]: { ...policy.limits[metricId], [level]: Number.isNaN(limit) ? null : limit }
+      }
+    });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([PolicyService.exportPolicy(policy)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${policy.id}.policy.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onImport(PolicyService.importPolicy(await file.text(), policies.map(option => option.id)));
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const checkFor = (metricId) => evaluation?.checks.find(check => check.metric === metricId);
+
+  return (
+    <div className="policy-editor">
+      <div className="settings-row">
+        <label className="settings-field">
+          <span className="settings-label">Acceptance Policy</span>
+          <select
+            value={policy.id}
+            onChange={(e) => onSelect(e.target.value)}
+            disabled={disabled}
+          >
+            {policies.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.name}{option.custom ? ' (custom)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="settings-hint">{policy.description}</div>
+
+        <div className="policy-actions">
+          <button className="btn btn-secondary" onClick={() => setIsExpanded(!isExpanded)}>
+            {isExpanded ? 'Hide limits' : 'Edit limits'}
+          </button>
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()} disabled={disabled}>
+            Import
+          </button>
+          <button className="btn btn-secondary" onClick={handleExport}>
+            Export
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+        </div>
+      </div>
+
+      {importError && <div className="policy-error">{importError}</div>}
+
+      {isExpanded && (
+        <div className="policy-limits">
+          <div className="settings-row">
+            <label className="settings-field">
+              <span className="settings-label">Name</span>
+              <input
+                type="text"
+                value={policy.name}
+                onChange={(e) => onChange({ ...policy, name: e.target.value })}
+                disabled={disabled}
+              />
+            </label>
+            <label className="settings-field">
+              <span className="settings-label">Material Tolerance</span>
+              <input
+                type="number"
+                min="0"
+                step="0.001"
+                value={policy.materialTolerance}
+                onChange={(e) => onChange({ ...policy, materialTolerance: Math.max(0, parseFloat(e.target.value) || 0) })}
+                disabled={disabled}
+              />
+            </label>
+            <button className="btn btn-primary" onClick={onSave} disabled={disabled}>
+              Save as custom policy
+            </button>
+          </div>
+
+          <table className="policy-table">
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th>Warn</th>
+                <th>Fail</th>
+                <th>Last result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {METRICS.map(metric => {
+                const check = checkFor(metric.id);
+                const limit = policy.limits[metric.id] || {};
+                return (
+                  <tr key={metric.id}>
+                    <td>
+                      {metric.label}{metric.unit ? ` (${metric.unit})` : ''}
+                      <small>{metric.direction === 'min' ? ' minimum' : ' maximum'}</small>
+                    </td>
+                    {['warn', 'fail'].map(level => (
+                      <td key={level}>
+                        <input
+                          type="number"
+                          step="any"
+                          placeholder="off"
+                          value={limit[level] ?? ''}
+                          onChange={(e) => updateLimit(metric.id, level, e.target.value)}
+                          disabled={disabled}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      {check?.measured ? (
+                        <span className={`turntable-value ${PolicyService.getVerdictClass(check.level)}`}>
+                          {PolicyService.formatValue(check.value, check.unit)} · {check.level}
+                        </span>
+                      ) : '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PolicyEditor;
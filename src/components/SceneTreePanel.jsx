@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import { SceneTreeService } from '../services/SceneTreeService';
+
+const STATUS_LABELS = {
+  changed: 'changed',
+  missing: 'only in Model 1',
+  added: 'only in Model 2'
+};
+
+const STATUS_CLASSES = {
+  changed: 'modified',
+  missing: 'removed',
+  added: 'added'
+};
+
+const formatVector = (values) => values.map(value => value.toLocaleString(undefined, { maximumFractionDigits: 4 })).join(', ');
+
+const DETAIL_ROWS = [
+  { label: 'Type', get: node => node.type },
+  { label: 'Position', get: node => formatVector(node.position) },
+  { label: 'Rotation (°)', get: node => formatVector(node.rotation) },
+  { label: 'Scale', get: node => formatVector(node.scale) },
+  { label: 'Vertices', get: node => node.mesh?.vertices.toLocaleString() ?? '—' },
+  { label: 'Triangles', get: node => node.mesh?.triangles.toLocaleString() ?? '—' },
+  { label: 'Materials', get: node => node.materials.join(', ') || '—' },
+  { label: 'Children', get: node => node.children.length }
+];
+
+const collectIds = (node, predicate, ids = []) => {
+  if (predicate(node)) ids.push(node.id);
+  node.children.forEach(child => collectIds(child, predicate, ids));
+  return ids;
+};
+
+const findNode = (node, id) => {
+  if (node.id === id) return node;
+  for (const child of node.children) {
+    const found = findNode(child, id);
+    if (found) return found;
+  }
+  return null;
+};
+
+const NodeCell = ({ node, depth, expandable, expanded, onToggle }) => (
+  <div className="scene-tree-cell" style={{ paddingLeft: `${depth * 14}px` }}>
+    {expandable ? (
+      <button
+        className="scene-tree-caret"
+        onClick={(e) => { e.stopPropagation(); onToggle(); }}
+        aria-label={expanded ? 'Collapse' : 'Expand'}
+      >
+        {expanded ? '▾' : '▸'}
+      </button>
+    ) : <span className="scene-tree-caret" />}
+    {node ? (
+      <>
+        <span className="scene-tree-name">{SceneTreeService.getLabel(node)}</span>
+        <small>{node.type}{node.mesh ? ` · ${node.mesh.triangles.toLocaleString()} tris` : ''}</small>
+      </>
+    ) : <span className="scene-tree-absent">—</span>}
+  </div>
+);
+
+const SceneTreePanel = ({ tree, selection, visibility, onSelect, onVisibilityChange }) => {
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  // New models start with the top two levels open
+  useEffect(() => {
+    setExpanded(new Set(tree ? collectIds(tree, node => node.depth < 2) : []));
+  }, [tree]);
+
+  if (!tree) return null;
+
+  const counts = SceneTreeService.summarize(tree);
+  const toggle = (id) => {
+    const next = new Set(expanded);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setExpanded(next);
+  };
+
+  const isHidden = (node) => visibility.hidden.some(pair => pair.id === node.id);
+  const toggleHidden = (node) => onVisibilityChange({
+    ...visibility,
+    hidden: isHidden(node)
+      ? visibility.hidden.filter(pair => pair.id !== node.id)
+      : [...visibility.hidden, SceneTreeService.getPair(node)]
+  });
+  const toggleIsolated = (node) => onVisibilityChange({
+    ...visibility,
+    isolated: visibility.isolated?.id === node.id ? null : SceneTreeService.getPair(node)
+  });
+
+  const rows = [];
+  const addRows = (node) => {
+    const isExpanded = expanded.has(node.id);
+    rows.push(
+      <div
+        key={node.id}
+        className={`scene-tree-row ${node.status} ${selection?.id === node.id ? 'selected' : ''} ${isHidden(node) ? 'hidden-node' : ''}`}
+        onClick={() => onSelect(selection?.id === node.id ? null : node)}
+        title={node.differences.join(', ')}
+      >
+        {['original', 'comparison'].map(side => (
+          <NodeCell
+            key={side}
+            node={node[side]}
+            depth={node.depth}
+            expandable={node.children.length > 0}
+            expanded={isExpanded}
+            onToggle={() => toggle(node.id)}
+          />
+        ))}
+        <div className="scene-tree-actions">
+          {node.status !== 'same' && <span className={`diff-type ${STATUS_CLASSES[node.status]}`}>{STATUS_LABELS[node.status]}</span>}
+          {!isExpanded && node.changedDescendants > 0 && <small>{node.changedDescendants} below</small>}
+          {node.depth > 0 && (
+            <>
+              <button
+                className={`scene-tree-toggle ${visibility.isolated?.id === node.id ? 'active' : ''}`}
+                onClick={(e) => { e.stopPropagation(); toggleIsolated(node); }}
+                title="Show only this node in both viewers"
+              >
+                Isolate
+              </button>
+              <button
+                className={`scene-tree-toggle ${isHidden(node) ? 'active' : ''}`}
+                onClick={(e) => { e.stopPropagation(); toggleHidden(node); }}
+                title={isHidden(node) ? 'Show this node' : 'Hide this node'}
+              >
+                {isHidden(node) ? 'Show' : 'Hide'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+    if (isExpanded) node.children.forEach(addRows);
+  };
+  addRows(tree);
+
+  const selected = selection && findNode(tree, selection.id);
+
+  return (
+    <div className="scene-tree-panel">
+      <div className="material-comparison-header">
+        <h3 className="section-subtitle">Scene Graph</h3>
+        <div className="diff-counts">
+          <span className="diff-count modified">{counts.changed} changed</span>
+          <span className="diff-count removed">{counts.missing} only in Model 1</span>
+          <span className="diff-count added">{counts.added} only in Model 2</span>
+        </div>
+        <div className="settings-row">
+          <button className="btn btn-secondary" onClick={() => setExpanded(new Set(collectIds(tree, node => node.changedDescendants > 0)))}>
+            Expand changes
+          </button>
+          <button className="btn btn-secondary" onClick={() => setExpanded(new Set([tree.id]))}>
+            Collapse
+          </button>
+          {(visibility.hidden.length > 0 || visibility.isolated) && (
+            <button className="btn btn-secondary" onClick={() => onVisibilityChange({ hidden: [], isolated: null })}>
+              Show all
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="scene-tree">
+        <div className="scene-tree-row scene-tree-head">
+          <div className="scene-tree-cell">Model 1</div>
+          <div className="scene-tree-cell">Model 2</div>
+          <div className="scene-tree-actions" />
+        </div>
+        {rows}
+      </div>
+
+      {selected && (
+        <table className="material-table scene-tree-details">
+          <thead>
+            <tr>
+              <th>{SceneTreeService.getLabel(selected.original || selected.comparison)}</th>
+              <th>Model 1</th>
+              <th>Model 2</th>
+            </tr>
+          </thead>
+          <tbody>
+            {DETAIL_ROWS.map(row => {
+              const original = selected.original ? row.get(selected.original) : '—';
+              const comparison = selected.comparison ? row.get(selected.comparison) : '—';
+              return (
+                <tr key={row.label} className={selected.original && selected.comparison && original !== comparison ? 'exceeds' : ''}>
+                  <td className="material-property">{row.label}</td>
+                  <td>{original}</td>
+                  <td>{comparison}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div className="settings-hint">
+        Nodes are matched by name among their siblings, then by type and order. Click a node to highlight and frame it in both viewers;
+        hidden and isolated nodes also apply to comparison renders.
+      </div>
+    </div>
+  );
+};
+
+export default SceneTreePanel;
@@ -0,0 +1,56 @@
+import React from 'react';
+
+const KIND_TITLES = {
+  nodes: 'Nodes',
+  meshes: 'Meshes',
+  materials: 'Materials',
+  textures: 'Textures'
+};
+
+const StructureDiff = ({ diff }) => {
+  if (!diff) return null;
+
+  const { summary, changes } = diff;
+
+  return (
+    <div className="structure-diff">
+      <h3 className="section-subtitle">Structural Differences</h3>
+
+      <div className="diff-counts">
+        {['added', 'removed', 'renamed', 'modified'].map(type => (
+          <span key={type} className={`diff-count ${type}`}>
+            {summary[type]} {type}
+          </span>
+        ))}
+        <span className="diff-count unchanged">{summary.unchanged} unchanged</span>
+      </div>
+
+      {diff.identical ? (
+        <div className="diff-empty">
+          Node hierarchy, meshes, materials and textures are structurally identical.
+        </div>
+      ) : (
+        Object.keys(KIND_TITLES).map(kind => {
+          const kindChanges = changes.filter(change => change.kind === kind);
+          if (kindChanges.length === 0) return null;
+
+          return (
+            <div key={kind} className="diff-group">
+              <div className="diff-group-title">{KIND_TITLES[kind]}</div>
+              <ul className="diff-list">
+                {kindChanges.map((change, index) => (
+                  <li key={index} className="diff-entry">
+                    <span className={`diff-type ${change.type}`}>{change.type}</span>
+                    <span className="diff-text">{change.text}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default StructureDiff;
@@ -0,0 +1,54 @@
+import React from 'react';
+
+const describe = (info) => {
+  if (!info) return '—';
+  return `${info.width}×${info.height} · ${info.format} · ${info.colorSpace}`;
+};
+
+const TextureComparison = ({ textureDiff }) => {
+  if (!textureDiff || textureDiff.pairs.length === 0) return null;
+
+  return (
+    <div className="texture-comparison">
+      <h3 className="section-subtitle">
+        Texture Differences ({textureDiff.differingCount} of {textureDiff.pairs.length} pairs differ)
+      </h3>
+
+      <div className="texture-pairs">
+        {textureDiff.pairs.map((pair, index) => (
+          <div key={`${pair.material}-${pair.slot}-${index}`} className="texture-pair">
+            <div className="texture-pair-header">
+              <span className="texture-pair-title">{pair.material} · {pair.slot}</span>
+              <span className={`diff-type ${pair.status === 'compared' ? (pair.percentage > 0 ? 'modified' : '') : 'removed'}`}>
+                {pair.status === 'compared' ? `${pair.percentage.toFixed(2)}%` : pair.status}
+              </span>
+            </div>
+
+            {pair.status === 'compared' && (
+              <div className="texture-pair-images">
+                <img src={pair.imageA} alt={`${pair.slot} Model 1`} />
+                <img src={pair.imageB} alt={`${pair.slot} Model 2`} />
+                <img src={pair.diffImage} alt={`${pair.slot} difference`} />
+              </div>
+            )}
+
+            <div className="texture-pair-info">
+              <div><strong>Model 1:</strong> {pair.textureA?.name} <small>{describe(pair.textureA)}</small></div>
+              <div><strong>Model 2:</strong> {pair.textureB?.name} <small>{describe(pair.textureB)}</small></div>
+            </div>
+
+            {pair.differences.length > 0 && (
+              <ul className="texture-pair-differences">
+                {pair.differences.map((difference, i) => (
+                  <li key={i}>{difference}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TextureComparison;
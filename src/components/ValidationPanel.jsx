@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { ValidationService } from '../services/ValidationService';
+
+const SEVERITY_CLASSES = {
+  error: 'removed',
+  warning: 'modified',
+  info: ''
+};
+
+const ValidationColumn = ({ title, model, severities }) => {
+  if (!model) {
+    return (
+      <div className="validation-column">
+        <h4>{title}</h4>
+        <div className="settings-hint">Not loaded</div>
+      </div>
+    );
+  }
+
+  const { validation } = model;
+  if (!validation) {
+    return (
+      <div className="validation-column">
+        <h4>{title}</h4>
+        <div className="settings-hint">Validation needs a glTF or GLB file</div>
+      </div>
+    );
+  }
+
+  const issues = validation.issues.filter(issue => severities.includes(issue.severity));
+
+  return (
+    <div className="validation-column">
+      <h4>{title}</h4>
+      <div className="diff-counts">
+        <span className={`diff-count ${validation.counts.errors > 0 ? 'removed' : 'unchanged'}`}>{validation.counts.errors} errors</span>
+        <span className={`diff-count ${validation.counts.warnings > 0 ? 'modified' : 'unchanged'}`}>{validation.counts.warnings} warnings</span>
+        <span className="diff-count unchanged">{validation.counts.infos} info</span>
+      </div>
+      {validation.generator && <div className="settings-hint">Generator: {validation.generator}</div>}
+
+      {issues.length === 0 ? (
+        <div className="diff-empty">No issues{severities.length < ValidationService.severities.length ? ' at this level' : ''}.</div>
+      ) : (
+        <ul className="diff-list">
+          {issues.map((issue, index) => (
+            <li key={index} className="diff-entry" title={issue.pointer}>
+              <span className={`diff-type ${SEVERITY_CLASSES[issue.severity]}`}>{issue.severity}</span>
+              <span className="diff-text">
+                {issue.message} <code className="validation-code">{issue.code}</code>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const ExtensionCell = ({ state }) => {
+  if (!state) return <td>—</td>;
+  if (!state.used) return <td className="validation-absent">not used</td>;
+  return <td>{state.required ? 'required' : 'used'}</td>;
+};
+
+const ValidationPanel = ({ original, comparison }) => {
+  const [showInfo, setShowInfo] = useState(false);
+  const severities = showInfo ? ValidationService.severities : ['error', 'warning'];
+  const extensions = ValidationService.compareExtensions(original?.validation, comparison?.validation);
+
+  return (
+    <div className="validation-panel">
+      <div className="material-comparison-header">
+        <h3 className="section-subtitle">Validation</h3>
+        <label className="settings-field settings-checkbox">
+          <input type="checkbox" checked={showInfo} onChange={(e) => setShowInfo(e.target.checked)} />
+          <span className="settings-label">Show info</span>
+        </label>
+      </div>
+
+      <div className="validation-columns">
+        <ValidationColumn title="Model 1" model={original} severities={severities} />
+        <ValidationColumn title="Model 2" model={comparison} severities={severities} />
+      </div>
+
+      <h4>Extensions</h4>
+      {extensions.length === 0 ? (
+        <div className="diff-empty">Neither model uses glTF extensions.</div>
+      ) : (
+        <table className="material-table">
+          <thead>
+            <tr>
+              <th>Extension</th>
+              <th>Category</th>
+              <th>Model 1</th>
+              <th>Model 2</th>
+            </tr>
+          </thead>
+          <tbody>
+            {extensions.map(extension => (
+              <tr key={extension.name} className={extension.onlyIn ? 'exceeds' : ''}>
+                <td className="material-property">
+                  {extension.name}
+                  {!extension.supported && <span className="diff-type modified">not supported by the viewer</span>}
+                  {extension.onlyIn && (
+                    <span className="diff-type removed">only in {extension.onlyIn === 'original' ? 'Model 1' : 'Model 2'}</span>
+                  )}
+                </td>
+                <td>{extension.category}</td>
+                <ExtensionCell state={extension.original} />
+                <ExtensionCell state={extension.comparison} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="settings-hint">
+        Checks accessor bounds and min/max, index ranges, unit-length normals and tangents, extension declarations and unused objects.
+        Values inside Draco-compressed and sparse accessors are not checked.
+      </div>
+    </div>
+  );
+};
+
+export default ValidationPanel;
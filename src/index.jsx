@@ -9,9 +9,6 @@ import * as THREE from 'three';
 // Make THREE available globally
 window.THREE = THREE;
 
-// Load the pixelmatch utility if needed
-import './utils/pixelmatch.js';
-
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
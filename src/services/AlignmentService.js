@@ -0,0 +1,354 @@
+// AlignmentService.js - Registers Model 2 onto Model 1: units, up axis, bounding box, manual and ICP steps
+import * as THREE from 'three';
+import { buildBVH, closestPoint } from '../utils/triangleBVH.js';
+import { GeometryDeviationService, mulberry32 } from './GeometryDeviationService.js';
+
+// Metres per unit
+export const UNITS = {
+  m: { label: 'Metres', scale: 1 },
+  cm: { label: 'Centimetres', scale: 0.01 },
+  mm: { label: 'Millimetres', scale: 0.001 },
+  in: { label: 'Inches', scale: 0.0254 },
+  ft: { label: 'Feet', scale: 0.3048 }
+};
+
+export const UP_AXES = {
+  '+Y': new THREE.Vector3(0, 1, 0),
+  '+Z': new THREE.Vector3(0, 0, 1),
+  '-Z': new THREE.Vector3(0, 0, -1),
+  '+X': new THREE.Vector3(1, 0, 0),
+  '-X': new THREE.Vector3(-1, 0, 0),
+  '-Y': new THREE.Vector3(0, -1, 0)
+};
+
+// Model 2's children are wrapped in this group; its matrix is the alignment
+const GROUP_NAME = 'Alignment';
+
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Eigenvector of the largest eigenvalue of a symmetric 4×4 matrix (cyclic Jacobi)
+const largestEigenvector = (matrix) => {
+  const a = matrix.map(row => [...row]);
+  const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-20) break;
+
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  let best = 0;
+  for (let i = 1; i < 4; i++) {
+    if (a[i][i] > a[best][best]) best = i;
+  }
+  return [v[0][best], v[1][best], v[2][best], v[3][best]];
+};
+
+export class AlignmentService {
+  static defaultIcpOptions = {
+    sampleCount: 4000,
+    maxIterations: 50,
+    // Pairs beyond this quantile of the distances are treated as outliers
+    inlierFraction: 0.9,
+    seed: 7
+  };
+
+  static createAlignment() {
+    return { steps: [], matrix: new THREE.Matrix4().toArray() };
+  }
+
+  static isIdentity(alignment) {
+    return !alignment || alignment.steps.length === 0;
+  }
+
+  // Steps compose left to right: the newest step applies last
+  static addStep(alignment, step) {
+    const matrix = new THREE.Matrix4().fromArray(step.matrix).multiply(new THREE.Matrix4().fromArray(alignment.matrix));
+    return { steps: [...alignment.steps, step], matrix: matrix.toArray() };
+  }
+
+  static removeLastStep(alignment) {
+    return alignment.steps.slice(0, -1).reduce((result, step) => this.addStep(result, step), this.createAlignment());
+  }
+
+  static getGroup(root) {
+    let group = root.children.find(child => child.userData.isAlignment);
+    if (!group) {
+      group = new THREE.Group();
+      group.name = GROUP_NAME;
+      group.userData.isAlignment = true;
+      [...root.children].forEach(child => group.add(child));
+      root.add(group);
+    }
+    return group;
+  }
+
+  // Models that were never aligned are left unwrapped
+  static apply(root, alignment) {
+    if (this.isIdentity(alignment) && !root.children.some(child => child.userData.isAlignment)) return;
+    const group = this.getGroup(root);
+    new THREE.Matrix4().fromArray(alignment.matrix).decompose(group.position, group.quaternion, group.scale);
+    group.updateMatrixWorld(true);
+  }
+
+  // Offset that centres the model on its own bounds, as the viewers do
+  static computePlacement(root) {
+    root.updateWorldMatrix(true, true);
+    const center = new THREE.Box3().setFromObject(root).getCenter(new THREE.Vector3());
+    return center.sub(root.position).negate();
+  }
+
+  // Bounds in the root's own space, including the current alignment
+  static getLocalBox(root) {
+    const box = new THREE.Box3();
+    GeometryDeviationService.forEachMesh(root, (mesh, matrix) => {
+      mesh.geometry.computeBoundingBox();
+      box.union(mesh.geometry.boundingBox.clone().applyMatrix4(matrix));
+    });
+    return box;
+  }
+
+  static unitStep(fromUnit, toUnit) {
+    const scale = UNITS[fromUnit].scale / UNITS[toUnit].scale;
+    return {
+      type: 'units',
+      label: `Units ${fromUnit} → ${toUnit}`,
+      detail: `scaled by ${scale}`,
+      matrix: new THREE.Matrix4().makeScale(scale, scale, scale).toArray()
+    };
+  }
+
+  static axisStep(fromAxis, toAxis) {
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(UP_AXES[fromAxis], UP_AXES[toAxis]);
+    const angle = THREE.MathUtils.radToDeg(2 * Math.acos(Math.min(1, Math.abs(quaternion.w))));
+    return {
+      type: 'axis',
+      label: `Up axis ${fromAxis} → ${toAxis}`,
+      detail: `rotated ${angle.toFixed(0)}°`,
+      matrix: new THREE.Matrix4().makeRotationFromQuaternion(quaternion).toArray()
+    };
+  }
+
+  // Uniformly scales and moves Model 2 so its bounding box matches Model 1's
+  // centre and diagonal
+  static boundingBoxStep(referenceRoot, movingRoot) {
+    const reference = this.getLocalBox(referenceRoot);
+    const moving = this.getLocalBox(movingRoot);
+    if (reference.isEmpty() || moving.isEmpty()) {
+      throw new Error('Both models need meshes to match bounding boxes');
+    }
+
+    const referenceDiagonal = reference.getSize(new THREE.Vector3()).length();
+    const movingDiagonal = moving.getSize(new THREE.Vector3()).length();
+    const scale = movingDiagonal > 0 ? referenceDiagonal / movingDiagonal : 1;
+    const referenceCenter = reference.getCenter(new THREE.Vector3());
+    const movingCenter = moving.getCenter(new THREE.Vector3());
+
+    const matrix = new THREE.Matrix4()
+      .makeTranslation(referenceCenter.x, referenceCenter.y, referenceCenter.z)
+      .multiply(new THREE.Matrix4().makeScale(scale, scale, scale))
+      .multiply(new THREE.Matrix4().makeTranslation(-movingCenter.x, -movingCenter.y, -movingCenter.z));
+
+    const offset = referenceCenter.clone().sub(movingCenter);
+    return {
+      type: 'bbox',
+      label: 'Match bounding box',
+      detail: `scaled by ${scale.toPrecision(4)}, centre moved by ${this.formatVector(offset)}`,
+      matrix: matrix.toArray()
+    };
+  }
+
+  // `matrix` is Model 2's new alignment after a gizmo drag
+  static manualStep(alignment, matrix, mode) {
+    const delta = new THREE.Matrix4().fromArray(matrix).multiply(new THREE.Matrix4().fromArray(alignment.matrix).invert());
+    return {
+      type: 'manual',
+      label: `Manual ${mode}`,
+      detail: this.describeMatrix(delta.toArray()),
+      matrix: delta.toArray()
+    };
+  }
+
+  // Best rotation and translation mapping points onto targets (Horn's quaternion method)
+  static solveRigid(points, targets, indices) {
+    const count = indices.length;
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    indices.forEach(i => {
+      p.x += points[i * 3] / count; p.y += points[i * 3 + 1] / count; p.z += points[i * 3 + 2] / count;
+      q.x += targets[i * 3] / count; q.y += targets[i * 3 + 1] / count; q.z += targets[i * 3 + 2] / count;
+    });
+
+    const s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    indices.forEach(i => {
+      const a = [points[i * 3] - p.x, points[i * 3 + 1] - p.y, points[i * 3 + 2] - p.z];
+      const b = [targets[i * 3] - q.x, targets[i * 3 + 1] - q.y, targets[i * 3 + 2] - q.z];
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) s[r][c] += a[r] * b[c];
+      }
+    });
+
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = s;
+    const [w, x, y, z] = largestEigenvector([
+      [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+      [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+      [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+      [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+    ]);
+
+    const rotation = new THREE.Quaternion(x, y, z, w).normalize();
+    const translation = q.clone().sub(p.clone().applyQuaternion(rotation));
+    return new THREE.Matrix4().makeRotationFromQuaternion(rotation).setPosition(translation);
+  }
+
+  // Iterative closest point: samples Model 2's surface, pairs each sample with
+  // the closest point on Model 1, and solves the rigid motion until the RMS
+  // distance stops improving. Works from the current alignment, so coarse
+  // steps (units, axis, bounding box) should come first.
+  static async icpStep(referenceRoot, movingRoot, options = {}, onProgress) {
+    const settings = { ...this.defaultIcpOptions, ...options };
+    const reference = GeometryDeviationService.extractTriangles(referenceRoot);
+    const moving = GeometryDeviationService.extractTriangles(movingRoot);
+    if (reference.triangles.length === 0 || moving.triangles.length === 0) {
+      throw new Error('Both models need triangle meshes for ICP registration');
+    }
+
+    const bvh = buildBVH(reference.triangles);
+    const { points } = GeometryDeviationService.sampleSurface(moving.triangles, settings.sampleCount, mulberry32(settings.seed));
+    const count = points.length / 3;
+    const targets = new Float32Array(points.length);
+    const distances = new Float32Array(count);
+    const closest = [0, 0, 0];
+    const total = new THREE.Matrix4();
+    const previous = new THREE.Matrix4();
+    const point = new THREE.Vector3();
+
+    const diagonal = this.getLocalBox(referenceRoot).getSize(new THREE.Vector3()).length();
+    let initialRms = null;
+    let rms = Infinity;
+    let iteration = 0;
+
+    // Each pass measures the RMS of the steps taken so far, so the reported
+    // RMS always describes the returned transform
+    for (; ; iteration++) {
+      let sum = 0;
+      for (let i = 0; i < count; i++) {
+        distances[i] = closestPoint(bvh, points[i * 3], points[i * 3 + 1], points[i * 3 + 2], closest);
+        targets[i * 3] = closest[0];
+        targets[i * 3 + 1] = closest[1];
+        targets[i * 3 + 2] = closest[2];
+        sum += distances[i];
+      }
+      const currentRms = Math.sqrt(sum / count);
+      if (initialRms === null) initialRms = currentRms;
+      if (currentRms > rms) {
+        // The last step made things worse: undo it
+        total.copy(previous);
+        iteration--;
+        break;
+      }
+      const converged = rms - currentRms < diagonal * 1e-7;
+      rms = currentRms;
+      if (converged || iteration >= settings.maxIterations) break;
+
+      const cutoff = Float32Array.from(distances).sort()[Math.floor((count - 1) * settings.inlierFraction)];
+      const inliers = [];
+      for (let i = 0; i < count; i++) {
+        if (distances[i] <= cutoff) inliers.push(i);
+      }
+
+      const step = this.solveRigid(points, targets, inliers);
+      for (let i = 0; i < count; i++) {
+        point.fromArray(points, i * 3).applyMatrix4(step);
+        points[i * 3] = point.x;
+        points[i * 3 + 1] = point.y;
+        points[i * 3 + 2] = point.z;
+      }
+      previous.copy(total);
+      total.premultiply(step);
+
+      if (onProgress) onProgress(iteration + 1, settings.maxIterations, rms);
+      await yieldToUI();
+    }
+
+    return {
+      type: 'icp',
+      label: 'ICP registration',
+      detail: `${this.describeMatrix(total.toArray())}; RMS ${initialRms.toPrecision(4)} → ${rms.toPrecision(4)} after ${iteration} iterations`,
+      matrix: total.toArray(),
+      rmsBefore: initialRms,
+      rmsAfter: rms,
+      iterations: iteration
+    };
+  }
+
+  static decompose(matrixArray) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    new THREE.Matrix4().fromArray(matrixArray).decompose(position, quaternion, scale);
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+
+    return {
+      translation: position,
+      rotation: new THREE.Vector3(euler.x, euler.y, euler.z).multiplyScalar(THREE.MathUtils.RAD2DEG),
+      scale
+    };
+  }
+
+  static formatVector(vector, digits = 4) {
+    return `(${[vector.x, vector.y, vector.z].map(value => Number(value.toPrecision(digits))).join(', ')})`;
+  }
+
+  static describeMatrix(matrixArray) {
+    const { translation, rotation, scale } = this.decompose(matrixArray);
+    const parts = [];
+    if (translation.length() > 1e-9) parts.push(`translate ${this.formatVector(translation)}`);
+    if (rotation.length() > 1e-6) parts.push(`rotate ${this.formatVector(rotation, 3)}°`);
+    if (Math.abs(scale.x - 1) > 1e-9 || Math.abs(scale.y - 1) > 1e-9 || Math.abs(scale.z - 1) > 1e-9) {
+      parts.push(`scale ${this.formatVector(scale)}`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'no change';
+  }
+
+  // Recorded with the comparison results so the report shows what was compensated
+  static describe(alignment) {
+    if (this.isIdentity(alignment)) return null;
+    return {
+      steps: alignment.steps.map(({ type, label, detail }) => ({ type, label, detail })),
+      matrix: alignment.matrix,
+      summary: this.describeMatrix(alignment.matrix)
+    };
+  }
+}
@@ -0,0 +1,307 @@
+// AnimationService.js - Animation clip summaries, clip diffs and a shared playback timeline
+import * as THREE from 'three';
+
+const DEFAULT_TOLERANCES = {
+  // Degrees for rotation tracks, value units for everything else
+  angle: 0.01,
+  value: 1e-4
+};
+
+// Both tracks are evaluated at every keyframe time of either one; cap the
+// sample count for densely baked clips
+const MAX_SAMPLES = 2000;
+
+const getTrackKind = (track) => {
+  if (track.ValueTypeName === 'quaternion') return 'rotation';
+  if (track.ValueTypeName === 'bool' || track.ValueTypeName === 'string') return 'discrete';
+  if (track.name.endsWith('.position')) return 'translation';
+  if (track.name.endsWith('.scale')) return 'scale';
+  if (track.name.includes('morphTargetInfluences')) return 'morph';
+  return 'value';
+};
+
+const collectSampleTimes = (trackA, trackB) => {
+  const times = Array.from(new Set([...trackA.times, ...trackB.times])).sort((a, b) => a - b);
+  if (times.length <= MAX_SAMPLES) return times;
+  const step = (times.length - 1) / (MAX_SAMPLES - 1);
+  return Array.from({ length: MAX_SAMPLES }, (_, index) => times[Math.round(index * step)]);
+};
+
+// Distance between two sampled values: the rotation angle for quaternions,
+// 0 or 1 for discrete values, the Euclidean distance otherwise
+const measure = (kind, a, b, size) => {
+  if (kind === 'rotation') {
+    // atan2 of the chord lengths stays precise for nearly equal quaternions,
+    // where acos of their dot product does not
+    const sign = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3] < 0 ? -1 : 1;
+    let difference = 0;
+    let sum = 0;
+    for (let i = 0; i < 4; i++) {
+      difference += (a[i] - sign * b[i]) ** 2;
+      sum += (a[i] + sign * b[i]) ** 2;
+    }
+    return THREE.MathUtils.radToDeg(4 * Math.atan2(Math.sqrt(difference), Math.sqrt(sum)));
+  }
+  if (kind === 'discrete') {
+    for (let i = 0; i < size; i++) {
+      if (a[i] !== b[i]) return 1;
+    }
+    return 0;
+  }
+  let sum = 0;
+  for (let i = 0; i < size; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum);
+};
+
+export class AnimationService {
+  static defaultTolerances = DEFAULT_TOLERANCES;
+
+  static players = new Map();
+  // Selected clip as a key from keyClips, so clips sharing a name stay apart
+  static clipKey = null;
+  static time = 0;
+
+  // Unnamed clips are matched, and labelled, by their position in the file
+  static getClipName(clip, index) {
+    return clip.name || `Animation ${index + 1}`;
+  }
+
+  // Clips sharing a name are told apart by occurrence (the nth "Walk")
+  static keyClips(clips = []) {
+    const seen = new Map();
+    return clips.map((clip, index) => {
+      const name = this.getClipName(clip, index);
+      const occurrence = seen.get(name) || 0;
+      seen.set(name, occurrence + 1);
+      return { clip, index, name, key: `${name}#${occurrence}` };
+    });
+  }
+
+  static formatClipKey(key) {
+    const [, name, occurrence] = key.match(/^(.*)#(\d+)$/) || [null, key, '0'];
+    return occurrence === '0' ? name : `${name} (${Number(occurrence) + 1})`;
+  }
+
+  static getKeyframeCount(track) {
+    return track.times.length;
+  }
+
+  static summarizeClip(clip, index = 0) {
+    return {
+      name: this.getClipName(clip, index),
+      duration: clip.duration,
+      channelCount: clip.tracks.length,
+      keyframeCount: clip.tracks.reduce((sum, track) => sum + this.getKeyframeCount(track), 0)
+    };
+  }
+
+  static summarizeClips(clips = []) {
+    return clips.map((clip, index) => this.summarizeClip(clip, index));
+  }
+
+  static compareTracks(trackA, trackB) {
+    const kind = getTrackKind(trackA);
+    const size = trackA.getValueSize();
+    if (size !== trackB.getValueSize() || trackA.ValueTypeName !== trackB.ValueTypeName) {
+      return { kind, incompatible: true, maxDeviation: Infinity, meanDeviation: Infinity, maxAt: 0 };
+    }
+
+    const interpolantA = trackA.createInterpolant();
+    const interpolantB = trackB.createInterpolant();
+    let max = 0;
+    let maxAt = 0;
+    let sum = 0;
+
+    const times = collectSampleTimes(trackA, trackB);
+    times.forEach(time => {
+      const deviation = measure(kind, interpolantA.evaluate(time), interpolantB.evaluate(time), size);
+      sum += deviation;
+      if (deviation > max) {
+        max = deviation;
+        maxAt = time;
+      }
+    });
+
+    return {
+      kind,
+      incompatible: false,
+      maxDeviation: max,
+      meanDeviation: times.length > 0 ? sum / times.length : 0,
+      maxAt
+    };
+  }
+
+  static compareClip(clipA, clipB, index, tolerances) {
+    const tracksB = new Map(clipB.tracks.map(track => [track.name, track]));
+    const tracks = clipA.tracks.map(trackA => {
+      const trackB = tracksB.get(trackA.name);
+      tracksB.delete(trackA.name);
+      if (!trackB) {
+        return { name: trackA.name, kind: getTrackKind(trackA), status: 'missing', keyframes: [trackA.times.length, 0] };
+      }
+
+      const deviation = this.compareTracks(trackA, trackB);
+      const tolerance = deviation.kind === 'rotation' ? tolerances.angle : tolerances.value;
+      return {
+        name: trackA.name,
+        ...deviation,
+        status: deviation.maxDeviation > tolerance ? 'changed' : 'identical',
+        keyframes: [trackA.times.length, trackB.times.length]
+      };
+    });
+    tracksB.forEach(trackB => {
+      tracks.push({ name: trackB.name, kind: getTrackKind(trackB), status: 'added', keyframes: [0, trackB.times.length] });
+    });
+
+    const durationDelta = clipB.duration - clipA.duration;
+    const changedTracks = tracks.filter(track => track.status !== 'identical');
+    return {
+      name: this.getClipName(clipA, index),
+      status: changedTracks.length > 0 || Math.abs(durationDelta) > tolerances.value ? 'changed' : 'identical',
+      original: this.summarizeClip(clipA, index),
+      comparison: this.summarizeClip(clipB, index),
+      durationDelta,
+      // Worst tracks first; missing, added and incompatible tracks count as
+      // Infinity, which cannot be subtracted from itself
+      tracks: tracks.sort((a, b) => {
+        const [deviationA, deviationB] = [a.maxDeviation ?? Infinity, b.maxDeviation ?? Infinity];
+        return deviationA === deviationB ? 0 : deviationB > deviationA ? 1 : -1;
+      }),
+      changedTrackCount: changedTracks.length
+    };
+  }
+
+  // Matches clips by name and diffs durations, track sets and sampled track
+  // values. Deviations are in degrees for rotations and in the track's own
+  // units (model units, scale factors, morph weights) otherwise.
+  // Clips sharing a name pair up in order (the nth "Walk" with the nth "Walk")
+  static compareClips(clipsA = [], clipsB = [], tolerances = DEFAULT_TOLERANCES) {
+    const remaining = new Map(this.keyClips(clipsB).map(entry => [entry.key, entry]));
+    const clips = [];
+
+    this.keyClips(clipsA).forEach(({ clip: clipA, index, name, key }) => {
+      const entryB = remaining.get(key);
+      if (!entryB) {
+        clips.push({ key, name, status: 'missing', original: this.summarizeClip(clipA, index), comparison: null, tracks: [] });
+        return;
+      }
+      remaining.delete(key);
+      clips.push({ key, ...this.compareClip(clipA, entryB.clip, index, tolerances) });
+    });
+    remaining.forEach(({ clip: clipB, index, name, key }) => {
+      clips.push({ key, name, status: 'added', original: null, comparison: this.summarizeClip(clipB, index), tracks: [] });
+    });
+
+    const count = (status) => clips.filter(clip => clip.status === status).length;
+    return {
+      clips,
+      tolerances,
+      summary: {
+        originalCount: clipsA.length,
+        comparisonCount: clipsB.length,
+        missing: count('missing'),
+        added: count('added'),
+        changed: count('changed'),
+        identical: count('identical')
+      },
+      identical: clips.every(clip => clip.status === 'identical')
+    };
+  }
+
+  static formatDeviation(kind, value) {
+    if (value === undefined) return '—';
+    if (!Number.isFinite(value)) return 'incompatible';
+    if (kind === 'rotation') return `${value.toFixed(3)}°`;
+    if (kind === 'discrete') return value > 0 ? 'differs' : 'same';
+    return Number(value.toPrecision(4)).toString();
+  }
+
+  static formatDuration(seconds) {
+    return `${seconds.toFixed(3)} s`;
+  }
+
+  // Shared timeline: every registered viewer plays the selected clip (by
+  // key) at the same time, so scrubbing one scrubs them all
+  static registerPlayer(id, root, clips = []) {
+    this.unregisterPlayer(id);
+    if (clips.length === 0) return;
+
+    const player = { root, clips, mixer: new THREE.AnimationMixer(root), action: null };
+    this.players.set(id, player);
+    this.bindClip(player);
+    this.updatePlayer(player);
+  }
+
+  static unregisterPlayer(id) {
+    const player = this.players.get(id);
+    if (!player) return;
+    player.mixer.stopAllAction();
+    player.mixer.uncacheRoot(player.root);
+    this.players.delete(id);
+  }
+
+  // Stopping an action restores the bind pose on models without the clip
+  static bindClip(player) {
+    if (player.action) {
+      player.action.stop();
+      player.action = null;
+    }
+    const entry = this.keyClips(player.clips).find(({ key }) => key === this.clipKey);
+    if (!entry) return;
+    player.action = player.mixer.clipAction(entry.clip);
+    player.action.play();
+  }
+
+  static updatePlayer(player) {
+    if (!player.action) return;
+    // The action's time is set directly; a zero-length mixer step applies it
+    player.action.time = Math.min(this.time, player.action.getClip().duration);
+    player.mixer.update(0);
+  }
+
+  static selectClip(key) {
+    this.clipKey = key;
+    this.time = 0;
+    this.players.forEach(player => {
+      this.bindClip(player);
+      this.updatePlayer(player);
+    });
+  }
+
+  static setTime(time) {
+    this.time = time;
+    this.players.forEach(player => this.updatePlayer(player));
+  }
+
+  // Longest duration of the selected clip across the loaded models
+  static getDuration(clipsA = [], clipsB = [], key = this.clipKey) {
+    const find = (clips) => this.keyClips(clips).find(entry => entry.key === key)?.clip;
+    return Math.max(find(clipsA)?.duration || 0, find(clipsB)?.duration || 0);
+  }
+
+  // Union of clip keys, Model 1's order first
+  static getClipKeys(clipsA = [], clipsB = []) {
+    const keys = [...this.keyClips(clipsA), ...this.keyClips(clipsB)].map(entry => entry.key);
+    return Array.from(new Set(keys));
+  }
+
+  static parseTimestamps(value) {
+    return value
+      .split(',')
+      .map(part => parseFloat(part.trim()))
+      .filter((number, index, list) => Number.isFinite(number) && number >= 0 && list.indexOf(number) === index);
+  }
+
+  // Views for ComparisonService.compareViews: the current camera posed at
+  // each timestamp of the selected clip
+  static createTimestampViews(timestamps, camera) {
+    return timestamps.map(time => ({
+      id: `t-${time}`,
+      label: `${this.formatClipKey(this.clipKey)} @ ${time.toFixed(2)} s`,
+      camera: camera.clone(),
+      prepare: () => this.setTime(time)
+    }));
+  }
+}
@@ -0,0 +1,238 @@
+// AssetBundleService.js - Groups dropped files, folders and zip archives into a loadable model bundle
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+// Model formats in the order a main file is picked when several are present
+const MODEL_FORMATS = [
+  { format: 'glb', extension: '.glb', label: 'glTF binary' },
+  { format: 'gltf', extension: '.gltf', label: 'glTF' },
+  { format: 'fbx', extension: '.fbx', label: 'FBX' },
+  { format: 'obj', extension: '.obj', label: 'OBJ' },
+  { format: 'usdz', extension: '.usdz', label: 'USDZ' }
+];
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ktx2': 'image/ktx2',
+  '.gltf': 'model/gltf+json',
+  '.glb': 'model/gltf-binary',
+  '.bin': 'application/octet-stream'
+};
+
+const SELF_CONTAINED = ['.glb', '.usdz', '.zip'];
+
+// Virtual origin that loaders resolve relative URIs against
+const BUNDLE_ROOT = 'bundle:/';
+
+const extensionOf = (path) => {
+  const dot = path.lastIndexOf('.');
+  return dot === -1 ? '' : path.slice(dot).toLowerCase();
+};
+
+const basenameOf = (path) => path.split('/').pop();
+
+export class AssetBundleService {
+  static modelFormats = MODEL_FORMATS;
+  static acceptedExtensions = [...MODEL_FORMATS.map(entry => entry.extension), '.zip'];
+
+  static isAccepted(name) {
+    return this.acceptedExtensions.includes(extensionOf(name));
+  }
+
+  // Must be called synchronously from the drop handler: DataTransfer items
+  // are only readable until the event returns
+  static async collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+      .map(item => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+
+    const results = [];
+    const walk = async (entry, prefix) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        results.push({ file, path: `${prefix}${file.name}` });
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        let batch;
+        // readEntries returns directory contents in chunks until empty
+        do {
+          batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          for (const child of batch) {
+            await walk(child, `${prefix}${entry.name}/`);
+          }
+        } while (batch.length > 0);
+      }
+    };
+
+    for (const entry of entries) {
+      await walk(entry, '');
+    }
+    return results;
+  }
+
+  static fromFileList(fileList) {
+    return Array.from(fileList).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+  }
+
+  // One entry list per model file or archive, so several .gltf levels can be
+  // picked with their .bin and texture files in one go. Formats that can
+  // reference sidecar files get every non-model file alongside; .glb, .usdz
+  // and zips are self-contained.
+  static splitModels(entries) {
+    const resources = entries.filter(entry => !this.isAccepted(entry.path));
+    return entries
+      .filter(entry => this.isAccepted(entry.path))
+      .map(model => (SELF_CONTAINED.includes(extensionOf(model.path)) ? [model] : [model, ...resources]));
+  }
+
+  // Expands zip archives and picks the main model file
+  static async createBundle(entries) {
+    const files = new Map();
+
+    for (const { file, path } of entries) {
+      const normalized = this.normalizePath(path);
+      if (extensionOf(normalized) !== '.zip') {
+        files.set(normalized, file);
+        continue;
+      }
+
+      const archive = unzipSync(new Uint8Array(await file.arrayBuffer()));
+      const prefix = normalized.includes('/') ? normalized.slice(0, normalized.lastIndexOf('/') + 1) : '';
+      Object.entries(archive).forEach(([innerPath, bytes]) => {
+        if (innerPath.endsWith('/') || innerPath.startsWith('__MACOSX/')) return;
+        const type = MIME_TYPES[extensionOf(innerPath)] || '';
+        files.set(this.normalizePath(prefix + innerPath), new Blob([bytes], { type }));
+      });
+    }
+
+    const main = this.findMainFile(files);
+    if (!main) {
+      throw new Error(`No supported model found. Expected one of: ${MODEL_FORMATS.map(entry => entry.extension).join(', ')}`);
+    }
+
+    const size = Array.from(files.values()).reduce((sum, blob) => sum + blob.size, 0);
+    return {
+      name: basenameOf(main.path),
+      path: main.path,
+      format: main.format,
+      files,
+      size,
+      fileCount: files.size
+    };
+  }
+
+  static findMainFile(files) {
+    const paths = Array.from(files.keys())
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+    for (const { format, extension } of MODEL_FORMATS) {
+      const path = paths.find(candidate => extensionOf(candidate) === extension);
+      if (path) return { path, format };
+    }
+    return null;
+  }
+
+  static normalizePath(path) {
+    const segments = [];
+    path.replace(/\\/g, '/').split('/').forEach(segment => {
+      if (segment === '' || segment === '.') return;
+      if (segment === '..') segments.pop();
+      else segments.push(segment);
+    });
+    return segments.join('/');
+  }
+
+  // Relative URIs as written in a model file; a stray "%" (e.g. "100%.png")
+  // means the URI is not percent-encoded, so it is used as written
+  static decodePath(uri) {
+    try {
+      return decodeURIComponent(uri);
+    } catch (error) {
+      return uri;
+    }
+  }
+
+  // Exact path, then case-insensitive path, then a unique basename match
+  // (exporters often write absolute paths from the artist's machine)
+  static resolve(bundle, path) {
+    const normalized = this.normalizePath(path);
+    if (bundle.files.has(normalized)) return bundle.files.get(normalized);
+
+    const lower = normalized.toLowerCase();
+    const paths = Array.from(bundle.files.keys());
+    const caseInsensitive = paths.find(candidate => candidate.toLowerCase() === lower);
+    if (caseInsensitive) return bundle.files.get(caseInsensitive);
+
+    const basename = basenameOf(lower);
+    const byName = paths.filter(candidate => basenameOf(candidate).toLowerCase() === basename);
+    return byName.length === 1 ? bundle.files.get(byName[0]) : null;
+  }
+
+  // Points the loading manager's relative URIs at the bundle's files. Object
+  // URLs are revoked once the manager has no requests in flight.
+  static attachToManager(bundle, manager) {
+    const objectURLs = [];
+    const missing = [];
+    let pending = 0;
+    let finished = false;
+
+    const revoke = () => {
+      objectURLs.forEach(url => URL.revokeObjectURL(url));
+      objectURLs.length = 0;
+    };
+
+    manager.setURLModifier(url => {
+      if (!url.startsWith(BUNDLE_ROOT)) return url;
+
+      const path = this.decodePath(url.slice(BUNDLE_ROOT.length));
+      const blob = this.resolve(bundle, path);
+      if (!blob) {
+        missing.push(path);
+        return url;
+      }
+
+      const objectURL = URL.createObjectURL(blob);
+      objectURLs.push(objectURL);
+      return objectURL;
+    });
+
+    const itemStart = manager.itemStart.bind(manager);
+    const itemEnd = manager.itemEnd.bind(manager);
+    manager.itemStart = (url) => {
+      pending++;
+      itemStart(url);
+    };
+    manager.itemEnd = (url) => {
+      pending--;
+      itemEnd(url);
+      if (finished && pending === 0) revoke();
+    };
+
+    return {
+      mainURL: BUNDLE_ROOT + bundle.path.split('/').map(encodeURIComponent).join('/'),
+      missing,
+      release: () => {
+        finished = true;
+        if (pending === 0) revoke();
+      }
+    };
+  }
+
+  static getMainBlob(bundle) {
+    return bundle.files.get(bundle.path);
+  }
+
+  static findFiles(bundle, extension) {
+    return Array.from(bundle.files.keys()).filter(path => extensionOf(path) === extension);
+  }
+
+  static getFormatLabel(format) {
+    return MODEL_FORMATS.find(entry => entry.format === format)?.label || format;
+  }
+}
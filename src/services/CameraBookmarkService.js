@@ -0,0 +1,214 @@
+// CameraBookmarkService.js - Standard camera presets and saved, shareable camera bookmarks
+import * as THREE from 'three';
+import { ComparisonService } from './ComparisonService.js';
+
+const STORAGE_KEY = 'glb-comparison-tool.camera-bookmarks';
+
+// Presets orbit the model's centre at the default framing distance;
+// azimuth 0 looks down -Z at the model's front
+const PRESETS = [
+  { id: 'front', name: 'Front', azimuth: 0, elevation: 0 },
+  { id: 'back', name: 'Back', azimuth: 180, elevation: 0 },
+  { id: 'left', name: 'Left', azimuth: 270, elevation: 0 },
+  { id: 'right', name: 'Right', azimuth: 90, elevation: 0 },
+  { id: 'top', name: 'Top', azimuth: 0, elevation: 90 },
+  { id: 'bottom', name: 'Bottom', azimuth: 0, elevation: -90 },
+  { id: 'three-quarter', name: 'Three-quarter', azimuth: 45, elevation: 30 }
+].map(preset => ({ ...preset, preset: true }));
+
+export const PROJECTIONS = ['perspective', 'orthographic'];
+
+const toVector = (value, label, field) => {
+  if (!Array.isArray(value) || value.length !== 3 || value.some(component => typeof component !== 'number' || !Number.isFinite(component))) {
+    throw new Error(`${label}: "${field}" must be an array of three numbers`);
+  }
+  return [...value];
+};
+
+const toNumber = (value, label, field, isValid) => {
+  if (value === undefined || value === null) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || !isValid(number)) {
+    throw new Error(`${label}: "${field}" is not a valid value`);
+  }
+  return number;
+};
+
+export class CameraBookmarkService {
+  static presets = PRESETS;
+
+  static getPreset(id) {
+    return PRESETS.find(preset => preset.id === id);
+  }
+
+  // Same framing as the viewers' initial and reset views. offset is where the
+  // viewer placed the model (centred on its own bounds), so saved poses can be
+  // kept in the file's coordinates and survive a revision whose bounds moved.
+  static getFraming(scene, camera) {
+    const box = new THREE.Box3().setFromObject(scene);
+    const size = box.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z) || 1;
+    const fov = THREE.MathUtils.degToRad(camera.fov ?? 45);
+    return {
+      target: box.getCenter(new THREE.Vector3()),
+      radius: Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 1.5,
+      offset: scene.position.clone()
+    };
+  }
+
+  // Exact camera pose in model coordinates; fov is only meaningful for
+  // perspective cameras
+  static captureCamera(camera, target, offset = new THREE.Vector3()) {
+    return {
+      position: camera.position.clone().sub(offset).toArray(),
+      target: target.clone().sub(offset).toArray(),
+      fov: camera.isPerspectiveCamera ? camera.fov : undefined,
+      zoom: camera.zoom,
+      near: camera.near,
+      far: camera.far
+    };
+  }
+
+  static capture(camera, target, name, offset) {
+    return {
+      id: `bookmark-${Date.now()}`,
+      name: name || 'Bookmark',
+      ...this.captureCamera(camera, target, offset)
+    };
+  }
+
+  static parseCamera(data, label = 'Camera') {
+    if (!data || typeof data !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+
+    const camera = {
+      position: toVector(data.position, label, 'position'),
+      target: toVector(data.target, label, 'target'),
+      fov: toNumber(data.fov, label, 'fov', fov => fov > 0 && fov < 180),
+      zoom: toNumber(data.zoom ?? 1, label, 'zoom', zoom => zoom > 0),
+      near: toNumber(data.near, label, 'near', near => near > 0),
+      far: toNumber(data.far, label, 'far', far => far > 0)
+    };
+    if (camera.near !== undefined && camera.far !== undefined && camera.near >= camera.far) {
+      throw new Error(`${label}: "near" must be less than "far"`);
+    }
+    return camera;
+  }
+
+  // Presets resolve against `framing`; saved bookmarks keep their exact pose,
+  // moved along with the model by `framing.offset`
+  static createCamera(referenceCamera, bookmark, framing) {
+    if (bookmark.preset) {
+      return ComparisonService.createOrbitCamera(referenceCamera, framing.target, framing.radius, bookmark);
+    }
+
+    const camera = referenceCamera.clone();
+    camera.up.set(0, 1, 0);
+    camera.position.fromArray(bookmark.position).add(framing?.offset ?? new THREE.Vector3());
+    if (bookmark.fov !== undefined && camera.isPerspectiveCamera) camera.fov = bookmark.fov;
+    if (bookmark.zoom !== undefined) camera.zoom = bookmark.zoom;
+    if (bookmark.near !== undefined) camera.near = bookmark.near;
+    if (bookmark.far !== undefined) camera.far = bookmark.far;
+    camera.lookAt(this.getTarget(bookmark, framing));
+    camera.updateProjectionMatrix();
+    camera.updateMatrixWorld();
+    return camera;
+  }
+
+  static getTarget(bookmark, framing) {
+    if (bookmark.preset) return framing.target.clone();
+    return new THREE.Vector3().fromArray(bookmark.target).add(framing?.offset ?? new THREE.Vector3());
+  }
+
+  // Moves a viewer's camera and orbit target; the caller syncs the other viewers
+  static apply(viewer, bookmark, framing) {
+    const camera = viewer.getCamera();
+    const controls = viewer.getControls();
+    const posed = this.createCamera(camera, bookmark, framing);
+
+    camera.up.copy(posed.up);
+    camera.position.copy(posed.position);
+    camera.quaternion.copy(posed.quaternion);
+    camera.zoom = posed.zoom;
+    camera.near = posed.near;
+    camera.far = posed.far;
+    if (camera.isPerspectiveCamera) camera.fov = posed.fov;
+    camera.updateProjectionMatrix();
+    controls.target.copy(this.getTarget(bookmark, framing));
+    controls.update();
+  }
+
+  // Views for ComparisonService.compareViews, in the order given
+  static createViews(bookmarks, referenceCamera, framing) {
+    return bookmarks.map(bookmark => ({
+      id: bookmark.id,
+      label: bookmark.name,
+      camera: this.createCamera(referenceCamera, bookmark, framing)
+    }));
+  }
+
+  static exportBookmarks(bookmarks) {
+    return JSON.stringify({
+      bookmarks: bookmarks.filter(bookmark => !bookmark.preset).map(({ id, name, position, target, fov, zoom, near, far }) => ({
+        id, name, position, target, fov, zoom, near, far
+      }))
+    }, null, 2);
+  }
+
+  static importBookmarks(text) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error(`Bookmarks are not valid JSON: ${error.message}`);
+    }
+
+    const list = Array.isArray(data) ? data : data?.bookmarks;
+    if (!Array.isArray(list)) {
+      throw new Error('Bookmarks must be an array or an object with a "bookmarks" array');
+    }
+
+    const stamp = Date.now();
+    return list.map((bookmark, index) => ({
+      ...this.parseCamera(bookmark, `Bookmark ${index + 1}`),
+      id: bookmark.id || `bookmark-${stamp}-${index}`,
+      name: String(bookmark.name || `Bookmark ${index + 1}`)
+    }));
+  }
+
+  // A single camera as typed into or copied from the camera panel
+  static exportCamera(camera, projection) {
+    return JSON.stringify({ projection, ...camera }, null, 2);
+  }
+
+  static importCamera(text) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error(`Camera is not valid JSON: ${error.message}`);
+    }
+
+    const camera = this.parseCamera(data);
+    if (data.projection !== undefined && !PROJECTIONS.includes(data.projection)) {
+      throw new Error(`Camera: "projection" must be one of ${PROJECTIONS.join(', ')}`);
+    }
+    return { projection: data.projection, ...camera };
+  }
+
+  static loadBookmarks() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+      return stored ? this.importBookmarks(stored) : [];
+    } catch (error) {
+      console.warn('Could not load saved camera bookmarks:', error);
+      return [];
+    }
+  }
+
+  static saveBookmarks(bookmarks) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarks.filter(bookmark => !bookmark.preset)));
+  }
+}
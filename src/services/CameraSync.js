@@ -1,4 +1,5 @@
 // CameraSync.js - Comprehensive real-time camera synchronization
+import * as THREE from 'three';
 
 export class CameraSync {
   static viewers = new Map();
@@ -37,8 +38,7 @@ export class CameraSync {
     const sourceValues = {
       position: sourceCamera.position.clone(),
       quaternion: sourceCamera.quaternion.clone(),
-      fov: sourceCamera.fov,
-      zoom: sourceCamera.zoom,
+      camera: sourceCamera,
       target: sourceControls.target.clone(),
       // Also sync additional control properties
       distance: sourceCamera.position.distanceTo(sourceControls.target),
@@ -71,8 +71,7 @@ export class CameraSync {
       // Copy all camera and control properties
       targetCamera.position.copy(sourceValues.position);
       targetCamera.quaternion.copy(sourceValues.quaternion);
-      targetCamera.fov = sourceValues.fov;
-      targetCamera.zoom = sourceValues.zoom;
+      this.copyProjection(sourceValues.camera, targetCamera);
       
       // Sync the target (pan)
       targetControls.target.copy(sourceValues.target);
@@ -95,6 +94,18 @@ export class CameraSync {
     }, 10);
   }
 
+  // Moves cameras without their change events pulling the other viewers along
+  static runUnsynced(callback) {
+    this.isSyncing = true;
+    try {
+      callback();
+    } finally {
+      setTimeout(() => {
+        this.isSyncing = false;
+      }, 10);
+    }
+  }
+
   static resetAllCameras(referenceCamera, referenceControls) {
     if (this.isSyncing) return;
     
@@ -104,8 +115,6 @@ export class CameraSync {
     const refValues = {
       position: referenceCamera.position.clone(),
       quaternion: referenceCamera.quaternion.clone(),
-      fov: referenceCamera.fov,
-      zoom: referenceCamera.zoom,
       target: referenceControls.target.clone()
     };
     
@@ -123,8 +132,7 @@ export class CameraSync {
       // Copy all reference values
       camera.position.copy(refValues.position);
       camera.quaternion.copy(refValues.quaternion);
-      camera.fov = refValues.fov;
-      camera.zoom = refValues.zoom;
+      this.copyProjection(referenceCamera, camera);
       
       // Reset target (pan)
       controls.target.copy(refValues.target);
@@ -146,4 +154,71 @@ export class CameraSync {
       this.isSyncing = false;
     }, 50);
   }
-}
\ No newline at end of file
+
+  // Zoom, clipping planes and either the field of view or the orthographic
+  // extents follow the source; orthographic width keeps the target's aspect
+  static copyProjection(source, target) {
+    if (source === target) return;
+    target.zoom = source.zoom;
+    target.near = source.near;
+    target.far = source.far;
+
+    if (source.isPerspectiveCamera && target.isPerspectiveCamera) {
+      target.fov = source.fov;
+    } else if (source.isOrthographicCamera && target.isOrthographicCamera) {
+      const aspect = (target.right - target.left) / (target.top - target.bottom);
+      target.top = source.top;
+      target.bottom = source.bottom;
+      this.setAspect(target, aspect);
+    }
+  }
+
+  static setAspect(camera, aspect) {
+    if (camera.isOrthographicCamera) {
+      const halfHeight = (camera.top - camera.bottom) / 2;
+      camera.left = -halfHeight * aspect;
+      camera.right = halfHeight * aspect;
+    } else {
+      camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+  }
+
+  // Poses `to` like `from`, with the same visible height at the orbit target,
+  // so switching projection keeps the framing
+  static matchView(from, to, target) {
+    to.position.copy(from.position);
+    to.quaternion.copy(from.quaternion);
+    to.up.copy(from.up);
+    to.near = from.near;
+    to.far = from.far;
+
+    const distance = from.position.distanceTo(target);
+    if (from.isPerspectiveCamera && to.isOrthographicCamera) {
+      const halfHeight = distance * Math.tan(THREE.MathUtils.degToRad(from.fov) / 2) / from.zoom;
+      to.top = halfHeight;
+      to.bottom = -halfHeight;
+      to.zoom = 1;
+      this.setAspect(to, from.aspect);
+    } else if (from.isOrthographicCamera && to.isPerspectiveCamera) {
+      const halfHeight = (from.top - from.bottom) / 2 / from.zoom;
+      const direction = from.position.clone().sub(target).normalize();
+      to.position.copy(target).addScaledVector(direction, halfHeight / Math.tan(THREE.MathUtils.degToRad(to.fov) / 2));
+      to.zoom = 1;
+      this.setAspect(to, (from.right - from.left) / (from.top - from.bottom));
+    }
+    to.updateProjectionMatrix();
+    to.updateMatrixWorld();
+  }
+
+  // `cameras` holds a viewer's perspective and orthographic camera; returns
+  // the one now driven by the orbit controls
+  static switchProjection(cameras, current, projection, controls) {
+    const next = cameras[projection];
+    if (!next || next === current) return current;
+    this.matchView(current, next, controls.target);
+    controls.object = next;
+    controls.update();
+    return next;
+  }
+}
@@ -0,0 +1,350 @@
+// ChannelService.js - Debug render channels (AOVs) that isolate geometry, normals and material inputs
+import * as THREE from 'three';
+
+// `group` decides how a channel is summarised: geometry and normals channels
+// are reported together, material channels one by one
+const CHANNEL_DEFINITIONS = [
+  { id: 'beauty', label: 'Beauty', group: 'shaded', description: 'Fully shaded render' },
+  { id: 'baseColor', label: 'Base color', group: 'material', description: 'Unlit base color and texture' },
+  { id: 'normalsWorld', label: 'World normals', group: 'normals', description: 'Final shading normal in world space, including normal maps' },
+  { id: 'normalsTangent', label: 'Tangent normals', group: 'normals', description: 'Tangent-space normal map values; flat blue without a normal map' },
+  { id: 'roughness', label: 'Roughness', group: 'material', description: 'Roughness factor × roughness map (G)' },
+  { id: 'metalness', label: 'Metalness', group: 'material', description: 'Metalness factor × metalness map (B)' },
+  { id: 'ao', label: 'Ambient occlusion', group: 'material', description: 'Occlusion map (R) with its intensity applied' },
+  { id: 'emissive', label: 'Emissive', group: 'material', description: 'Emissive color × intensity × emissive map' },
+  { id: 'depth', label: 'Depth', group: 'geometry', description: 'Linear depth across the reference bounds, near is white' },
+  { id: 'uv', label: 'UV checker', group: 'uv', description: 'Checkerboard tinted by UV coordinates' },
+  { id: 'wireframe', label: 'Wireframe', group: 'geometry', description: 'Triangle edges' }
+];
+
+// Overlays colour the model with analysis data rather than a material input,
+// so they are shown in the viewers but never diffed
+const OVERLAY_DEFINITIONS = [
+  { id: 'deviation', label: 'Surface deviation', group: 'overlay', description: 'Distance to the other model\'s surface, blue (none) to red (scale maximum)' }
+];
+
+// Colour ramp of the deviation overlay from zero to the scale maximum
+export const DEVIATION_RAMP = ['#2563eb', '#16a34a', '#facc15', '#dc2626'];
+
+// Shared by every deviation material so one slider rescales both viewers
+const deviationUniforms = {
+  deviationScale: { value: 1 }
+};
+
+const glslColor = (hex) => {
+  const color = new THREE.Color(hex);
+  return `vec3( ${color.r.toFixed(4)}, ${color.g.toFixed(4)}, ${color.b.toFixed(4)} )`;
+};
+
+const deviationRampGLSL = () => {
+  const segments = DEVIATION_RAMP.length - 1;
+  const lines = [`vec3 channelRamp = ${glslColor(DEVIATION_RAMP[0])};`];
+  for (let i = 0; i < segments; i++) {
+    lines.push(
+      `channelRamp = mix( channelRamp, ${glslColor(DEVIATION_RAMP[i + 1])}, clamp( channelT * ${segments}.0 - ${i}.0, 0.0, 1.0 ) );`
+    );
+  }
+  return lines.join('\n\t');
+};
+
+const GROUP_LABELS = {
+  geometry: 'geometry',
+  normals: 'normals',
+  uv: 'UV layout'
+};
+
+// Meshes currently showing a channel, mapped to their own material(s)
+const originals = new WeakMap();
+// Channel materials per source material, so switching back and forth is cheap
+const channelMaterials = new WeakMap();
+
+const scalarMaterial = (source, value, texture, sample) => {
+  const material = new THREE.MeshBasicMaterial({ side: source.side, toneMapped: false });
+  material.color.setScalar(value);
+
+  if (texture) {
+    material.map = texture;
+    material.onBeforeCompile = (shader) => {
+      shader.fragmentShader = shader.fragmentShader.replace(
+        '#include <map_fragment>',
+        `vec4 channelTexel = texture2D( map, vMapUv );\n\tdiffuseColor.rgb *= vec3( ${sample} );`
+      );
+    };
+    material.customProgramCacheKey = () => `channel-scalar-${sample}`;
+  }
+  return material;
+};
+
+const createChannelMaterial = (source, channelId) => {
+  switch (channelId) {
+    case 'baseColor': {
+      const material = new THREE.MeshBasicMaterial({
+        color: source.color ? source.color.clone() : new THREE.Color(0xffffff),
+        map: source.map || null,
+        vertexColors: source.vertexColors,
+        alphaTest: source.alphaTest,
+        side: source.side,
+        toneMapped: false
+      });
+      return material;
+    }
+
+    case 'normalsWorld': {
+      const material = new THREE.MeshNormalMaterial({
+        normalMap: source.normalMap || null,
+        normalMapType: source.normalMapType,
+        normalScale: source.normalScale ? source.normalScale.clone() : new THREE.Vector2(1, 1),
+        bumpMap: source.bumpMap || null,
+        bumpScale: source.bumpScale ?? 1,
+        flatShading: source.flatShading,
+        side: source.side
+      });
+      material.toneMapped = false;
+      material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace(
+          'gl_FragColor = vec4( packNormalToRGB( normal ), diffuseColor.a );',
+          'gl_FragColor = vec4( packNormalToRGB( inverseTransformDirection( normal, viewMatrix ) ), diffuseColor.a );'
+        );
+      };
+      material.customProgramCacheKey = () => 'channel-world-normals';
+      return material;
+    }
+
+    case 'normalsTangent': {
+      const material = new THREE.MeshBasicMaterial({ side: source.side, toneMapped: false });
+      if (source.normalMap) {
+        material.map = source.normalMap;
+      } else {
+        material.color.setRGB(0.5, 0.5, 1);
+      }
+      return material;
+    }
+
+    case 'roughness':
+      return scalarMaterial(source, source.roughness ?? 1, source.roughnessMap, 'channelTexel.g');
+
+    case 'metalness':
+      return scalarMaterial(source, source.metalness ?? 0, source.metalnessMap, 'channelTexel.b');
+
+    case 'ao': {
+      const intensity = source.aoMapIntensity ?? 1;
+      return scalarMaterial(source, 1, source.aoMap, `1.0 + ${intensity.toFixed(4)} * ( channelTexel.r - 1.0 )`);
+    }
+
+    case 'emissive': {
+      const material = new THREE.MeshBasicMaterial({ side: source.side, toneMapped: false });
+      if (source.emissive) {
+        material.color.copy(source.emissive).multiplyScalar(source.emissiveIntensity ?? 1);
+      } else {
+        material.color.setScalar(0);
+      }
+      material.map = source.emissiveMap || null;
+      return material;
+    }
+
+    case 'depth': {
+      const material = new THREE.MeshBasicMaterial({ side: source.side, toneMapped: false });
+      const uniforms = {
+        depthNear: { value: 0 },
+        depthFar: { value: 1 }
+      };
+      material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', '#include <common>\nvarying float vChannelDepth;')
+          .replace('#include <project_vertex>', '#include <project_vertex>\n\tvChannelDepth = - mvPosition.z;');
+        shader.fragmentShader = shader.fragmentShader
+          .replace('#include <common>', '#include <common>\nuniform float depthNear;\nuniform float depthFar;\nvarying float vChannelDepth;')
+          .replace(
+            'vec4 diffuseColor = vec4( diffuse, opacity );',
+            'vec4 diffuseColor = vec4( vec3( 1.0 - clamp( ( vChannelDepth - depthNear ) / ( depthFar - depthNear ), 0.0, 1.0 ) ), opacity );'
+          );
+      };
+      material.customProgramCacheKey = () => 'channel-depth';
+
+      // The range follows the render camera so both models share one scale
+      const cameraPosition = new THREE.Vector3();
+      material.onBeforeRender = (renderer, scene, camera) => {
+        const reference = scene.userData.channelReference;
+        if (!reference) return;
+        const distance = camera.getWorldPosition(cameraPosition).distanceTo(reference.center);
+        uniforms.depthNear.value = Math.max(distance - reference.radius, 0);
+        uniforms.depthFar.value = distance + reference.radius;
+      };
+      return material;
+    }
+
+    case 'uv': {
+      const material = new THREE.MeshBasicMaterial({ side: source.side, toneMapped: false });
+      material.onBeforeCompile = (shader) => {
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', '#include <common>\nvarying vec2 vChannelUv;')
+          .replace('#include <uv_vertex>', '#include <uv_vertex>\n\tvChannelUv = uv;');
+        shader.fragmentShader = shader.fragmentShader
+          .replace('#include <common>', '#include <common>\nvarying vec2 vChannelUv;')
+          .replace(
+            'vec4 diffuseColor = vec4( diffuse, opacity );',
+            [
+              'vec2 channelCell = floor( vChannelUv * 8.0 );',
+              'float channelChecker = mod( channelCell.x + channelCell.y, 2.0 );',
+              'vec3 channelTint = vec3( fract( vChannelUv ), 0.5 );',
+              'vec4 diffuseColor = vec4( mix( channelTint * 0.35, channelTint, channelChecker ), opacity );'
+            ].join('\n\t')
+          );
+      };
+      material.customProgramCacheKey = () => 'channel-uv';
+      return material;
+    }
+
+    case 'wireframe':
+      return new THREE.MeshBasicMaterial({ color: 0x1e293b, wireframe: true, toneMapped: false });
+
+    case 'deviation': {
+      const material = new THREE.MeshBasicMaterial({ side: source.side, toneMapped: false });
+      material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, deviationUniforms);
+        shader.vertexShader = shader.vertexShader
+          .replace('#include <common>', '#include <common>\nattribute float deviation;\nvarying float vChannelDeviation;\nvarying vec3 vChannelView;')
+          .replace(
+            '#include <project_vertex>',
+            '#include <project_vertex>\n\tvChannelDeviation = deviation;\n\tvChannelView = - mvPosition.xyz;'
+          );
+        shader.fragmentShader = shader.fragmentShader
+          .replace(
+            '#include <common>',
+            '#include <common>\nuniform float deviationScale;\nvarying float vChannelDeviation;\nvarying vec3 vChannelView;'
+          )
+          .replace(
+            'vec4 diffuseColor = vec4( diffuse, opacity );',
+            [
+              'float channelT = clamp( vChannelDeviation / max( deviationScale, 1e-9 ), 0.0, 1.0 );',
+              deviationRampGLSL(),
+              // Flat facet shading keeps the shape readable under the ramp
+              'vec3 channelNormal = normalize( cross( dFdx( vChannelView ), dFdy( vChannelView ) ) );',
+              'vec4 diffuseColor = vec4( channelRamp * ( 0.45 + 0.55 * abs( channelNormal.z ) ), opacity );'
+            ].join('\n\t')
+          );
+      };
+      material.customProgramCacheKey = () => 'channel-deviation';
+      return material;
+    }
+
+    default:
+      throw new Error(`Unknown render channel: ${channelId}`);
+  }
+};
+
+const getChannelMaterial = (source, channelId) => {
+  if (!channelMaterials.has(source)) {
+    channelMaterials.set(source, new Map());
+  }
+  const cache = channelMaterials.get(source);
+  if (!cache.has(channelId)) {
+    cache.set(channelId, createChannelMaterial(source, channelId));
+  }
+  return cache.get(channelId);
+};
+
+export class ChannelService {
+  static channels = CHANNEL_DEFINITIONS;
+  static defaultChannel = 'beauty';
+
+  static overlays = OVERLAY_DEFINITIONS;
+
+  static getChannel(id) {
+    return [...CHANNEL_DEFINITIONS, ...OVERLAY_DEFINITIONS].find(channel => channel.id === id);
+  }
+
+  // Distance shown in full red by the deviation overlay
+  static setDeviationScale(value) {
+    deviationUniforms.deviationScale.value = value;
+  }
+
+  static getDeviationScale() {
+    return deviationUniforms.deviationScale.value;
+  }
+
+  // Swaps every mesh under root to the channel's material; 'beauty' restores
+  // the originals. `reference` is the bounding sphere the depth channel is
+  // scaled to, defaulting to root's own bounds.
+  static apply(root, channelId, reference = null) {
+    if (!this.getChannel(channelId)) {
+      throw new Error(`Unknown render channel: ${channelId}`);
+    }
+
+    root.traverse(object => {
+      if (!object.isMesh) return;
+
+      if (!originals.has(object)) {
+        if (channelId === 'beauty') return;
+        originals.set(object, object.material);
+      }
+
+      const original = originals.get(object);
+      if (channelId === 'beauty') {
+        object.material = original;
+        originals.delete(object);
+        return;
+      }
+
+      object.material = Array.isArray(original)
+        ? original.map(material => getChannelMaterial(material, channelId))
+        : getChannelMaterial(original, channelId);
+    });
+
+    root.userData.channelReference = channelId === 'depth'
+      ? (reference || this.computeReference(root))
+      : null;
+  }
+
+  // The mesh's own material(s), even while a channel is applied
+  static getSourceMaterial(mesh) {
+    return originals.get(mesh) || mesh.material;
+  }
+
+  static computeReference(object) {
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    return { center: sphere.center, radius: Math.max(sphere.radius, 1e-6) };
+  }
+
+  // One-line verdict per channel group, e.g. "Geometry identical, roughness
+  // differs in 12.00% of pixels"
+  static summarize(channelResults) {
+    const differs = (result) => result.mismatchedPixels > 0;
+    const parts = [];
+
+    Object.entries(GROUP_LABELS).forEach(([group, label]) => {
+      const results = channelResults.filter(result => this.getChannel(result.id)?.group === group);
+      if (results.length === 0) return;
+
+      const changed = results.filter(differs);
+      if (changed.length === 0) {
+        parts.push(`${label} identical`);
+      } else {
+        const worst = changed.reduce((a, b) => (b.percentage > a.percentage ? b : a));
+        parts.push(`${label} differs in ${worst.percentage.toFixed(2)}% of pixels (${worst.label.toLowerCase()})`);
+      }
+    });
+
+    const materialResults = channelResults.filter(result => this.getChannel(result.id)?.group === 'material');
+    materialResults.filter(differs).forEach(result => {
+      parts.push(`${result.label.toLowerCase()} differs in ${result.percentage.toFixed(2)}% of pixels`);
+    });
+    const unchanged = materialResults.filter(result => !differs(result)).map(result => result.label.toLowerCase());
+    if (unchanged.length > 0) {
+      const list = unchanged.length > 1
+        ? `${unchanged.slice(0, -1).join(', ')} and ${unchanged[unchanged.length - 1]}`
+        : unchanged[0];
+      parts.push(`${list} identical`);
+    }
+
+    const beauty = channelResults.find(result => result.id === 'beauty');
+    if (beauty) {
+      parts.push(`beauty pass ${differs(beauty) ? `differs in ${beauty.percentage.toFixed(2)}% of pixels` : 'identical'}`);
+    }
+
+    if (parts.length === 0) return '';
+    const text = parts.join(', ');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  }
+}
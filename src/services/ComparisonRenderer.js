@@ -0,0 +1,86 @@
+// ComparisonRenderer.js - Fixed-resolution offscreen rendering for comparisons
+import * as THREE from 'three';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+export class ComparisonRenderer {
+  static resolutions = [512, 1024, 2048, 4096];
+  static defaultResolution = 1024;
+
+  // Renders the scene into a square render target and returns raw RGBA pixels.
+  // The viewer's own renderer is reused because the PMREM environment of each
+  // scene lives in that renderer's GL context.
+  static render(renderer, scene, camera, resolution = this.defaultResolution) {
+    const size = Math.min(resolution, renderer.capabilities.maxTextureSize);
+
+    // Scene pass stays linear/half-float; tone mapping and sRGB encoding are
+    // applied by the output pass exactly as they would be on screen
+    const sceneTarget = new THREE.WebGLRenderTarget(size, size, {
+      type: THREE.HalfFloatType,
+      samples: 4
+    });
+    const outputTarget = new THREE.WebGLRenderTarget(size, size, {
+      type: THREE.UnsignedByteType
+    });
+    const outputPass = new OutputPass();
+
+    const renderCamera = this.createSquareCamera(camera);
+    const previousTarget = renderer.getRenderTarget();
+    const pixels = new Uint8Array(size * size * 4);
+
+    try {
+      renderer.setRenderTarget(sceneTarget);
+      renderer.clear();
+      renderer.render(scene, renderCamera);
+
+      outputPass.render(renderer, outputTarget, sceneTarget);
+      renderer.readRenderTargetPixels(outputTarget, 0, 0, size, size, pixels);
+    } finally {
+      renderer.setRenderTarget(previousTarget);
+      sceneTarget.dispose();
+      outputTarget.dispose();
+      outputPass.dispose();
+    }
+
+    return {
+      data: this.flipRows(pixels, size, size),
+      width: size,
+      height: size
+    };
+  }
+
+  static createSquareCamera(camera) {
+    const renderCamera = camera.clone();
+    if (renderCamera.isPerspectiveCamera) {
+      renderCamera.aspect = 1;
+    } else if (renderCamera.isOrthographicCamera) {
+      // Keep the vertical extent and crop the width to a square
+      const halfHeight = (renderCamera.top - renderCamera.bottom) / 2;
+      const centerX = (renderCamera.left + renderCamera.right) / 2;
+      renderCamera.left = centerX - halfHeight;
+      renderCamera.right = centerX + halfHeight;
+    }
+    renderCamera.updateProjectionMatrix();
+    renderCamera.updateMatrixWorld();
+    return renderCamera;
+  }
+
+  // WebGL reads bottom-up; image data is top-down
+  static flipRows(pixels, width, height) {
+    const rowSize = width * 4;
+    const flipped = new Uint8ClampedArray(pixels.length);
+    for (let y = 0; y < height; y++) {
+      const source = (height - 1 - y) * rowSize;
+      flipped.set(pixels.subarray(source, source + rowSize), y * rowSize);
+    }
+    return flipped;
+  }
+
+  static toDataURL({ data, width, height }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(new ImageData(data, width, height), 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+}
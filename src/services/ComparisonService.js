@@ -1,146 +1,405 @@
+// ComparisonService.js - Snapshot capture and pixel comparison
+import * as THREE from 'three';
+import { ComparisonRenderer } from './ComparisonRenderer.js';
+import { MetricsService } from './MetricsService.js';
+import { EnvironmentService } from './EnvironmentService.js';
+import { ChannelService } from './ChannelService.js';
+
 export class ComparisonService {
-    static async compareModels(originalViewer, comparisonViewer) {
+    static defaultTurntableOptions = {
+      azimuthSteps: 8,
+      elevations: [-30, 0, 30],
+      includePoles: true
+    };
+
+    static defaultLightingOptions = {
+      environments: ['neutral', 'daylight', 'low-key', 'directional'],
+      rotations: [0, 90, 180, 270]
+    };
+
+    static async compareModels(originalViewer, comparisonViewer, options = {}) {
       if (!originalViewer || !comparisonViewer) {
         throw new Error('Both viewers must be available for comparison');
       }
-  
-      const originalRenderer = originalViewer.getRenderer();
-      const comparisonRenderer = comparisonViewer.getRenderer();
+
+      const resolution = options.resolution || ComparisonRenderer.defaultResolution;
+
+      // Both scenes are rendered through Model 1's camera so the framing is identical
+      const camera = originalViewer.getCamera();
+      const result = this.compareView(originalViewer, comparisonViewer, camera, resolution, options);
+
+      return {
+        mode: 'single',
+        resolution,
+        ...result
+      };
+    }
+
+    static generateTurntableViews(options = {}) {
+      const { azimuthSteps, elevations, includePoles } = { ...this.defaultTurntableOptions, ...options };
+      const views = [];
+      const steps = Math.max(1, Math.floor(azimuthSteps));
+
+      // Repeated elevations would render the same views twice under one id
+      [...new Set(elevations)].forEach(elevation => {
+        for (let i = 0; i < steps; i++) {
+          const azimuth = (360 / steps) * i;
+          views.push({
+            id: `az${Math.round(azimuth)}_el${elevation}`,
+            label: `${Math.round(azimuth)}° / ${elevation}°`,
+            azimuth,
+            elevation
+          });
+        }
+      });
+
+      if (includePoles) {
+        views.push({ id: 'top', label: 'Top', azimuth: 0, elevation: 90 });
+        views.push({ id: 'bottom', label: 'Bottom', azimuth: 0, elevation: -90 });
+      }
+
+      return views;
+    }
+
+    static async compareTurntable(originalViewer, comparisonViewer, options = {}, onProgress) {
+      if (!originalViewer || !comparisonViewer) {
+        throw new Error('Both viewers must be available for comparison');
+      }
+
       const originalCamera = originalViewer.getCamera();
-      const comparisonCamera = comparisonViewer.getCamera();
-      const originalControls = originalViewer.getControls();
-      const comparisonControls = comparisonViewer.getControls();
-  
-      // Synchronize camera positions
-      comparisonCamera.position.copy(originalCamera.position);
-      comparisonCamera.quaternion.copy(originalCamera.quaternion);
-  
-      // Disable controls temporarily
-      if (originalControls) originalControls.enabled = false;
-      if (comparisonControls) comparisonControls.enabled = false;
-  
-      // Wait for renders to complete
-      await new Promise(resolve => {
-        requestAnimationFrame(() => {
-          requestAnimationFrame(resolve);
+      const target = originalViewer.getControls().target.clone();
+      const radius = originalCamera.position.distanceTo(target);
+
+      const views = this.generateTurntableViews(options).map(view => ({
+        ...view,
+        camera: this.createOrbitCamera(originalCamera, target, radius, view)
+      }));
+      if (views.length === 0) {
+        throw new Error('Turntable needs at least one elevation or the top / bottom views');
+      }
+      return this.compareViews(originalViewer, comparisonViewer, views, 'turntable', options, onProgress);
+    }
+
+    // Diffs both models through each `{ id, label, camera }` view and
+    // aggregates the results, worst view first
+    static async compareViews(originalViewer, comparisonViewer, views, mode, options = {}, onProgress) {
+      if (!originalViewer || !comparisonViewer) {
+        throw new Error('Both viewers must be available for comparison');
+      }
+      if (views.length === 0) {
+        throw new Error('There are no views to compare');
+      }
+
+      const resolution = options.resolution || ComparisonRenderer.defaultResolution;
+      const results = [];
+
+      for (let i = 0; i < views.length; i++) {
+        // `prepare`, when given, poses the scene for the view (e.g. an animation frame)
+        const { camera, prepare, ...view } = views[i];
+        if (onProgress) onProgress(i + 1, views.length, view);
+        if (prepare) prepare();
+
+        results.push({
+          ...view,
+          ...this.compareView(originalViewer, comparisonViewer, camera, resolution, options)
+        });
+
+        // Yield so the loading overlay can update between views
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      // Worst views first
+      results.sort((a, b) => b.percentage - a.percentage);
+      const aggregate = this.aggregateViews(results);
+      const worst = results[0];
+
+      return {
+        mode,
+        resolution,
+        // Metric maps are only kept for the worst view
+        views: results.map(({ metricMaps, ...view }) => view),
+        aggregate,
+        originalImage: worst.originalImage,
+        comparisonImage: worst.comparisonImage,
+        diffImage: worst.diffImage,
+        metricMaps: worst.metricMaps,
+        drivers: worst.drivers,
+        metrics: aggregate.metrics,
+        percentage: aggregate.meanPercentage,
+        mismatchedPixels: aggregate.mismatchedPixels
+      };
+    }
+
+    // Diffs each render channel from Model 1's current camera. Data channels
+    // render without tone mapping, and depth is scaled to Model 1's bounds on
+    // both sides. The viewers' own channel is restored afterwards.
+    static async compareChannels(originalViewer, comparisonViewer, options = {}, onProgress) {
+      const resolution = options.resolution || ComparisonRenderer.defaultResolution;
+      const channels = (options.channels || []).filter(id => ChannelService.getChannel(id));
+      const restoreChannel = options.restoreChannel || ChannelService.defaultChannel;
+      const camera = originalViewer.getCamera().clone();
+      const viewers = [originalViewer, comparisonViewer];
+      const reference = ChannelService.computeReference(originalViewer.getScene());
+      const toneMappings = viewers.map(viewer => viewer.getRenderer().toneMapping);
+
+      const results = [];
+      try {
+        for (let i = 0; i < channels.length; i++) {
+          const channel = ChannelService.getChannel(channels[i]);
+          if (onProgress) onProgress(i + 1, channels.length, channel);
+
+          viewers.forEach((viewer, index) => {
+            ChannelService.apply(viewer.getScene(), channel.id, reference);
+            viewer.getRenderer().toneMapping = channel.id === 'beauty' ? toneMappings[index] : THREE.NoToneMapping;
+          });
+
+          results.push({
+            id: channel.id,
+            label: channel.label,
+            ...this.compareView(originalViewer, comparisonViewer, camera, resolution, options)
+          });
+
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      } finally {
+        viewers.forEach((viewer, index) => {
+          ChannelService.apply(viewer.getScene(), restoreChannel);
+          viewer.getRenderer().toneMapping = toneMappings[index];
+        });
+      }
+
+      return {
+        channels: results.map(({ metricMaps, ...result }) => result),
+        summary: ChannelService.summarize(results)
+      };
+    }
+
+    static generateLightingSetups(options = {}) {
+      const { environments, rotations } = { ...this.defaultLightingOptions, ...options };
+      const setups = [];
+      // 0° and 360° are the same lighting, and setup ids must be unique
+      const angles = [...new Set(rotations.map(rotation => ((rotation % 360) + 360) % 360))];
+
+      [...new Set(environments)].forEach(environmentId => {
+        const environment = EnvironmentService.getEnvironment(environmentId);
+        if (!environment) return;
+        angles.forEach(rotation => {
+          setups.push({
+            id: `${environmentId}_r${rotation}`,
+            label: `${environment.name} @ ${rotation}°`,
+            environmentId,
+            environmentName: environment.name,
+            rotation
+          });
         });
       });
-  
-      // Capture snapshots
-      const originalImage = originalRenderer.domElement.toDataURL('image/png');
-      const comparisonImage = comparisonRenderer.domElement.toDataURL('image/png');
-  
-      // Re-enable controls
-      if (originalControls) originalControls.enabled = true;
-      if (comparisonControls) comparisonControls.enabled = true;
-  
-      // Process comparison
-      const results = await this.processImageComparison(originalImage, comparisonImage);
-  
+
+      return setups;
+    }
+
+    // Re-renders both models under each lighting setup from Model 1's current
+    // camera, then restores the viewers' own environment settings
+    static async compareLightingSweep(originalViewer, comparisonViewer, options = {}, onProgress) {
+      if (!originalViewer || !comparisonViewer) {
+        throw new Error('Both viewers must be available for comparison');
+      }
+
+      const resolution = options.resolution || ComparisonRenderer.defaultResolution;
+      const baseSettings = options.baseSettings || EnvironmentService.defaultSettings;
+      const camera = originalViewer.getCamera().clone();
+      const setups = this.generateLightingSetups(options);
+      if (setups.length === 0) {
+        throw new Error('Select at least one environment and rotation for the lighting sweep');
+      }
+
+      const applyToBoth = (settings) => Promise.all([originalViewer, comparisonViewer].map(viewer =>
+        EnvironmentService.apply(viewer.getRenderer(), viewer.getScene(), settings)
+      ));
+
+      const results = [];
+      try {
+        for (let i = 0; i < setups.length; i++) {
+          const setup = setups[i];
+          if (onProgress) onProgress(i + 1, setups.length, setup);
+
+          await applyToBoth({ ...baseSettings, environmentId: setup.environmentId, rotation: setup.rotation });
+          results.push({
+            ...setup,
+            ...this.compareView(originalViewer, comparisonViewer, camera, resolution, options)
+          });
+
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      } finally {
+        await applyToBoth(baseSettings);
+      }
+
+      const lighting = this.summarizeLighting(results);
+
+      results.sort((a, b) => b.percentage - a.percentage);
+      const aggregate = this.aggregateViews(results);
+      const worst = results[0];
+
+      return {
+        mode: 'lighting',
+        resolution,
+        views: results.map(({ metricMaps, ...view }) => view),
+        aggregate,
+        lighting,
+        originalImage: worst.originalImage,
+        comparisonImage: worst.comparisonImage,
+        diffImage: worst.diffImage,
+        metricMaps: worst.metricMaps,
+        drivers: worst.drivers,
+        metrics: aggregate.metrics,
+        percentage: aggregate.meanPercentage,
+        mismatchedPixels: aggregate.mismatchedPixels
+      };
+    }
+
+    // Lighting × metric matrix: one row per setup in sweep order, plus the
+    // setup that shows the largest difference for each column
+    static summarizeLighting(setups) {
+      const columns = [
+        { id: 'percentage', label: 'Mismatch', higherIsBetter: false },
+        ...MetricsService.metrics
+          .filter(metric => setups.some(setup => setup.metrics?.[metric.id] !== undefined))
+          .map(metric => ({ id: metric.id, label: metric.label, higherIsBetter: metric.higherIsBetter }))
+      ];
+      const valueOf = (setup, column) => (column.id === 'percentage' ? setup.percentage : setup.metrics?.[column.id]);
+
+      const worstByColumn = {};
+      columns.forEach(column => {
+        let worst = null;
+        setups.forEach(setup => {
+          const value = valueOf(setup, column);
+          if (value === undefined || Number.isNaN(value)) return;
+          const worse = worst === null || (column.higherIsBetter ? value < worst.value : value > worst.value);
+          if (worse) worst = { id: setup.id, value };
+        });
+        if (worst) worstByColumn[column.id] = worst.id;
+      });
+
+      return {
+        columns,
+        rows: setups.map(setup => ({
+          id: setup.id,
+          environmentId: setup.environmentId,
+          environmentName: setup.environmentName,
+          rotation: setup.rotation,
+          values: Object.fromEntries(columns.map(column => [column.id, valueOf(setup, column)]))
+        })),
+        worstByColumn
+      };
+    }
+
+    static formatLightingValue(columnId, value) {
+      return columnId === 'percentage'
+        ? (value === undefined ? '—' : `${value.toFixed(2)}%`)
+        : MetricsService.formatValue(columnId, value);
+    }
+
+    static createOrbitCamera(referenceCamera, target, radius, view) {
+      const camera = referenceCamera.clone();
+
+      // Keep the poles just off-axis so lookAt has a stable up vector
+      const elevation = THREE.MathUtils.clamp(view.elevation, -89.9, 89.9);
+      const phi = THREE.MathUtils.degToRad(90 - elevation);
+      const theta = THREE.MathUtils.degToRad(view.azimuth);
+      const offset = new THREE.Vector3().setFromSphericalCoords(radius, phi, theta);
+
+      camera.up.set(0, 1, 0);
+      camera.position.copy(target).add(offset);
+      camera.lookAt(target);
+      camera.updateMatrixWorld();
+      return camera;
+    }
+
+    static compareView(originalViewer, comparisonViewer, camera, resolution, metricOptions = {}) {
+      const originalPixels = ComparisonRenderer.render(
+        originalViewer.getRenderer(), originalViewer.getScene(), camera, resolution
+      );
+      const comparisonPixels = ComparisonRenderer.render(
+        comparisonViewer.getRenderer(), comparisonViewer.getScene(), camera, resolution
+      );
+
+      const diff = this.compareImageData(originalPixels, comparisonPixels, metricOptions);
+
+      return {
+        originalImage: ComparisonRenderer.toDataURL(originalPixels),
+        comparisonImage: ComparisonRenderer.toDataURL(comparisonPixels),
+        diffImage: ComparisonRenderer.toDataURL(diff.diffPixels),
+        metricMaps: this.mapsToDataURLs(diff.metricMaps, ComparisonRenderer.toDataURL),
+        drivers: diff.drivers,
+        metrics: diff.metrics,
+        percentage: diff.percentage,
+        mismatchedPixels: diff.mismatchedPixels
+      };
+    }
+
+    static mapsToDataURLs(maps, toDataURL) {
+      return Object.fromEntries(Object.entries(maps).map(([id, image]) => [id, toDataURL(image)]));
+    }
+
+    static aggregateViews(views) {
+      if (views.length === 0) {
+        return { viewCount: 0, meanPercentage: 0, maxPercentage: 0, minPercentage: 0, mismatchedPixels: 0, worstView: null, metrics: {} };
+      }
+
+      const percentages = views.map(view => view.percentage);
+      const worst = views.reduce((a, b) => (b.percentage > a.percentage ? b : a));
+
       return {
-        originalImage,
-        comparisonImage,
-        diffImage: results.diffImage,
-        percentage: results.percentage,
-        mismatchedPixels: results.mismatchedPixels
+        viewCount: views.length,
+        meanPercentage: percentages.reduce((sum, p) => sum + p, 0) / views.length,
+        maxPercentage: Math.max(...percentages),
+        minPercentage: Math.min(...percentages),
+        mismatchedPixels: views.reduce((sum, view) => sum + view.mismatchedPixels, 0),
+        worstView: worst.label,
+        metrics: MetricsService.aggregate(views.map(view => view.metrics))
       };
     }
   
     static async processImageComparison(img1DataURL, img2DataURL) {
       const img1 = await this.loadImage(img1DataURL);
       const img2 = await this.loadImage(img2DataURL);
-  
-      const canvas1 = document.createElement('canvas');
-      const canvas2 = document.createElement('canvas');
-      const diffCanvas = document.createElement('canvas');
-  
+
+      // Resample the second image onto the first one's grid if sizes differ
       const width = img1.width;
       const height = img1.height;
-  
-      canvas1.width = canvas2.width = diffCanvas.width = width;
-      canvas1.height = canvas2.height = diffCanvas.height = height;
-  
-      const ctx1 = canvas1.getContext('2d');
-      const ctx2 = canvas2.getContext('2d');
-      const ctxDiff = diffCanvas.getContext('2d');
-  
-      ctx1.drawImage(img1, 0, 0);
-      ctx2.drawImage(img2, 0, 0);
-  
-      const imageData1 = ctx1.getImageData(0, 0, width, height);
-      const imageData2 = ctx2.getImageData(0, 0, width, height);
-      const diffData = ctxDiff.createImageData(width, height);
-  
-      // Perform pixel comparison
-      let mismatchedPixels;
-      if (typeof window.pixelmatch === 'function') {
-        mismatchedPixels = window.pixelmatch(
-          imageData1.data,
-          imageData2.data,
-          diffData.data,
-          width,
-          height,
-          {
-            threshold: 0.05,
-            includeAA: false,
-            alpha: 0.1,
-            diffColor: [255, 0, 0]
-          }
-        );
-      } else {
-        mismatchedPixels = this.simplePixelMatch(
-          imageData1.data,
-          imageData2.data,
-          diffData.data,
-          width,
-          height,
-          { threshold: 0.05 }
-        );
-      }
-  
-      ctxDiff.putImageData(diffData, 0, 0);
-      const diffImage = diffCanvas.toDataURL('image/png');
-  
-      const percentage = (mismatchedPixels / (width * height)) * 100;
-  
+      const result = this.compareImageData(
+        this.imageToPixels(img1, width, height),
+        this.imageToPixels(img2, width, height)
+      );
+
       return {
-        diffImage,
-        percentage,
-        mismatchedPixels
+        diffImage: ComparisonRenderer.toDataURL(result.diffPixels),
+        percentage: result.percentage,
+        mismatchedPixels: result.mismatchedPixels
       };
     }
-  
-    static simplePixelMatch(img1, img2, output, width, height, options) {
-      const threshold = options?.threshold || 0.1;
-      let differentPixels = 0;
-  
-      for (let i = 0; i < img1.length; i += 4) {
-        const r1 = img1[i];
-        const g1 = img1[i + 1];
-        const b1 = img1[i + 2];
-  
-        const r2 = img2[i];
-        const g2 = img2[i + 1];
-        const b2 = img2[i + 2];
-  
-        const colorDiff = Math.abs(r1 - r2) + Math.abs(g1 - g2) + Math.abs(b1 - b2);
-        const normalizedDiff = colorDiff / 765;
-  
-        if (normalizedDiff > threshold) {
-          output[i] = 255;     // R
-          output[i + 1] = 0;   // G
-          output[i + 2] = 0;   // B
-          output[i + 3] = 255; // A
-          differentPixels++;
-        } else {
-          output[i] = r1;
-          output[i + 1] = g1;
-          output[i + 2] = b1;
-          output[i + 3] = 255;
-        }
+
+    static compareImageData(image1, image2, metricOptions = {}) {
+      if (image1.width !== image2.width || image1.height !== image2.height) {
+        throw new Error(
+          `Image sizes differ: ${image1.width}×${image1.height} vs ${image2.width}×${image2.height}`
+        );
       }
-  
-      return differentPixels;
+
+      return MetricsService.compare(image1, image2, metricOptions);
+    }
+
+    static imageToPixels(image, width, height) {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, width, height);
+      return {
+        data: ctx.getImageData(0, 0, width, height).data,
+        width,
+        height
+      };
     }
   
     static loadImage(dataURL) {
@@ -0,0 +1,326 @@
+// EnvironmentService.js - Lighting environments applied identically to both viewers
+import * as THREE from 'three';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+
+export const BACKGROUNDS = {
+  SOLID: 'solid',
+  BLURRED: 'blurred',
+  TRANSPARENT: 'transparent'
+};
+
+const baseURL = import.meta.env?.BASE_URL ?? '/';
+
+// HDRIs ship in public/hdri so lighting never depends on network state
+const BUILT_IN_ENVIRONMENTS = [
+  {
+    id: 'neutral',
+    name: 'Neutral studio',
+    type: 'hdri',
+    url: `${baseURL}hdri/neutral.hdr`,
+    description: 'Grey dome with a broad overhead light'
+  },
+  {
+    id: 'daylight',
+    name: 'Daylight',
+    type: 'hdri',
+    url: `${baseURL}hdri/daylight.hdr`,
+    description: 'Blue sky, warm ground and a hard sun'
+  },
+  {
+    id: 'room',
+    name: 'Room',
+    type: 'procedural',
+    rig: 'room',
+    description: 'Box room with ceiling and wall lights'
+  },
+  {
+    id: 'three-point',
+    name: 'Three-point',
+    type: 'procedural',
+    rig: 'threePoint',
+    description: 'Key, fill and rim panels in a dark studio'
+  },
+  {
+    id: 'softbox',
+    name: 'Softbox',
+    type: 'procedural',
+    rig: 'softbox',
+    description: 'Large overhead softbox with two strip lights'
+  },
+  {
+    id: 'low-key',
+    name: 'Low-key',
+    type: 'procedural',
+    rig: 'lowKey',
+    description: 'Near-black studio with one small, dim key light'
+  },
+  {
+    id: 'directional',
+    name: 'Directional light',
+    type: 'lights',
+    rig: 'directional',
+    description: 'A single hard directional light and no image-based lighting'
+  }
+];
+
+// Name of the group that holds punctual lights for 'lights' environments
+const LIGHT_GROUP = 'environment-lights';
+
+// Emissive panels read as area lights once the scene is prefiltered by PMREM
+const createPanel = (intensity, width, height, position) => {
+  const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+  material.color.setScalar(intensity);
+  const panel = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+  panel.position.set(...position);
+  panel.lookAt(0, 0, 0);
+  return panel;
+};
+
+const createStudio = (wallValue) => {
+  const scene = new THREE.Scene();
+  const material = new THREE.MeshBasicMaterial({ side: THREE.BackSide });
+  material.color.setScalar(wallValue);
+  scene.add(new THREE.Mesh(new THREE.SphereGeometry(20, 32, 16), material));
+  return scene;
+};
+
+const RIGS = {
+  room: () => new RoomEnvironment(),
+
+  threePoint: () => {
+    const scene = createStudio(0.04);
+    scene.add(createPanel(40, 4, 4, [-8, 6, 8]));   // key
+    scene.add(createPanel(12, 6, 6, [9, 2, 7]));    // fill
+    scene.add(createPanel(30, 2, 6, [0, 7, -10]));  // rim
+    return scene;
+  },
+
+  softbox: () => {
+    const scene = createStudio(0.25);
+    scene.add(createPanel(25, 10, 10, [0, 12, 0]));
+    scene.add(createPanel(15, 2, 10, [-10, 2, 4]));
+    scene.add(createPanel(15, 2, 10, [10, 2, 4]));
+    return scene;
+  },
+
+  lowKey: () => {
+    const scene = createStudio(0.005);
+    scene.add(createPanel(6, 2, 2, [-6, 5, 8]));
+    return scene;
+  }
+};
+
+// Punctual light rigs; added to the scene instead of prefiltered
+const LIGHT_RIGS = {
+  directional: (intensity) => {
+    const group = new THREE.Group();
+    const light = new THREE.DirectionalLight(0xffffff, 3 * intensity);
+    light.position.set(5, 10, 7.5);
+    group.add(light);
+    return group;
+  }
+};
+
+export class EnvironmentService {
+  static builtInEnvironments = BUILT_IN_ENVIRONMENTS;
+  static uploadExtensions = ['.hdr', '.exr'];
+
+  static defaultSettings = {
+    environmentId: 'neutral',
+    rotation: 0,
+    intensity: 1,
+    background: BACKGROUNDS.SOLID,
+    backgroundColor: '#ffffff',
+    blurriness: 0.5
+  };
+
+  static uploads = [];
+  // Equirectangular source textures by environment id
+  static sources = new Map();
+  // Prefiltered maps live in each renderer's GL context
+  static maps = new WeakMap();
+
+  static getEnvironments() {
+    return [...BUILT_IN_ENVIRONMENTS, ...this.uploads];
+  }
+
+  static getEnvironment(id) {
+    return this.getEnvironments().find(environment => environment.id === id) || null;
+  }
+
+  // Loads the source data so a broken or missing file is reported before any
+  // viewer switches to it
+  static async prepare(id) {
+    const environment = this.getEnvironment(id);
+    if (!environment) {
+      throw new Error(`Unknown environment: ${id}`);
+    }
+    if (environment.type === 'hdri' || environment.type === 'upload') {
+      await this.loadSource(environment);
+    }
+    return environment;
+  }
+
+  static loadSource(environment) {
+    if (!this.sources.has(environment.id)) {
+      const loading = new RGBELoader().loadAsync(environment.url).then(texture => {
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        return texture;
+      });
+      // Failed loads are not cached so they can be retried
+      loading.catch(() => this.sources.delete(environment.id));
+      this.sources.set(environment.id, loading);
+    }
+    return this.sources.get(environment.id);
+  }
+
+  static async addUpload(file) {
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!this.uploadExtensions.includes(extension)) {
+      throw new Error(`Unsupported environment file. Expected ${this.uploadExtensions.join(' or ')}`);
+    }
+
+    let loader;
+    if (extension === '.exr') {
+      const { EXRLoader } = await import('three/examples/jsm/loaders/EXRLoader.js');
+      loader = new EXRLoader();
+    } else {
+      loader = new RGBELoader();
+    }
+
+    const url = URL.createObjectURL(file);
+    let texture;
+    try {
+      texture = await loader.loadAsync(url);
+    } catch (error) {
+      throw new Error(`Could not read ${file.name}: ${error.message}`);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+
+    const environment = {
+      id: `upload-${Date.now()}`,
+      name: file.name,
+      type: 'upload',
+      fileName: file.name,
+      description: `Uploaded ${extension.slice(1).toUpperCase()}, ${texture.image.width} × ${texture.image.height}`
+    };
+    this.uploads.push(environment);
+    this.sources.set(environment.id, Promise.resolve(texture));
+    return environment;
+  }
+
+  static getEnvironmentMap(renderer, environment) {
+    if (!this.maps.has(renderer)) {
+      this.maps.set(renderer, new Map());
+    }
+    const cache = this.maps.get(renderer);
+
+    if (environment.type === 'lights') {
+      return Promise.resolve(null);
+    }
+
+    if (!cache.has(environment.id)) {
+      const generate = async () => {
+        const pmremGenerator = new THREE.PMREMGenerator(renderer);
+        try {
+          if (environment.type === 'procedural') {
+            const rig = RIGS[environment.rig]();
+            const target = pmremGenerator.fromScene(rig, 0.04);
+            rig.traverse(object => {
+              object.geometry?.dispose();
+              object.material?.dispose();
+            });
+            return target.texture;
+          }
+
+          const source = await this.loadSource(environment);
+          return pmremGenerator.fromEquirectangular(source).texture;
+        } finally {
+          pmremGenerator.dispose();
+        }
+      };
+
+      const generating = generate();
+      generating.catch(() => cache.delete(environment.id));
+      cache.set(environment.id, generating);
+    }
+    return cache.get(environment.id);
+  }
+
+  // Applies environment, rotation, intensity and background to a viewer's
+  // scene. Calls that are overtaken by a newer one leave the scene alone.
+  static async apply(renderer, scene, settings = this.defaultSettings) {
+    const token = (scene.userData.environmentToken || 0) + 1;
+    scene.userData.environmentToken = token;
+
+    const environment = this.getEnvironment(settings.environmentId);
+    if (!environment) {
+      throw new Error(`Unknown environment: ${settings.environmentId}`);
+    }
+
+    const envMap = await this.getEnvironmentMap(renderer, environment);
+    if (scene.userData.environmentToken !== token) return;
+
+    const rotation = THREE.MathUtils.degToRad(settings.rotation);
+    const previousLights = scene.children.find(child => child.name === LIGHT_GROUP);
+    if (previousLights) {
+      scene.remove(previousLights);
+      previousLights.traverse(object => object.dispose?.());
+    }
+    if (environment.type === 'lights') {
+      const lights = LIGHT_RIGS[environment.rig](settings.intensity);
+      lights.name = LIGHT_GROUP;
+      lights.rotation.y = rotation;
+      scene.add(lights);
+    }
+
+    scene.environment = envMap;
+    scene.environmentIntensity = settings.intensity;
+    scene.environmentRotation.set(0, rotation, 0);
+    scene.backgroundRotation.set(0, rotation, 0);
+
+    switch (settings.background) {
+      case BACKGROUNDS.BLURRED:
+        // Light rigs have no environment image; use the solid colour instead
+        scene.background = envMap || new THREE.Color(settings.backgroundColor);
+        scene.backgroundBlurriness = settings.blurriness;
+        scene.backgroundIntensity = settings.intensity;
+        break;
+      case BACKGROUNDS.TRANSPARENT:
+        scene.background = null;
+        break;
+      default:
+        scene.background = new THREE.Color(settings.backgroundColor);
+    }
+  }
+
+  // Plain record of the active environment for results and reports
+  static describe(settings) {
+    const environment = this.getEnvironment(settings.environmentId);
+    return {
+      id: settings.environmentId,
+      name: environment ? environment.name : settings.environmentId,
+      type: environment ? environment.type : 'unknown',
+      ...(environment?.fileName ? { fileName: environment.fileName } : {}),
+      rotation: settings.rotation,
+      intensity: settings.intensity,
+      background: settings.background,
+      ...(settings.background === BACKGROUNDS.SOLID ? { backgroundColor: settings.backgroundColor } : {}),
+      ...(settings.background === BACKGROUNDS.BLURRED ? { blurriness: settings.blurriness } : {})
+    };
+  }
+
+  static formatDescription(environment) {
+    if (!environment) return 'Unrecorded environment';
+
+    const background = environment.background === BACKGROUNDS.SOLID
+      ? `solid ${environment.backgroundColor}`
+      : environment.background === BACKGROUNDS.BLURRED
+        ? `blurred environment (${environment.blurriness})`
+        : 'transparent';
+    return `${environment.name} · rotation ${environment.rotation}° · intensity ${environment.intensity} · background ${background}`;
+  }
+}
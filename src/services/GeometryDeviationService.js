@@ -0,0 +1,255 @@
+// GeometryDeviationService.js - Point-to-surface deviation and Hausdorff distance between two models
+import * as THREE from 'three';
+import { buildBVH, closestDistance } from '../utils/triangleBVH.js';
+
+// Per-vertex distances are written to this geometry attribute for the overlay
+export const DEVIATION_ATTRIBUTE = 'deviation';
+
+// Deterministic PRNG so repeated runs sample the same points
+export const mulberry32 = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export class GeometryDeviationService {
+  static defaultOptions = {
+    sampleCount: 20000,
+    seed: 1,
+    // Write per-vertex distances for the viewer overlay
+    overlay: true
+  };
+
+  // Positions are taken relative to the model root, so the viewer's
+  // centring offset does not count as deviation
+  static forEachMesh(root, callback) {
+    root.updateMatrixWorld(true);
+    const rootInverse = new THREE.Matrix4().copy(root.matrixWorld).invert();
+
+    root.traverse(object => {
+      if (!object.isMesh || !object.geometry?.attributes.position) return;
+      const matrix = new THREE.Matrix4().multiplyMatrices(rootInverse, object.matrixWorld);
+      callback(object, matrix);
+    });
+  }
+
+  // World-space vertices (morphs and skinning applied) in model space
+  static getMeshVertices(mesh, matrix) {
+    const count = mesh.geometry.attributes.position.count;
+    const vertices = new Float32Array(count * 3);
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < count; i++) {
+      mesh.getVertexPosition(i, vertex).applyMatrix4(matrix);
+      vertices[i * 3] = vertex.x;
+      vertices[i * 3 + 1] = vertex.y;
+      vertices[i * 3 + 2] = vertex.z;
+    }
+    return vertices;
+  }
+
+  static extractTriangles(root) {
+    const chunks = [];
+    let total = 0;
+
+    this.forEachMesh(root, (mesh, matrix) => {
+      const vertices = this.getMeshVertices(mesh, matrix);
+      const index = mesh.geometry.index;
+      const triangleCount = Math.floor((index ? index.count : vertices.length / 3) / 3);
+      const triangles = new Float32Array(triangleCount * 9);
+
+      for (let t = 0; t < triangleCount; t++) {
+        for (let corner = 0; corner < 3; corner++) {
+          const v = index ? index.getX(t * 3 + corner) : t * 3 + corner;
+          triangles[t * 9 + corner * 3] = vertices[v * 3];
+          triangles[t * 9 + corner * 3 + 1] = vertices[v * 3 + 1];
+          triangles[t * 9 + corner * 3 + 2] = vertices[v * 3 + 2];
+        }
+      }
+
+      chunks.push({ mesh, vertices, triangles });
+      total += triangles.length;
+    });
+
+    const triangles = new Float32Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      triangles.set(chunk.triangles, offset);
+      offset += chunk.triangles.length;
+    });
+
+    return { triangles, meshes: chunks };
+  }
+
+  // Area-weighted random points on the surface
+  static sampleSurface(triangles, sampleCount, random) {
+    const triangleCount = triangles.length / 9;
+    const cumulative = new Float64Array(triangleCount);
+    let area = 0;
+
+    for (let t = 0; t < triangleCount; t++) {
+      const o = t * 9;
+      const abx = triangles[o + 3] - triangles[o], aby = triangles[o + 4] - triangles[o + 1], abz = triangles[o + 5] - triangles[o + 2];
+      const acx = triangles[o + 6] - triangles[o], acy = triangles[o + 7] - triangles[o + 1], acz = triangles[o + 8] - triangles[o + 2];
+      const cx = aby * acz - abz * acy, cy = abz * acx - abx * acz, cz = abx * acy - aby * acx;
+      area += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+      cumulative[t] = area;
+    }
+
+    const points = new Float32Array(area > 0 ? sampleCount * 3 : 0);
+    if (area === 0) return { points, area };
+
+    for (let s = 0; s < sampleCount; s++) {
+      // Binary search the triangle whose cumulative area covers the target
+      const target = random() * area;
+      let low = 0;
+      let high = triangleCount - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] < target) low = mid + 1;
+        else high = mid;
+      }
+
+      let u = random();
+      let v = random();
+      if (u + v > 1) {
+        u = 1 - u;
+        v = 1 - v;
+      }
+      const o = low * 9;
+      for (let axis = 0; axis < 3; axis++) {
+        const a = triangles[o + axis];
+        points[s * 3 + axis] = a + (triangles[o + 3 + axis] - a) * u + (triangles[o + 6 + axis] - a) * v;
+      }
+    }
+
+    return { points, area };
+  }
+
+  static summarize(distances) {
+    if (distances.length === 0) {
+      return { sampleCount: 0, mean: 0, rms: 0, max: 0, p95: 0 };
+    }
+
+    let sum = 0;
+    let sumSquares = 0;
+    let max = 0;
+    for (let i = 0; i < distances.length; i++) {
+      sum += distances[i];
+      sumSquares += distances[i] * distances[i];
+      if (distances[i] > max) max = distances[i];
+    }
+    const sorted = Float32Array.from(distances).sort();
+
+    return {
+      sampleCount: distances.length,
+      mean: sum / distances.length,
+      rms: Math.sqrt(sumSquares / distances.length),
+      max,
+      p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]
+    };
+  }
+
+  // Geometry shared between meshes keeps the larger value per vertex
+  static writeOverlay(geometry, values, pass) {
+    const existing = geometry.getAttribute(DEVIATION_ATTRIBUTE);
+    if (existing && geometry.userData.deviationPass === pass && existing.count === values.length) {
+      for (let v = 0; v < values.length; v++) {
+        existing.array[v] = Math.max(existing.array[v], values[v]);
+      }
+      existing.needsUpdate = true;
+    } else {
+      geometry.setAttribute(DEVIATION_ATTRIBUTE, new THREE.BufferAttribute(values, 1));
+      geometry.userData.deviationPass = pass;
+    }
+  }
+
+  static async measureDirection(source, targetBVH, options, onProgress) {
+    const random = mulberry32(options.seed);
+    const { points, area } = this.sampleSurface(source.triangles, options.sampleCount, random);
+    const distances = new Float32Array(points.length / 3);
+
+    for (let i = 0; i < distances.length; i++) {
+      distances[i] = closestDistance(targetBVH, points[i * 3], points[i * 3 + 1], points[i * 3 + 2]);
+      if (i % 5000 === 4999) {
+        if (onProgress) onProgress(i + 1, distances.length);
+        await yieldToUI();
+      }
+    }
+
+    // Vertex distances feed the overlay and catch spikes between samples
+    let vertexMax = 0;
+    for (const { mesh, vertices } of source.meshes) {
+      const values = new Float32Array(vertices.length / 3);
+      for (let v = 0; v < values.length; v++) {
+        values[v] = closestDistance(targetBVH, vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]);
+        if (values[v] > vertexMax) vertexMax = values[v];
+      }
+      if (options.overlay) this.writeOverlay(mesh.geometry, values, options.pass);
+      await yieldToUI();
+    }
+
+    const summary = this.summarize(distances);
+    return { ...summary, max: Math.max(summary.max, vertexMax), surfaceArea: area };
+  }
+
+  // Samples each model's surface and measures the distance to the other one.
+  // Distances are in model units; the Hausdorff distance is the larger of
+  // the two directed maxima.
+  static async compare(originalRoot, comparisonRoot, options = {}, onProgress) {
+    const settings = { ...this.defaultOptions, ...options, pass: Date.now() };
+
+    const original = this.extractTriangles(originalRoot);
+    const comparison = this.extractTriangles(comparisonRoot);
+    if (original.triangles.length === 0 || comparison.triangles.length === 0) {
+      throw new Error('Both models need triangle meshes for a surface deviation analysis');
+    }
+
+    const originalBVH = buildBVH(original.triangles);
+    await yieldToUI();
+    const comparisonBVH = buildBVH(comparison.triangles);
+    await yieldToUI();
+
+    const report = (direction) => (done, total) => onProgress && onProgress(direction, done, total);
+    const comparisonToOriginal = await this.measureDirection(comparison, originalBVH, settings, report('Model 2 → Model 1'));
+    const originalToComparison = await this.measureDirection(original, comparisonBVH, settings, report('Model 1 → Model 2'));
+
+    const box = new THREE.Box3();
+    this.forEachMesh(originalRoot, (mesh, matrix) => {
+      mesh.geometry.computeBoundingBox();
+      box.union(mesh.geometry.boundingBox.clone().applyMatrix4(matrix));
+    });
+    const diagonal = box.getSize(new THREE.Vector3()).length();
+
+    // Symmetric mean and RMS weight both directions by their sample counts
+    const directions = [comparisonToOriginal, originalToComparison];
+    const sampleTotal = directions.reduce((sum, direction) => sum + direction.sampleCount, 0);
+    const combine = (value) => sampleTotal === 0
+      ? 0
+      : directions.reduce((sum, direction) => sum + value(direction) * direction.sampleCount, 0) / sampleTotal;
+
+    return {
+      units: 'model units',
+      diagonal,
+      hausdorff: Math.max(comparisonToOriginal.max, originalToComparison.max),
+      mean: combine(direction => direction.mean),
+      rms: Math.sqrt(combine(direction => direction.rms ** 2)),
+      comparisonToOriginal,
+      originalToComparison,
+      triangleCounts: {
+        original: original.triangles.length / 9,
+        comparison: comparison.triangles.length / 9
+      }
+    };
+  }
+
+  static formatDistance(value, diagonal) {
+    if (value === undefined || value === null || !Number.isFinite(value)) return '—';
+    const relative = diagonal > 0 ? ` (${((value / diagonal) * 100).toFixed(3)}% of diagonal)` : '';
+    return `${value.toPrecision(4)}${relative}`;
+  }
+}
@@ -0,0 +1,247 @@
+// LodReportService.js - Optimization report comparing LOD levels against a reference model
+import * as THREE from 'three';
+import { ComparisonRenderer } from './ComparisonRenderer.js';
+import { ComparisonService } from './ComparisonService.js';
+import { GeometryDeviationService } from './GeometryDeviationService.js';
+import { PerformanceService } from './PerformanceService.js';
+
+// Decimation tools usually keep the source name and append a level suffix
+const LOD_SUFFIX = /[\s._-]*lod\s*\d+$/i;
+
+const MISSING_COLOR = [220, 38, 38];
+const EXTRA_COLOR = [37, 99, 235];
+
+export class LodReportService {
+  static defaultOptions = {
+    resolution: 512,
+    views: { azimuthSteps: 4, elevations: [0], includePoles: true },
+    sampleCount: 10000
+  };
+
+  static collectMeshes(root) {
+    const meshes = [];
+    root.traverse(object => {
+      if (!object.isMesh || !object.geometry?.attributes.position) return;
+      const { geometry } = object;
+      const name = object.name || geometry.name || `Mesh ${meshes.length + 1}`;
+
+      meshes.push({
+        name,
+        key: name.replace(LOD_SUFFIX, '').toLowerCase(),
+        vertices: geometry.attributes.position.count,
+        triangles: Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3),
+        drawCalls: PerformanceService.countDrawCalls(object)
+      });
+    });
+    return meshes;
+  }
+
+  // Pairs meshes by name (ignoring LOD suffixes), then the rest by order
+  static matchMeshes(referenceMeshes, levelMeshes) {
+    const remaining = [...levelMeshes];
+    const take = (predicate) => {
+      const index = remaining.findIndex(predicate);
+      return index === -1 ? null : remaining.splice(index, 1)[0];
+    };
+
+    const rows = referenceMeshes.map(reference => ({
+      reference,
+      level: take(mesh => mesh.key === reference.key)
+    }));
+    rows.filter(row => !row.level).forEach(row => {
+      row.level = remaining.shift() || null;
+    });
+    remaining.forEach(level => rows.push({ reference: null, level }));
+
+    return rows.map(({ reference, level }) => ({
+      name: reference?.name || level.name,
+      levelName: level && reference && level.name !== reference.name ? level.name : null,
+      reference,
+      level,
+      triangleRatio: this.ratio(level?.triangles, reference?.triangles),
+      vertexRatio: this.ratio(level?.vertices, reference?.vertices)
+    }));
+  }
+
+  static summarizeMeshes(meshes) {
+    return meshes.reduce((sum, mesh) => ({
+      meshCount: sum.meshCount + 1,
+      vertices: sum.vertices + mesh.vertices,
+      triangles: sum.triangles + mesh.triangles,
+      drawCalls: sum.drawCalls + mesh.drawCalls
+    }), { meshCount: 0, vertices: 0, triangles: 0, drawCalls: 0 });
+  }
+
+  static ratio(value, reference) {
+    if (value === undefined || value === null || !reference) return null;
+    return value / reference;
+  }
+
+  // Renders root as a white-on-black mask. The model is briefly moved into a
+  // silhouette stage at the reference's placement, so every level is seen
+  // through the same camera in its own file coordinates.
+  static renderSilhouette(renderer, root, placement, camera, resolution) {
+    const stage = new THREE.Scene();
+    stage.background = new THREE.Color(0x000000);
+    stage.overrideMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide });
+
+    const parent = root.parent;
+    const position = root.position.clone();
+    const toneMapping = renderer.toneMapping;
+
+    try {
+      stage.add(root);
+      root.position.copy(placement);
+      renderer.toneMapping = THREE.NoToneMapping;
+      const { data, width, height } = ComparisonRenderer.render(renderer, stage, camera, resolution);
+
+      const mask = new Uint8Array(width * height);
+      for (let p = 0; p < mask.length; p++) {
+        mask[p] = data[p * 4] > 127 ? 1 : 0;
+      }
+      return { mask, width, height };
+    } finally {
+      renderer.toneMapping = toneMapping;
+      root.position.copy(position);
+      if (parent) parent.add(root);
+      else stage.remove(root);
+      stage.overrideMaterial.dispose();
+    }
+  }
+
+  // Error is the number of pixels covered by only one of the two silhouettes,
+  // relative to the reference silhouette's area
+  static compareSilhouettes(reference, level) {
+    const { width, height } = reference;
+    const data = new Uint8ClampedArray(width * height * 4);
+    let referencePixels = 0;
+    let missing = 0;
+    let extra = 0;
+
+    for (let p = 0; p < reference.mask.length; p++) {
+      const inReference = reference.mask[p] === 1;
+      const inLevel = level.mask[p] === 1;
+      if (inReference) referencePixels++;
+
+      let color = null;
+      if (inReference && !inLevel) {
+        missing++;
+        color = MISSING_COLOR;
+      } else if (inLevel && !inReference) {
+        extra++;
+        color = EXTRA_COLOR;
+      }
+
+      const o = p * 4;
+      if (color) {
+        data[o] = color[0];
+        data[o + 1] = color[1];
+        data[o + 2] = color[2];
+      } else {
+        data[o] = data[o + 1] = data[o + 2] = inReference ? 200 : 255;
+      }
+      data[o + 3] = 255;
+    }
+
+    return {
+      percentage: referencePixels > 0 ? ((missing + extra) / referencePixels) * 100 : 0,
+      missingPixels: missing,
+      extraPixels: extra,
+      image: { data, width, height }
+    };
+  }
+
+  // `viewer` supplies the renderer and camera (Model 1's viewer); `levels` are
+  // `{ id, label, scene, stats }` compared in order against `reference`
+  static async createReport(viewer, reference, levels, options = {}, onProgress) {
+    const settings = { ...this.defaultOptions, ...options };
+    const renderer = viewer.getRenderer();
+    const referenceCamera = viewer.getCamera();
+    const target = viewer.getControls().target.clone();
+    const radius = referenceCamera.position.distanceTo(target);
+    const placement = reference.scene.position.clone();
+
+    const views = ComparisonService.generateTurntableViews(settings.views);
+    const cameras = views.map(view => ComparisonService.createOrbitCamera(referenceCamera, target, radius, view));
+    const referenceMasks = cameras.map(camera => this.renderSilhouette(renderer, reference.scene, placement, camera, settings.resolution));
+
+    const referenceMeshes = this.collectMeshes(reference.scene);
+    const referenceSummary = {
+      label: reference.label,
+      ...this.summarizeMeshes(referenceMeshes),
+      textureMemory: reference.stats.textureMemory
+    };
+
+    const results = [];
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+      if (onProgress) onProgress(i + 1, levels.length, level);
+
+      const meshes = this.collectMeshes(level.scene);
+      const summary = this.summarizeMeshes(meshes);
+
+      const silhouettes = cameras.map((camera, index) => ({
+        ...views[index],
+        ...this.compareSilhouettes(
+          referenceMasks[index],
+          this.renderSilhouette(renderer, level.scene, placement, camera, settings.resolution)
+        )
+      }));
+      const worst = silhouettes.reduce((a, b) => (b.percentage > a.percentage ? b : a));
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const deviation = await GeometryDeviationService.compare(
+        reference.scene,
+        level.scene,
+        { sampleCount: settings.sampleCount, overlay: false }
+      );
+
+      results.push({
+        id: level.id,
+        label: level.label,
+        ...summary,
+        textureMemory: level.stats.textureMemory,
+        triangleRatio: this.ratio(summary.triangles, referenceSummary.triangles),
+        vertexRatio: this.ratio(summary.vertices, referenceSummary.vertices),
+        drawCallRatio: this.ratio(summary.drawCalls, referenceSummary.drawCalls),
+        textureMemoryRatio: this.ratio(level.stats.textureMemory, referenceSummary.textureMemory),
+        silhouette: {
+          meanPercentage: silhouettes.reduce((sum, view) => sum + view.percentage, 0) / silhouettes.length,
+          maxPercentage: worst.percentage,
+          worstView: worst.label,
+          worstImage: ComparisonRenderer.toDataURL(worst.image),
+          views: silhouettes.map(({ image, ...view }) => view)
+        },
+        deviation: {
+          diagonal: deviation.diagonal,
+          hausdorff: deviation.hausdorff,
+          mean: deviation.mean,
+          rms: deviation.rms
+        },
+        meshes: this.matchMeshes(referenceMeshes, meshes)
+      });
+    }
+
+    return {
+      resolution: settings.resolution,
+      viewCount: views.length,
+      reference: referenceSummary,
+      levels: results
+    };
+  }
+
+  // "-62.5%" for a level keeping 37.5% of the reference
+  static formatReduction(ratio) {
+    if (ratio === null || ratio === undefined) return '—';
+    const change = (ratio - 1) * 100;
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+  }
+
+  static formatBytes(bytes) {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+}
@@ -0,0 +1,237 @@
+// MaterialService.js - PBR material property extraction and comparison
+import * as THREE from 'three';
+
+const SCALAR_PROPERTIES = [
+  'roughness',
+  'metalness',
+  'opacity',
+  'alphaTest',
+  'emissiveIntensity',
+  'aoMapIntensity',
+  'envMapIntensity',
+  'lightMapIntensity',
+  'bumpScale',
+  'displacementScale',
+  'displacementBias',
+  'transmission',
+  'thickness',
+  'attenuationDistance',
+  'ior',
+  'clearcoat',
+  'clearcoatRoughness',
+  'sheen',
+  'sheenRoughness',
+  'specularIntensity',
+  'iridescence',
+  'iridescenceIOR',
+  'anisotropy',
+  'anisotropyRotation',
+  'dispersion'
+];
+
+const COLOR_PROPERTIES = ['color', 'emissive', 'sheenColor', 'specularColor', 'attenuationColor'];
+
+const VECTOR_PROPERTIES = ['normalScale', 'clearcoatNormalScale', 'iridescenceThicknessRange'];
+
+const FLAG_PROPERTIES = ['transparent', 'side', 'flatShading', 'vertexColors', 'depthWrite', 'alphaHash'];
+
+const TEXTURE_SLOTS = [
+  'map',
+  'normalMap',
+  'roughnessMap',
+  'metalnessMap',
+  'aoMap',
+  'emissiveMap',
+  'alphaMap',
+  'bumpMap',
+  'displacementMap',
+  'lightMap',
+  'clearcoatMap',
+  'clearcoatRoughnessMap',
+  'clearcoatNormalMap',
+  'transmissionMap',
+  'thicknessMap',
+  'sheenColorMap',
+  'sheenRoughnessMap',
+  'specularIntensityMap',
+  'specularColorMap',
+  'iridescenceMap',
+  'iridescenceThicknessMap',
+  'anisotropyMap'
+];
+
+const SIDE_NAMES = {
+  [THREE.FrontSide]: 'Front',
+  [THREE.BackSide]: 'Back',
+  [THREE.DoubleSide]: 'Double'
+};
+
+export class MaterialService {
+  static defaultTolerance = 0.01;
+  static textureSlots = TEXTURE_SLOTS;
+
+  static extractMaterialProperties(material) {
+    const properties = {};
+
+    SCALAR_PROPERTIES.forEach(property => {
+      if (typeof material[property] === 'number') {
+        properties[property] = { kind: 'number', value: material[property] };
+      }
+    });
+
+    COLOR_PROPERTIES.forEach(property => {
+      if (material[property] && material[property].isColor) {
+        properties[property] = { kind: 'color', value: `#${material[property].getHexString()}` };
+      }
+    });
+
+    VECTOR_PROPERTIES.forEach(property => {
+      const value = material[property];
+      if (value && value.isVector2) {
+        properties[property] = { kind: 'vector', value: [value.x, value.y] };
+      } else if (Array.isArray(value)) {
+        properties[property] = { kind: 'vector', value: [...value] };
+      }
+    });
+
+    FLAG_PROPERTIES.forEach(property => {
+      if (material[property] !== undefined) {
+        const value = property === 'side' ? SIDE_NAMES[material.side] : String(material[property]);
+        properties[property] = { kind: 'text', value };
+      }
+    });
+
+    const textures = {};
+    TEXTURE_SLOTS.forEach(slot => {
+      const texture = material[slot];
+      if (!texture || !texture.isTexture) return;
+
+      textures[slot] = {
+        name: texture.name || slot,
+        offset: [texture.offset.x, texture.offset.y],
+        repeat: [texture.repeat.x, texture.repeat.y],
+        rotation: texture.rotation,
+        center: [texture.center.x, texture.center.y],
+        channel: texture.channel ?? 0,
+        colorSpace: texture.colorSpace || THREE.NoColorSpace,
+        flipY: texture.flipY
+      };
+    });
+
+    return {
+      name: material.name || material.type,
+      type: material.type,
+      properties,
+      textures
+    };
+  }
+
+  // Pairs materials by name; duplicate or missing names fall back to their position
+  static pairMaterials(materialsA = [], materialsB = []) {
+    const pairs = [];
+    const remainingB = [...materialsB];
+
+    materialsA.forEach(a => {
+      const index = remainingB.findIndex(b => b.name === a.name);
+      if (index >= 0) {
+        pairs.push({ name: a.name, a, b: remainingB[index] });
+        remainingB.splice(index, 1);
+      } else {
+        pairs.push({ name: a.name, a, b: null });
+      }
+    });
+
+    remainingB.forEach(b => pairs.push({ name: b.name, a: null, b }));
+    return pairs;
+  }
+
+  static compareMaterials(materialsA, materialsB, tolerance = this.defaultTolerance) {
+    return this.pairMaterials(materialsA, materialsB).map(pair => {
+      const rows = pair.a && pair.b ? this.compareProperties(pair.a, pair.b, tolerance) : [];
+      return {
+        name: pair.name,
+        type: pair.a?.type === pair.b?.type ? pair.a.type : `${pair.a?.type || '—'} / ${pair.b?.type || '—'}`,
+        onlyIn: !pair.a ? 'comparison' : !pair.b ? 'original' : null,
+        rows,
+        differenceCount: rows.filter(row => row.exceeds).length
+      };
+    });
+  }
+
+  // The "material deltas" figure used by policies, the CLI and reports:
+  // parameters beyond tolerance plus materials present in one model only
+  static countDeltas(comparisons) {
+    return comparisons.reduce((sum, comparison) => sum + comparison.differenceCount + (comparison.onlyIn ? 1 : 0), 0);
+  }
+
+  static compareProperties(materialA, materialB, tolerance) {
+    const rows = [];
+    const propertyNames = new Set([
+      ...Object.keys(materialA.properties),
+      ...Object.keys(materialB.properties)
+    ]);
+
+    propertyNames.forEach(property => {
+      const a = materialA.properties[property];
+      const b = materialB.properties[property];
+      rows.push(this.createRow(property, a?.kind || b?.kind, a?.value, b?.value, tolerance));
+    });
+
+    const slots = new Set([...Object.keys(materialA.textures), ...Object.keys(materialB.textures)]);
+    slots.forEach(slot => {
+      const a = materialA.textures[slot];
+      const b = materialB.textures[slot];
+      rows.push(this.createRow(slot, 'text', a?.name, b?.name, tolerance, 'texture'));
+      ['offset', 'repeat', 'center'].forEach(field => {
+        rows.push(this.createRow(`${slot}.${field}`, 'vector', a?.[field], b?.[field], tolerance, 'texture'));
+      });
+      rows.push(this.createRow(`${slot}.rotation`, 'number', a?.rotation, b?.rotation, tolerance, 'texture'));
+      rows.push(this.createRow(`${slot}.channel`, 'text', a?.channel, b?.channel, tolerance, 'texture'));
+      rows.push(this.createRow(`${slot}.colorSpace`, 'text', a?.colorSpace, b?.colorSpace, tolerance, 'texture'));
+    });
+
+    return rows;
+  }
+
+  static createRow(property, kind, valueA, valueB, tolerance, group = kind) {
+    const delta = this.computeDelta(kind, valueA, valueB);
+    let exceeds;
+    if (valueA === undefined || valueB === undefined) {
+      exceeds = valueA !== valueB;
+    } else if (delta === null) {
+      exceeds = String(valueA) !== String(valueB);
+    } else {
+      exceeds = Math.abs(delta) > tolerance;
+    }
+
+    return { property, kind, group, valueA, valueB, delta, exceeds };
+  }
+
+  static computeDelta(kind, valueA, valueB) {
+    if (valueA === undefined || valueB === undefined) return null;
+
+    if (kind === 'number') {
+      return valueB - valueA;
+    }
+    if (kind === 'vector') {
+      return Math.max(...valueA.map((component, i) => Math.abs((valueB[i] ?? 0) - component)));
+    }
+    if (kind === 'color') {
+      const colorA = new THREE.Color(valueA);
+      const colorB = new THREE.Color(valueB);
+      return Math.max(
+        Math.abs(colorB.r - colorA.r),
+        Math.abs(colorB.g - colorA.g),
+        Math.abs(colorB.b - colorA.b)
+      );
+    }
+    return null;
+  }
+
+  static formatValue(kind, value) {
+    if (value === undefined || value === null) return '—';
+    if (kind === 'number') return parseFloat(value.toFixed(4)).toString();
+    if (kind === 'vector') return value.map(v => parseFloat(v.toFixed(4))).join(', ');
+    return String(value);
+  }
+}
@@ -0,0 +1,481 @@
+// MeshQualityService.js - Per-mesh topology, normal and UV checks with highlightable problem locations
+import * as THREE from 'three';
+
+// kind says what a location is made of: triangles (3 vertex indices each),
+// edges (2), vertices (1) or the whole mesh
+export const MESH_ISSUES = [
+  { id: 'degenerateTriangles', label: 'Degenerate triangles', kind: 'triangles', description: 'Zero-area triangles or triangles that repeat a vertex' },
+  { id: 'duplicateVertices', label: 'Duplicate vertices', kind: 'vertices', description: 'Indexed vertices identical in every attribute to an earlier one' },
+  { id: 'openEdges', label: 'Open edges', kind: 'edges', description: 'Edges used by a single triangle (holes and borders)' },
+  { id: 'nonManifoldEdges', label: 'Non-manifold edges', kind: 'edges', description: 'Edges shared by more than two triangles' },
+  { id: 'windingConflicts', label: 'Inconsistent winding', kind: 'edges', description: 'Edges whose two triangles run the same direction, so one of them faces the wrong way' },
+  { id: 'flippedNormals', label: 'Flipped normals', kind: 'triangles', description: 'Triangles whose vertex normals point away from the winding order' },
+  { id: 'missingTangents', label: 'Missing tangents', kind: 'mesh', description: 'Normal-mapped meshes without a TANGENT attribute' },
+  { id: 'uvOutOfRange', label: 'UVs outside 0–1', kind: 'vertices', description: 'UV coordinates outside the unit square (intended when textures tile)' },
+  { id: 'uvOverlaps', label: 'Overlapping UVs', kind: 'triangles', description: 'Triangles sharing UV space with another triangle of the same mesh' },
+  { id: 'texelDensityOutliers', label: 'Texel density outliers', kind: 'triangles', description: 'Triangles with more than twice or less than half the mesh\'s mean texel density' }
+];
+
+// Locations kept per issue and mesh for highlighting; counts are never capped
+const MAX_LOCATIONS = 1000;
+
+// Positions closer than this fraction of the bounding box diagonal are welded
+// when building edges; areas below its square count as degenerate
+const WELD_TOLERANCE = 1e-6;
+
+const UV_GRID_SIZE = 256;
+const DENSITY_OUTLIER_FACTOR = 2;
+
+const HIGHLIGHT_COLOR = 0xff2d55;
+
+// Checks that depend on the mesh (materials, world transform) rather than
+// only its geometry
+const MESH_CHECKS = ['missingTangents', 'texelDensityOutliers'];
+
+// Geometry checks are shared by every mesh that uses the geometry
+const geometryResults = new WeakMap();
+
+// One grid reused by every overlap check
+const uvGrid = new Int32Array(UV_GRID_SIZE * UV_GRID_SIZE);
+
+const floatView = new Float32Array(1);
+const bitsView = new Int32Array(floatView.buffer);
+
+const createIssueRecord = (ids = MESH_ISSUES.map(issue => issue.id)) => Object.fromEntries(ids.map(id => [id, { count: 0, locations: [] }]));
+
+const record = (issues, id, ...indices) => {
+  const issue = issues[id];
+  issue.count++;
+  if (issue.locations.length < MAX_LOCATIONS * indices.length) issue.locations.push(...indices);
+};
+
+const getTriangles = (geometry) => {
+  const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+  const triangles = new Uint32Array(count - (count % 3));
+  for (let i = 0; i < triangles.length; i++) {
+    triangles[i] = geometry.index ? geometry.index.getX(i) : i;
+  }
+  return triangles;
+};
+
+// Maps every vertex to the first vertex equal to it, with an open-addressing
+// hash table: no per-vertex strings or objects on large meshes
+const findFirstEqual = (count, hash, equals) => {
+  const size = 2 ** Math.ceil(Math.log2(count * 2 + 1));
+  const table = new Int32Array(size).fill(-1);
+  const firsts = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    let slot = hash(i) & (size - 1);
+    while (table[slot] !== -1 && !equals(table[slot], i)) slot = (slot + 1) & (size - 1);
+    if (table[slot] === -1) table[slot] = i;
+    firsts[i] = table[slot];
+  }
+  return firsts;
+};
+
+const hashFloat = (hash, value) => {
+  floatView[0] = value === 0 ? 0 : value;
+  return Math.imul(hash ^ bitsView[0], 16777619);
+};
+
+// Same id for every vertex at (nearly) the same position
+const weldPositions = (position, tolerance) => {
+  const grid = new Float64Array(position.count * 3);
+  for (let i = 0; i < position.count; i++) {
+    grid[i * 3] = Math.round(position.getX(i) / tolerance);
+    grid[i * 3 + 1] = Math.round(position.getY(i) / tolerance);
+    grid[i * 3 + 2] = Math.round(position.getZ(i) / tolerance);
+  }
+  return findFirstEqual(
+    position.count,
+    i => Math.imul(grid[i * 3] | 0, 73856093) ^ Math.imul(grid[i * 3 + 1] | 0, 19349663) ^ Math.imul(grid[i * 3 + 2] | 0, 83492791),
+    (i, j) => grid[i * 3] === grid[j * 3] && grid[i * 3 + 1] === grid[j * 3 + 1] && grid[i * 3 + 2] === grid[j * 3 + 2]
+  );
+};
+
+// Vertices identical in every attribute
+const findDuplicateVertices = (attributes, count) => findFirstEqual(
+  count,
+  i => {
+    let hash = 2166136261;
+    attributes.forEach(attribute => {
+      for (let c = 0; c < attribute.itemSize; c++) hash = hashFloat(hash, attribute.getComponent(i, c));
+    });
+    return hash;
+  },
+  (i, j) => attributes.every(attribute => {
+    for (let c = 0; c < attribute.itemSize; c++) {
+      if (attribute.getComponent(i, c) !== attribute.getComponent(j, c)) return false;
+    }
+    return true;
+  })
+);
+
+// Point-in-triangle test on the UV plane (either winding). Points on an edge
+// are outside, so neighbours sharing that edge never claim the same cell.
+const containsPoint = (x, y, u0, v0, u1, v1, u2, v2) => {
+  const d0 = (u1 - u0) * (y - v0) - (v1 - v0) * (x - u0);
+  const d1 = (u2 - u1) * (y - v1) - (v2 - v1) * (x - u1);
+  const d2 = (u0 - u2) * (y - v2) - (v0 - v2) * (x - u2);
+  return (d0 > 0 && d1 > 0 && d2 > 0) || (d0 < 0 && d1 < 0 && d2 < 0);
+};
+
+const getMaterials = (mesh) => (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).filter(Boolean);
+
+export class MeshQualityService {
+  static issues = MESH_ISSUES;
+
+  // Meshes in a scene, with world matrices current for texel density
+  static analyzeScene(scene) {
+    const meshes = [];
+    scene.updateMatrixWorld(true);
+    scene.traverse(object => {
+      if (object.isMesh) meshes.push(this.analyzeMesh(object));
+    });
+    return this.summarize(meshes);
+  }
+
+  static analyzeMesh(mesh) {
+    const { geometry } = mesh;
+    if (!geometryResults.has(geometry)) geometryResults.set(geometry, this.analyzeGeometry(geometry));
+    const { triangleCount, issues: geometryIssues, degenerate } = geometryResults.get(geometry);
+    const issues = { ...geometryIssues, ...createIssueRecord(MESH_CHECKS) };
+    const result = {
+      uuid: mesh.uuid,
+      name: mesh.name || geometry.name || 'Mesh',
+      triangleCount,
+      issues,
+      texelDensity: null
+    };
+    if (!geometry.attributes.position) return result;
+
+    if (getMaterials(mesh).some(material => material.normalMap) && !geometry.attributes.tangent) {
+      record(issues, 'missingTangents');
+    }
+    if (geometry.attributes.uv) {
+      result.texelDensity = this.checkTexelDensity(mesh, getTriangles(geometry), geometry.attributes.uv, degenerate, issues);
+    }
+    return result;
+  }
+
+  // Everything that depends only on the geometry; degenerate flags are kept
+  // for the per-mesh texel density check
+  static analyzeGeometry(geometry) {
+    const position = geometry.attributes.position;
+    const issues = createIssueRecord(MESH_ISSUES.map(issue => issue.id).filter(id => !MESH_CHECKS.includes(id)));
+    if (!position) return { triangleCount: 0, issues, degenerate: new Uint8Array(0) };
+
+    const triangles = getTriangles(geometry);
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+    const tolerance = diagonal * WELD_TOLERANCE;
+    const ids = weldPositions(position, tolerance);
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const edge = new THREE.Vector3();
+    const faceNormal = new THREE.Vector3();
+    const vertexNormal = new THREE.Vector3();
+    const normal = geometry.attributes.normal;
+    const degenerate = new Uint8Array(triangles.length / 3);
+
+    // Degenerate triangles and normals that disagree with the winding
+    for (let t = 0; t < triangles.length; t += 3) {
+      const [i0, i1, i2] = [triangles[t], triangles[t + 1], triangles[t + 2]];
+      a.fromBufferAttribute(position, i0);
+      b.fromBufferAttribute(position, i1);
+      c.fromBufferAttribute(position, i2);
+      faceNormal.subVectors(b, a).cross(edge.subVectors(c, a));
+      const area = faceNormal.length() / 2;
+
+      if (ids[i0] === ids[i1] || ids[i1] === ids[i2] || ids[i0] === ids[i2] || area <= tolerance * tolerance) {
+        degenerate[t / 3] = 1;
+        record(issues, 'degenerateTriangles', i0, i1, i2);
+        continue;
+      }
+
+      if (normal) {
+        vertexNormal.fromBufferAttribute(normal, i0)
+          .add(b.fromBufferAttribute(normal, i1))
+          .add(c.fromBufferAttribute(normal, i2));
+        if (faceNormal.dot(vertexNormal) < 0) record(issues, 'flippedNormals', i0, i1, i2);
+      }
+    }
+
+    this.checkEdges(triangles, ids, degenerate, issues);
+
+    // Splitting vertices is how indexed meshes carry seams; only vertices that
+    // repeat every attribute are redundant. Unindexed meshes repeat by design.
+    if (geometry.index) {
+      const firsts = findDuplicateVertices(Object.values(geometry.attributes), position.count);
+      for (let i = 0; i < position.count; i++) {
+        if (firsts[i] !== i) record(issues, 'duplicateVertices', i);
+      }
+    }
+
+    const uv = geometry.attributes.uv;
+    if (uv) {
+      for (let i = 0; i < uv.count; i++) {
+        const u = uv.getX(i);
+        const v = uv.getY(i);
+        if (u < -1e-4 || u > 1 + 1e-4 || v < -1e-4 || v > 1 + 1e-4) record(issues, 'uvOutOfRange', i);
+      }
+      this.checkUVOverlaps(triangles, uv, degenerate, issues);
+    }
+
+    return { triangleCount: triangles.length / 3, issues, degenerate };
+  }
+
+  // Every edge of the welded mesh should be shared by exactly two triangles
+  // running in opposite directions
+  static checkEdges(triangles, ids, degenerate, issues) {
+    // Open-addressing table keyed by welded edge; there are at most as many
+    // edges as triangle corners, so it always has free slots
+    const size = 2 ** Math.ceil(Math.log2(triangles.length + 1));
+    const keys = new Float64Array(size).fill(-1);
+    const counts = new Uint8Array(size);
+    const forwards = new Uint8Array(size);
+    const getSlot = (from, to) => {
+      const [low, high] = ids[from] < ids[to] ? [ids[from], ids[to]] : [ids[to], ids[from]];
+      const key = low * 0x4000000 + high;
+      let slot = (Math.imul(low, 73856093) ^ Math.imul(high, 19349663)) & (size - 1);
+      while (keys[slot] !== -1 && keys[slot] !== key) slot = (slot + 1) & (size - 1);
+      keys[slot] = key;
+      return slot;
+    };
+    const forEachEdge = (callback) => {
+      for (let t = 0; t < triangles.length; t += 3) {
+        if (degenerate[t / 3]) continue;
+        for (let e = 0; e < 3; e++) callback(triangles[t + e], triangles[t + (e + 1) % 3]);
+      }
+    };
+
+    // Counts saturate; only 1, 2 and more matter
+    forEachEdge((from, to) => {
+      const slot = getSlot(from, to);
+      counts[slot] = Math.min(counts[slot] + 1, 255);
+      if (ids[from] < ids[to]) forwards[slot] = Math.min(forwards[slot] + 1, 255);
+    });
+
+    // Each edge is reported once, where it first appears
+    const reported = new Uint8Array(size);
+    forEachEdge((from, to) => {
+      const slot = getSlot(from, to);
+      if (reported[slot]) return;
+      reported[slot] = 1;
+      if (counts[slot] === 1) record(issues, 'openEdges', from, to);
+      else if (counts[slot] > 2) record(issues, 'nonManifoldEdges', from, to);
+      else if (forwards[slot] !== 1) record(issues, 'windingConflicts', from, to);
+    });
+  }
+
+  // Rasterizes each triangle's UVs into a grid over the unit square; a cell
+  // claimed by two triangles is overlap. Tiling triangles (outside 0–1) are skipped.
+  static checkUVOverlaps(triangles, uv, degenerate, issues) {
+    const grid = uvGrid.fill(-1);
+    const overlapping = new Set();
+
+    for (let t = 0; t < triangles.length; t += 3) {
+      if (degenerate[t / 3]) continue;
+      const [u0, v0, u1, v1, u2, v2] = [
+        uv.getX(triangles[t]), uv.getY(triangles[t]),
+        uv.getX(triangles[t + 1]), uv.getY(triangles[t + 1]),
+        uv.getX(triangles[t + 2]), uv.getY(triangles[t + 2])
+      ];
+      const minU = Math.min(u0, u1, u2);
+      const maxU = Math.max(u0, u1, u2);
+      const minV = Math.min(v0, v1, v2);
+      const maxV = Math.max(v0, v1, v2);
+      if (minU < 0 || minV < 0 || maxU > 1 || maxV > 1) continue;
+
+      const startX = Math.max(0, Math.ceil(minU * UV_GRID_SIZE - 0.5));
+      const endX = Math.min(UV_GRID_SIZE - 1, Math.floor(maxU * UV_GRID_SIZE - 0.5));
+      const startY = Math.max(0, Math.ceil(minV * UV_GRID_SIZE - 0.5));
+      const endY = Math.min(UV_GRID_SIZE - 1, Math.floor(maxV * UV_GRID_SIZE - 0.5));
+      for (let y = startY; y <= endY; y++) {
+        for (let x = startX; x <= endX; x++) {
+          if (!containsPoint((x + 0.5) / UV_GRID_SIZE, (y + 0.5) / UV_GRID_SIZE, u0, v0, u1, v1, u2, v2)) continue;
+          const cell = y * UV_GRID_SIZE + x;
+          if (grid[cell] !== -1 && grid[cell] !== t) {
+            overlapping.add(grid[cell]);
+            overlapping.add(t);
+          }
+          grid[cell] = t;
+        }
+      }
+    }
+
+    overlapping.forEach(t => record(issues, 'uvOverlaps', triangles[t], triangles[t + 1], triangles[t + 2]));
+  }
+
+  // Texels per world unit when the mesh has a base color texture, UV units per
+  // world unit otherwise. Returns area-weighted moments so meshes can be combined.
+  static checkTexelDensity(mesh, triangles, uv, degenerate, issues) {
+    const map = getMaterials(mesh).find(material => material.map?.image)?.map;
+    const texels = map ? (map.image.width || 1) * (map.image.height || 1) : 1;
+    const position = mesh.geometry.attributes.position;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const densities = new Float64Array(triangles.length / 3).fill(NaN);
+    let weight = 0;
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (let t = 0; t < triangles.length; t += 3) {
+      if (degenerate[t / 3]) continue;
+      a.fromBufferAttribute(position, triangles[t]).applyMatrix4(mesh.matrixWorld);
+      b.fromBufferAttribute(position, triangles[t + 1]).applyMatrix4(mesh.matrixWorld);
+      c.fromBufferAttribute(position, triangles[t + 2]).applyMatrix4(mesh.matrixWorld);
+      const worldArea = b.sub(a).cross(c.sub(a)).length() / 2;
+      const [u0, v0, u1, v1, u2, v2] = [
+        uv.getX(triangles[t]), uv.getY(triangles[t]),
+        uv.getX(triangles[t + 1]), uv.getY(triangles[t + 1]),
+        uv.getX(triangles[t + 2]), uv.getY(triangles[t + 2])
+      ];
+      const uvArea = Math.abs((u1 - u0) * (v2 - v0) - (u2 - u0) * (v1 - v0)) / 2;
+      if (worldArea === 0) continue;
+
+      const density = Math.sqrt((uvArea * texels) / worldArea);
+      densities[t / 3] = density;
+      weight += worldArea;
+      sum += worldArea * density;
+      sumSquares += worldArea * density * density;
+    }
+    if (weight === 0) return null;
+
+    const mean = sum / weight;
+    for (let t = 0; t < triangles.length; t += 3) {
+      const density = densities[t / 3];
+      if (Number.isNaN(density) || mean === 0) continue;
+      if (density > mean * DENSITY_OUTLIER_FACTOR || density < mean / DENSITY_OUTLIER_FACTOR) {
+        record(issues, 'texelDensityOutliers', triangles[t], triangles[t + 1], triangles[t + 2]);
+      }
+    }
+
+    return { unit: map ? 'texels' : 'uv', weight, sum, sumSquares, mean };
+  }
+
+  // Coefficient of variation (standard deviation / mean) of area-weighted density
+  static getVariation({ weight, sum, sumSquares }) {
+    if (!weight || !sum) return 0;
+    const mean = sum / weight;
+    return Math.sqrt(Math.max(0, sumSquares / weight - mean * mean)) / mean;
+  }
+
+  static summarize(meshes) {
+    const totals = Object.fromEntries(MESH_ISSUES.map(issue => [
+      issue.id,
+      meshes.reduce((sum, mesh) => sum + mesh.issues[issue.id].count, 0)
+    ]));
+    const densities = meshes.map(mesh => mesh.texelDensity).filter(Boolean);
+    const combined = densities.reduce((total, density) => ({
+      weight: total.weight + density.weight,
+      sum: total.sum + density.sum,
+      sumSquares: total.sumSquares + density.sumSquares
+    }), { weight: 0, sum: 0, sumSquares: 0 });
+
+    return {
+      meshCount: meshes.length,
+      totals,
+      texelDensityVariation: densities.length > 0 ? this.getVariation(combined) : null,
+      meshes
+    };
+  }
+
+  static compare(qualityA, qualityB) {
+    const rows = MESH_ISSUES.map(issue => {
+      const original = qualityA?.totals[issue.id];
+      const comparison = qualityB?.totals[issue.id];
+      return {
+        ...issue,
+        original,
+        comparison,
+        changed: original !== undefined && comparison !== undefined && original !== comparison
+      };
+    });
+    const variation = {
+      original: qualityA?.texelDensityVariation ?? null,
+      comparison: qualityB?.texelDensityVariation ?? null
+    };
+    return { rows, variation, changedCount: rows.filter(row => row.changed).length };
+  }
+
+  // Counts only, for summaries and reports
+  static getTotals(quality) {
+    if (!quality) return null;
+    const { totals, texelDensityVariation, meshCount } = quality;
+    return { ...totals, texelDensityVariation, meshCount };
+  }
+
+  static formatVariation(value) {
+    return value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+  }
+
+  // Lines and points over the problem locations, in the mesh's local space;
+  // ModelViewer keeps the overlay on the mesh's world matrix
+  static createHighlight(scene, meshResult, issueId) {
+    const mesh = scene.getObjectByProperty('uuid', meshResult.uuid);
+    const issue = MESH_ISSUES.find(entry => entry.id === issueId);
+    if (!mesh || !issue) return null;
+
+    const position = mesh.geometry.attributes.position;
+    const indices = meshResult.issues[issueId].locations;
+    const vertex = new THREE.Vector3();
+    const lines = [];
+    const points = [];
+    const push = (target, index) => {
+      vertex.fromBufferAttribute(position, index);
+      target.push(vertex.x, vertex.y, vertex.z);
+    };
+
+    if (issue.kind === 'triangles') {
+      for (let i = 0; i < indices.length; i += 3) {
+        [[0, 1], [1, 2], [2, 0]].forEach(([from, to]) => {
+          push(lines, indices[i + from]);
+          push(lines, indices[i + to]);
+        });
+        // Zero-area triangles have no visible edges
+        push(points, indices[i]);
+      }
+    } else if (issue.kind === 'edges') {
+      for (let i = 0; i < indices.length; i += 2) {
+        push(lines, indices[i]);
+        push(lines, indices[i + 1]);
+      }
+    } else if (issue.kind === 'vertices') {
+      indices.forEach(index => push(points, index));
+    }
+
+    const group = new THREE.Group();
+    group.name = `Highlight ${issue.label}`;
+    group.matrixAutoUpdate = false;
+    group.userData.target = mesh;
+
+    if (issue.kind === 'mesh') {
+      if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+      const box = new THREE.Box3Helper(mesh.geometry.boundingBox, HIGHLIGHT_COLOR);
+      box.material.depthTest = false;
+      group.add(box);
+    }
+    if (lines.length > 0) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(lines, 3));
+      group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: HIGHLIGHT_COLOR, depthTest: false, transparent: true })));
+    }
+    if (points.length > 0) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+      group.add(new THREE.Points(geometry, new THREE.PointsMaterial({ color: HIGHLIGHT_COLOR, size: 6, sizeAttenuation: false, depthTest: false, transparent: true })));
+    }
+    return group;
+  }
+
+  static disposeHighlight(group) {
+    group?.traverse(object => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  }
+}
@@ -0,0 +1,216 @@
+// MetricsService.js - Perceptual image metrics and the mismatch mask they drive
+import pixelmatch from '../utils/pixelmatch.js';
+import { ssim, msssim, psnr, deltaE2000, flip, heatmap } from '../utils/imageMetrics.js';
+
+// `flag` marks a pixel as mismatched for metrics that can drive the result;
+// global-only metrics (MS-SSIM, PSNR) report a single score
+const METRIC_DEFINITIONS = [
+  {
+    id: 'pixelmatch',
+    label: 'Pixel mismatch (YIQ)',
+    description: 'Pixels whose YIQ colour distance exceeds the threshold, ignoring anti-aliased edges',
+    unit: '%',
+    higherIsBetter: false,
+    threshold: 0.05
+  },
+  {
+    id: 'ssim',
+    label: 'SSIM',
+    description: 'Structural similarity of luma; pixels below the threshold count as mismatched',
+    unit: '',
+    higherIsBetter: true,
+    threshold: 0.9,
+    flag: (value, threshold) => value < threshold,
+    heat: (value) => 1 - value
+  },
+  {
+    id: 'msssim',
+    label: 'MS-SSIM',
+    description: 'Multi-scale structural similarity over five octaves',
+    unit: '',
+    higherIsBetter: true
+  },
+  {
+    id: 'psnr',
+    label: 'PSNR',
+    description: 'Peak signal-to-noise ratio over RGB',
+    unit: 'dB',
+    higherIsBetter: true
+  },
+  {
+    id: 'deltaE',
+    label: 'ΔE 2000',
+    description: 'Mean CIEDE2000 colour difference; pixels above the just-noticeable difference count as mismatched',
+    unit: '',
+    higherIsBetter: false,
+    threshold: 2.3,
+    flag: (value, threshold) => value > threshold,
+    heat: (value) => value / 10
+  },
+  {
+    id: 'flip',
+    label: 'FLIP',
+    description: 'Mean FLIP error from colour and edge/point feature differences at 67 pixels per degree',
+    unit: '',
+    higherIsBetter: false,
+    threshold: 0.1,
+    flag: (value, threshold) => value > threshold,
+    heat: (value) => value
+  }
+];
+
+const COMPUTE = {
+  ssim,
+  msssim,
+  psnr,
+  deltaE: deltaE2000,
+  flip
+};
+
+export class MetricsService {
+  static metrics = METRIC_DEFINITIONS;
+  static defaultMetrics = ['pixelmatch', 'ssim', 'psnr'];
+  static defaultDrivers = ['pixelmatch'];
+
+  static getMetric(id) {
+    return METRIC_DEFINITIONS.find(metric => metric.id === id);
+  }
+
+  static canDrive(id) {
+    const metric = this.getMetric(id);
+    return !!metric && (metric.id === 'pixelmatch' || !!metric.flag);
+  }
+
+  // Computes the selected metrics; the union of the drivers' per-pixel flags
+  // becomes the mismatch percentage and the red pixels of the diff image.
+  static compare(image1, image2, options = {}) {
+    const { width, height } = image1;
+    const pixelCount = width * height;
+    const drivers = (options.drivers || this.defaultDrivers).filter(id => this.canDrive(id));
+    if (drivers.length === 0) drivers.push('pixelmatch');
+    const enabled = new Set([...(options.metrics || this.defaultMetrics), ...drivers]);
+
+    const mismatch = new Uint8Array(pixelCount);
+    const diffData = new Uint8ClampedArray(pixelCount * 4);
+    const values = {};
+    const maps = {};
+
+    if (enabled.has('pixelmatch')) {
+      const pixelmatchMask = new Uint8Array(pixelCount);
+      const count = pixelmatch(image1.data, image2.data, diffData, width, height, {
+        threshold: this.getMetric('pixelmatch').threshold,
+        includeAA: false,
+        alpha: 0.1,
+        diffColor: [255, 0, 0],
+        mask: pixelmatchMask
+      });
+      values.pixelmatch = (count / pixelCount) * 100;
+      if (drivers.includes('pixelmatch')) {
+        for (let p = 0; p < pixelCount; p++) {
+          if (pixelmatchMask[p] === 1) mismatch[p] = 1;
+        }
+      }
+    } else {
+      this.drawFaded(image1, diffData);
+    }
+
+    METRIC_DEFINITIONS.forEach(metric => {
+      if (metric.id === 'pixelmatch' || !enabled.has(metric.id)) return;
+
+      const result = COMPUTE[metric.id](image1, image2);
+      values[metric.id] = result.value;
+      if (!result.map) return;
+
+      maps[metric.id] = heatmap(result.map.map(metric.heat), width, height);
+      if (drivers.includes(metric.id)) {
+        for (let p = 0; p < pixelCount; p++) {
+          if (metric.flag(result.map[p], metric.threshold)) mismatch[p] = 1;
+        }
+      }
+    });
+
+    let mismatchedPixels = 0;
+    for (let p = 0; p < pixelCount; p++) {
+      if (!mismatch[p]) continue;
+      mismatchedPixels++;
+      diffData[p * 4] = 255;
+      diffData[p * 4 + 1] = 0;
+      diffData[p * 4 + 2] = 0;
+      diffData[p * 4 + 3] = 255;
+    }
+
+    return {
+      diffPixels: { data: diffData, width, height },
+      percentage: (mismatchedPixels / pixelCount) * 100,
+      mismatchedPixels,
+      drivers,
+      metrics: values,
+      metricMaps: maps
+    };
+  }
+
+  // Same faded-grey backdrop pixelmatch draws for unchanged pixels
+  static drawFaded(image, output) {
+    const { data } = image;
+    for (let i = 0; i < data.length; i += 4) {
+      const y = data[i] * 0.29889531 + data[i + 1] * 0.58662247 + data[i + 2] * 0.11448223;
+      const value = 255 + (y - 255) * 0.1 * (data[i + 3] / 255);
+      output[i] = value;
+      output[i + 1] = value;
+      output[i + 2] = value;
+      output[i + 3] = 255;
+    }
+  }
+
+  // Heat map of per-pixel RGB distance, scaled to the largest difference so
+  // subtle changes stay visible
+  static diffMagnitude(image1, image2) {
+    const a = image1.data;
+    const b = image2.data;
+    const magnitudes = new Float32Array(a.length / 4);
+    let max = 0;
+
+    for (let i = 0, p = 0; i < a.length; i += 4, p++) {
+      const dr = a[i] - b[i];
+      const dg = a[i + 1] - b[i + 1];
+      const db = a[i + 2] - b[i + 2];
+      magnitudes[p] = Math.sqrt(dr * dr + dg * dg + db * db) / (255 * Math.sqrt(3));
+      if (magnitudes[p] > max) max = magnitudes[p];
+    }
+
+    return {
+      image: heatmap(magnitudes, image1.width, image1.height, Math.max(max, 1 / 255)),
+      max
+    };
+  }
+
+  // Mean of each metric across turntable views
+  static aggregate(metricSets) {
+    const totals = {};
+    metricSets.forEach(metrics => {
+      Object.entries(metrics || {}).forEach(([id, value]) => {
+        totals[id] = totals[id] || { sum: 0, count: 0 };
+        totals[id].sum += value;
+        totals[id].count++;
+      });
+    });
+    return Object.fromEntries(Object.entries(totals).map(([id, { sum, count }]) => [id, sum / count]));
+  }
+
+  static formatValue(id, value) {
+    if (value === undefined || value === null) return '—';
+    if (!Number.isFinite(value)) return id === 'psnr' ? '∞ dB' : String(value);
+
+    const metric = this.getMetric(id);
+    switch (id) {
+      case 'pixelmatch':
+        return `${value.toFixed(2)}%`;
+      case 'psnr':
+        return `${value.toFixed(2)} dB`;
+      case 'deltaE':
+        return value.toFixed(2);
+      default:
+        return `${value.toFixed(4)}${metric?.unit || ''}`;
+    }
+  }
+}
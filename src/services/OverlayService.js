@@ -0,0 +1,281 @@
+// OverlayService.js - Both models in one viewport: tints, X-ray ghosting, split screen and difference-only view
+import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { ChannelService } from './ChannelService.js';
+
+export const OVERLAY_TINTS = {
+  original: '#f97316',
+  comparison: '#0891b2'
+};
+
+const GHOST_OPACITY = 0.2;
+
+// Overlay meshes mapped to their own material(s), and styled variants per source material
+const originals = new WeakMap();
+const styledMaterials = new WeakMap();
+
+const createStyledMaterial = (source, { tint, ghost, color }) => {
+  const material = tint
+    ? new THREE.MeshStandardMaterial({ color, roughness: 0.6, metalness: 0, side: source.side })
+    : source.clone();
+
+  if (ghost) {
+    material.transparent = true;
+    material.opacity = GHOST_OPACITY;
+    material.depthWrite = false;
+  }
+  return material;
+};
+
+const getStyledMaterial = (source, style) => {
+  if (!style.tint && !style.ghost) return source;
+  const key = `${style.tint ? style.color : 'material'}:${style.ghost ? 'ghost' : 'solid'}`;
+
+  if (!styledMaterials.has(source)) {
+    styledMaterials.set(source, new Map());
+  }
+  const cache = styledMaterials.get(source);
+  if (!cache.has(key)) {
+    cache.set(key, createStyledMaterial(source, style));
+  }
+  return cache.get(key);
+};
+
+// Fullscreen pass that keeps only the pixels where the two models' nearest
+// surfaces disagree; coincident surfaces are drawn faintly for context
+const DIFFERENCE_SHADER = {
+  uniforms: {
+    colorA: { value: null },
+    depthA: { value: null },
+    colorB: { value: null },
+    depthB: { value: null },
+    cameraNear: { value: 0.1 },
+    cameraFar: { value: 1000 },
+    orthographic: { value: false },
+    tolerance: { value: 0.01 }
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4( position.xy, 0.0, 1.0 );
+    }
+  `,
+  fragmentShader: `
+    #include <packing>
+    uniform sampler2D colorA;
+    uniform sampler2D depthA;
+    uniform sampler2D colorB;
+    uniform sampler2D depthB;
+    uniform float cameraNear;
+    uniform float cameraFar;
+    uniform bool orthographic;
+    uniform float tolerance;
+    varying vec2 vUv;
+
+    float viewDistance( const in float depth ) {
+      return orthographic
+        ? - orthographicDepthToViewZ( depth, cameraNear, cameraFar )
+        : - perspectiveDepthToViewZ( depth, cameraNear, cameraFar );
+    }
+
+    void main() {
+      float a = texture2D( depthA, vUv ).x;
+      float b = texture2D( depthB, vUv ).x;
+      bool inA = a < 1.0;
+      bool inB = b < 1.0;
+      float zA = viewDistance( a );
+      float zB = viewDistance( b );
+
+      if ( inA && ( ! inB || zA < zB - tolerance ) ) {
+        gl_FragColor = texture2D( colorA, vUv );
+      } else if ( inB && ( ! inA || zB < zA - tolerance ) ) {
+        gl_FragColor = texture2D( colorB, vUv );
+      } else if ( inA ) {
+        vec3 color = texture2D( colorA, vUv ).rgb;
+        gl_FragColor = vec4( vec3( dot( color, vec3( 0.299, 0.587, 0.114 ) ) ), 0.15 );
+      } else {
+        gl_FragColor = vec4( 0.0 );
+      }
+
+      #include <tonemapping_fragment>
+      #include <colorspace_fragment>
+    }
+  `
+};
+
+export class OverlayService {
+  static defaultSettings = {
+    tint: true,
+    ghost: 'none',
+    split: false,
+    splitPosition: 0.5,
+    differencesOnly: false,
+    // Depth tolerance as a fraction of Model 1's bounding-box diagonal
+    tolerance: 0.005
+  };
+
+  // Clones share geometry and textures with the side-by-side viewers but get
+  // copies of the models' own materials, whatever debug channel those viewers
+  // show, so the overlay can dispose everything it created
+  static cloneModel(root) {
+    const clone = cloneSkinned(root);
+    const sources = [];
+    root.traverse(object => object.isMesh && sources.push(object));
+    let index = 0;
+    clone.traverse(object => {
+      if (!object.isMesh) return;
+      const material = ChannelService.getSourceMaterial(sources[index++]);
+      object.material = Array.isArray(material) ? material.map(entry => entry.clone()) : material.clone();
+    });
+    return clone;
+  }
+
+  // Frees the clones' materials and their tinted and ghosted variants
+  static disposeStage(models) {
+    Object.values(models).forEach(root => root.traverse(object => {
+      if (!object.isMesh) return;
+      const own = originals.get(object) || object.material;
+      (Array.isArray(own) ? own : [own]).forEach(material => {
+        styledMaterials.get(material)?.forEach(styled => styled.dispose());
+        styledMaterials.delete(material);
+        material.dispose();
+      });
+    }));
+  }
+
+  // Clones both models into one stage. Model 2 takes Model 1's placement so
+  // offsets between the files stay visible.
+  static createStage(originalScene, comparisonScene) {
+    const stage = new THREE.Scene();
+    const original = this.cloneModel(originalScene);
+    const comparison = this.cloneModel(comparisonScene);
+    comparison.position.copy(original.position);
+    stage.add(original, comparison);
+
+    const box = new THREE.Box3().setFromObject(original);
+    return {
+      stage,
+      models: { original, comparison },
+      diagonal: box.getSize(new THREE.Vector3()).length()
+    };
+  }
+
+  static applyStyle(root, style) {
+    root.traverse(object => {
+      if (!object.isMesh) return;
+      if (!originals.has(object)) {
+        originals.set(object, object.material);
+      }
+      const original = originals.get(object);
+      object.material = Array.isArray(original)
+        ? original.map(material => getStyledMaterial(material, style))
+        : getStyledMaterial(original, style);
+    });
+  }
+
+  // Ghosts write no depth, so the difference view always draws both solid
+  static applySettings(models, settings) {
+    Object.entries(models).forEach(([type, root]) => {
+      this.applyStyle(root, {
+        tint: settings.tint,
+        ghost: !settings.differencesOnly && settings.ghost === type,
+        color: OVERLAY_TINTS[type]
+      });
+    });
+  }
+
+  static createDifferencePass() {
+    const createTarget = () => new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      depthTexture: new THREE.DepthTexture(1, 1)
+    });
+    const material = new THREE.ShaderMaterial({
+      ...DIFFERENCE_SHADER,
+      uniforms: THREE.UniformsUtils.clone(DIFFERENCE_SHADER.uniforms),
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    });
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    const scene = new THREE.Scene();
+    scene.add(quad);
+
+    return {
+      targets: [createTarget(), createTarget()],
+      material,
+      scene,
+      camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1)
+    };
+  }
+
+  static disposeDifferencePass(pass) {
+    pass.targets.forEach(target => {
+      target.depthTexture.dispose();
+      target.dispose();
+    });
+    pass.material.dispose();
+    pass.scene.children[0].geometry.dispose();
+  }
+
+  static renderDifference(renderer, pass, stage, models, camera, tolerance) {
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    const { original, comparison } = models;
+    const visibility = [original.visible, comparison.visible];
+
+    try {
+      [original, comparison].forEach((model, index) => {
+        const target = pass.targets[index];
+        if (target.width !== size.x || target.height !== size.y) {
+          target.setSize(size.x, size.y);
+        }
+        original.visible = model === original;
+        comparison.visible = model === comparison;
+        renderer.setRenderTarget(target);
+        renderer.clear();
+        renderer.render(stage, camera);
+      });
+    } finally {
+      original.visible = visibility[0];
+      comparison.visible = visibility[1];
+      renderer.setRenderTarget(null);
+    }
+
+    const { uniforms } = pass.material;
+    uniforms.colorA.value = pass.targets[0].texture;
+    uniforms.depthA.value = pass.targets[0].depthTexture;
+    uniforms.colorB.value = pass.targets[1].texture;
+    uniforms.depthB.value = pass.targets[1].depthTexture;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.orthographic.value = !!camera.isOrthographicCamera;
+    uniforms.tolerance.value = tolerance;
+
+    // The pass scene has no background, so the canvas backdrop shows through
+    renderer.render(pass.scene, pass.camera);
+  }
+
+  // Left of the divider shows Model 1, right shows Model 2
+  static renderSplit(renderer, stage, models, camera, splitPosition) {
+    const width = renderer.domElement.clientWidth;
+    const height = renderer.domElement.clientHeight;
+    const splitX = Math.round(width * splitPosition);
+    const { original, comparison } = models;
+    const visibility = [original.visible, comparison.visible];
+
+    try {
+      renderer.setScissorTest(true);
+      [[original, 0, splitX], [comparison, splitX, width - splitX]].forEach(([model, x, w]) => {
+        original.visible = model === original;
+        comparison.visible = model === comparison;
+        renderer.setScissor(x, 0, w, height);
+        renderer.render(stage, camera);
+      });
+    } finally {
+      renderer.setScissorTest(false);
+      original.visible = visibility[0];
+      comparison.visible = visibility[1];
+    }
+  }
+}
@@ -0,0 +1,309 @@
+// PerformanceService.js - Runtime cost estimates (GPU memory, draw calls, shader variants) and platform budgets
+import * as THREE from 'three';
+
+const MB = 1024 * 1024;
+
+// Budgets are written in these units; byte counts are converted to MB
+export const BUDGET_METRICS = [
+  { id: 'textureMemory', label: 'Texture memory', unit: 'MB' },
+  { id: 'vertexMemory', label: 'Vertex buffer memory', unit: 'MB' },
+  { id: 'triangleCount', label: 'Triangles', unit: '' },
+  { id: 'drawCalls', label: 'Draw calls', unit: '' },
+  { id: 'shaderVariants', label: 'Shader variants', unit: '' },
+  { id: 'transparentMaterials', label: 'Transparent materials', unit: '' },
+  { id: 'doubleSidedMaterials', label: 'Double-sided materials', unit: '' },
+  { id: 'maxTextureSize', label: 'Largest texture dimension', unit: 'px' }
+];
+
+const BUILT_IN_BUDGETS = [
+  {
+    id: 'mobile-ar',
+    name: 'Mobile AR',
+    description: 'AR Quick Look and Scene Viewer on mid-range phones',
+    limits: {
+      textureMemory: 50,
+      vertexMemory: 20,
+      triangleCount: 100000,
+      drawCalls: 50,
+      shaderVariants: 10,
+      transparentMaterials: null,
+      doubleSidedMaterials: null,
+      maxTextureSize: 2048
+    }
+  },
+  {
+    id: 'mobile-web',
+    name: 'Mobile web',
+    description: 'Product viewers in mobile browsers',
+    limits: {
+      textureMemory: 100,
+      vertexMemory: 50,
+      triangleCount: 300000,
+      drawCalls: 100,
+      shaderVariants: 20,
+      transparentMaterials: null,
+      doubleSidedMaterials: null,
+      maxTextureSize: 4096
+    }
+  },
+  {
+    id: 'desktop-web',
+    name: 'Desktop web',
+    description: 'Desktop browsers with a discrete or recent integrated GPU',
+    limits: {
+      textureMemory: 512,
+      vertexMemory: 256,
+      triangleCount: 2000000,
+      drawCalls: 500,
+      shaderVariants: 50,
+      transparentMaterials: null,
+      doubleSidedMaterials: null,
+      maxTextureSize: 8192
+    }
+  }
+];
+
+const STORAGE_KEY = 'glb-comparison-tool.budgets';
+
+const MIPMAP_FILTERS = [
+  THREE.NearestMipmapNearestFilter,
+  THREE.NearestMipmapLinearFilter,
+  THREE.LinearMipmapNearestFilter,
+  THREE.LinearMipmapLinearFilter
+];
+
+// Features that make three.js compile a separate program for a material
+const SHADER_MAPS = [
+  'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'aoMap', 'alphaMap', 'bumpMap',
+  'displacementMap', 'lightMap', 'envMap', 'clearcoatMap', 'clearcoatNormalMap', 'sheenColorMap',
+  'transmissionMap', 'thicknessMap', 'iridescenceMap', 'specularIntensityMap', 'specularColorMap', 'anisotropyMap'
+];
+
+const getMaterials = (object) => (Array.isArray(object.material) ? object.material : [object.material]).filter(Boolean);
+
+export class PerformanceService {
+  static builtInBudgets = BUILT_IN_BUDGETS;
+  static defaultBudget = BUILT_IN_BUDGETS[0];
+
+  // Compressed (KTX2) textures occupy their transcoded mip levels. Header-only
+  // KTX2 textures (the CLI cannot transcode) are estimated at 8 bits per pixel,
+  // anything else is uncompressed RGBA plus a third for the mip chain.
+  static getTextureMemory(texture) {
+    if (texture.isCompressedTexture) {
+      return (texture.mipmaps || []).reduce((sum, mipmap) => sum + (mipmap.data?.byteLength || 0), 0);
+    }
+    const { image } = texture;
+    const pixels = (image?.width || 0) * (image?.height || 0);
+    const mipmapped = texture.generateMipmaps && MIPMAP_FILTERS.includes(texture.minFilter);
+    const bytesPerPixel = texture.userData?.mimeType === 'image/ktx2' ? 1 : 4;
+    return pixels * bytesPerPixel * (mipmapped ? 4 / 3 : 1);
+  }
+
+  // Every attribute and index array uploaded once, however many meshes share it
+  static getGeometryMemory(scene) {
+    const arrays = new Set();
+    scene.traverse(object => {
+      if (!object.isMesh) return;
+      const { geometry } = object;
+      [geometry.index, ...Object.values(geometry.attributes), ...Object.values(geometry.morphAttributes).flat()]
+        .forEach(attribute => {
+          if (attribute) arrays.add(attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array);
+        });
+    });
+    return Array.from(arrays).reduce((sum, array) => sum + array.byteLength, 0);
+  }
+
+  // Meshes with more than one material group cost one draw call per group;
+  // transparent double-sided materials render back and front faces separately
+  static countDrawCalls(mesh) {
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    const groups = Array.isArray(mesh.material) && mesh.geometry.groups.length > 0
+      ? mesh.geometry.groups
+      : [{ materialIndex: 0 }];
+    return groups.reduce((sum, group) => {
+      const material = materials[group.materialIndex ?? 0];
+      const twoPass = material?.transparent && material.side === THREE.DoubleSide && !material.forceSinglePass;
+      return sum + (twoPass ? 2 : 1);
+    }, 0);
+  }
+
+  static getShaderKey(material, mesh) {
+    const { geometry } = mesh;
+    return [
+      material.type,
+      ...SHADER_MAPS.filter(name => material[name]),
+      material.vertexColors && 'vertexColors',
+      material.transparent && 'transparent',
+      material.alphaTest > 0 && 'alphaTest',
+      material.side === THREE.DoubleSide && 'doubleSide',
+      material.flatShading && 'flatShading',
+      mesh.isSkinnedMesh && 'skinning',
+      mesh.isInstancedMesh && 'instancing',
+      geometry.morphAttributes.position && `morph${geometry.morphAttributes.position.length}`,
+      geometry.attributes.tangent && 'tangents'
+    ].filter(Boolean).join('|');
+  }
+
+  static describeTexture(texture) {
+    const { image } = texture;
+    return {
+      name: texture.name || texture.userData?.mimeType || 'Texture',
+      width: image?.width || 0,
+      height: image?.height || 0,
+      format: texture.isCompressedTexture ? 'GPU compressed' : (texture.userData?.mimeType || 'image').replace('image/', ''),
+      bytes: Math.round(this.getTextureMemory(texture))
+    };
+  }
+
+  // Runtime cost of a loaded scene. Byte counts are estimates of what the
+  // renderer uploads, not of the file.
+  static profile(scene, largestCount = 5) {
+    let drawCalls = 0;
+    let triangleCount = 0;
+    const materials = new Map();
+    const shaderKeys = new Set();
+    const textures = new Map();
+
+    scene.traverse(object => {
+      if (!object.isMesh) return;
+      const { geometry } = object;
+      const instances = object.isInstancedMesh ? object.count : 1;
+      triangleCount += Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position?.count || 0) / 3) * instances;
+      drawCalls += this.countDrawCalls(object);
+
+      getMaterials(object).forEach(material => {
+        materials.set(material.uuid, material);
+        shaderKeys.add(this.getShaderKey(material, object));
+        Object.values(material).forEach(value => {
+          if (value?.isTexture && value.image) textures.set(value.source?.uuid || value.uuid, value);
+        });
+      });
+    });
+
+    const described = Array.from(textures.values())
+      .map(texture => this.describeTexture(texture))
+      .sort((a, b) => b.bytes - a.bytes);
+
+    const materialList = Array.from(materials.values());
+    return {
+      textureMemory: described.reduce((sum, texture) => sum + texture.bytes, 0),
+      vertexMemory: this.getGeometryMemory(scene),
+      triangleCount,
+      drawCalls,
+      materialCount: materialList.length,
+      shaderVariants: shaderKeys.size,
+      transparentMaterials: materialList.filter(material => material.transparent).length,
+      doubleSidedMaterials: materialList.filter(material => material.side === THREE.DoubleSide).length,
+      textureCount: described.length,
+      maxTextureSize: described.reduce((max, texture) => Math.max(max, texture.width, texture.height), 0),
+      largestTextures: described.slice(0, largestCount)
+    };
+  }
+
+  // Profile value in the metric's budget unit
+  static measure(profile, metricId) {
+    const metric = BUDGET_METRICS.find(entry => entry.id === metricId);
+    const value = profile?.[metricId];
+    if (value === undefined || value === null) return undefined;
+    return metric?.unit === 'MB' ? value / MB : value;
+  }
+
+  static compareProfiles(profileA, profileB) {
+    return BUDGET_METRICS.map(metric => {
+      const original = this.measure(profileA, metric.id);
+      const comparison = this.measure(profileB, metric.id);
+      const delta = original !== undefined && comparison !== undefined ? comparison - original : undefined;
+      return {
+        ...metric,
+        original,
+        comparison,
+        delta,
+        deltaPercent: delta !== undefined && original > 0 ? (delta / original) * 100 : undefined
+      };
+    });
+  }
+
+  static checkBudget(profile, budget = this.defaultBudget) {
+    const checks = BUDGET_METRICS.map(metric => {
+      const limit = budget.limits[metric.id] ?? null;
+      const value = this.measure(profile, metric.id);
+      return {
+        metric: metric.id,
+        label: metric.label,
+        unit: metric.unit,
+        value,
+        limit,
+        over: limit !== null && value !== undefined && value > limit
+      };
+    });
+    const exceeded = checks.filter(check => check.over);
+    return {
+      budget: { id: budget.id, name: budget.name },
+      checks,
+      exceeded: exceeded.map(check => `${check.label} ${this.formatValue(check.value, check.unit)} exceeds ${this.formatValue(check.limit, check.unit)}`),
+      withinBudget: exceeded.length === 0
+    };
+  }
+
+  static formatValue(value, unit = '') {
+    if (value === null || value === undefined) return '—';
+    if (unit === 'MB') return `${value.toFixed(2)} MB`;
+    return `${Math.round(value).toLocaleString()}${unit ? ` ${unit}` : ''}`;
+  }
+
+  static formatDelta(value, unit = '') {
+    if (value === undefined) return '—';
+    if (Math.abs(value) < 1e-9) return '±0';
+    return `${value > 0 ? '+' : '−'}${this.formatValue(Math.abs(value), unit)}`;
+  }
+
+  static exportBudget(budget) {
+    const { id, name, description, limits } = budget;
+    return JSON.stringify({ id, name, description, limits }, null, 2);
+  }
+
+  static importBudget(text) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error(`Budget is not valid JSON: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || !data.limits || typeof data.limits !== 'object') {
+      throw new Error('Budget must be an object with a "limits" section');
+    }
+
+    const limits = {};
+    BUDGET_METRICS.forEach(metric => {
+      const value = data.limits[metric.id];
+      limits[metric.id] = value === null || value === undefined || value === '' ? null : Number(value);
+      if (Number.isNaN(limits[metric.id])) {
+        throw new Error(`Limit for "${metric.id}" must be a number or null`);
+      }
+    });
+
+    return {
+      id: data.id || `custom-${Date.now()}`,
+      name: data.name || 'Imported budget',
+      description: data.description || '',
+      limits,
+      custom: true
+    };
+  }
+
+  static loadCustomBudgets() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+      return stored ? JSON.parse(stored).map(budget => this.importBudget(budget)) : [];
+    } catch (error) {
+      console.warn('Could not load saved budgets:', error);
+      return [];
+    }
+  }
+
+  static saveCustomBudgets(budgets) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(budgets.filter(budget => budget.custom)));
+  }
+}
@@ -0,0 +1,246 @@
+// PolicyService.js - Acceptance policies and PASS/WARN/FAIL verdicts
+import { MaterialService } from './MaterialService.js';
+
+export const VERDICTS = {
+  PASS: 'PASS',
+  WARN: 'WARN',
+  FAIL: 'FAIL'
+};
+
+// direction 'max': higher is worse; 'min': lower is worse
+export const METRICS = [
+  { id: 'pixelMismatch', label: 'Pixel mismatch', unit: '%', direction: 'max' },
+  { id: 'maxViewMismatch', label: 'Worst view mismatch', unit: '%', direction: 'max' },
+  { id: 'ssim', label: 'SSIM', unit: '', direction: 'min' },
+  { id: 'triangleDelta', label: 'Triangle count delta', unit: '%', direction: 'max' },
+  { id: 'textureMemoryDelta', label: 'Texture memory delta', unit: '%', direction: 'max' },
+  { id: 'materialDeltas', label: 'Material parameter deltas', unit: '', direction: 'max' }
+];
+
+const BUILT_IN_POLICIES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    description: 'General visual fidelity review',
+    materialTolerance: MaterialService.defaultTolerance,
+    limits: {
+      pixelMismatch: { warn: 5, fail: 15 },
+      maxViewMismatch: { warn: 10, fail: 25 },
+      ssim: { warn: 0.98, fail: 0.95 },
+      triangleDelta: { warn: 10, fail: 50 },
+      textureMemoryDelta: { warn: 10, fail: 50 },
+      materialDeltas: { warn: 1, fail: 10 }
+    }
+  },
+  {
+    id: 'strict',
+    name: 'Strict',
+    description: 'Re-exports that must stay visually identical',
+    materialTolerance: 0.001,
+    limits: {
+      pixelMismatch: { warn: 1, fail: 5 },
+      maxViewMismatch: { warn: 2, fail: 10 },
+      ssim: { warn: 0.995, fail: 0.98 },
+      triangleDelta: { warn: 0, fail: 5 },
+      textureMemoryDelta: { warn: 5, fail: 10 },
+      materialDeltas: { warn: 0, fail: 3 }
+    }
+  },
+  {
+    id: 'optimization',
+    name: 'LOD / Optimization',
+    description: 'Decimated or compressed assets; geometry and memory may shrink',
+    materialTolerance: 0.02,
+    limits: {
+      pixelMismatch: { warn: 5, fail: 15 },
+      maxViewMismatch: { warn: 10, fail: 25 },
+      ssim: { warn: 0.95, fail: 0.9 },
+      triangleDelta: { warn: null, fail: null },
+      textureMemoryDelta: { warn: null, fail: null },
+      materialDeltas: { warn: 3, fail: 10 }
+    }
+  }
+];
+
+const STORAGE_KEY = 'glb-comparison-tool.policies';
+
+export class PolicyService {
+  static builtInPolicies = BUILT_IN_POLICIES;
+  static defaultPolicy = BUILT_IN_POLICIES[0];
+
+  static measure(metricId, { results, originalStats, comparisonStats, policy }) {
+    const relativeDelta = (a, b) => {
+      if (a === undefined || b === undefined) return undefined;
+      if (a === 0) return b === 0 ? 0 : 100;
+      return (Math.abs(b - a) / a) * 100;
+    };
+
+    switch (metricId) {
+      case 'pixelMismatch':
+        return results?.percentage;
+      case 'maxViewMismatch':
+        return results?.aggregate?.maxPercentage ?? results?.percentage;
+      case 'ssim':
+        return results?.metrics?.ssim;
+      case 'triangleDelta':
+        return relativeDelta(originalStats?.triangleCount, comparisonStats?.triangleCount);
+      case 'textureMemoryDelta':
+        return relativeDelta(originalStats?.textureMemory, comparisonStats?.textureMemory);
+      case 'materialDeltas':
+        if (!originalStats?.materials || !comparisonStats?.materials) return undefined;
+        return MaterialService.countDeltas(
+          MaterialService.compareMaterials(originalStats.materials, comparisonStats.materials, policy.materialTolerance)
+        );
+      default:
+        return undefined;
+    }
+  }
+
+  static classify(metric, value, limit) {
+    if (value === undefined || value === null || !limit) return VERDICTS.PASS;
+    const exceeds = (threshold) => {
+      if (threshold === null || threshold === undefined || threshold === '') return false;
+      return metric.direction === 'min' ? value < threshold : value > threshold;
+    };
+    if (exceeds(limit.fail)) return VERDICTS.FAIL;
+    if (exceeds(limit.warn)) return VERDICTS.WARN;
+    return VERDICTS.PASS;
+  }
+
+  static classifyMetric(metricId, value, policy = this.defaultPolicy) {
+    const metric = METRICS.find(m => m.id === metricId);
+    return this.classify(metric, value, policy.limits[metricId]);
+  }
+
+  static evaluate(policy, context) {
+    const checks = METRICS.map(metric => {
+      const limit = policy.limits[metric.id];
+      const value = this.measure(metric.id, { ...context, policy });
+      const measured = value !== undefined && value !== null && !Number.isNaN(value);
+      const level = measured ? this.classify(metric, value, limit) : VERDICTS.PASS;
+
+      return {
+        metric: metric.id,
+        label: metric.label,
+        unit: metric.unit,
+        value: measured ? value : null,
+        limit,
+        level,
+        measured,
+        message: measured && level !== VERDICTS.PASS ? this.describeCheck(metric, value, limit, level) : null
+      };
+    });
+
+    const levels = checks.map(check => check.level);
+    const verdict = levels.includes(VERDICTS.FAIL)
+      ? VERDICTS.FAIL
+      : levels.includes(VERDICTS.WARN) ? VERDICTS.WARN : VERDICTS.PASS;
+
+    return {
+      policy: { id: policy.id, name: policy.name },
+      verdict,
+      reasons: checks.filter(check => check.message).map(check => check.message),
+      checks
+    };
+  }
+
+  static describeCheck(metric, value, limit, level) {
+    const threshold = level === VERDICTS.FAIL ? limit.fail : limit.warn;
+    const comparison = metric.direction === 'min' ? 'below' : 'above';
+    return `${metric.label} ${this.formatValue(value, metric.unit)} is ${comparison} the ${level} limit of ${this.formatValue(threshold, metric.unit)}`;
+  }
+
+  static formatValue(value, unit = '') {
+    if (value === null || value === undefined) return '—';
+    const digits = unit === '%' ? 2 : Number.isInteger(value) ? 0 : 4;
+    return `${value.toFixed(digits)}${unit}`;
+  }
+
+  static getHeadline(evaluation) {
+    if (evaluation.verdict === VERDICTS.PASS) {
+      return `PASS — all checks are within the "${evaluation.policy.name}" policy.`;
+    }
+    return `${evaluation.verdict} — ${evaluation.reasons[0]}${evaluation.reasons.length > 1 ? ` (+${evaluation.reasons.length - 1} more)` : ''}.`;
+  }
+
+  // Neutral description; the judgement comes from the policy verdict
+  static describePercentage(percentage, aggregate) {
+    const text = `${percentage.toFixed(2)}% of the rendered pixels differ between the two models`;
+    return aggregate
+      ? `${text} on average across ${aggregate.viewCount} views, ${aggregate.maxPercentage.toFixed(2)}% in the worst view.`
+      : `${text}.`;
+  }
+
+  static getVerdictClass(level) {
+    return level.toLowerCase();
+  }
+
+  static exportPolicy(policy) {
+    const { id, name, description, materialTolerance, limits } = policy;
+    return JSON.stringify({ id, name, description, materialTolerance, limits }, null, 2);
+  }
+
+  // An id already in use (a built-in, or a policy in the list) is replaced
+  // with a fresh custom one, so an import never overwrites another policy
+  static importPolicy(text, usedIds = BUILT_IN_POLICIES.map(policy => policy.id)) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error(`Policy is not valid JSON: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || !data.limits || typeof data.limits !== 'object') {
+      throw new Error('Policy must be an object with a "limits" section');
+    }
+
+    const toLimit = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+    const limits = {};
+    METRICS.forEach(metric => {
+      const limit = data.limits[metric.id] || {};
+      limits[metric.id] = { warn: toLimit(limit.warn), fail: toLimit(limit.fail) };
+      if (Number.isNaN(limits[metric.id].warn) || Number.isNaN(limits[metric.id].fail)) {
+        throw new Error(`Limits for "${metric.id}" must be numbers or null`);
+      }
+    });
+
+    const materialTolerance = Number(data.materialTolerance ?? MaterialService.defaultTolerance);
+    if (!Number.isFinite(materialTolerance) || materialTolerance < 0) {
+      throw new Error('"materialTolerance" must be a non-negative number');
+    }
+
+    const taken = new Set([...BUILT_IN_POLICIES.map(policy => policy.id), ...usedIds]);
+    let id = data.id;
+    for (let suffix = 0; !id || taken.has(id); suffix++) {
+      id = `custom-${Date.now()}${suffix > 0 ? `-${suffix}` : ''}`;
+    }
+
+    return {
+      id,
+      name: data.name || 'Imported policy',
+      description: data.description || '',
+      materialTolerance,
+      limits,
+      custom: true
+    };
+  }
+
+  static loadCustomPolicies() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+      const policies = [];
+      (stored ? JSON.parse(stored) : []).forEach(policy => {
+        policies.push(this.importPolicy(policy, policies.map(loaded => loaded.id)));
+      });
+      return policies;
+    } catch (error) {
+      console.warn('Could not load saved policies:', error);
+      return [];
+    }
+  }
+
+  static saveCustomPolicies(policies) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(policies.filter(policy => policy.custom)));
+  }
+}
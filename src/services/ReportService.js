@@ -1,12 +1,25 @@
 // ReportService.js - Report generation utilities
+import { MaterialService } from './MaterialService.js';
+import { PolicyService } from './PolicyService.js';
+import { MetricsService } from './MetricsService.js';
+import { EnvironmentService } from './EnvironmentService.js';
+import { ComparisonService } from './ComparisonService.js';
+import { GeometryDeviationService } from './GeometryDeviationService.js';
+import { LodReportService } from './LodReportService.js';
+import { AnimationService } from './AnimationService.js';
+import { ValidationService } from './ValidationService.js';
+import { PerformanceService } from './PerformanceService.js';
+import { MeshQualityService } from './MeshQualityService.js';
 
 export class ReportService {
-    static generateReport({ originalStats, comparisonStats, comparisonResults }) {
-      const reportHTML = this.createReportHTML(originalStats, comparisonStats, comparisonResults);
+    static generateReport({ originalStats, comparisonStats, comparisonResults, policy }) {
+      const reportHTML = this.createReportHTML(originalStats, comparisonStats, comparisonResults, policy);
       this.downloadReport(reportHTML);
     }
   
-    static createReportHTML(originalStats, comparisonStats, comparisonResults) {
+    static createReportHTML(originalStats, comparisonStats, comparisonResults, policy = PolicyService.defaultPolicy) {
+      const evaluation = PolicyService.evaluate(policy, { results: comparisonResults, originalStats, comparisonStats });
+      const materialTolerance = policy.materialTolerance;
       const timestamp = new Date().toLocaleString();
       const originalFileName = originalStats ? 'Model 1' : 'N/A';
       const comparisonFileName = comparisonStats ? 'Model 2' : 'N/A';
@@ -181,6 +194,188 @@ export class ReportService {
         line-height: 1.7;
       }
       
+      .environment-note {
+        margin-top: 1rem;
+        font-size: 0.9rem;
+        color: #64748b;
+        text-align: center;
+      }
+      
+      .aggregate-stats {
+        display: flex;
+        justify-content: center;
+        gap: 1.5rem;
+        margin-top: 1rem;
+        font-size: 0.9rem;
+        color: #64748b;
+      }
+      
+      .turntable-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+        gap: 1rem;
+      }
+      
+      .turntable-cell {
+        background: #f8fafc;
+        border: 1px solid #e2e8f0;
+        border-radius: 0.75rem;
+        padding: 0.75rem;
+        text-align: center;
+      }
+      
+      .turntable-cell img {
+        max-width: 100%;
+        border-radius: 0.5rem;
+      }
+      
+      .turntable-caption {
+        display: flex;
+        justify-content: space-between;
+        font-size: 0.85rem;
+        margin-top: 0.5rem;
+      }
+      
+      .turntable-value {
+        font-weight: 700;
+      }
+      
+      .turntable-value.pass { color: #059669; }
+      .turntable-value.warn { color: #d97706; }
+      .turntable-value.fail { color: #dc2626; }
+      
+      .verdict-section {
+        border-left: 6px solid #94a3b8;
+      }
+      
+      .verdict-section.pass { border-left-color: #10b981; }
+      .verdict-section.warn { border-left-color: #f59e0b; }
+      .verdict-section.fail { border-left-color: #ef4444; }
+      
+      .verdict-headline {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+        font-size: 1.15rem;
+        font-weight: 600;
+        margin-bottom: 1.5rem;
+      }
+      
+      .verdict-badge {
+        display: inline-block;
+        padding: 0.25rem 0.75rem;
+        border-radius: 0.5rem;
+        font-size: 0.8rem;
+        font-weight: 700;
+        background: #e2e8f0;
+        color: #475569;
+      }
+      
+      .verdict-badge.pass { background: #10b981; color: white; }
+      .verdict-badge.warn { background: #f59e0b; color: white; }
+      .verdict-badge.fail { background: #ef4444; color: white; }
+      
+      .diff-counts {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+      }
+      
+      .diff-type {
+        display: inline-block;
+        min-width: 5rem;
+        padding: 0.125rem 0.5rem;
+        border-radius: 0.375rem;
+        font-size: 0.75rem;
+        font-weight: 600;
+        text-transform: uppercase;
+        text-align: center;
+        background: #e2e8f0;
+        color: #475569;
+      }
+      
+      .diff-type.added { background: #d1fae5; color: #059669; }
+      .diff-type.removed { background: #fee2e2; color: #dc2626; }
+      .diff-type.renamed { background: #e0e7ff; color: #4338ca; }
+      .diff-type.modified { background: #fef3c7; color: #d97706; }
+      
+      .diff-list {
+        list-style: none;
+      }
+      
+      .diff-list li {
+        padding: 0.4rem 0;
+        border-bottom: 1px solid #e2e8f0;
+      }
+      
+      .diff-list li:last-child {
+        border-bottom: none;
+      }
+      
+      .material-table,
+      .policy-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.85rem;
+        margin-bottom: 1.5rem;
+      }
+      
+      .material-table th,
+      .material-table td,
+      .policy-table th,
+      .policy-table td {
+        text-align: left;
+        padding: 0.35rem 0.5rem;
+        border-bottom: 1px solid #e2e8f0;
+      }
+      
+      .material-table tr.exceeds td {
+        background: #fef3c7;
+      }
+      
+      .policy-table td.worst {
+        background: #fee2e2;
+        color: #dc2626;
+        font-weight: 600;
+      }
+      
+      .color-swatch {
+        display: inline-block;
+        width: 0.9rem;
+        height: 0.9rem;
+        border-radius: 0.2rem;
+        border: 1px solid #cbd5e1;
+        margin-right: 0.4rem;
+        vertical-align: middle;
+      }
+      
+      .texture-pairs {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+        gap: 1rem;
+      }
+      
+      .texture-pair {
+        background: #f8fafc;
+        border: 1px solid #e2e8f0;
+        border-radius: 0.75rem;
+        padding: 1rem;
+        font-size: 0.85rem;
+      }
+      
+      .texture-pair-images {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 0.5rem;
+        margin: 0.5rem 0;
+      }
+      
+      .texture-pair-images img {
+        width: 100%;
+        border-radius: 0.375rem;
+      }
+      
       .metadata {
         background: #f1f5f9;
         padding: 1rem;
@@ -230,15 +425,42 @@ export class ReportService {
         <p>Advanced 3D Model Analysis & Comparison</p>
       </div>
       
+      ${this.createVerdictSection(evaluation)}
+      
+      ${comparisonResults.diffImage ? `
       <div class="section">
         <h2>Comparison Results</h2>
         <div class="comparison-result">
           <div class="diff-percentage">${comparisonResults.percentage.toFixed(2)}%</div>
           <div class="summary-text">
-            ${this.getSummaryText(comparisonResults.percentage)}
+            ${PolicyService.describePercentage(comparisonResults.percentage, comparisonResults.aggregate)}
           </div>
+          ${comparisonResults.aggregate ? `
+            <div class="aggregate-stats">
+              <span>Mean over ${comparisonResults.aggregate.viewCount} views</span>
+              <span>Worst: ${comparisonResults.aggregate.worstView} (${comparisonResults.aggregate.maxPercentage.toFixed(2)}%)</span>
+              <span>Best: ${comparisonResults.aggregate.minPercentage.toFixed(2)}%</span>
+            </div>
+          ` : ''}
+        </div>
+      </div>
+      
+      ${comparisonResults.views ? `
+      <div class="section">
+        <h2>Per-${{ lighting: 'Lighting', bookmarks: 'View', animation: 'Frame' }[comparisonResults.mode] || 'Angle'} Differences (worst first)</h2>
+        <div class="turntable-grid">
+          ${comparisonResults.views.map(view => `
+            <div class="turntable-cell">
+              <img src="${view.diffImage}" alt="Difference at ${view.label}">
+              <div class="turntable-caption">
+                <span>${view.label}</span>
+                <span class="turntable-value ${PolicyService.getVerdictClass(PolicyService.classifyMetric('maxViewMismatch', view.percentage, policy))}">${view.percentage.toFixed(2)}%</span>
+              </div>
+            </div>
+          `).join('')}
         </div>
       </div>
+      ` : ''}
       
       <div class="section">
         <h2>Visual Comparison</h2>
@@ -254,17 +476,47 @@ export class ReportService {
           </div>
           
           <div class="image-container">
-            <h3>Difference Visualization</h3>
+            <h3>Difference Visualization${comparisonResults.views ? ` (worst view: ${comparisonResults.aggregate.worstView})` : ''}</h3>
             <img src="${comparisonResults.diffImage}" alt="Difference Visualization">
           </div>
         </div>
+        ${comparisonResults.environment && comparisonResults.mode !== 'lighting' ? `
+          <p class="environment-note">Lighting: ${this.escapeHTML(EnvironmentService.formatDescription(comparisonResults.environment))}</p>
+        ` : ''}
       </div>
+      ` : ''}
+      
+      ${this.createAlignmentSection(comparisonResults.alignment)}
+
+      ${this.createMetricsSection(comparisonResults)}
+      
+      ${this.createLightingSection(comparisonResults.lighting)}
+      
+      ${this.createChannelSection(comparisonResults.channelDiff)}
+
+      ${this.createDeviationSection(comparisonResults.geometryDeviation)}
+
+      ${this.createLodSection(comparisonResults.lodReport)}
+      
+      ${this.createStructureDiffSection(comparisonResults.structureDiff)}
+      
+      ${this.createValidationSection(comparisonResults.validation)}
+      
+      ${this.createMeshQualitySection(comparisonResults.meshQuality, originalStats, comparisonStats)}
+      
+      ${this.createPerformanceSection(comparisonResults.performance, originalStats, comparisonStats)}
+      
+      ${this.createAnimationSection(comparisonResults.animationDiff)}
+      
+      ${this.createMaterialSection(originalStats, comparisonStats, materialTolerance)}
+      
+      ${this.createTextureSection(comparisonResults.textureDiff)}
       
       <div class="section">
         <h2>Model Statistics</h2>
         <div class="stats-grid">
           <div class="stat-card">
-            <h3>Model 1</h3>
+            <h3>Model 1${originalStats?.fileName ? ` — ${this.escapeHTML(originalStats.fileName)}` : ''}</h3>
             <ul class="stat-list">
               <li><span class="stat-label">File Size:</span> <span class="stat-value">${formatBytes(originalStats?.fileSize || 0)}</span></li>
               <li><span class="stat-label">Vertices:</span> <span class="stat-value">${formatNumber(originalStats?.vertexCount || 0)}</span></li>
@@ -282,7 +534,7 @@ export class ReportService {
           </div>
           
           <div class="stat-card">
-            <h3>Model 2</h3>
+            <h3>Model 2${comparisonStats?.fileName ? ` — ${this.escapeHTML(comparisonStats.fileName)}` : ''}</h3>
             <ul class="stat-list">
               <li><span class="stat-label">File Size:</span> <span class="stat-value">${formatBytes(comparisonStats?.fileSize || 0)}</span></li>
               <li><span class="stat-label">Vertices:</span> <span class="stat-value">${formatNumber(comparisonStats?.vertexCount || 0)}</span></li>
@@ -302,7 +554,7 @@ export class ReportService {
       </div>
       
       <div class="metadata">
-        Report generated on ${timestamp} | Material Fidelity Tool v2.0
+        Report generated on ${timestamp}${comparisonResults.resolution ? ` | Rendered at ${comparisonResults.resolution} × ${comparisonResults.resolution}` : ''} | Material Fidelity Tool v2.0
       </div>
     </div>
   </body>
@@ -310,16 +562,612 @@ export class ReportService {
       `;
     }
   
-    static getSummaryText(percentage) {
-      if (percentage < 1) {
-        return `The models are visually identical with only ${percentage.toFixed(2)}% difference. This level of similarity is considered excellent for 3D model comparison.`;
-      } else if (percentage < 5) {
-        return `The models show a ${percentage.toFixed(2)}% difference, which is within acceptable limits. Minor variations may be present in materials or geometry.`;
-      } else if (percentage < 15) {
-        return `The models have a moderate ${percentage.toFixed(2)}% difference. Noticeable variations exist in materials, geometry, or lighting that may require attention.`;
-      } else {
-        return `The models show significant differences (${percentage.toFixed(2)}%). Major variations in geometry, materials, or textures are present.`;
-      }
+    static createVerdictSection(evaluation) {
+      const verdictClass = PolicyService.getVerdictClass(evaluation.verdict);
+      return `
+      <div class="section verdict-section ${verdictClass}">
+        <div class="verdict-headline">
+          <span class="verdict-badge ${verdictClass}">${evaluation.verdict}</span>
+          <span>${this.escapeHTML(PolicyService.getHeadline(evaluation))}</span>
+        </div>
+        <table class="policy-table">
+          <thead>
+            <tr><th>Check (${this.escapeHTML(evaluation.policy.name)} policy)</th><th>Value</th><th>Warn</th><th>Fail</th><th>Result</th></tr>
+          </thead>
+          <tbody>
+            ${evaluation.checks.map(check => `
+              <tr>
+                <td>${check.label}</td>
+                <td>${check.measured ? PolicyService.formatValue(check.value, check.unit) : 'not measured'}</td>
+                <td>${PolicyService.formatValue(check.limit?.warn ?? null, check.unit)}</td>
+                <td>${PolicyService.formatValue(check.limit?.fail ?? null, check.unit)}</td>
+                <td><span class="verdict-badge ${check.measured ? PolicyService.getVerdictClass(check.level) : ''}">${check.measured ? check.level : '—'}</span></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      `;
+    }
+
+    static createMetricsSection(comparisonResults) {
+      if (!comparisonResults.metrics || Object.keys(comparisonResults.metrics).length === 0) return '';
+
+      const drivers = comparisonResults.drivers || [];
+      const computed = MetricsService.metrics.filter(metric => comparisonResults.metrics[metric.id] !== undefined);
+      const maps = computed.filter(metric => comparisonResults.metricMaps?.[metric.id]);
+      const perView = comparisonResults.views?.length > 0;
+
+      return `
+      <div class="section">
+        <h2>Perceptual Metrics${perView ? ` (mean over ${comparisonResults.views.length} views)` : ''}</h2>
+        <p class="summary-text">The mismatch percentage is driven by: ${drivers.map(id => MetricsService.getMetric(id).label).join(', ')}.</p>
+        <table class="policy-table">
+          <thead>
+            <tr><th>Metric</th><th>Value</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${computed.map(metric => `
+              <tr>
+                <td>${metric.label}${drivers.includes(metric.id) ? ' <strong>(drives result)</strong>' : ''}</td>
+                <td>${MetricsService.formatValue(metric.id, comparisonResults.metrics[metric.id])}</td>
+                <td>${metric.higherIsBetter ? 'higher is better' : 'lower is better'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${perView ? `
+          <table class="policy-table">
+            <thead>
+              <tr><th>View</th>${computed.map(metric => `<th>${metric.label}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+              ${comparisonResults.views.map(view => `
+                <tr>
+                  <td>${view.label}</td>
+                  ${computed.map(metric => `<td>${MetricsService.formatValue(metric.id, view.metrics?.[metric.id])}</td>`).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+        ${maps.length > 0 ? `
+          <div class="images-grid">
+            ${maps.map(metric => `
+              <div class="image-container">
+                <h3>${metric.label} map${perView ? ` (worst view: ${comparisonResults.aggregate.worstView})` : ''}</h3>
+                <img src="${comparisonResults.metricMaps[metric.id]}" alt="${metric.label} error map">
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+      `;
+    }
+
+    static createLightingSection(lighting) {
+      if (!lighting || lighting.rows.length === 0) return '';
+
+      const { columns, rows, worstByColumn } = lighting;
+      return `
+      <div class="section">
+        <h2>Lighting × Metric Matrix</h2>
+        <p class="summary-text">Highlighted cells mark the lighting that exposes the largest difference for each metric.</p>
+        <table class="policy-table">
+          <thead>
+            <tr><th>Environment</th><th>Rotation</th>${columns.map(column => `<th>${column.label}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${rows.map((row, index) => `
+              <tr>
+                <td>${index === 0 || rows[index - 1].environmentId !== row.environmentId ? this.escapeHTML(row.environmentName) : ''}</td>
+                <td>${row.rotation}°</td>
+                ${columns.map(column => `
+                  <td class="${worstByColumn[column.id] === row.id ? 'worst' : ''}">${ComparisonService.formatLightingValue(column.id, row.values[column.id])}</td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      `;
+    }
+
+    static createChannelSection(channelDiff) {
+      if (!channelDiff || channelDiff.channels.length === 0) return '';
+
+      const metricIds = MetricsService.metrics
+        .filter(metric => channelDiff.channels.some(channel => channel.metrics?.[metric.id] !== undefined))
+        .map(metric => metric.id);
+
+      return `
+      <div class="section">
+        <h2>Render Channels</h2>
+        ${channelDiff.summary ? `<p class="summary-text">${this.escapeHTML(channelDiff.summary)}</p>` : ''}
+        <table class="policy-table">
+          <thead>
+            <tr><th>Channel</th><th>Mismatch</th>${metricIds.map(id => `<th>${MetricsService.getMetric(id).label}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${channelDiff.channels.map(channel => `
+              <tr>
+                <td>${channel.label}</td>
+                <td>${channel.mismatchedPixels === 0 ? 'identical' : `${channel.percentage.toFixed(2)}%`}</td>
+                ${metricIds.map(id => `<td>${MetricsService.formatValue(id, channel.metrics?.[id])}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="turntable-grid">
+          ${channelDiff.channels.map(channel => `
+            <div class="turntable-cell">
+              <img src="${channel.diffImage}" alt="${channel.label} difference">
+              <div class="turntable-caption">
+                <span>${channel.label}</span>
+                <span>${channel.percentage.toFixed(2)}%</span>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      `;
+    }
+
+    // Records every transform applied to Model 2 so reviewers know what was compensated
+    static createAlignmentSection(alignment) {
+      if (!alignment) return '';
+
+      return `
+      <div class="section">
+        <h2>Alignment</h2>
+        <p class="summary-text">
+          Model 2 was transformed before comparing: ${this.escapeHTML(alignment.summary)}.
+        </p>
+        <table class="policy-table">
+          <thead>
+            <tr><th>Step</th><th>Applied</th></tr>
+          </thead>
+          <tbody>
+            ${alignment.steps.map(step => `
+              <tr>
+                <td>${this.escapeHTML(step.label)}</td>
+                <td>${this.escapeHTML(step.detail)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <p class="environment-note">Matrix (column-major): ${alignment.matrix.map(value => Number(value.toPrecision(6))).join(', ')}</p>
+      </div>
+      `;
+    }
+
+    static createDeviationSection(deviation) {
+      if (!deviation) return '';
+
+      const format = (value) => GeometryDeviationService.formatDistance(value, deviation.diagonal);
+      const directions = [
+        ['Model 2 → Model 1', deviation.comparisonToOriginal],
+        ['Model 1 → Model 2', deviation.originalToComparison]
+      ];
+
+      return `
+      <div class="section">
+        <h2>Surface Deviation</h2>
+        <p class="summary-text">
+          Hausdorff distance ${format(deviation.hausdorff)}, mean ${format(deviation.mean)}, RMS ${format(deviation.rms)}
+          (${deviation.units}; percentages relative to Model 1's bounding-box diagonal).
+        </p>
+        <table class="policy-table">
+          <thead>
+            <tr><th>Direction</th><th>Samples</th><th>Mean</th><th>RMS</th><th>95th percentile</th><th>Max</th></tr>
+          </thead>
+          <tbody>
+            ${directions.map(([label, stats]) => `
+              <tr>
+                <td>${label}</td>
+                <td>${stats.sampleCount}</td>
+                <td>${format(stats.mean)}</td>
+                <td>${format(stats.rms)}</td>
+                <td>${format(stats.p95)}</td>
+                <td>${format(stats.max)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      `;
+    }
+
+    static createLodSection(lodReport) {
+      if (!lodReport || lodReport.levels.length === 0) return '';
+
+      const { reference } = lodReport;
+      const reduction = (ratio) => `<small>${LodReportService.formatReduction(ratio)}</small>`;
+      const distance = (level, value) => GeometryDeviationService.formatDistance(value, level.deviation.diagonal);
+
+      return `
+      <div class="section">
+        <h2>Optimization Report</h2>
+        <table class="policy-table">
+          <thead>
+            <tr>
+              <th>Level</th><th>Triangles</th><th>Vertices</th><th>Draw calls</th><th>Texture memory</th>
+              <th>Silhouette error (mean / worst)</th><th>Hausdorff</th><th>Mean deviation</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>${this.escapeHTML(reference.label)}</td>
+              <td>${reference.triangles.toLocaleString()}</td>
+              <td>${reference.vertices.toLocaleString()}</td>
+              <td>${reference.drawCalls}</td>
+              <td>${LodReportService.formatBytes(reference.textureMemory)}</td>
+              <td>—</td><td>—</td><td>—</td>
+            </tr>
+            ${lodReport.levels.map(level => `
+              <tr>
+                <td>${this.escapeHTML(level.label)}</td>
+                <td>${level.triangles.toLocaleString()} ${reduction(level.triangleRatio)}</td>
+                <td>${level.vertices.toLocaleString()} ${reduction(level.vertexRatio)}</td>
+                <td>${level.drawCalls} ${reduction(level.drawCallRatio)}</td>
+                <td>${LodReportService.formatBytes(level.textureMemory)} ${reduction(level.textureMemoryRatio)}</td>
+                <td>${level.silhouette.meanPercentage.toFixed(2)}% / ${level.silhouette.maxPercentage.toFixed(2)}% (${level.silhouette.worstView})</td>
+                <td>${distance(level, level.deviation.hausdorff)}</td>
+                <td>${distance(level, level.deviation.mean)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <p class="summary-text">
+          Silhouettes rendered at ${lodReport.resolution} × ${lodReport.resolution} from ${lodReport.viewCount} views.
+        </p>
+        ${lodReport.levels.map(level => `
+          <h3>${this.escapeHTML(level.label)} per mesh</h3>
+          <table class="policy-table">
+            <thead>
+              <tr><th>Mesh</th><th>Triangles</th><th>Reduction</th><th>Vertices</th><th>Reduction</th></tr>
+            </thead>
+            <tbody>
+              ${level.meshes.map(mesh => `
+                <tr>
+                  <td>${this.escapeHTML(mesh.name)}${mesh.levelName ? ` → ${this.escapeHTML(mesh.levelName)}` : ''}${!mesh.level ? ' (missing)' : ''}${!mesh.reference ? ' (added)' : ''}</td>
+                  <td>${mesh.reference?.triangles.toLocaleString() ?? '—'} → ${mesh.level?.triangles.toLocaleString() ?? '—'}</td>
+                  <td>${LodReportService.formatReduction(mesh.triangleRatio)}</td>
+                  <td>${mesh.reference?.vertices.toLocaleString() ?? '—'} → ${mesh.level?.vertices.toLocaleString() ?? '—'}</td>
+                  <td>${LodReportService.formatReduction(mesh.vertexRatio)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `).join('')}
+      </div>
+      `;
+    }
+
+    static createStructureDiffSection(structureDiff) {
+      if (!structureDiff) return '';
+
+      const { summary } = structureDiff;
+      return `
+      <div class="section">
+        <h2>Structural Differences</h2>
+        <div class="diff-counts">
+          ${['added', 'removed', 'renamed', 'modified'].map(type =>
+            `<span class="diff-type ${type}">${summary[type]} ${type}</span>`
+          ).join('')}
+          <span class="diff-type">${summary.unchanged} unchanged</span>
+        </div>
+        ${structureDiff.identical ? `
+          <p>Node hierarchy, meshes, materials and textures are structurally identical.</p>
+        ` : `
+          <ul class="diff-list">
+            ${structureDiff.changes.map(change =>
+              `<li><span class="diff-type ${change.type}">${change.type}</span> ${this.escapeHTML(change.text)}</li>`
+            ).join('')}
+          </ul>
+        `}
+      </div>
+      `;
+    }
+
+    static createValidationSection(validation) {
+      if (!validation || (!validation.original && !validation.comparison)) return '';
+
+      const severityClass = { error: 'removed', warning: 'modified', info: '' };
+      const column = (title, result) => `
+        <div class="stat-card">
+          <h3>${title}</h3>
+          ${result ? `
+            <p>${ValidationService.formatCounts(result)}</p>
+            <ul class="diff-list">
+              ${result.issues.filter(issue => issue.severity !== 'info').map(issue =>
+                `<li><span class="diff-type ${severityClass[issue.severity]}">${issue.severity}</span> ${this.escapeHTML(issue.message)} <small>${issue.code}</small></li>`
+              ).join('')}
+            </ul>
+          ` : '<p>Not validated (not a glTF file)</p>'}
+        </div>
+      `;
+      const extensions = ValidationService.compareExtensions(validation.original, validation.comparison);
+      const extensionCell = (state) => !state ? '—' : !state.used ? 'not used' : state.required ? 'required' : 'used';
+
+      return `
+      <div class="section">
+        <h2>Validation</h2>
+        <div class="stats-grid">
+          ${column('Model 1', validation.original)}
+          ${column('Model 2', validation.comparison)}
+        </div>
+        ${extensions.length > 0 ? `
+          <table class="policy-table">
+            <thead>
+              <tr><th>Extension</th><th>Category</th><th>Model 1</th><th>Model 2</th></tr>
+            </thead>
+            <tbody>
+              ${extensions.map(extension => `
+                <tr>
+                  <td>${this.escapeHTML(extension.name)}${extension.onlyIn ? ` <span class="diff-type removed">only in ${extension.onlyIn === 'original' ? 'Model 1' : 'Model 2'}</span>` : ''}${!extension.supported ? ' (not supported by the viewer)' : ''}</td>
+                  <td>${extension.category}</td>
+                  <td>${extensionCell(extension.original)}</td>
+                  <td>${extensionCell(extension.comparison)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p>Neither model uses glTF extensions.</p>'}
+      </div>
+      `;
+    }
+
+    static createMeshQualitySection(meshQuality, originalStats, comparisonStats) {
+      if (!meshQuality) return '';
+
+      // Meshes with any finding, worst first
+      const problemMeshes = (title, quality) => {
+        const meshes = (quality?.meshes || [])
+          .map(mesh => ({ name: mesh.name, findings: MeshQualityService.issues.filter(issue => mesh.issues[issue.id].count > 0).map(issue => `${issue.label}: ${mesh.issues[issue.id].count.toLocaleString()}`) }))
+          .filter(mesh => mesh.findings.length > 0);
+        return `
+          <div class="stat-card">
+            <h3>${title}</h3>
+            ${meshes.length > 0 ? `
+              <ul class="stat-list">
+                ${meshes.map(mesh => `<li><span class="stat-label">${this.escapeHTML(mesh.name)}:</span> ${mesh.findings.join(', ')}</li>`).join('')}
+              </ul>
+            ` : '<p>No findings.</p>'}
+          </div>
+        `;
+      };
+
+      return `
+      <div class="section">
+        <h2>Mesh Quality</h2>
+        <p class="summary-text">${meshQuality.changedCount > 0 ? `${meshQuality.changedCount} check(s) differ between the models.` : 'Both models have the same mesh-quality findings.'}</p>
+        <table class="material-table">
+          <thead>
+            <tr><th>Check</th><th>Model 1</th><th>Model 2</th></tr>
+          </thead>
+          <tbody>
+            ${meshQuality.rows.map(row => `
+              <tr class="${row.changed ? 'exceeds' : ''}">
+                <td>${row.label}</td>
+                <td>${row.original?.toLocaleString() ?? '—'}</td>
+                <td>${row.comparison?.toLocaleString() ?? '—'}</td>
+              </tr>
+            `).join('')}
+            <tr>
+              <td>Texel density variation</td>
+              <td>${MeshQualityService.formatVariation(meshQuality.variation.original)}</td>
+              <td>${MeshQualityService.formatVariation(meshQuality.variation.comparison)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div class="stats-grid">
+          ${problemMeshes('Model 1', originalStats?.meshQuality)}
+          ${problemMeshes('Model 2', comparisonStats?.meshQuality)}
+        </div>
+      </div>
+      `;
+    }
+
+    static createPerformanceSection(performance, originalStats, comparisonStats) {
+      if (!performance || !originalStats?.performance || !comparisonStats?.performance) return '';
+
+      const { budget } = performance;
+      const rows = PerformanceService.compareProfiles(originalStats.performance, comparisonStats.performance);
+      const isOver = (check, metricId) => check?.checks.find(entry => entry.metric === metricId)?.over;
+      const valueCell = (check, row, value) => `<td>${isOver(check, row.id) ? `<span class="turntable-value fail">${PerformanceService.formatValue(value, row.unit)}</span>` : PerformanceService.formatValue(value, row.unit)}</td>`;
+      const status = (title, check) => `
+        <li><span class="turntable-value ${check.withinBudget ? 'pass' : 'fail'}">${title}</span> ${check.withinBudget ? 'within budget' : this.escapeHTML(check.exceeded.join('; '))}</li>
+      `;
+      const textures = (title, profile) => `
+        <div class="stat-card">
+          <h3>${title}</h3>
+          ${profile.largestTextures.length > 0 ? `
+            <ul class="stat-list">
+              ${profile.largestTextures.map(texture => `
+                <li><span class="stat-label">${this.escapeHTML(texture.name)} (${texture.width} × ${texture.height}, ${texture.format}):</span> <span class="stat-value">${LodReportService.formatBytes(texture.bytes)}</span></li>
+              `).join('')}
+            </ul>
+          ` : '<p>No textures.</p>'}
+        </div>
+      `;
+
+      return `
+      <div class="section">
+        <h2>Runtime Cost</h2>
+        <table class="policy-table">
+          <thead>
+            <tr><th>Metric</th><th>Model 1</th><th>Model 2</th><th>Delta</th><th>${this.escapeHTML(budget.name)} budget</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr>
+                <td>${row.label}</td>
+                ${valueCell(performance.original, row, row.original)}
+                ${valueCell(performance.comparison, row, row.comparison)}
+                <td>${PerformanceService.formatDelta(row.delta, row.unit)}</td>
+                <td>${PerformanceService.formatValue(budget.limits[row.id], row.unit)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <ul class="stat-list">
+          ${status('Model 1', performance.original)}
+          ${status('Model 2', performance.comparison)}
+        </ul>
+        <div class="stats-grid">
+          ${textures('Model 1 largest textures', originalStats.performance)}
+          ${textures('Model 2 largest textures', comparisonStats.performance)}
+        </div>
+      </div>
+      `;
+    }
+
+    static createAnimationSection(animationDiff) {
+      if (!animationDiff) return '';
+
+      const { summary } = animationDiff;
+      const statusClass = { changed: 'modified', missing: 'removed', added: 'added' };
+      const clipCells = (clip) => clip
+        ? `<td>${AnimationService.formatDuration(clip.duration)}</td><td>${clip.channelCount}</td><td>${clip.keyframeCount.toLocaleString()}</td>`
+        : '<td colspan="3">—</td>';
+
+      return `
+      <div class="section">
+        <h2>Animations</h2>
+        <div class="diff-counts">
+          <span class="diff-type removed">${summary.missing} missing</span>
+          <span class="diff-type added">${summary.added} added</span>
+          <span class="diff-type modified">${summary.changed} changed</span>
+          <span class="diff-type">${summary.identical} identical</span>
+        </div>
+        <table class="policy-table">
+          <thead>
+            <tr>
+              <th>Clip</th>
+              <th>Model 1 duration</th><th>Channels</th><th>Keyframes</th>
+              <th>Model 2 duration</th><th>Channels</th><th>Keyframes</th>
+              <th>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${animationDiff.clips.map(clip => `
+              <tr>
+                <td>${this.escapeHTML(clip.name)}</td>
+                ${clipCells(clip.original)}
+                ${clipCells(clip.comparison)}
+                <td><span class="diff-type ${statusClass[clip.status] || ''}">${clip.status}</span></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${animationDiff.clips.filter(clip => clip.changedTrackCount > 0).map(clip => `
+          <h3>${this.escapeHTML(clip.name)}: ${clip.changedTrackCount} of ${clip.tracks.length} tracks differ</h3>
+          <table class="policy-table">
+            <thead>
+              <tr><th>Track</th><th>Keyframes</th><th>Max deviation</th><th>Mean deviation</th><th>Worst at</th></tr>
+            </thead>
+            <tbody>
+              ${clip.tracks.filter(track => track.status !== 'identical').map(track => `
+                <tr>
+                  <td>${this.escapeHTML(track.name)}${track.status !== 'changed' ? ` (${track.status})` : ''}</td>
+                  <td>${track.keyframes[0]} → ${track.keyframes[1]}</td>
+                  <td>${AnimationService.formatDeviation(track.kind, track.maxDeviation)}</td>
+                  <td>${AnimationService.formatDeviation(track.kind, track.meanDeviation)}</td>
+                  <td>${track.maxAt !== undefined ? AnimationService.formatDuration(track.maxAt) : '—'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `).join('')}
+        <p class="environment-note">Rotation deviations are in degrees; translations in model units, scale as factors and morph targets as weights.</p>
+      </div>
+      `;
+    }
+
+    static createMaterialSection(originalStats, comparisonStats, tolerance) {
+      if (!originalStats?.materials || !comparisonStats?.materials) return '';
+
+      const comparisons = MaterialService.compareMaterials(originalStats.materials, comparisonStats.materials, tolerance);
+      const formatCell = (kind, value) => {
+        const text = this.escapeHTML(MaterialService.formatValue(kind, value));
+        return kind === 'color' && value ? `<span class="color-swatch" style="background:${value}"></span>${text}` : text;
+      };
+
+      return `
+      <div class="section">
+        <h2>Material Parameters</h2>
+        <p class="summary-text">
+          ${MaterialService.countDeltas(comparisons)} material deltas: parameters beyond a tolerance of ${tolerance}, plus materials found in only one model.
+        </p>
+        ${comparisons.map(comparison => {
+          const rows = comparison.rows.filter(row => row.exceeds);
+          return `
+            <h3>${this.escapeHTML(comparison.name)} <small>(${comparison.type})</small></h3>
+            ${comparison.onlyIn ? `
+              <p>Only in ${comparison.onlyIn === 'original' ? 'Model 1' : 'Model 2'}</p>
+            ` : rows.length === 0 ? `
+              <p>All parameters within tolerance.</p>
+            ` : `
+              <table class="material-table">
+                <thead><tr><th>Property</th><th>Model 1</th><th>Model 2</th><th>Δ</th></tr></thead>
+                <tbody>
+                  ${rows.map(row => `
+                    <tr class="exceeds">
+                      <td>${row.property}</td>
+                      <td>${formatCell(row.kind, row.valueA)}</td>
+                      <td>${formatCell(row.kind, row.valueB)}</td>
+                      <td>${row.delta === null ? 'differs' : MaterialService.formatValue('number', row.delta)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            `}
+          `;
+        }).join('')}
+      </div>
+      `;
+    }
+
+    static createTextureSection(textureDiff) {
+      if (!textureDiff || textureDiff.pairs.length === 0) return '';
+
+      const describe = (info) => info ? `${info.width}×${info.height} · ${info.format} · ${info.colorSpace}` : '—';
+
+      return `
+      <div class="section">
+        <h2>Texture Differences</h2>
+        <p class="summary-text">${textureDiff.differingCount} of ${textureDiff.pairs.length} texture pairs differ.</p>
+        <div class="texture-pairs">
+          ${textureDiff.pairs.map(pair => `
+            <div class="texture-pair">
+              <strong>${this.escapeHTML(pair.material)} · ${pair.slot}</strong>
+              <span class="diff-type ${pair.status === 'compared' ? (pair.percentage > 0 ? 'modified' : '') : 'removed'}">
+                ${pair.status === 'compared' ? `${pair.percentage.toFixed(2)}%` : pair.status}
+              </span>
+              ${pair.status === 'compared' ? `
+                <div class="texture-pair-images">
+                  <img src="${pair.imageA}" alt="Model 1">
+                  <img src="${pair.imageB}" alt="Model 2">
+                  <img src="${pair.diffImage}" alt="Difference">
+                </div>
+              ` : ''}
+              <div>Model 1: ${this.escapeHTML(pair.textureA?.name || '—')} <small>${describe(pair.textureA)}</small></div>
+              <div>Model 2: ${this.escapeHTML(pair.textureB?.name || '—')} <small>${describe(pair.textureB)}</small></div>
+              ${pair.differences.length ? `<ul>${pair.differences.map(d => `<li>${d}</li>`).join('')}</ul>` : ''}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      `;
+    }
+
+    static escapeHTML(text) {
+      return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
     }
   
     static downloadReport(html) {
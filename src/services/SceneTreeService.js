@@ -0,0 +1,254 @@
+// SceneTreeService.js - Scene-graph trees, node matching between models, selection framing and per-node visibility
+import * as THREE from 'three';
+
+// Relative tolerance for transform components; rotations are compared in degrees
+const TRANSFORM_TOLERANCE = 1e-4;
+
+const HIGHLIGHT_COLOR = 0xf59e0b;
+
+// Visibility as loaded, so hiding and isolating can always be undone
+const loadedVisibility = new WeakMap();
+
+const round = (value) => Number(value.toPrecision(6));
+
+const differs = (a, b) => a.some((value, index) => Math.abs(value - b[index]) > TRANSFORM_TOLERANCE * Math.max(1, Math.abs(value)));
+
+// The alignment group is an implementation detail of AlignmentService, not
+// part of the model
+const getChildren = (object) => object.children.flatMap(child => (
+  child.userData.isAlignment ? getChildren(child) : [child]
+));
+
+const getTransform = (object) => {
+  const euler = new THREE.Euler().setFromQuaternion(object.quaternion);
+  return {
+    position: object.position.toArray().map(round),
+    rotation: [euler.x, euler.y, euler.z].map(angle => round(THREE.MathUtils.radToDeg(angle))),
+    scale: object.scale.toArray().map(round)
+  };
+};
+
+// The viewers move the root to centre the model, so its transform is never
+// the file's
+const ROOT_TRANSFORM = { position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] };
+
+const getMaterials = (object) => (Array.isArray(object.material) ? object.material : [object.material]).filter(Boolean);
+
+export class SceneTreeService {
+  static describeNode(object, depth = 0) {
+    const node = {
+      uuid: object.uuid,
+      name: object.name,
+      type: object.type,
+      depth,
+      ...(depth === 0 ? ROOT_TRANSFORM : getTransform(object)),
+      mesh: null,
+      materials: [],
+      children: getChildren(object).map(child => this.describeNode(child, depth + 1))
+    };
+
+    if (object.isMesh || object.isPoints || object.isLine) {
+      const { geometry } = object;
+      const count = geometry.index ? geometry.index.count : geometry.attributes.position?.count || 0;
+      node.mesh = {
+        vertices: geometry.attributes.position?.count || 0,
+        triangles: object.isMesh ? Math.floor(count / 3) : 0
+      };
+      node.materials = getMaterials(object).map(material => material.name || material.type);
+    }
+    return node;
+  }
+
+  static getLabel(node) {
+    return node.name || `<${node.type}>`;
+  }
+
+  // Siblings pair up by name (the nth "Wheel" with the nth "Wheel"), then
+  // unnamed or renamed leftovers by type in order
+  static matchChildren(childrenA = [], childrenB = []) {
+    const keyed = (children) => {
+      const seen = new Map();
+      return children.map(child => {
+        const occurrence = seen.get(child.name) || 0;
+        seen.set(child.name, occurrence + 1);
+        return { node: child, key: child.name ? `${child.name}#${occurrence}` : null };
+      });
+    };
+    const remainingB = keyed(childrenB);
+    const take = (predicate) => {
+      const index = remainingB.findIndex(predicate);
+      return index === -1 ? null : remainingB.splice(index, 1)[0].node;
+    };
+
+    const pairs = keyed(childrenA).map(({ node, key }) => ({
+      original: node,
+      comparison: key ? take(entry => entry.key === key) : null
+    }));
+    pairs.filter(pair => !pair.comparison).forEach(pair => {
+      pair.comparison = take(entry => entry.node.type === pair.original.type && !childrenA.some(child => child.name && child.name === entry.node.name));
+    });
+
+    // Unmatched Model 2 nodes go after the last Model 1 sibling
+    remainingB.forEach(({ node }) => pairs.push({ original: null, comparison: node }));
+    return pairs;
+  }
+
+  static compareNodes(a, b) {
+    const differences = [];
+    if (a.name !== b.name) differences.push(`renamed from "${this.getLabel(a)}"`);
+    if (a.type !== b.type) differences.push(`${a.type} → ${b.type}`);
+    ['position', 'rotation', 'scale'].forEach(property => {
+      if (differs(a[property], b[property])) differences.push(property);
+    });
+    if (a.mesh && b.mesh) {
+      if (a.mesh.vertices !== b.mesh.vertices) differences.push(`vertices ${a.mesh.vertices.toLocaleString()} → ${b.mesh.vertices.toLocaleString()}`);
+      if (a.mesh.triangles !== b.mesh.triangles) differences.push(`triangles ${a.mesh.triangles.toLocaleString()} → ${b.mesh.triangles.toLocaleString()}`);
+    }
+    if (a.materials.join('|') !== b.materials.join('|')) differences.push('materials');
+    return differences;
+  }
+
+  // One tree of node pairs, so matched nodes line up row by row. status is
+  // same, changed, missing (Model 1 only) or added (Model 2 only).
+  static mergeTrees(rootA, rootB) {
+    const merge = (original, comparison, depth) => {
+      const differences = original && comparison ? this.compareNodes(original, comparison) : [];
+      const children = original && comparison
+        ? this.matchChildren(original.children, comparison.children).map(pair => merge(pair.original, pair.comparison, depth + 1))
+        : (original || comparison).children.map(child => merge(original ? child : null, comparison ? child : null, depth + 1));
+      const status = !comparison ? 'missing' : !original ? 'added' : differences.length > 0 ? 'changed' : 'same';
+
+      return {
+        id: `${original?.uuid || ''}:${comparison?.uuid || ''}`,
+        depth,
+        original,
+        comparison,
+        status,
+        differences,
+        children,
+        changedDescendants: children.reduce((sum, child) => sum + (child.status !== 'same' ? 1 : 0) + child.changedDescendants, 0)
+      };
+    };
+    return merge(rootA, rootB, 0);
+  }
+
+  static buildTree(sceneA, sceneB) {
+    if (!sceneA && !sceneB) return null;
+    return this.mergeTrees(sceneA ? this.describeNode(sceneA) : null, sceneB ? this.describeNode(sceneB) : null);
+  }
+
+  // What selection and visibility keep of a merged node: enough to find the
+  // object in each scene
+  static getPair(node) {
+    return {
+      id: node.id,
+      original: node.original?.uuid || null,
+      comparison: node.comparison?.uuid || null
+    };
+  }
+
+  static summarize(tree) {
+    const counts = { same: 0, changed: 0, missing: 0, added: 0 };
+    const visit = (node) => {
+      counts[node.status]++;
+      node.children.forEach(visit);
+    };
+    if (tree) visit(tree);
+    return counts;
+  }
+
+  // Bounds of everything under the node, in the node's own space, so the
+  // highlight can follow the node's world matrix
+  static getLocalBounds(object) {
+    object.updateWorldMatrix(true, true);
+    const inverse = object.matrixWorld.clone().invert();
+    const bounds = new THREE.Box3();
+    object.traverse(child => {
+      if (!child.geometry?.attributes.position) return;
+      if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+      const matrix = new THREE.Matrix4().multiplyMatrices(inverse, child.matrixWorld);
+      bounds.union(child.geometry.boundingBox.clone().applyMatrix4(matrix));
+    });
+    return bounds;
+  }
+
+  // A box around the node's contents, or axes for nodes without geometry
+  static createHighlight(scene, uuid) {
+    const object = uuid && scene?.getObjectByProperty('uuid', uuid);
+    if (!object) return null;
+
+    const group = new THREE.Group();
+    group.name = `Highlight ${object.name || object.type}`;
+    group.matrixAutoUpdate = false;
+    group.userData.target = object;
+
+    const bounds = this.getLocalBounds(object);
+    const helper = bounds.isEmpty()
+      ? new THREE.AxesHelper(new THREE.Box3().setFromObject(scene).getSize(new THREE.Vector3()).length() * 0.05 || 1)
+      : new THREE.Box3Helper(bounds, HIGHLIGHT_COLOR);
+    helper.material.depthTest = false;
+    helper.material.transparent = true;
+    group.add(helper);
+    return group;
+  }
+
+  static disposeHighlight(group) {
+    group?.traverse(object => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+  }
+
+  // Keeps the view direction and points the orbit target at the node, close
+  // enough for its bounds to fill most of the view
+  static frame(viewer, scene, uuid) {
+    const object = scene?.getObjectByProperty('uuid', uuid);
+    const camera = viewer?.getCamera();
+    const controls = viewer?.getControls();
+    if (!object || !camera || !controls) return false;
+
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    if (sphere.isEmpty() || sphere.radius === 0) {
+      sphere.set(object.getWorldPosition(new THREE.Vector3()), camera.position.distanceTo(controls.target) / 10);
+    }
+
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    if (camera.isPerspectiveCamera) {
+      const distance = sphere.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov) / 2) * 1.2;
+      camera.position.copy(sphere.center).addScaledVector(direction, distance);
+    } else {
+      camera.position.copy(sphere.center).addScaledVector(direction, camera.position.distanceTo(controls.target));
+      camera.zoom = (camera.top - camera.bottom) / 2 / (sphere.radius * 1.2);
+    }
+    camera.near = Math.min(camera.near, sphere.radius / 100);
+    camera.updateProjectionMatrix();
+    controls.target.copy(sphere.center);
+    controls.update();
+    return true;
+  }
+
+  // hidden: uuids to hide. isolate: null, or the uuids to keep (with their
+  // ancestors and descendants); an empty list hides the whole model.
+  static applyVisibility(scene, { hidden = [], isolate = null } = {}) {
+    if (!scene) return;
+    const hiddenSet = new Set(hidden);
+    const kept = isolate ? new Set() : null;
+
+    if (kept) {
+      isolate.forEach(uuid => {
+        const object = scene.getObjectByProperty('uuid', uuid);
+        if (!object) return;
+        object.traverse(child => kept.add(child));
+        object.traverseAncestors(ancestor => kept.add(ancestor));
+      });
+    }
+
+    scene.traverse(object => {
+      if (!loadedVisibility.has(object)) loadedVisibility.set(object, object.visible);
+      if (object === scene) return;
+      object.visible = loadedVisibility.get(object)
+        && !hiddenSet.has(object.uuid)
+        && (!kept || kept.has(object) || Boolean(object.userData.isAlignment));
+    });
+  }
+}
@@ -0,0 +1,415 @@
+// StructureDiffService.js - Structural glTF diff (nodes, meshes, materials, textures)
+import { hashBytes, hashString, hashTypedArray, combineHashes, toHex } from '../utils/hash.js';
+
+const KINDS = ['nodes', 'meshes', 'materials', 'textures'];
+
+const KIND_LABELS = {
+  nodes: 'node',
+  meshes: 'mesh',
+  materials: 'material',
+  textures: 'texture'
+};
+
+const TEXTURE_SOURCE_EXTENSIONS = [
+  'KHR_texture_basisu',
+  'EXT_texture_webp',
+  'EXT_texture_avif',
+  'MSFT_texture_dds'
+];
+
+export class StructureDiffService {
+  static async compareStructures(gltfA, gltfB) {
+    const [structureA, structureB] = await Promise.all([
+      this.extractStructure(gltfA),
+      this.extractStructure(gltfB)
+    ]);
+
+    return this.diffStructures(structureA, structureB);
+  }
+
+  static async extractStructure(gltf) {
+    const parser = gltf.parser;
+    const json = parser.json;
+
+    const textures = await this.extractTextures(parser, json);
+    const materials = this.extractMaterials(json, textures);
+    const meshes = this.extractMeshes(json, materials, this.hashSceneGeometry(gltf.scene, parser));
+    const nodes = this.extractNodes(json, meshes);
+
+    return { nodes, meshes, materials, textures };
+  }
+
+  static async extractTextures(parser, json) {
+    const imageHashes = await Promise.all((json.images || []).map(async (image, index) => {
+      try {
+        if (image.bufferView !== undefined) {
+          const data = await parser.getDependency('bufferView', image.bufferView);
+          return toHex(hashBytes(new Uint8Array(data)));
+        }
+        // Data URIs carry the content; for external files the URI is the best we have
+        return toHex(hashString(image.uri || `image_${index}`));
+      } catch (error) {
+        console.warn(`Could not hash image ${index}:`, error);
+        return null;
+      }
+    }));
+
+    const names = this.uniqueKeys((json.textures || []).map((texture, index) => {
+      const image = (json.images || [])[this.getTextureSource(texture)];
+      return texture.name || image?.name || image?.uri || `texture_${index}`;
+    }));
+
+    return (json.textures || []).map((texture, index) => {
+      const sourceIndex = this.getTextureSource(texture);
+      const image = (json.images || [])[sourceIndex] || {};
+      const sampler = (json.samplers || [])[texture.sampler] || {};
+      const imageHash = imageHashes[sourceIndex] || null;
+
+      const properties = {
+        image: { hash: imageHash, name: image.name || image.uri || `image_${sourceIndex}` },
+        mimeType: image.mimeType || this.guessMimeType(image.uri),
+        magFilter: sampler.magFilter ?? null,
+        minFilter: sampler.minFilter ?? null,
+        wrapS: sampler.wrapS ?? 10497,
+        wrapT: sampler.wrapT ?? 10497
+      };
+
+      return {
+        key: names[index],
+        name: names[index],
+        hash: imageHash || combineHashes(Object.values(properties).map(value => this.valueToken(value))),
+        properties
+      };
+    });
+  }
+
+  static extractMaterials(json, textures) {
+    const names = this.uniqueKeys((json.materials || []).map((material, index) => material.name || `material_${index}`));
+
+    const textureRef = (info) => {
+      if (!info || textures[info.index] === undefined) return null;
+      const texture = textures[info.index];
+      return { hash: texture.hash, name: texture.name };
+    };
+
+    return (json.materials || []).map((material, index) => {
+      const pbr = material.pbrMetallicRoughness || {};
+      const properties = {
+        baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+        metallicFactor: pbr.metallicFactor ?? 1,
+        roughnessFactor: pbr.roughnessFactor ?? 1,
+        emissiveFactor: material.emissiveFactor || [0, 0, 0],
+        alphaMode: material.alphaMode || 'OPAQUE',
+        alphaCutoff: material.alphaCutoff ?? 0.5,
+        doubleSided: !!material.doubleSided,
+        normalScale: material.normalTexture?.scale ?? 1,
+        occlusionStrength: material.occlusionTexture?.strength ?? 1,
+        baseColorTexture: textureRef(pbr.baseColorTexture),
+        metallicRoughnessTexture: textureRef(pbr.metallicRoughnessTexture),
+        normalTexture: textureRef(material.normalTexture),
+        occlusionTexture: textureRef(material.occlusionTexture),
+        emissiveTexture: textureRef(material.emissiveTexture)
+      };
+
+      // Material extensions (clearcoat, sheen, transmission, ...) are flattened as "extension.property"
+      Object.entries(material.extensions || {}).forEach(([extensionName, extension]) => {
+        const prefix = extensionName.replace(/^KHR_materials_|^KHR_|^EXT_/, '');
+        properties[prefix] = true;
+        Object.entries(extension || {}).forEach(([key, value]) => {
+          properties[`${prefix}.${key}`] = key.endsWith('Texture') ? textureRef(value) : value;
+        });
+      });
+
+      return {
+        key: names[index],
+        name: names[index],
+        hash: combineHashes(Object.values(properties).map(value => this.valueToken(value))),
+        properties
+      };
+    });
+  }
+
+  // Hashes the decoded geometry of every primitive, so Draco/meshopt compressed
+  // meshes are compared by content rather than by their encoded bytes
+  static hashSceneGeometry(scene, parser) {
+    const meshHashes = new Map();
+    if (!scene) return meshHashes;
+
+    scene.traverse((object) => {
+      if (!object.isMesh) return;
+      const association = parser.associations.get(object);
+      if (!association || association.meshes === undefined) return;
+
+      const geometry = object.geometry;
+      let hash;
+      ['position', 'normal', 'uv', 'tangent', 'color'].forEach(name => {
+        const attribute = geometry.attributes[name];
+        if (attribute && attribute.array) {
+          hash = hashTypedArray(attribute.array, hash);
+        }
+      });
+      if (geometry.index) {
+        hash = hashTypedArray(geometry.index.array, hash);
+      }
+
+      const primitives = meshHashes.get(association.meshes) || [];
+      primitives[association.primitives || 0] = toHex(hash || 0);
+      meshHashes.set(association.meshes, primitives);
+    });
+
+    return meshHashes;
+  }
+
+  static extractMeshes(json, materials, meshHashes) {
+    const accessors = json.accessors || [];
+    const names = this.uniqueKeys((json.meshes || []).map((mesh, index) => mesh.name || `mesh_${index}`));
+
+    return (json.meshes || []).map((mesh, index) => {
+      const primitives = mesh.primitives || [];
+      const attributes = new Set();
+      let vertexCount = 0;
+      let indexCount = 0;
+
+      primitives.forEach(primitive => {
+        Object.keys(primitive.attributes || {}).forEach(name => attributes.add(name));
+        vertexCount += accessors[primitive.attributes?.POSITION]?.count || 0;
+        indexCount += primitive.indices !== undefined ? accessors[primitive.indices]?.count || 0 : 0;
+      });
+
+      // Without decoded geometry fall back to the accessor layout
+      const geometryHash = meshHashes.has(index)
+        ? combineHashes(meshHashes.get(index))
+        : combineHashes([vertexCount, indexCount, ...Array.from(attributes).sort()]);
+
+      const properties = {
+        primitiveCount: primitives.length,
+        vertexCount,
+        indexCount,
+        attributes: Array.from(attributes).sort(),
+        materials: primitives.map(primitive => materials[primitive.material]?.name || 'default'),
+        morphTargets: primitives[0]?.targets?.length || 0,
+        geometry: { hash: geometryHash, name: names[index] }
+      };
+
+      return {
+        key: names[index],
+        name: names[index],
+        hash: geometryHash,
+        properties
+      };
+    });
+  }
+
+  static extractNodes(json, meshes) {
+    const nodes = [];
+    const jsonNodes = json.nodes || [];
+    const sceneIndex = json.scene ?? 0;
+    const rootNodes = json.scenes?.[sceneIndex]?.nodes || jsonNodes.map((node, index) => index);
+
+    const visit = (nodeIndex, parentPath, siblingNames) => {
+      const node = jsonNodes[nodeIndex];
+      if (!node) return;
+
+      // Disambiguate siblings that share a name so paths stay unique
+      const baseName = node.name || `node_${nodeIndex}`;
+      const seen = siblingNames.get(baseName) || 0;
+      siblingNames.set(baseName, seen + 1);
+      const name = seen > 0 ? `${baseName}[${seen}]` : baseName;
+      const path = parentPath ? `${parentPath}/${name}` : name;
+
+      const mesh = node.mesh !== undefined ? meshes[node.mesh] : null;
+      const properties = {
+        translation: node.translation || (node.matrix ? null : [0, 0, 0]),
+        rotation: node.rotation || (node.matrix ? null : [0, 0, 0, 1]),
+        scale: node.scale || (node.matrix ? null : [1, 1, 1]),
+        matrix: node.matrix || null,
+        mesh: mesh ? { hash: mesh.hash, name: mesh.name } : null,
+        childCount: (node.children || []).length,
+        camera: node.camera !== undefined,
+        skin: node.skin !== undefined
+      };
+
+      nodes.push({
+        key: path,
+        name: path,
+        hash: combineHashes(Object.values(properties).map(value => this.valueToken(value))),
+        properties
+      });
+
+      const childNames = new Map();
+      (node.children || []).forEach(childIndex => visit(childIndex, path, childNames));
+    };
+
+    const rootNames = new Map();
+    rootNodes.forEach(nodeIndex => visit(nodeIndex, '', rootNames));
+    return nodes;
+  }
+
+  static diffStructures(structureA, structureB) {
+    const diff = {};
+    const changes = [];
+    const summary = { added: 0, removed: 0, renamed: 0, modified: 0, unchanged: 0 };
+
+    KINDS.forEach(kind => {
+      const result = this.diffCollection(structureA[kind], structureB[kind]);
+      diff[kind] = result;
+
+      ['added', 'removed', 'renamed', 'modified'].forEach(type => {
+        summary[type] += result[type].length;
+        result[type].forEach(entry => {
+          changes.push({ kind, type, text: this.describeChange(kind, type, entry) });
+        });
+      });
+      summary.unchanged += result.unchanged;
+    });
+
+    return {
+      ...diff,
+      changes,
+      summary,
+      identical: changes.length === 0
+    };
+  }
+
+  static diffCollection(itemsA = [], itemsB = []) {
+    const result = { added: [], removed: [], renamed: [], modified: [], unchanged: 0 };
+    const unmatchedA = new Map(itemsA.map(item => [item.key, item]));
+    const unmatchedB = [];
+
+    const recordPair = (a, b) => {
+      const changes = this.compareProperties(a.properties, b.properties);
+      if (a.key !== b.key) {
+        result.renamed.push({ from: a.key, to: b.key, changes });
+      } else if (changes.length > 0) {
+        result.modified.push({ key: a.key, changes });
+      } else {
+        result.unchanged++;
+      }
+    };
+
+    // Pass 1: match by name/path
+    itemsB.forEach(b => {
+      const a = unmatchedA.get(b.key);
+      if (a) {
+        unmatchedA.delete(b.key);
+        recordPair(a, b);
+      } else {
+        unmatchedB.push(b);
+      }
+    });
+
+    // Pass 2: match the leftovers by content hash to detect renames
+    const byHash = new Map();
+    unmatchedA.forEach(a => {
+      const list = byHash.get(a.hash) || [];
+      list.push(a);
+      byHash.set(a.hash, list);
+    });
+
+    unmatchedB.forEach(b => {
+      const candidates = byHash.get(b.hash);
+      if (candidates && candidates.length > 0) {
+        const a = candidates.shift();
+        unmatchedA.delete(a.key);
+        recordPair(a, b);
+      } else {
+        result.added.push({ key: b.key });
+      }
+    });
+
+    unmatchedA.forEach(a => result.removed.push({ key: a.key }));
+
+    return result;
+  }
+
+  static compareProperties(propertiesA, propertiesB) {
+    const keys = new Set([...Object.keys(propertiesA), ...Object.keys(propertiesB)]);
+    const changes = [];
+
+    keys.forEach(property => {
+      const from = propertiesA[property] ?? null;
+      const to = propertiesB[property] ?? null;
+      if (this.valueToken(from) !== this.valueToken(to)) {
+        changes.push({ property, from, to });
+      }
+    });
+
+    return changes;
+  }
+
+  static describeChange(kind, type, entry) {
+    const label = KIND_LABELS[kind];
+    if (type === 'added') return `${label} ${entry.key} added`;
+    if (type === 'removed') return `${label} ${entry.key} removed`;
+
+    const details = entry.changes.map(change => this.describePropertyChange(change)).join(', ');
+    if (type === 'renamed') {
+      return `${label} ${entry.from} renamed to ${entry.to}${details ? `: ${details}` : ''}`;
+    }
+    return `${label} ${entry.key}: ${details}`;
+  }
+
+  static describePropertyChange({ property, from, to }) {
+    if (this.isReference(from) || this.isReference(to)) {
+      if (!from) return `${property} added`;
+      if (!to) return `${property} removed`;
+      return `${property} replaced`;
+    }
+    return `${property} ${this.formatValue(from)} → ${this.formatValue(to)}`;
+  }
+
+  static isReference(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && 'hash' in value;
+  }
+
+  static formatValue(value) {
+    if (value === null || value === undefined) return 'none';
+    if (Array.isArray(value)) return `[${value.map(v => this.formatValue(v)).join(', ')}]`;
+    if (typeof value === 'number') return String(parseFloat(value.toFixed(4)));
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Stable comparison token; numbers are rounded so float noise does not count as a change
+  static valueToken(value) {
+    if (value === null || value === undefined) return 'null';
+    if (this.isReference(value)) return `ref:${value.hash}`;
+    if (Array.isArray(value)) return `[${value.map(v => this.valueToken(v)).join(',')}]`;
+    if (typeof value === 'number') return value.toFixed(5);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  static getTextureSource(texture) {
+    for (const name of TEXTURE_SOURCE_EXTENSIONS) {
+      if (texture.extensions?.[name]?.source !== undefined) {
+        return texture.extensions[name].source;
+      }
+    }
+    return texture.source;
+  }
+
+  static guessMimeType(uri) {
+    if (!uri) return null;
+    const dataMatch = uri.match(/^data:([^;,]+)/);
+    if (dataMatch) return dataMatch[1];
+    const extension = uri.split('?')[0].split('.').pop().toLowerCase();
+    return {
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      webp: 'image/webp',
+      ktx2: 'image/ktx2',
+      avif: 'image/avif'
+    }[extension] || null;
+  }
+
+  static uniqueKeys(names) {
+    const counts = new Map();
+    return names.map(name => {
+      const seen = counts.get(name) || 0;
+      counts.set(name, seen + 1);
+      return seen > 0 ? `${name}[${seen}]` : name;
+    });
+  }
+}
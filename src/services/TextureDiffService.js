@@ -0,0 +1,181 @@
+// TextureDiffService.js - Pairs textures between models and diffs their image content
+import { ComparisonService } from './ComparisonService.js';
+import { ComparisonRenderer } from './ComparisonRenderer.js';
+import { MaterialService } from './MaterialService.js';
+
+const SLOT_LABELS = {
+  map: 'baseColor',
+  normalMap: 'normal',
+  roughnessMap: 'roughness',
+  metalnessMap: 'metalness',
+  aoMap: 'occlusion',
+  emissiveMap: 'emissive',
+  alphaMap: 'alpha',
+  clearcoatMap: 'clearcoat',
+  clearcoatRoughnessMap: 'clearcoatRoughness',
+  clearcoatNormalMap: 'clearcoatNormal',
+  transmissionMap: 'transmission',
+  thicknessMap: 'thickness',
+  sheenColorMap: 'sheenColor',
+  sheenRoughnessMap: 'sheenRoughness',
+  specularIntensityMap: 'specular',
+  specularColorMap: 'specularColor'
+};
+
+export class TextureDiffService {
+  static maxResolution = 2048;
+  static thumbnailSize = 256;
+
+  static async compareTextures(sceneA, sceneB) {
+    const materialsA = this.collectMaterialTextures(sceneA);
+    const materialsB = this.collectMaterialTextures(sceneB);
+    const results = [];
+
+    MaterialService.pairMaterials(materialsA, materialsB).forEach(pair => {
+      const slotsA = pair.a?.slots || {};
+      const slotsB = pair.b?.slots || {};
+      const slotNames = new Set([...Object.keys(slotsA), ...Object.keys(slotsB)]);
+
+      slotNames.forEach(slot => {
+        results.push(this.compareTexturePair(pair.name, slot, slotsA[slot], slotsB[slot]));
+      });
+    });
+
+    // Worst pairs first: missing textures, then by mismatch, unreadable ones last
+    const sortKey = (result) => {
+      if (result.status === 'added' || result.status === 'removed') return 101;
+      if (result.status === 'unsupported') return -1;
+      return result.percentage;
+    };
+    results.sort((a, b) => sortKey(b) - sortKey(a));
+
+    return {
+      pairs: results,
+      comparedCount: results.filter(result => result.status === 'compared').length,
+      differingCount: results.filter(result => result.status !== 'compared' || result.percentage > 0 || result.differences.length > 0).length
+    };
+  }
+
+  // Groups each material's textures by slot. Slots sharing one texture
+  // (e.g. glTF metallicRoughness feeding roughnessMap and metalnessMap) are merged.
+  static collectMaterialTextures(scene) {
+    const materials = new Map();
+
+    scene.traverse((object) => {
+      if (!object.isMesh || !object.material) return;
+      const materialsArray = Array.isArray(object.material) ? object.material : [object.material];
+
+      materialsArray.forEach(material => {
+        if (materials.has(material.uuid)) return;
+
+        const byTexture = new Map();
+        MaterialService.textureSlots.forEach(slot => {
+          const texture = material[slot];
+          if (!texture || !texture.isTexture) return;
+          const entry = byTexture.get(texture.uuid) || { texture, slots: [] };
+          entry.slots.push(slot);
+          byTexture.set(texture.uuid, entry);
+        });
+
+        const slots = {};
+        byTexture.forEach(({ texture, slots: textureSlots }) => {
+          slots[this.getSlotLabel(textureSlots)] = texture;
+        });
+
+        materials.set(material.uuid, { name: material.name || material.type, slots });
+      });
+    });
+
+    return Array.from(materials.values());
+  }
+
+  static getSlotLabel(slots) {
+    const has = (slot) => slots.includes(slot);
+    if (has('roughnessMap') && has('metalnessMap') && has('aoMap')) return 'ORM';
+    if (has('roughnessMap') && has('metalnessMap')) return 'metallicRoughness';
+    return slots.map(slot => SLOT_LABELS[slot] || slot).join('+');
+  }
+
+  static compareTexturePair(materialName, slot, textureA, textureB) {
+    const infoA = textureA ? this.describeTexture(textureA) : null;
+    const infoB = textureB ? this.describeTexture(textureB) : null;
+    const result = {
+      material: materialName,
+      slot,
+      textureA: infoA,
+      textureB: infoB,
+      differences: [],
+      percentage: null,
+      mismatchedPixels: null,
+      diffImage: null,
+      imageA: null,
+      imageB: null
+    };
+
+    if (!infoA || !infoB) {
+      result.status = infoA ? 'removed' : 'added';
+      result.differences.push(infoA ? 'texture missing in Model 2' : 'texture missing in Model 1');
+      return result;
+    }
+
+    if (infoA.width !== infoB.width || infoA.height !== infoB.height) {
+      result.differences.push(`resolution ${infoA.width}×${infoA.height} → ${infoB.width}×${infoB.height}`);
+    }
+    if (infoA.format !== infoB.format) {
+      result.differences.push(`format ${infoA.format} → ${infoB.format}`);
+    }
+    if (infoA.colorSpace !== infoB.colorSpace) {
+      result.differences.push(`colorSpace ${infoA.colorSpace} → ${infoB.colorSpace}`);
+    }
+
+    if (!this.isReadable(textureA) || !this.isReadable(textureB)) {
+      result.status = 'unsupported';
+      result.differences.push('pixel data not readable (compressed GPU format)');
+      return result;
+    }
+
+    // Resample both onto the larger of the two grids
+    const width = Math.min(Math.max(infoA.width, infoB.width), this.maxResolution);
+    const height = Math.min(Math.max(infoA.height, infoB.height), this.maxResolution);
+    const pixelsA = ComparisonService.imageToPixels(textureA.image, width, height);
+    const pixelsB = ComparisonService.imageToPixels(textureB.image, width, height);
+    const diff = ComparisonService.compareImageData(pixelsA, pixelsB, { metrics: ['pixelmatch'] });
+
+    result.status = 'compared';
+    result.percentage = diff.percentage;
+    result.mismatchedPixels = diff.mismatchedPixels;
+    result.resolution = [width, height];
+    result.imageA = this.createThumbnail(textureA.image);
+    result.imageB = this.createThumbnail(textureB.image);
+    result.diffImage = ComparisonRenderer.toDataURL(diff.diffPixels);
+    return result;
+  }
+
+  static describeTexture(texture) {
+    const image = texture.image || {};
+    return {
+      name: texture.name || image.src?.split('/').pop() || 'unnamed',
+      width: image.width || 0,
+      height: image.height || 0,
+      format: texture.isCompressedTexture ? 'compressed' : (texture.userData?.mimeType || 'unknown'),
+      colorSpace: texture.colorSpace || 'none'
+    };
+  }
+
+  static isReadable(texture) {
+    const image = texture.image;
+    if (!image || texture.isCompressedTexture || texture.isDataTexture) return false;
+    return (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap)
+      || (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement)
+      || (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement);
+  }
+
+  static createThumbnail(image) {
+    const scale = Math.min(1, this.thumbnailSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+  }
+}
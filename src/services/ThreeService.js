@@ -1,9 +1,27 @@
 // ThreeService.js - Three.js utilities and model loading
-import { THREE, GLTFLoader, DRACOLoader, RGBELoader, initializeThree } from '../utils/threeSetup.js';
+import { THREE, GLTFLoader, DRACOLoader, initializeThree } from '../utils/threeSetup.js';
+import { MaterialService } from './MaterialService.js';
+import { AssetBundleService } from './AssetBundleService.js';
+import { ValidationService } from './ValidationService.js';
+import { PerformanceService } from './PerformanceService.js';
+
+// Decoders are copied from three's libs into the app bundle (see vite.config.js),
+// so compressed assets load without network access
+const decoderPath = `${import.meta.env?.BASE_URL ?? '/'}decoders/`;
+
+const COMPRESSION_EXTENSIONS = [
+  { extension: 'KHR_draco_mesh_compression', label: 'Draco' },
+  { extension: 'EXT_meshopt_compression', label: 'Meshopt' },
+  { extension: 'KHR_mesh_quantization', label: 'Quantization' },
+  { extension: 'KHR_texture_basisu', label: 'KTX2 / BasisU' },
+  { extension: 'EXT_texture_webp', label: 'WebP' },
+  { extension: 'EXT_texture_avif', label: 'AVIF' }
+];
 
 export class ThreeService {
   static draco = null;
-  static hdriLoader = null;
+  static ktx2 = null;
+  static meshopt = null;
   static initialized = false;
 
   static async initialize() {
@@ -17,13 +35,25 @@ export class ThreeService {
         throw new Error('Failed to initialize Three.js');
       }
 
-      // Initialize Draco loader
       this.draco = new DRACOLoader();
-      this.draco.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.4.1/');
+      this.draco.setDecoderPath(`${decoderPath}draco/`);
 
-      // Initialize HDRI loader
-      this.hdriLoader = new RGBELoader();
-      this.hdriLoader.setDataType(THREE.UnsignedByteType);
+      const [{ KTX2Loader }, { MeshoptDecoder }] = await Promise.all([
+        import('three/examples/jsm/loaders/KTX2Loader.js'),
+        import('three/examples/jsm/libs/meshopt_decoder.module.js')
+      ]);
+      this.meshopt = MeshoptDecoder;
+
+      // KTX2 transcodes to a GPU format the renderer supports, so it needs a
+      // renderer to ask; a throwaway one is enough
+      try {
+        const renderer = new THREE.WebGLRenderer();
+        this.ktx2 = new KTX2Loader().setTranscoderPath(`${decoderPath}basis/`).detectSupport(renderer);
+        renderer.dispose();
+        renderer.forceContextLoss();
+      } catch (error) {
+        console.warn('KTX2 textures are unavailable without WebGL:', error);
+      }
 
       this.initialized = true;
       console.log('ThreeService initialized successfully');
@@ -33,46 +63,139 @@ export class ThreeService {
     }
   }
 
-  static async loadModel(file) {
+  // Accepts a single File or a list of {file, path} entries (multi-file,
+  // folder or zip drops). Resolves with gltf set to null for non-glTF formats;
+  // animations holds the clips of any format that carries them, validation
+  // the spec checks of glTF files.
+  static async loadModel(input) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    return new Promise((resolve, reject) => {
-      const fileURL = URL.createObjectURL(file);
-      
-      const loader = new GLTFLoader();
-      if (this.draco) {
-        loader.setDRACOLoader(this.draco);
+    const entries = input instanceof Blob ? [{ file: input, path: input.name }] : input;
+    const bundle = await AssetBundleService.createBundle(entries);
+    const manager = new THREE.LoadingManager();
+    const resources = AssetBundleService.attachToManager(bundle, manager);
+
+    try {
+      const { scene, gltf } = await this.loadBundle(bundle, resources.mainURL, manager);
+      const stats = this.analyzeModel(scene, { name: bundle.name, size: bundle.size });
+      stats.format = bundle.format;
+      stats.fileCount = bundle.fileCount;
+      stats.missingResources = resources.missing;
+      // FBX clips hang off the loaded group rather than a glTF result
+      const animations = gltf ? gltf.animations : scene.animations || [];
+      stats.animationCount = animations.length;
+      stats.compression = gltf
+        ? this.analyzeCompression(gltf, scene, (uri) => AssetBundleService.resolve(bundle, `${bundle.path}/../${AssetBundleService.decodePath(uri)}`)?.size)
+        : null;
+      const validation = gltf ? await ValidationService.validate(gltf) : null;
+
+      if (resources.missing.length > 0) {
+        console.warn(`${bundle.name}: unresolved resources`, resources.missing);
       }
 
+      return {
+        scene,
+        stats,
+        gltf,
+        animations,
+        validation,
+        file: { name: bundle.name, size: bundle.size, fileCount: bundle.fileCount, format: bundle.format }
+      };
+    } finally {
+      resources.release();
+    }
+  }
+
+  static async loadBundle(bundle, url, manager) {
+    const load = (loader, loadURL = url) => new Promise((resolve, reject) => {
       loader.load(
-        fileURL,
-        (gltf) => {
-          URL.revokeObjectURL(fileURL);
-          
-          const scene = gltf.scene;
-          const stats = this.analyzeModel(scene, file);
-          
-          resolve({ scene, stats });
-        },
+        loadURL,
+        resolve,
         (progress) => {
-          console.log(`Loading progress: ${(progress.loaded / progress.total) * 100}%`);
+          if (progress.total) {
+            console.log(`Loading progress: ${(progress.loaded / progress.total) * 100}%`);
+          }
         },
-        (error) => {
-          URL.revokeObjectURL(fileURL);
-          reject(error);
-        }
+        reject
       );
     });
+
+    switch (bundle.format) {
+      case 'glb':
+      case 'gltf': {
+        const loader = new GLTFLoader(manager);
+        if (this.draco) {
+          loader.setDRACOLoader(this.draco);
+        }
+        if (this.ktx2) {
+          loader.setKTX2Loader(this.ktx2);
+        }
+        if (this.meshopt) {
+          loader.setMeshoptDecoder(this.meshopt);
+        }
+        const gltf = await load(loader);
+        return { scene: gltf.scene, gltf };
+      }
+
+      case 'fbx': {
+        const { FBXLoader } = await import('three/examples/jsm/loaders/FBXLoader.js');
+        return { scene: await load(new FBXLoader(manager)), gltf: null };
+      }
+
+      case 'obj': {
+        const [{ OBJLoader }, { MTLLoader }] = await Promise.all([
+          import('three/examples/jsm/loaders/OBJLoader.js'),
+          import('three/examples/jsm/loaders/MTLLoader.js')
+        ]);
+        const objLoader = new OBJLoader(manager);
+
+        // Use the first referenced material library, or any .mtl that was dropped alongside
+        const text = await AssetBundleService.getMainBlob(bundle).text();
+        const baseURL = url.slice(0, url.lastIndexOf('/') + 1);
+        const libraries = Array.from(text.matchAll(/^mtllib\s+(.+?)\s*$/gm), match => match[1]);
+        const fallback = AssetBundleService.findFiles(bundle, '.mtl')[0];
+        const library = libraries.find(name => AssetBundleService.resolve(bundle, `${bundle.path}/../${name}`)) ||
+          (fallback ? `${'../'.repeat(bundle.path.split('/').length - 1)}${fallback}` : null);
+
+        if (library) {
+          const materials = await load(new MTLLoader(manager), baseURL + library);
+          materials.preload();
+          objLoader.setMaterials(materials);
+        }
+        return { scene: objLoader.parse(text), gltf: null };
+      }
+
+      case 'usdz': {
+        const { USDZLoader } = await import('three/examples/jsm/loaders/USDZLoader.js');
+        return { scene: await load(new USDZLoader(manager)), gltf: null };
+      }
+
+      default:
+        throw new Error(`Unsupported model format: ${bundle.format}`);
+    }
+  }
+
+  // Frees the geometries, materials and textures of a model no longer shown
+  // or measured anywhere
+  static disposeModel(scene) {
+    scene?.traverse(object => {
+      object.geometry?.dispose();
+      (Array.isArray(object.material) ? object.material : [object.material]).filter(Boolean).forEach(material => {
+        Object.values(material).forEach(value => value?.isTexture && value.dispose());
+        material.dispose();
+      });
+    });
   }
 
   static analyzeModel(scene, file) {
     let vertexCount = 0;
     let triangleCount = 0;
     let materialCount = 0;
-    const materials = new Set();
+    const materials = new Map();
     const textures = new Map();
+    const textureImages = new Map();
 
     scene.traverse((object) => {
       if (object.isMesh) {
@@ -94,7 +217,7 @@ export class ThreeService {
           const materialsArray = Array.isArray(object.material) ? object.material : [object.material];
           
           materialsArray.forEach(material => {
-            materials.add(material.uuid);
+            materials.set(material.uuid, material);
             
             // Analyze textures in the material
             const textureProperties = [
@@ -115,6 +238,9 @@ export class ThreeService {
                 const textureName = material[prop].name || `${name}`;
                 const count = textures.get(textureName) || 0;
                 textures.set(textureName, count + 1);
+
+                const sourceId = material[prop].source?.uuid || material[prop].uuid;
+                textureImages.set(sourceId, PerformanceService.getTextureMemory(material[prop]));
               }
             });
           });
@@ -125,62 +251,73 @@ export class ThreeService {
     materialCount = materials.size;
 
     return {
+      fileName: file.name,
       fileSize: file.size,
       vertexCount,
       triangleCount,
       materialCount,
       textureCount: textures.size,
-      textures: Array.from(textures.entries())
+      textures: Array.from(textures.entries()),
+      textureMemory: Math.round(Array.from(textureImages.values()).reduce((sum, bytes) => sum + bytes, 0)),
+      performance: PerformanceService.profile(scene),
+      materials: Array.from(materials.values()).map(material => MaterialService.extractMaterialProperties(material))
     };
   }
 
-  static setupEnvironment(renderer, scene, camera) {
-    // Try to load HDR environment
-    if (this.hdriLoader) {
-      this.hdriLoader.load(
-        'https://vc-catalog-bucket-dev.s3.ap-south-1.amazonaws.com/hdri/neutral.hdr',
-        (texture) => {
-          try {
-            const pmremGenerator = new THREE.PMREMGenerator(renderer);
-            pmremGenerator.compileEquirectangularShader();
-            
-            const envMap = pmremGenerator.fromEquirectangular(texture).texture;
-            scene.environment = envMap;
-            scene.background = new THREE.Color(0xffffff);
-            
-            texture.dispose();
-            pmremGenerator.dispose();
-            
-            renderer.render(scene, camera);
-          } catch (error) {
-            console.warn('Error processing HDR environment map:', error);
-            this.createFallbackLighting(scene);
-          }
-        },
-        undefined,
-        (error) => {
-          console.warn('Error loading HDR environment map:', error);
-          this.createFallbackLighting(scene);
-        }
-      );
-    } else {
-      this.createFallbackLighting(scene);
-    }
-  }
+  // Compression methods in use, and geometry and texture bytes as stored in
+  // the file versus decoded in memory. getFileSize resolves external image URIs.
+  static analyzeCompression(gltf, scene, getFileSize = () => undefined) {
+    const json = gltf.parser.json;
+    const used = new Set(json.extensionsUsed || []);
+
+    // Geometry as stored: each buffer view behind a mesh accessor or a Draco
+    // stream once, at its compressed size when meshopt-compressed
+    const views = new Set();
+    (json.meshes || []).forEach(mesh => (mesh.primitives || []).forEach(primitive => {
+      const accessors = [
+        ...Object.values(primitive.attributes || {}),
+        ...(primitive.targets || []).flatMap(target => Object.values(target)),
+        primitive.indices
+      ];
+      accessors.forEach(index => {
+        const accessor = json.accessors?.[index];
+        if (accessor?.bufferView !== undefined) views.add(accessor.bufferView);
+      });
+      const draco = primitive.extensions?.KHR_draco_mesh_compression;
+      if (draco) views.add(draco.bufferView);
+    }));
+    const storedGeometry = Array.from(views).reduce((sum, index) => {
+      const view = json.bufferViews?.[index];
+      if (!view) return sum;
+      return sum + (view.extensions?.EXT_meshopt_compression?.byteLength ?? view.byteLength);
+    }, 0);
 
-  static createFallbackLighting(scene) {
-    // Create basic lighting setup
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    scene.add(ambientLight);
-    
-    const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight1.position.set(1, 1, 1);
-    scene.add(directionalLight1);
-    
-    const directionalLight2 = new THREE.DirectionalLight(0xffffff, 0.4);
-    directionalLight2.position.set(-1, 0.5, -1);
-    scene.add(directionalLight2);
-    
-    scene.background = new THREE.Color(0xffffff);
+    const textures = new Map();
+    scene.traverse(object => {
+      if (!object.isMesh) return;
+      (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+        Object.values(material || {}).forEach(value => {
+          if (value?.isTexture) textures.set(value.source?.uuid || value.uuid, value);
+        });
+      });
+    });
+
+    const storedTextures = (json.images || []).reduce((sum, image) => {
+      if (image.bufferView !== undefined) return sum + (json.bufferViews?.[image.bufferView]?.byteLength || 0);
+      if (image.uri?.startsWith('data:')) return sum + Math.floor((image.uri.length - image.uri.indexOf(',') - 1) * 3 / 4);
+      return sum + (image.uri ? getFileSize(image.uri) || 0 : 0);
+    }, 0);
+
+    return {
+      methods: COMPRESSION_EXTENSIONS.filter(entry => used.has(entry.extension)).map(entry => entry.label),
+      geometry: {
+        stored: storedGeometry,
+        decoded: PerformanceService.getGeometryMemory(scene)
+      },
+      textures: {
+        stored: storedTextures,
+        decoded: Math.round(Array.from(textures.values()).reduce((sum, texture) => sum + PerformanceService.getTextureMemory(texture), 0))
+      }
+    };
   }
-}
\ No newline at end of file
+}
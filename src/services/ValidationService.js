@@ -0,0 +1,544 @@
+// ValidationService.js - glTF spec checks and extension audit, modelled on the Khronos glTF-Validator
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const COMPONENT_TYPES = {
+  5120: { size: 1, read: 'getInt8', label: 'BYTE' },
+  5121: { size: 1, read: 'getUint8', label: 'UNSIGNED_BYTE' },
+  5122: { size: 2, read: 'getInt16', label: 'SHORT' },
+  5123: { size: 2, read: 'getUint16', label: 'UNSIGNED_SHORT' },
+  5125: { size: 4, read: 'getUint32', label: 'UNSIGNED_INT' },
+  5126: { size: 4, read: 'getFloat32', label: 'FLOAT' }
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const INDEX_COMPONENT_TYPES = [5121, 5123, 5125];
+
+// Same tolerance the Khronos validator uses for unit-length vectors
+const UNIT_LENGTH_TOLERANCE = 0.0005;
+
+// Extensions three's GLTFLoader implements; anything else is ignored when rendering
+const SUPPORTED_EXTENSIONS = [
+  'KHR_binary_glTF',
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_materials_anisotropy',
+  'KHR_materials_clearcoat',
+  'KHR_materials_dispersion',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_ior',
+  'KHR_materials_iridescence',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_unlit',
+  'KHR_materials_volume',
+  'KHR_mesh_quantization',
+  'KHR_texture_basisu',
+  'KHR_texture_transform',
+  'EXT_materials_bump',
+  'EXT_mesh_gpu_instancing',
+  'EXT_meshopt_compression',
+  'EXT_texture_avif',
+  'EXT_texture_webp'
+];
+
+const EXTENSION_CATEGORIES = [
+  { id: 'compression', label: 'Compression', test: name => /draco|meshopt|quantization/i.test(name) },
+  { id: 'texture', label: 'Textures', test: name => /texture|basisu/i.test(name) },
+  { id: 'material', label: 'Materials', test: name => /_materials_/.test(name) },
+  { id: 'other', label: 'Other', test: () => true }
+];
+
+const TEXTURE_SOURCE_EXTENSIONS = ['KHR_texture_basisu', 'EXT_texture_webp', 'EXT_texture_avif', 'MSFT_texture_dds'];
+
+// Singular and plural labels of the top-level arrays checked for unused objects
+const OBJECT_LABELS = {
+  nodes: ['node', 'nodes'],
+  meshes: ['mesh', 'meshes'],
+  materials: ['material', 'materials'],
+  accessors: ['accessor', 'accessors'],
+  bufferViews: ['buffer view', 'buffer views'],
+  buffers: ['buffer', 'buffers'],
+  textures: ['texture', 'textures'],
+  images: ['image', 'images'],
+  samplers: ['sampler', 'samplers'],
+  skins: ['skin', 'skins'],
+  cameras: ['camera', 'cameras']
+};
+
+const listIndices = (indices, kind) => {
+  const shown = indices.slice(0, 8).map(index => `#${index}`).join(', ');
+  const [singular, plural] = OBJECT_LABELS[kind];
+  return `${indices.length} ${indices.length === 1 ? singular : plural} (${shown}${indices.length > 8 ? ', …' : ''})`;
+};
+
+// Every `extensions` object in the document, with the JSON pointer of its owner
+const collectExtensionUses = (value, pointer, uses) => {
+  if (!value || typeof value !== 'object') return;
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => collectExtensionUses(item, `${pointer}/${index}`, uses));
+    return;
+  }
+  Object.entries(value).forEach(([key, child]) => {
+    if (key === 'extensions' && child && typeof child === 'object') {
+      Object.keys(child).forEach(name => {
+        if (!uses.has(name)) uses.set(name, []);
+        uses.get(name).push(pointer || '/');
+      });
+    }
+    if (key !== 'extras') collectExtensionUses(child, `${pointer}/${key}`, uses);
+  });
+};
+
+// Texture references are textureInfo objects (`{ index, texCoord }`) anywhere in a material
+const collectTextureReferences = (value, used) => {
+  if (!value || typeof value !== 'object') return;
+  Object.entries(value).forEach(([key, child]) => {
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      if (/texture$/i.test(key) && Number.isInteger(child.index)) used.add(child.index);
+      collectTextureReferences(child, used);
+    }
+  });
+};
+
+export class ValidationService {
+  static severities = SEVERITIES;
+  static supportedExtensions = SUPPORTED_EXTENSIONS;
+
+  static async validate(gltf) {
+    const json = gltf.parser.json;
+    const issues = [];
+    const report = (severity, code, message, pointer) => issues.push({ severity, code, message, pointer });
+
+    // A malformed document must not stop the model from loading
+    try {
+      this.checkExtensions(json, report);
+      const accessorData = await this.checkAccessors(gltf.parser, json, report);
+      this.checkPrimitives(json, accessorData, report);
+      this.checkUnusedObjects(json, report);
+    } catch (error) {
+      console.warn('glTF validation stopped early:', error);
+      report('warning', 'VALIDATION_INCOMPLETE', `Validation stopped early: ${error.message}`, '/');
+    }
+
+    issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    const count = (severity) => issues.filter(issue => issue.severity === severity).length;
+    return {
+      issues,
+      counts: { errors: count('error'), warnings: count('warning'), infos: count('info') },
+      extensionsUsed: [...(json.extensionsUsed || [])],
+      extensionsRequired: [...(json.extensionsRequired || [])],
+      generator: json.asset?.generator || null,
+      version: json.asset?.version || null
+    };
+  }
+
+  static checkExtensions(json, report) {
+    const declared = new Set(json.extensionsUsed || []);
+    const required = new Set(json.extensionsRequired || []);
+    const uses = new Map();
+    collectExtensionUses(json, '', uses);
+
+    required.forEach(name => {
+      if (!declared.has(name)) {
+        report('error', 'REQUIRED_NOT_IN_USED', `${name} is listed in extensionsRequired but not in extensionsUsed`, '/extensionsRequired');
+      }
+    });
+    uses.forEach((pointers, name) => {
+      if (!declared.has(name)) {
+        report('error', 'EXTENSION_NOT_DECLARED', `${name} is used by ${pointers[0]} but not listed in extensionsUsed`, pointers[0]);
+      }
+    });
+    declared.forEach(name => {
+      if (!uses.has(name) && name !== 'KHR_mesh_quantization') {
+        report('warning', 'UNUSED_EXTENSION', `${name} is listed in extensionsUsed but never used`, '/extensionsUsed');
+      }
+      if (!SUPPORTED_EXTENSIONS.includes(name)) {
+        report('warning', 'UNSUPPORTED_EXTENSION', `${name} is not supported by the viewer and is ignored when rendering`, '/extensionsUsed');
+      }
+    });
+
+    // Extensions without a fallback cannot be ignored, so they must be required
+    const needsRequired = (name, reason) => {
+      if (declared.has(name) && !required.has(name)) {
+        report('error', 'MISSING_REQUIRED_EXTENSION', `${name} ${reason} but is not listed in extensionsRequired`, '/extensionsRequired');
+      }
+    };
+    if ((json.meshes || []).some(mesh => (mesh.primitives || []).some(primitive =>
+      primitive.extensions?.KHR_draco_mesh_compression &&
+      Object.values(primitive.attributes || {}).some(index => json.accessors?.[index]?.bufferView === undefined)
+    ))) {
+      needsRequired('KHR_draco_mesh_compression', 'compresses primitives without uncompressed fallback data');
+    }
+    TEXTURE_SOURCE_EXTENSIONS.forEach(name => {
+      if ((json.textures || []).some(texture => texture.extensions?.[name] && texture.source === undefined)) {
+        needsRequired(name, 'provides texture images without a fallback source');
+      }
+    });
+    if ((json.buffers || []).some(buffer => buffer.extensions?.EXT_meshopt_compression?.fallback && buffer.uri === undefined)) {
+      needsRequired('EXT_meshopt_compression', 'compresses buffer views whose fallback buffer has no data');
+    }
+    if (declared.has('KHR_mesh_quantization')) {
+      needsRequired('KHR_mesh_quantization', 'stores quantized vertex attributes');
+    }
+  }
+
+  // Accessors the primitive checks read element by element: float normals
+  // and tangents, and index accessors of a valid index type
+  static collectCheckedAccessors(json) {
+    const checked = new Set();
+    (json.meshes || []).forEach(mesh => (mesh.primitives || []).forEach(primitive => {
+      ['NORMAL', 'TANGENT'].forEach(semantic => {
+        const index = primitive.attributes?.[semantic];
+        if (json.accessors?.[index]?.componentType === 5126) checked.add(index);
+      });
+      if (INDEX_COMPONENT_TYPES.includes(json.accessors?.[primitive.indices]?.componentType)) checked.add(primitive.indices);
+    }));
+    return checked;
+  }
+
+  // Bounds, alignment and min/max of every accessor, measured in one pass
+  // over the stored values. Resolves with the decoded values of the
+  // accessors the primitive checks need; everything else is dropped.
+  static async checkAccessors(parser, json, report) {
+    const accessorData = new Map();
+    const checked = this.collectCheckedAccessors(json);
+    const unreadableViews = new Set();
+    const bufferSizes = await Promise.all((json.buffers || []).map(async (buffer, index) => {
+      try {
+        return (await parser.getDependency('buffer', index)).byteLength;
+      } catch (error) {
+        return null;
+      }
+    }));
+
+    (json.bufferViews || []).forEach((view, index) => {
+      const buffer = json.buffers?.[view.buffer];
+      const pointer = `/bufferViews/${index}`;
+      if (!buffer) {
+        report('error', 'UNRESOLVED_REFERENCE', `Buffer view #${index} references missing buffer #${view.buffer}`, pointer);
+        return;
+      }
+      const end = (view.byteOffset || 0) + view.byteLength;
+      const available = bufferSizes[view.buffer] ?? buffer.byteLength;
+      if (end > buffer.byteLength || end > available) {
+        report('error', 'BUFFER_VIEW_TOO_LONG', `Buffer view #${index} ends at byte ${end}, past the end of buffer #${view.buffer} (${Math.min(buffer.byteLength, available)} bytes)`, pointer);
+      }
+    });
+
+    const accessors = json.accessors || [];
+    for (let index = 0; index < accessors.length; index++) {
+      const accessor = accessors[index];
+      const pointer = `/accessors/${index}`;
+      const component = COMPONENT_TYPES[accessor.componentType];
+      const size = TYPE_SIZES[accessor.type];
+      if (!component || !size) {
+        report('error', 'INVALID_ACCESSOR_TYPE', `Accessor #${index} has an invalid type ${accessor.type}/${accessor.componentType}`, pointer);
+        continue;
+      }
+      if (accessor.min && accessor.min.length !== size) {
+        report('error', 'ACCESSOR_MIN_LENGTH', `Accessor #${index} min has ${accessor.min.length} components, expected ${size}`, pointer);
+      }
+      if (accessor.max && accessor.max.length !== size) {
+        report('error', 'ACCESSOR_MAX_LENGTH', `Accessor #${index} max has ${accessor.max.length} components, expected ${size}`, pointer);
+      }
+      // Data is read only where the stored values are the accessor's values:
+      // Draco-compressed and sparse accessors are decoded by the loader
+      if (accessor.bufferView === undefined || accessor.sparse || (accessor.type.startsWith('MAT') && component.size < 4)) continue;
+
+      const view = json.bufferViews?.[accessor.bufferView];
+      if (!view) {
+        report('error', 'UNRESOLVED_REFERENCE', `Accessor #${index} references missing buffer view #${accessor.bufferView}`, pointer);
+        continue;
+      }
+
+      const byteOffset = accessor.byteOffset || 0;
+      const elementSize = component.size * size;
+      const stride = view.byteStride || elementSize;
+      if (byteOffset % component.size !== 0) {
+        report('error', 'ACCESSOR_OFFSET_ALIGNMENT', `Accessor #${index} byte offset ${byteOffset} is not a multiple of its ${component.size}-byte component size`, pointer);
+      }
+      const end = byteOffset + stride * Math.max(0, accessor.count - 1) + elementSize;
+      if (accessor.count > 0 && end > view.byteLength) {
+        report('error', 'ACCESSOR_TOTAL_OFFSET_OUT_OF_BOUNDS', `Accessor #${index} needs ${end} bytes but buffer view #${accessor.bufferView} has ${view.byteLength}`, pointer);
+        continue;
+      }
+
+      let data;
+      try {
+        data = await parser.getDependency('bufferView', accessor.bufferView);
+      } catch (error) {
+        if (!unreadableViews.has(accessor.bufferView)) {
+          unreadableViews.add(accessor.bufferView);
+          report('warning', 'BUFFER_VIEW_UNREADABLE', `Buffer view #${accessor.bufferView} could not be read, its accessors are not checked: ${error.message}`, `/bufferViews/${accessor.bufferView}`);
+        }
+        continue;
+      }
+      if (end > data.byteLength) continue;
+
+      const reader = new DataView(data);
+      // Float normals and tangents stay exact in 32 bits, indices are unsigned
+      const values = checked.has(index)
+        ? new (accessor.componentType === 5126 ? Float32Array : Uint32Array)(accessor.count * size)
+        : null;
+      const bounds = { min: new Array(size).fill(Infinity), max: new Array(size).fill(-Infinity) };
+      for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < size; c++) {
+          const value = reader[component.read](byteOffset + i * stride + c * component.size, true);
+          if (value < bounds.min[c]) bounds.min[c] = value;
+          if (value > bounds.max[c]) bounds.max[c] = value;
+          if (values) values[i * size + c] = value;
+        }
+      }
+      if (values) accessorData.set(index, { values, size });
+      this.checkBounds(accessor, index, bounds, size, report);
+    }
+
+    return accessorData;
+  }
+
+  // min/max hold the stored values, before any normalization
+  static checkBounds(accessor, index, bounds, size, report) {
+    ['min', 'max'].forEach(bound => {
+      const declared = accessor[bound];
+      if (!declared || declared.length !== size || accessor.count === 0) return;
+
+      for (let c = 0; c < size; c++) {
+        const actual = bounds[bound][c];
+        if (Math.abs(actual - declared[c]) > 1e-5 * Math.max(1, Math.abs(actual))) {
+          report('error', `ACCESSOR_${bound.toUpperCase()}_MISMATCH`, `Accessor #${index} declares ${bound} ${declared[c]} for component ${c}, actual ${actual}`, `/accessors/${index}/${bound}`);
+          return;
+        }
+      }
+    });
+  }
+
+  static checkPrimitives(json, accessorData, report) {
+    (json.meshes || []).forEach((mesh, meshIndex) => {
+      (mesh.primitives || []).forEach((primitive, primitiveIndex) => {
+        const pointer = `/meshes/${meshIndex}/primitives/${primitiveIndex}`;
+        const label = `Mesh "${mesh.name || `#${meshIndex}`}" primitive ${primitiveIndex}`;
+        const attributes = primitive.attributes || {};
+        const position = json.accessors?.[attributes.POSITION];
+
+        if (attributes.POSITION === undefined) {
+          report('warning', 'MESH_PRIMITIVE_NO_POSITION', `${label} has no POSITION attribute`, pointer);
+        } else if (position && (!position.min || !position.max)) {
+          report('error', 'MESH_PRIMITIVE_POSITION_NO_BOUNDS', `${label}: the POSITION accessor must declare min and max`, `/accessors/${attributes.POSITION}`);
+        }
+
+        const counts = Object.entries(attributes).map(([name, index]) => [name, json.accessors?.[index]?.count]);
+        if (new Set(counts.map(([, count]) => count)).size > 1) {
+          report('error', 'MESH_PRIMITIVE_UNEQUAL_ACCESSOR_COUNT', `${label} has attributes with different counts (${counts.map(([name, count]) => `${name} ${count}`).join(', ')})`, pointer);
+        }
+
+        if (attributes.NORMAL !== undefined) {
+          this.checkUnitVectors(accessorData.get(attributes.NORMAL), attributes.NORMAL, 'NORMAL', json, report);
+        }
+        if (attributes.TANGENT !== undefined) {
+          this.checkUnitVectors(accessorData.get(attributes.TANGENT), attributes.TANGENT, 'TANGENT', json, report);
+        }
+        if (primitive.indices !== undefined) {
+          this.checkIndices(primitive, label, position?.count, accessorData, json, report);
+        }
+      });
+    });
+  }
+
+  static checkUnitVectors(data, index, semantic, json, report) {
+    if (!data) return;
+    const accessor = json.accessors[index];
+    // Normalized integer vectors are only unit length up to quantization
+    if (accessor.componentType !== 5126) return;
+
+    let nonUnit = 0;
+    let invalidSign = 0;
+    let first = -1;
+    for (let i = 0; i < accessor.count; i++) {
+      const offset = i * data.size;
+      const [x, y, z] = [data.values[offset], data.values[offset + 1], data.values[offset + 2]];
+      if (Math.abs(Math.sqrt(x * x + y * y + z * z) - 1) > UNIT_LENGTH_TOLERANCE) {
+        nonUnit++;
+        if (first === -1) first = i;
+      }
+      if (semantic === 'TANGENT' && Math.abs(data.values[offset + 3]) !== 1) invalidSign++;
+    }
+
+    if (nonUnit > 0) {
+      report('error', 'ACCESSOR_NON_UNIT', `${nonUnit} of ${accessor.count} ${semantic} vectors in accessor #${index} are not unit length (first at element ${first})`, `/accessors/${index}`);
+    }
+    if (invalidSign > 0) {
+      report('error', 'ACCESSOR_INVALID_SIGN', `${invalidSign} of ${accessor.count} TANGENT w components in accessor #${index} are not 1 or -1`, `/accessors/${index}`);
+    }
+  }
+
+  static checkIndices(primitive, label, vertexCount, accessorData, json, report) {
+    const index = primitive.indices;
+    const accessor = json.accessors?.[index];
+    const pointer = `/accessors/${index}`;
+    if (!accessor) return;
+    if (!INDEX_COMPONENT_TYPES.includes(accessor.componentType) || accessor.type !== 'SCALAR' || accessor.normalized) {
+      report('error', 'MESH_PRIMITIVE_INVALID_INDICES', `${label}: index accessor #${index} must be unnormalized unsigned SCALAR, not ${accessor.type}/${COMPONENT_TYPES[accessor.componentType]?.label}`, pointer);
+      return;
+    }
+
+    const mode = primitive.mode ?? 4;
+    if (mode === 4 && accessor.count % 3 !== 0) {
+      report('error', 'MESH_PRIMITIVE_INCOMPATIBLE_MODE', `${label} has ${accessor.count} indices, not a multiple of 3 for TRIANGLES`, pointer);
+    }
+
+    const data = accessorData.get(index);
+    if (!data || vertexCount === undefined) return;
+
+    // The maximum value of the component type is reserved for primitive restart
+    const restart = 2 ** (COMPONENT_TYPES[accessor.componentType].size * 8) - 1;
+    let outOfRange = 0;
+    let restarts = 0;
+    let degenerate = 0;
+    for (let i = 0; i < data.values.length; i++) {
+      if (data.values[i] === restart) restarts++;
+      else if (data.values[i] >= vertexCount) outOfRange++;
+    }
+    if (mode === 4) {
+      for (let i = 0; i + 2 < data.values.length; i += 3) {
+        const [a, b, c] = [data.values[i], data.values[i + 1], data.values[i + 2]];
+        if (a === b || b === c || a === c) degenerate++;
+      }
+    }
+
+    if (outOfRange > 0) {
+      report('error', 'ACCESSOR_INDEX_OOB', `${label}: ${outOfRange} indices in accessor #${index} point past the ${vertexCount} vertices`, pointer);
+    }
+    if (restarts > 0) {
+      report('error', 'ACCESSOR_INDEX_PRIMITIVE_RESTART', `${label}: ${restarts} indices in accessor #${index} use the reserved primitive restart value ${restart}`, pointer);
+    }
+    if (degenerate > 0) {
+      report('info', 'MESH_PRIMITIVE_DEGENERATE_TRIANGLES', `${label} has ${degenerate} degenerate triangles`, pointer);
+    }
+  }
+
+  static checkUnusedObjects(json, report) {
+    const used = Object.fromEntries(Object.keys(OBJECT_LABELS).map(kind => [kind, new Set()]));
+
+    const visit = (nodeIndex) => {
+      if (used.nodes.has(nodeIndex) || !json.nodes?.[nodeIndex]) return;
+      used.nodes.add(nodeIndex);
+      (json.nodes[nodeIndex].children || []).forEach(visit);
+    };
+    (json.scenes || []).forEach(scene => (scene.nodes || []).forEach(visit));
+    (json.skins || []).forEach(skin => {
+      (skin.joints || []).forEach(visit);
+      if (skin.skeleton !== undefined) visit(skin.skeleton);
+    });
+    (json.animations || []).forEach(animation => {
+      (animation.channels || []).forEach(channel => {
+        if (channel.target?.node !== undefined) visit(channel.target.node);
+      });
+      (animation.samplers || []).forEach(sampler => {
+        used.accessors.add(sampler.input);
+        used.accessors.add(sampler.output);
+      });
+    });
+
+    used.nodes.forEach(nodeIndex => {
+      const node = json.nodes[nodeIndex];
+      if (node.mesh !== undefined) used.meshes.add(node.mesh);
+      if (node.skin !== undefined) used.skins.add(node.skin);
+      if (node.camera !== undefined) used.cameras.add(node.camera);
+      Object.values(node.extensions?.EXT_mesh_gpu_instancing?.attributes || {}).forEach(index => used.accessors.add(index));
+    });
+    (json.skins || []).forEach((skin, index) => {
+      if (used.skins.has(index) && skin.inverseBindMatrices !== undefined) used.accessors.add(skin.inverseBindMatrices);
+    });
+
+    used.meshes.forEach(meshIndex => {
+      (json.meshes[meshIndex]?.primitives || []).forEach(primitive => {
+        if (primitive.material !== undefined) used.materials.add(primitive.material);
+        if (primitive.indices !== undefined) used.accessors.add(primitive.indices);
+        Object.values(primitive.attributes || {}).forEach(index => used.accessors.add(index));
+        (primitive.targets || []).forEach(target => Object.values(target).forEach(index => used.accessors.add(index)));
+        const draco = primitive.extensions?.KHR_draco_mesh_compression;
+        if (draco) used.bufferViews.add(draco.bufferView);
+        (primitive.extensions?.KHR_materials_variants?.mappings || []).forEach(mapping => used.materials.add(mapping.material));
+      });
+    });
+
+    used.materials.forEach(materialIndex => collectTextureReferences(json.materials?.[materialIndex], used.textures));
+    used.textures.forEach(textureIndex => {
+      const texture = json.textures?.[textureIndex];
+      if (!texture) return;
+      if (texture.source !== undefined) used.images.add(texture.source);
+      if (texture.sampler !== undefined) used.samplers.add(texture.sampler);
+      TEXTURE_SOURCE_EXTENSIONS.forEach(name => {
+        if (texture.extensions?.[name]?.source !== undefined) used.images.add(texture.extensions[name].source);
+      });
+    });
+
+    used.accessors.forEach(accessorIndex => {
+      const accessor = json.accessors?.[accessorIndex];
+      if (!accessor) return;
+      if (accessor.bufferView !== undefined) used.bufferViews.add(accessor.bufferView);
+      if (accessor.sparse) {
+        used.bufferViews.add(accessor.sparse.indices.bufferView);
+        used.bufferViews.add(accessor.sparse.values.bufferView);
+      }
+    });
+    used.images.forEach(imageIndex => {
+      const image = json.images?.[imageIndex];
+      if (image?.bufferView !== undefined) used.bufferViews.add(image.bufferView);
+    });
+    used.bufferViews.forEach(viewIndex => {
+      const view = json.bufferViews?.[viewIndex];
+      if (!view) return;
+      used.buffers.add(view.buffer);
+      if (view.extensions?.EXT_meshopt_compression) used.buffers.add(view.extensions.EXT_meshopt_compression.buffer);
+    });
+
+    Object.entries(used).forEach(([kind, set]) => {
+      const unused = (json[kind] || []).map((item, index) => index).filter(index => !set.has(index));
+      if (unused.length === 0) return;
+      report('info', 'UNUSED_OBJECT', `${listIndices(unused, kind)} ${unused.length === 1 ? 'is' : 'are'} not used by any scene`, `/${kind}`);
+    });
+  }
+
+  static getExtensionCategory(name) {
+    return EXTENSION_CATEGORIES.find(category => category.test(name));
+  }
+
+  // Side-by-side extension table; `onlyIn` flags extensions used by one model only
+  static compareExtensions(validationA, validationB) {
+    const names = Array.from(new Set([
+      ...(validationA?.extensionsUsed || []),
+      ...(validationB?.extensionsUsed || [])
+    ])).sort();
+
+    const describe = (validation, name) => validation ? {
+      used: validation.extensionsUsed.includes(name),
+      required: validation.extensionsRequired.includes(name)
+    } : null;
+
+    return names.map(name => {
+      const original = describe(validationA, name);
+      const comparison = describe(validationB, name);
+      let onlyIn = null;
+      if (validationA && validationB && original.used !== comparison.used) {
+        onlyIn = original.used ? 'original' : 'comparison';
+      }
+      return {
+        name,
+        category: this.getExtensionCategory(name).label,
+        supported: SUPPORTED_EXTENSIONS.includes(name),
+        original,
+        comparison,
+        onlyIn
+      };
+    }).sort((a, b) => EXTENSION_CATEGORIES.findIndex(category => category.label === a.category) -
+      EXTENSION_CATEGORIES.findIndex(category => category.label === b.category));
+  }
+
+  static formatCounts(validation) {
+    const { errors, warnings, infos } = validation.counts;
+    return `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}, ${infos} info`;
+  }
+}
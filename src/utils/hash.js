@@ -0,0 +1,40 @@
+// hash.js - Fast non-cryptographic content hashing (FNV-1a, 32 bit)
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+export function hashBytes(bytes, seed = FNV_OFFSET) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, FNV_PRIME) >>> 0;
+  }
+  return hash;
+}
+
+export function hashTypedArray(array, seed) {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  return hashBytes(bytes, seed);
+}
+
+export function hashString(text, seed = FNV_OFFSET) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME) >>> 0;
+  }
+  return hash;
+}
+
+// Combines several hashes (or strings/numbers) into one stable hex digest
+export function combineHashes(values) {
+  const hash = values.reduce(
+    (acc, value) => hashString(String(value), acc),
+    FNV_OFFSET
+  );
+  return toHex(hash);
+}
+
+export function toHex(hash) {
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
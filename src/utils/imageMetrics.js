@@ -0,0 +1,487 @@
+// imageMetrics.js - Full-reference image quality metrics on RGBA buffers
+// All functions take {data, width, height} images of identical size.
+
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// D65 reference white
+const WHITE_X = 0.950428545;
+const WHITE_Y = 1.0;
+const WHITE_Z = 1.088900371;
+
+// ---------------------------------------------------------------------------
+// Convolution helpers
+
+function gaussianKernel(sigma, radius) {
+  const kernel = new Float32Array(radius * 2 + 1);
+  let sum = 0;
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    sum += kernel[i + radius];
+  }
+  return kernel.map(value => value / sum);
+}
+
+// Separable convolution with clamp-to-edge borders
+function convolve(source, width, height, kernelX, kernelY) {
+  const radiusX = (kernelX.length - 1) / 2;
+  const radiusY = (kernelY.length - 1) / 2;
+  const temp = new Float32Array(source.length);
+  const output = new Float32Array(source.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radiusX; k <= radiusX; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        sum += source[row + sx] * kernelX[k + radiusX];
+      }
+      temp[row + x] = sum;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radiusY; k <= radiusY; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        sum += temp[sy * width + x] * kernelY[k + radiusY];
+      }
+      output[y * width + x] = sum;
+    }
+  }
+
+  return output;
+}
+
+function luma(image) {
+  const { data, width, height } = image;
+  const output = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < output.length; i += 4, p++) {
+    output[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return output;
+}
+
+function downsample(source, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const output = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * 2 * width + x * 2;
+      output[y * w + x] = (source[i] + source[i + 1] + source[i + width] + source[i + width + 1]) / 4;
+    }
+  }
+  return { data: output, width: w, height: h };
+}
+
+// ---------------------------------------------------------------------------
+// SSIM / MS-SSIM (Wang et al.), on 8-bit luma with an 11-tap σ=1.5 Gaussian window
+
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const SSIM_KERNEL = gaussianKernel(1.5, 5);
+
+function ssimComponents(x, y, width, height) {
+  const blur = (source) => convolve(source, width, height, SSIM_KERNEL, SSIM_KERNEL);
+  const n = width * height;
+  const xx = new Float32Array(n);
+  const yy = new Float32Array(n);
+  const xy = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    xx[i] = x[i] * x[i];
+    yy[i] = y[i] * y[i];
+    xy[i] = x[i] * y[i];
+  }
+
+  const muX = blur(x);
+  const muY = blur(y);
+  const sigmaXX = blur(xx);
+  const sigmaYY = blur(yy);
+  const sigmaXY = blur(xy);
+
+  const map = new Float32Array(n);
+  let ssimSum = 0;
+  let csSum = 0;
+
+  for (let i = 0; i < n; i++) {
+    const mx = muX[i];
+    const my = muY[i];
+    const vx = sigmaXX[i] - mx * mx;
+    const vy = sigmaYY[i] - my * my;
+    const cov = sigmaXY[i] - mx * my;
+
+    const cs = (2 * cov + SSIM_C2) / (vx + vy + SSIM_C2);
+    const value = ((2 * mx * my + SSIM_C1) / (mx * mx + my * my + SSIM_C1)) * cs;
+    map[i] = value;
+    ssimSum += value;
+    csSum += cs;
+  }
+
+  return { map, ssim: ssimSum / n, cs: csSum / n };
+}
+
+export function ssim(image1, image2) {
+  const { width, height } = image1;
+  const { map, ssim: mean } = ssimComponents(luma(image1), luma(image2), width, height);
+  return { value: mean, map };
+}
+
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+export function msssim(image1, image2) {
+  let x = { data: luma(image1), width: image1.width, height: image1.height };
+  let y = { data: luma(image2), width: image2.width, height: image2.height };
+
+  // Drop coarse scales that would be smaller than the SSIM window
+  const minSize = SSIM_KERNEL.length;
+  let scales = 1;
+  while (scales < MS_SSIM_WEIGHTS.length && Math.min(x.width, x.height) >> scales >= minSize) scales++;
+  const weights = MS_SSIM_WEIGHTS.slice(0, scales);
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+  let value = 1;
+  for (let scale = 0; scale < scales; scale++) {
+    const { ssim: s, cs } = ssimComponents(x.data, y.data, x.width, x.height);
+    const weight = weights[scale] / weightSum;
+    value *= Math.pow(Math.max(0, scale === scales - 1 ? s : cs), weight);
+
+    if (scale < scales - 1) {
+      x = downsample(x.data, x.width, x.height);
+      y = downsample(y.data, y.width, y.height);
+    }
+  }
+
+  return { value };
+}
+
+// ---------------------------------------------------------------------------
+// PSNR over RGB
+
+export function psnr(image1, image2) {
+  const a = image1.data;
+  const b = image2.data;
+  let squaredError = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    const dr = a[i] - b[i];
+    const dg = a[i + 1] - b[i + 1];
+    const db = a[i + 2] - b[i + 2];
+    squaredError += dr * dr + dg * dg + db * db;
+  }
+
+  const mse = squaredError / ((a.length / 4) * 3);
+  return { value: mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse), mse };
+}
+
+// ---------------------------------------------------------------------------
+// CIEDE2000 ΔE
+
+function labF(t) {
+  const delta = 6 / 29;
+  return t > delta * delta * delta ? Math.cbrt(t) : t / (3 * delta * delta) + 4 / 29;
+}
+
+function xyzToLab(x, y, z, out, offset) {
+  const fx = labF(x / WHITE_X);
+  const fy = labF(y / WHITE_Y);
+  const fz = labF(z / WHITE_Z);
+  out[offset] = 116 * fy - 16;
+  out[offset + 1] = 500 * (fx - fy);
+  out[offset + 2] = 200 * (fy - fz);
+}
+
+function linearToXYZ(r, g, b) {
+  return [
+    0.4124564 * r + 0.3575761 * g + 0.1804375 * b,
+    0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+    0.0193339 * r + 0.1191920 * g + 0.9503041 * b
+  ];
+}
+
+function imageToLab(image) {
+  const { data } = image;
+  const lab = new Float32Array((data.length / 4) * 3);
+  for (let i = 0, p = 0; i < data.length; i += 4, p += 3) {
+    const [x, y, z] = linearToXYZ(SRGB_TO_LINEAR[data[i]], SRGB_TO_LINEAR[data[i + 1]], SRGB_TO_LINEAR[data[i + 2]]);
+    xyzToLab(x, y, z, lab, p);
+  }
+  return lab;
+}
+
+const DEG = Math.PI / 180;
+const POW25_7 = Math.pow(25, 7);
+
+export function ciede2000(L1, a1, b1, L2, a2, b2) {
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const meanC7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + POW25_7)));
+
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / DEG;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * DEG);
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanHp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) meanHp += h1p + h2p < 360 ? 360 : -360;
+    meanHp /= 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((meanHp - 30) * DEG)
+    + 0.24 * Math.cos((2 * meanHp) * DEG)
+    + 0.32 * Math.cos((3 * meanHp + 6) * DEG)
+    - 0.20 * Math.cos((4 * meanHp - 63) * DEG);
+  const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+  const meanCp7 = Math.pow(meanCp, 7);
+  const RC = 2 * Math.sqrt(meanCp7 / (meanCp7 + POW25_7));
+  const SL = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(2 * dTheta * DEG) * RC;
+
+  const l = dLp / SL;
+  const c = dCp / SC;
+  const h = dHp / SH;
+  return Math.sqrt(l * l + c * c + h * h + RT * c * h);
+}
+
+export function deltaE2000(image1, image2) {
+  const lab1 = imageToLab(image1);
+  const lab2 = imageToLab(image2);
+  const map = new Float32Array(lab1.length / 3);
+  let sum = 0;
+  let max = 0;
+
+  for (let p = 0, i = 0; p < map.length; p++, i += 3) {
+    const value = ciede2000(lab1[i], lab1[i + 1], lab1[i + 2], lab2[i], lab2[i + 1], lab2[i + 2]);
+    map[p] = value;
+    sum += value;
+    if (value > max) max = value;
+  }
+
+  return { value: sum / map.length, max, map };
+}
+
+// ---------------------------------------------------------------------------
+// FLIP (Andersson et al. 2020), LDR variant
+
+const FLIP_CSF = {
+  // [a1, b1, a2, b2] per opponent channel
+  achromatic: [1, 0.0047, 0, 1e-5],
+  redGreen: [1, 0.0053, 0, 1e-5],
+  blueYellow: [34.1, 0.04, 13.5, 0.025]
+};
+const FLIP_COLOR_EXPONENT = 0.7;
+const FLIP_PC = 0.4;
+const FLIP_PT = 0.95;
+const FLIP_FEATURE_EXPONENT = 0.5;
+
+function toYCxCz(image) {
+  const { data } = image;
+  const n = data.length / 4;
+  const channels = [new Float32Array(n), new Float32Array(n), new Float32Array(n)];
+
+  for (let i = 0, p = 0; p < n; i += 4, p++) {
+    const [x, y, z] = linearToXYZ(SRGB_TO_LINEAR[data[i]], SRGB_TO_LINEAR[data[i + 1]], SRGB_TO_LINEAR[data[i + 2]]);
+    channels[0][p] = 116 * (y / WHITE_Y) - 16;
+    channels[1][p] = 500 * (x / WHITE_X - y / WHITE_Y);
+    channels[2][p] = 200 * (y / WHITE_Y - z / WHITE_Z);
+  }
+
+  return channels;
+}
+
+function huntLab(r, g, b, out, offset) {
+  const [x, y, z] = linearToXYZ(r, g, b);
+  xyzToLab(x, y, z, out, offset);
+  out[offset + 1] *= 0.01 * out[offset];
+  out[offset + 2] *= 0.01 * out[offset];
+}
+
+function hyab(lab1, lab2, i) {
+  const dL = lab1[i] - lab2[i];
+  const da = lab1[i + 1] - lab2[i + 1];
+  const db = lab1[i + 2] - lab2[i + 2];
+  return Math.abs(dL) + Math.sqrt(da * da + db * db);
+}
+
+// Contrast sensitivity filtering in YCxCz, then Hunt-adjusted L*a*b*
+function flipColorSpace(image, pixelsPerDegree) {
+  const { width, height } = image;
+  const maxB = Math.max(...Object.values(FLIP_CSF).flatMap(([, b1, , b2]) => [b1, b2]));
+  const radius = Math.ceil(3 * Math.sqrt(maxB / (2 * Math.PI * Math.PI)) * pixelsPerDegree);
+
+  // Each CSF term is a separable Gaussian, weighted by its share of the 2D kernel sum
+  const filterChannel = (channel, [a1, b1, a2, b2]) => {
+    const terms = [[a1, b1], [a2, b2]].filter(([a]) => a > 0).map(([a, b]) => {
+      const kernel = new Float32Array(radius * 2 + 1);
+      for (let i = -radius; i <= radius; i++) {
+        const d = i / pixelsPerDegree;
+        kernel[i + radius] = Math.exp(-(Math.PI * Math.PI * d * d) / b);
+      }
+      const sum = kernel.reduce((total, value) => total + value, 0);
+      return { weight: a * (Math.PI / b) * sum * sum, kernel: kernel.map(value => value / sum) };
+    });
+    const totalWeight = terms.reduce((total, term) => total + term.weight, 0);
+
+    const output = new Float32Array(channel.length);
+    terms.forEach(({ weight, kernel }) => {
+      const filtered = convolve(channel, width, height, kernel, kernel);
+      for (let i = 0; i < output.length; i++) output[i] += filtered[i] * (weight / totalWeight);
+    });
+    return output;
+  };
+
+  const [Y, Cx, Cz] = toYCxCz(image);
+  const fY = filterChannel(Y, FLIP_CSF.achromatic);
+  const fCx = filterChannel(Cx, FLIP_CSF.redGreen);
+  const fCz = filterChannel(Cz, FLIP_CSF.blueYellow);
+
+  const lab = new Float32Array(Y.length * 3);
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  for (let p = 0; p < Y.length; p++) {
+    const yn = (fY[p] + 16) / 116;
+    const x = (fCx[p] / 500 + yn) * WHITE_X;
+    const y = yn * WHITE_Y;
+    const z = (yn - fCz[p] / 200) * WHITE_Z;
+    huntLab(
+      clamp(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+      clamp(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+      clamp(0.0556434 * x - 0.2040259 * y + 1.0572252 * z),
+      lab,
+      p * 3
+    );
+  }
+
+  // Normalised luminance for the feature pipeline
+  const luminance = new Float32Array(Y.length);
+  for (let p = 0; p < Y.length; p++) luminance[p] = (Y[p] + 16) / 116;
+
+  return { lab, luminance };
+}
+
+function flipFeatureKernels(pixelsPerDegree) {
+  const sigma = 0.5 * 0.082 * pixelsPerDegree;
+  const radius = Math.ceil(3 * sigma);
+  const gaussian = [];
+  for (let i = -radius; i <= radius; i++) gaussian.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+
+  // Positive and negative lobes are normalised to +1 and -1 respectively
+  const normaliseLobes = (values) => {
+    const positive = values.filter(v => v > 0).reduce((sum, v) => sum + v, 0);
+    const negative = -values.filter(v => v < 0).reduce((sum, v) => sum + v, 0);
+    return Float32Array.from(values, v => (v > 0 ? v / positive : negative > 0 ? v / negative : 0));
+  };
+
+  const gaussianSum = gaussian.reduce((sum, v) => sum + v, 0);
+  return {
+    smooth: Float32Array.from(gaussian, v => v / gaussianSum),
+    edge: normaliseLobes(gaussian.map((g, i) => -(i - radius) * g)),
+    point: normaliseLobes(gaussian.map((g, i) => ((i - radius) ** 2 / (sigma * sigma) - 1) * g))
+  };
+}
+
+function featureMagnitudes(luminance, width, height, kernels) {
+  const magnitude = (kx, ky) => {
+    const dx = convolve(luminance, width, height, kx, kernels.smooth);
+    const dy = convolve(luminance, width, height, kernels.smooth, ky);
+    for (let i = 0; i < dx.length; i++) dx[i] = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+    return dx;
+  };
+  return { edges: magnitude(kernels.edge, kernels.edge), points: magnitude(kernels.point, kernels.point) };
+}
+
+// Defaults assume a 0.7 m viewing distance to a 0.7 m wide 4K monitor (67 pixels per degree)
+export function flip(image1, image2, pixelsPerDegree = 67) {
+  const { width, height } = image1;
+  const reference = flipColorSpace(image1, pixelsPerDegree);
+  const test = flipColorSpace(image2, pixelsPerDegree);
+
+  // Largest perceptual difference within the sRGB gamut: green vs blue
+  const extremes = new Float32Array(6);
+  huntLab(0, 1, 0, extremes, 0);
+  huntLab(0, 0, 1, extremes, 3);
+  const cmax = Math.pow(hyab(extremes, extremes.subarray(3), 0), FLIP_COLOR_EXPONENT);
+
+  const kernels = flipFeatureKernels(pixelsPerDegree);
+  const featuresRef = featureMagnitudes(reference.luminance, width, height, kernels);
+  const featuresTest = featureMagnitudes(test.luminance, width, height, kernels);
+
+  const map = new Float32Array(width * height);
+  let sum = 0;
+
+  for (let p = 0; p < map.length; p++) {
+    const distance = Math.pow(hyab(reference.lab, test.lab, p * 3), FLIP_COLOR_EXPONENT);
+    const colorError = distance < FLIP_PC * cmax
+      ? (FLIP_PT / (FLIP_PC * cmax)) * distance
+      : FLIP_PT + ((distance - FLIP_PC * cmax) / (cmax - FLIP_PC * cmax)) * (1 - FLIP_PT);
+
+    const edgeDifference = Math.abs(featuresRef.edges[p] - featuresTest.edges[p]);
+    const pointDifference = Math.abs(featuresRef.points[p] - featuresTest.points[p]);
+    const featureError = Math.pow(Math.max(edgeDifference, pointDifference) / Math.SQRT2, FLIP_FEATURE_EXPONENT);
+
+    const value = Math.pow(Math.min(1, colorError), 1 - Math.min(1, featureError));
+    map[p] = value;
+    sum += value;
+  }
+
+  return { value: sum / map.length, map };
+}
+
+// ---------------------------------------------------------------------------
+// Visualisation
+
+// Magma-like ramp from black through purple and orange to pale yellow
+const HEATMAP_STOPS = [
+  [0, 0, 4],
+  [81, 18, 124],
+  [183, 55, 121],
+  [252, 137, 97],
+  [252, 253, 191]
+];
+
+export function heatmap(values, width, height, scale = 1) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const segments = HEATMAP_STOPS.length - 1;
+
+  for (let p = 0; p < values.length; p++) {
+    const t = Math.min(1, Math.max(0, values[p] / scale)) * segments;
+    const index = Math.min(segments - 1, Math.floor(t));
+    const f = t - index;
+    const from = HEATMAP_STOPS[index];
+    const to = HEATMAP_STOPS[index + 1];
+    data[p * 4] = from[0] + (to[0] - from[0]) * f;
+    data[p * 4 + 1] = from[1] + (to[1] - from[1]) * f;
+    data[p * 4 + 2] = from[2] + (to[2] - from[2]) * f;
+    data[p * 4 + 3] = 255;
+  }
+
+  return { data, width, height };
+}
@@ -1,56 +1,187 @@
-// pixelmatch.js - Pixel comparison utility
-
-// Inline pixelmatch implementation for reliability
-window.pixelmatch = function(img1, img2, output, width, height, options) {
-    options = options || {};
-    const threshold = options.threshold === undefined ? 0.1 : options.threshold;
-    const includeAA = !!options.includeAA;
-    const alpha = options.alpha === undefined ? 0.1 : options.alpha;
-    const diffColor = options.diffColor || [255, 0, 0];
-    let count = 0;
-    
-    // Compare each pixel
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const i = (y * width + x) * 4;
-        
-        // Get RGB values (ignore alpha)
-        const r1 = img1[i];
-        const g1 = img1[i + 1];
-        const b1 = img1[i + 2];
-        
-        const r2 = img2[i];
-        const g2 = img2[i + 1];
-        const b2 = img2[i + 2];
-        
-        // Calculate perceptual color difference using weighted RGB
-        const deltaR = r1 - r2;
-        const deltaG = g1 - g2;
-        const deltaB = b1 - b2;
-        
-        // Use weighted RGB formula for better perceptual accuracy
-        const diff = Math.sqrt(
-          0.299 * deltaR * deltaR +
-          0.587 * deltaG * deltaG +
-          0.114 * deltaB * deltaB
-        ) / 255;
-        
-        if (diff > threshold) {
-          // Mark as different
-          output[i] = diffColor[0];
-          output[i + 1] = diffColor[1];
-          output[i + 2] = diffColor[2];
-          output[i + 3] = 255;
-          count++;
+// pixelmatch.js - Perceptual pixel comparison in YIQ space with anti-aliasing detection
+// Follows the algorithm of mapbox/pixelmatch (Kotsarenko & Ramos YIQ delta,
+// Vysniauskas anti-aliased pixel detection).
+
+// Squared YIQ delta of pure black vs pure white
+const MAX_YIQ_DELTA = 35215;
+
+// Returns the number of differing pixels. `output` (optional) receives the
+// diff visualisation; `options.mask` (optional, one entry per pixel) is set to
+// 1 for differing pixels and 2 for pixels discarded as anti-aliasing.
+export default function pixelmatch(img1, img2, output, width, height, options = {}) {
+  const {
+    threshold = 0.1,
+    includeAA = false,
+    alpha = 0.1,
+    aaColor = [255, 255, 0],
+    diffColor = [255, 0, 0],
+    mask = null
+  } = options;
+
+  if (img1.length !== img2.length || (output && output.length !== img1.length)) {
+    throw new Error('Image sizes do not match');
+  }
+  if (img1.length !== width * height * 4) {
+    throw new Error('Image data size does not match width/height');
+  }
+
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  let diff = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const pos = pixel * 4;
+      const delta = colorDelta(img1, img2, pos, pos, false);
+
+      if (Math.abs(delta) > maxDelta) {
+        const isAA = !includeAA && (
+          antialiased(img1, x, y, width, height, img2) ||
+          antialiased(img2, x, y, width, height, img1)
+        );
+
+        if (isAA) {
+          if (output) drawPixel(output, pos, aaColor[0], aaColor[1], aaColor[2]);
+          if (mask) mask[pixel] = 2;
         } else {
-          // Use a mix of the original pixel and white (based on alpha)
-          output[i] = 255 * (1 - alpha) + r1 * alpha;
-          output[i + 1] = 255 * (1 - alpha) + g1 * alpha;
-          output[i + 2] = 255 * (1 - alpha) + b1 * alpha;
-          output[i + 3] = 255;
+          if (output) drawPixel(output, pos, diffColor[0], diffColor[1], diffColor[2]);
+          if (mask) mask[pixel] = 1;
+          diff++;
         }
+      } else if (output) {
+        drawGrayPixel(img1, pos, alpha, output);
       }
     }
-    
-    return count;
-  };
\ No newline at end of file
+  }
+
+  return diff;
+}
+
+// A pixel is anti-aliased when its neighbours contain both a darker and a
+// brighter extreme, and one of those extremes sits in a flat region of both images
+function antialiased(img, x1, y1, width, height, img2) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  let min = 0;
+  let max = 0;
+  let minX, minY, maxX, maxY;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+
+      const delta = colorDelta(img, img, pos, (y * width + x) * 4, true);
+
+      if (delta === 0) {
+        zeroes++;
+        // More than two equal siblings means this is not an edge
+        if (zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta;
+        minX = x;
+        minY = y;
+      } else if (delta > max) {
+        max = delta;
+        maxX = x;
+        maxY = y;
+      }
+    }
+  }
+
+  if (min === 0 || max === 0) return false;
+
+  return (hasManySiblings(img, minX, minY, width, height) && hasManySiblings(img2, minX, minY, width, height)) ||
+    (hasManySiblings(img, maxX, maxY, width, height) && hasManySiblings(img2, maxX, maxY, width, height));
+}
+
+function hasManySiblings(img, x1, y1, width, height) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+
+      const pos2 = (y * width + x) * 4;
+      if (img[pos] === img[pos2] &&
+          img[pos + 1] === img[pos2 + 1] &&
+          img[pos + 2] === img[pos2 + 2] &&
+          img[pos + 3] === img[pos2 + 3]) zeroes++;
+
+      if (zeroes > 2) return true;
+    }
+  }
+
+  return false;
+}
+
+// Signed squared YIQ distance; negative when the second pixel is brighter
+function colorDelta(img1, img2, k, m, yOnly) {
+  let r1 = img1[k];
+  let g1 = img1[k + 1];
+  let b1 = img1[k + 2];
+  let a1 = img1[k + 3];
+  let r2 = img2[m];
+  let g2 = img2[m + 1];
+  let b2 = img2[m + 2];
+  let a2 = img2[m + 3];
+
+  if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+
+  // Composite translucent pixels over white
+  if (a1 < 255) {
+    a1 /= 255;
+    r1 = blend(r1, a1);
+    g1 = blend(g1, a1);
+    b1 = blend(b1, a1);
+  }
+  if (a2 < 255) {
+    a2 /= 255;
+    r2 = blend(r2, a2);
+    g2 = blend(g2, a2);
+    b2 = blend(b2, a2);
+  }
+
+  const y1 = rgb2y(r1, g1, b1);
+  const y2 = rgb2y(r2, g2, b2);
+  const y = y1 - y2;
+
+  if (yOnly) return y;
+
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+
+  return y1 > y2 ? -delta : delta;
+}
+
+function rgb2y(r, g, b) { return r * 0.29889531 + g * 0.58662247 + b * 0.11448223; }
+function rgb2i(r, g, b) { return r * 0.59597799 - g * 0.27417610 - b * 0.32180189; }
+function rgb2q(r, g, b) { return r * 0.21147017 - g * 0.52261711 + b * 0.31114694; }
+
+function blend(c, a) {
+  return 255 + (c - 255) * a;
+}
+
+function drawPixel(output, pos, r, g, b) {
+  output[pos] = r;
+  output[pos + 1] = g;
+  output[pos + 2] = b;
+  output[pos + 3] = 255;
+}
+
+function drawGrayPixel(img, i, alpha, output) {
+  const r = img[i];
+  const g = img[i + 1];
+  const b = img[i + 2];
+  const val = blend(rgb2y(r, g, b), alpha * img[i + 3] / 255);
+  drawPixel(output, i, val, val, val);
+}
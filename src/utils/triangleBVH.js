@@ -0,0 +1,197 @@
+// triangleBVH.js - Bounding volume hierarchy over a triangle soup for closest-point queries
+
+const LEAF_SIZE = 8;
+
+// `triangles` holds 9 floats per triangle (three xyz corners). Nodes are
+// stored flat: 6 bound floats each, plus either two child indices or a leaf
+// range into `order`.
+export function buildBVH(triangles) {
+  const triangleCount = triangles.length / 9;
+  const order = new Uint32Array(triangleCount);
+  const centroids = new Float32Array(triangleCount * 3);
+
+  for (let t = 0; t < triangleCount; t++) {
+    order[t] = t;
+    const o = t * 9;
+    centroids[t * 3] = (triangles[o] + triangles[o + 3] + triangles[o + 6]) / 3;
+    centroids[t * 3 + 1] = (triangles[o + 1] + triangles[o + 4] + triangles[o + 7]) / 3;
+    centroids[t * 3 + 2] = (triangles[o + 2] + triangles[o + 5] + triangles[o + 8]) / 3;
+  }
+
+  const bounds = [];
+  const children = [];
+  const ranges = [];
+
+  const build = (start, end) => {
+    const node = ranges.length / 2;
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    let cMinX = Infinity, cMinY = Infinity, cMinZ = Infinity;
+    let cMaxX = -Infinity, cMaxY = -Infinity, cMaxZ = -Infinity;
+
+    for (let i = start; i < end; i++) {
+      const t = order[i];
+      for (let v = 0; v < 9; v += 3) {
+        const x = triangles[t * 9 + v], y = triangles[t * 9 + v + 1], z = triangles[t * 9 + v + 2];
+        if (x < minX) minX = x; if (x > maxX) maxX = x;
+        if (y < minY) minY = y; if (y > maxY) maxY = y;
+        if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+      }
+      const cx = centroids[t * 3], cy = centroids[t * 3 + 1], cz = centroids[t * 3 + 2];
+      if (cx < cMinX) cMinX = cx; if (cx > cMaxX) cMaxX = cx;
+      if (cy < cMinY) cMinY = cy; if (cy > cMaxY) cMaxY = cy;
+      if (cz < cMinZ) cMinZ = cz; if (cz > cMaxZ) cMaxZ = cz;
+    }
+
+    bounds.push(minX, minY, minZ, maxX, maxY, maxZ);
+    ranges.push(start, end);
+    children.push(-1, -1);
+
+    const extents = [cMaxX - cMinX, cMaxY - cMinY, cMaxZ - cMinZ];
+    const axis = extents.indexOf(Math.max(...extents));
+    if (end - start <= LEAF_SIZE || extents[axis] === 0) return node;
+
+    // Partition around the centroid midpoint of the longest axis
+    const split = (axis === 0 ? cMinX : axis === 1 ? cMinY : cMinZ) + extents[axis] / 2;
+    let mid = start;
+    for (let i = start; i < end; i++) {
+      if (centroids[order[i] * 3 + axis] < split) {
+        const swap = order[i];
+        order[i] = order[mid];
+        order[mid] = swap;
+        mid++;
+      }
+    }
+    if (mid === start || mid === end) mid = (start + end) >> 1;
+
+    const left = build(start, mid);
+    const right = build(mid, end);
+    children[node * 2] = left;
+    children[node * 2 + 1] = right;
+    return node;
+  };
+
+  if (triangleCount > 0) build(0, triangleCount);
+
+  return {
+    triangles,
+    order,
+    bounds: new Float32Array(bounds),
+    children: new Int32Array(children),
+    ranges: new Uint32Array(ranges)
+  };
+}
+
+// Closest point on triangle abc to p (Ericson, Real-Time Collision Detection 5.1.5).
+// Writes the point into out and returns the squared distance.
+export function closestPointOnTriangle(px, py, pz, tri, o, out) {
+  const ax = tri[o], ay = tri[o + 1], az = tri[o + 2];
+  const bx = tri[o + 3], by = tri[o + 4], bz = tri[o + 5];
+  const cx = tri[o + 6], cy = tri[o + 7], cz = tri[o + 8];
+
+  const abx = bx - ax, aby = by - ay, abz = bz - az;
+  const acx = cx - ax, acy = cy - ay, acz = cz - az;
+  const apx = px - ax, apy = py - ay, apz = pz - az;
+
+  let rx, ry, rz;
+  const d1 = abx * apx + aby * apy + abz * apz;
+  const d2 = acx * apx + acy * apy + acz * apz;
+  if (d1 <= 0 && d2 <= 0) {
+    rx = ax; ry = ay; rz = az;
+  } else {
+    const bpx = px - bx, bpy = py - by, bpz = pz - bz;
+    const d3 = abx * bpx + aby * bpy + abz * bpz;
+    const d4 = acx * bpx + acy * bpy + acz * bpz;
+    const vc = d1 * d4 - d3 * d2;
+    const cpx = px - cx, cpy = py - cy, cpz = pz - cz;
+    const d5 = abx * cpx + aby * cpy + abz * cpz;
+    const d6 = acx * cpx + acy * cpy + acz * cpz;
+    const vb = d5 * d2 - d1 * d6;
+    const va = d3 * d6 - d5 * d4;
+
+    if (d3 >= 0 && d4 <= d3) {
+      rx = bx; ry = by; rz = bz;
+    } else if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+      const v = d1 / (d1 - d3);
+      rx = ax + abx * v; ry = ay + aby * v; rz = az + abz * v;
+    } else if (d6 >= 0 && d5 <= d6) {
+      rx = cx; ry = cy; rz = cz;
+    } else if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+      const w = d2 / (d2 - d6);
+      rx = ax + acx * w; ry = ay + acy * w; rz = az + acz * w;
+    } else if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+      const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+      rx = bx + (cx - bx) * w; ry = by + (cy - by) * w; rz = bz + (cz - bz) * w;
+    } else {
+      const denom = 1 / (va + vb + vc);
+      const v = vb * denom;
+      const w = vc * denom;
+      rx = ax + abx * v + acx * w; ry = ay + aby * v + acy * w; rz = az + abz * v + acz * w;
+    }
+  }
+
+  if (out) {
+    out[0] = rx; out[1] = ry; out[2] = rz;
+  }
+  const dx = px - rx, dy = py - ry, dz = pz - rz;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+const boxDistanceSquared = (bounds, node, x, y, z) => {
+  const o = node * 6;
+  const dx = x < bounds[o] ? bounds[o] - x : x > bounds[o + 3] ? x - bounds[o + 3] : 0;
+  const dy = y < bounds[o + 1] ? bounds[o + 1] - y : y > bounds[o + 4] ? y - bounds[o + 4] : 0;
+  const dz = z < bounds[o + 2] ? bounds[o + 2] - z : z > bounds[o + 5] ? z - bounds[o + 5] : 0;
+  return dx * dx + dy * dy + dz * dz;
+};
+
+// Nearest surface point to (x, y, z), visiting nearer children first and
+// pruning boxes farther than the best hit so far. Writes the point into `out`
+// when given and returns the squared distance.
+export function closestPoint(bvh, x, y, z, out = null) {
+  const { triangles, order, bounds, children, ranges } = bvh;
+  if (ranges.length === 0) return Infinity;
+
+  let best = Infinity;
+  const candidate = out ? [0, 0, 0] : null;
+  const stack = [0];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (boxDistanceSquared(bounds, node, x, y, z) >= best) continue;
+
+    const left = children[node * 2];
+    if (left === -1) {
+      for (let i = ranges[node * 2]; i < ranges[node * 2 + 1]; i++) {
+        const distance = closestPointOnTriangle(x, y, z, triangles, order[i] * 9, candidate);
+        if (distance < best) {
+          best = distance;
+          if (out) {
+            out[0] = candidate[0];
+            out[1] = candidate[1];
+            out[2] = candidate[2];
+          }
+        }
+      }
+      continue;
+    }
+
+    const right = children[node * 2 + 1];
+    const leftDistance = boxDistanceSquared(bounds, left, x, y, z);
+    const rightDistance = boxDistanceSquared(bounds, right, x, y, z);
+    // Push the farther child first so the nearer one is searched first
+    if (leftDistance < rightDistance) {
+      if (rightDistance < best) stack.push(right);
+      if (leftDistance < best) stack.push(left);
+    } else {
+      if (leftDistance < best) stack.push(left);
+      if (rightDistance < best) stack.push(right);
+    }
+  }
+
+  return best;
+}
+
+export function closestDistance(bvh, x, y, z) {
+  return Math.sqrt(closestPoint(bvh, x, y, z));
+}
@@ -1,8 +1,45 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Draco and Basis decoders ship with three; serve them from /decoders/ in dev
+// and copy them into the build so compressed models load offline
+const decoderSources = {
+  draco: 'node_modules/three/examples/jsm/libs/draco/gltf',
+  basis: 'node_modules/three/examples/jsm/libs/basis'
+};
+
+const isDecoderFile = (file) => /\.(js|wasm)$/.test(file) && !file.includes('encoder');
+
+const decoderAssets = () => ({
+  name: 'decoder-assets',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      // File names only: no dot segments or leading dots
+      const match = req.url?.split('?')[0].match(/\/decoders\/(draco|basis)\/(\w[\w.-]*)$/);
+      const file = match && path.join(decoderSources[match[1]], match[2]);
+      if (!file || !isDecoderFile(file) || !fs.statSync(file, { throwIfNoEntry: false })?.isFile()) return next();
+      res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+      fs.createReadStream(file)
+        .on('error', error => next(error))
+        .pipe(res);
+    });
+  },
+  generateBundle() {
+    Object.entries(decoderSources).forEach(([name, dir]) => {
+      fs.readdirSync(dir)
+        .filter(isDecoderFile)
+        .forEach(file => {
+          this.emitFile({ type: 'asset', fileName: `decoders/${name}/${file}`, source: fs.readFileSync(path.join(dir, file)) });
+        });
+    });
+  }
+});
 
 export default defineConfig({
   plugins: [
+    decoderAssets(),
     react({
       include: "**/*.{jsx,tsx,js,ts}",
       babel: {